@@ -0,0 +1,234 @@
+// ============================================
+// ASPEN'S PLAYGROUND - Bot Load Tester
+// ============================================
+// Spawns headless bots (modules/BotBrain.js) against a running server over the
+// real WebSocket protocol and reports bandwidth and SYNC tick timing.
+//
+// Usage: node bots.js [--url ws://localhost:3000] [--count 8] [--duration 60]
+//                     [--stagger 250] [--interval 50] [--no-play-again]
+//
+// The server allows 5 connections per IP by default - start it with
+// WS_MAX_CONNECTIONS_PER_IP set above --count when testing locally.
+
+const WebSocket = require('ws');
+const BotBrain = require('./modules/BotBrain.js');
+
+// ==================== OPTIONS ====================
+function parseArgs(argv) {
+    const options = {
+        url: `ws://localhost:${process.env.PORT || 3000}`,
+        count: 8,
+        duration: 60,       // Seconds, 0 = until Ctrl+C
+        stagger: 250,       // ms between bot connections
+        interval: 50,       // ms between bot updates (matches client CONFIG.network.updateRate)
+        reportEvery: 5,     // Seconds between progress lines
+        playAgain: true     // Requeue after game over
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--url': options.url = next(); break;
+            case '--count': options.count = parseInt(next(), 10); break;
+            case '--duration': options.duration = parseFloat(next()); break;
+            case '--stagger': options.stagger = parseInt(next(), 10); break;
+            case '--interval': options.interval = parseInt(next(), 10); break;
+            case '--report': options.reportEvery = parseFloat(next()); break;
+            case '--no-play-again': options.playAgain = false; break;
+            case '--help':
+            case '-h':
+                console.log('Usage: node bots.js [--url ws://host:port] [--count N] [--duration SECONDS] ' +
+                    '[--stagger MS] [--interval MS] [--report SECONDS] [--no-play-again]');
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(1);
+        }
+    }
+    if (!(options.count > 0) || !(options.interval > 0)) {
+        console.error('--count and --interval must be positive');
+        process.exit(1);
+    }
+    return options;
+}
+
+// ==================== STATS ====================
+// Totals since start plus a window that resets with every report
+const Stats = {
+    startedAt: Date.now(),
+    windowStart: Date.now(),
+    total: { bytesIn: 0, bytesOut: 0, messagesIn: 0, messagesOut: 0, syncs: 0 },
+    window: null,
+    syncIntervals: [],      // ms between consecutive SYNC frames per bot (this window)
+    allSyncIntervals: [],
+    errors: 0,
+
+    resetWindow() {
+        this.window = { bytesIn: 0, bytesOut: 0, messagesIn: 0, messagesOut: 0, syncs: 0 };
+        this.syncIntervals = [];
+        this.windowStart = Date.now();
+    },
+
+    add(field, amount = 1) {
+        this.total[field] += amount;
+        this.window[field] += amount;
+    },
+
+    recordSyncInterval(ms) {
+        this.syncIntervals.push(ms);
+        this.allSyncIntervals.push(ms);
+    },
+
+    // { avg, p95, max } of a list of intervals
+    summarize(intervals) {
+        if (intervals.length === 0) return { avg: 0, p95: 0, max: 0 };
+        const sorted = intervals.slice().sort((a, b) => a - b);
+        const sum = sorted.reduce((acc, v) => acc + v, 0);
+        return {
+            avg: sum / sorted.length,
+            p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+            max: sorted[sorted.length - 1]
+        };
+    }
+};
+Stats.resetWindow();
+
+// ==================== BOTS ====================
+const bots = [];
+
+function spawnBot(index, options) {
+    const bot = { index, ws: null, brain: null, lastSyncAt: 0, connected: false, timer: null };
+
+    const send = (message) => {
+        if (!bot.ws || bot.ws.readyState !== WebSocket.OPEN) return;
+        const data = JSON.stringify(message);
+        bot.ws.send(data);
+        Stats.add('bytesOut', Buffer.byteLength(data));
+        Stats.add('messagesOut');
+    };
+
+    bot.brain = new BotBrain({ name: `Bot ${index + 1}`, send });
+    bot.ws = new WebSocket(options.url);
+
+    bot.ws.on('open', () => {
+        bot.connected = true;
+        bot.timer = setInterval(() => bot.brain.update(Date.now()), options.interval);
+    });
+
+    bot.ws.on('message', (data, isBinary) => {
+        Stats.add('bytesIn', data.length);
+        Stats.add('messagesIn');
+        if (isBinary) {
+            // SYNC cadence is the server tick as seen by the client
+            const now = Date.now();
+            if (bot.lastSyncAt) Stats.recordSyncInterval(now - bot.lastSyncAt);
+            bot.lastSyncAt = now;
+            Stats.add('syncs');
+            bot.brain.handleBinary(data);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            Stats.errors++;
+            return;
+        }
+        bot.brain.handleMessage(message);
+
+        if (message.type === 'gameOver') {
+            bot.lastSyncAt = 0;
+            if (options.playAgain) setTimeout(() => send({ type: 'playAgain' }), 2000);
+        }
+    });
+
+    bot.ws.on('close', (code) => {
+        bot.connected = false;
+        clearInterval(bot.timer);
+        if (!shuttingDown) console.log(`Bot ${index + 1} disconnected (code ${code})`);
+    });
+
+    bot.ws.on('error', (error) => {
+        Stats.errors++;
+        console.error(`Bot ${index + 1} error: ${error.message}`);
+    });
+
+    bots.push(bot);
+}
+
+// ==================== REPORTING ====================
+function formatRate(bytes, seconds) {
+    return `${(bytes / 1024 / Math.max(seconds, 0.001)).toFixed(1)} KB/s`;
+}
+
+function report() {
+    const seconds = (Date.now() - Stats.windowStart) / 1000;
+    const connected = bots.filter(b => b.connected).length;
+    const playing = bots.filter(b => b.brain.inGame).length;
+    const alive = bots.filter(b => b.brain.inGame && b.brain.isAlive).length;
+    const sync = Stats.summarize(Stats.syncIntervals);
+    const w = Stats.window;
+
+    console.log(
+        `[${Math.round((Date.now() - Stats.startedAt) / 1000)}s] ` +
+        `bots ${connected}/${bots.length} (playing ${playing}, alive ${alive}) | ` +
+        `in ${formatRate(w.bytesIn, seconds)} (${formatRate(w.bytesIn / Math.max(connected, 1), seconds)}/bot) ` +
+        `out ${formatRate(w.bytesOut, seconds)} | ` +
+        `sync avg ${sync.avg.toFixed(1)}ms p95 ${sync.p95}ms max ${sync.max}ms`
+    );
+    Stats.resetWindow();
+}
+
+let shuttingDown = false;
+
+function finish() {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    const seconds = (Date.now() - Stats.startedAt) / 1000;
+    const sync = Stats.summarize(Stats.allSyncIntervals);
+    const t = Stats.total;
+    const totals = bots.reduce((acc, b) => {
+        Object.keys(acc).forEach(key => { acc[key] += b.brain.stats[key]; });
+        return acc;
+    }, { shots: 0, hits: 0, kills: 0, deaths: 0, games: 0 });
+
+    console.log('');
+    console.log('==================== SUMMARY ====================');
+    console.log(`Duration:      ${seconds.toFixed(1)}s, ${bots.length} bots`);
+    console.log(`Received:      ${(t.bytesIn / 1024).toFixed(1)} KB in ${t.messagesIn} messages (${formatRate(t.bytesIn, seconds)}, ${formatRate(t.bytesIn / bots.length, seconds)} per bot)`);
+    console.log(`Sent:          ${(t.bytesOut / 1024).toFixed(1)} KB in ${t.messagesOut} messages (${formatRate(t.bytesOut, seconds)})`);
+    console.log(`SYNC frames:   ${t.syncs}, interval avg ${sync.avg.toFixed(1)}ms p95 ${sync.p95}ms max ${sync.max}ms`);
+    console.log(`Gameplay:      ${totals.games} games, ${totals.kills} kills, ${totals.deaths} deaths, ${totals.hits}/${totals.shots} shots claimed hits`);
+    console.log(`Errors:        ${Stats.errors}`);
+
+    bots.forEach(b => {
+        clearInterval(b.timer);
+        if (b.ws.readyState === WebSocket.OPEN || b.ws.readyState === WebSocket.CONNECTING) b.ws.terminate();
+    });
+    setTimeout(() => process.exit(0), 100);
+}
+
+// ==================== MAIN ====================
+const options = parseArgs(process.argv.slice(2));
+console.log(`Spawning ${options.count} bots against ${options.url}` +
+    (options.duration > 0 ? ` for ${options.duration}s` : ''));
+
+for (let i = 0; i < options.count; i++) {
+    setTimeout(() => { if (!shuttingDown) spawnBot(i, options); }, i * options.stagger);
+}
+
+const reportTimer = setInterval(report, options.reportEvery * 1000);
+if (options.duration > 0) {
+    setTimeout(() => {
+        clearInterval(reportTimer);
+        finish();
+    }, options.duration * 1000);
+}
+
+process.on('SIGINT', () => {
+    clearInterval(reportTimer);
+    finish();
+});
@@ -264,6 +264,16 @@ function loadSettings() {
             // localStorage might be full or unavailable
         }
     }
+
+    // Signed in: the profile's settings follow the player between devices
+    const profileSettings = ProfileSync.profile && ProfileSync.profile.settings;
+    if (profileSettings) {
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (typeof profileSettings[key] === typeof DEFAULT_SETTINGS[key]) {
+                userSettings[key] = profileSettings[key];
+            }
+        });
+    }
     applySettings();
 }
 
@@ -274,6 +284,7 @@ function saveSettings() {
     } catch (e) {
         DebugLog.log('Failed to save settings', 'error');
     }
+    ProfileSync.push();
 }
 
 function applySettings() {
@@ -883,6 +894,219 @@ const SpectatorMode = {
     }
 };
 
+// ==================== DOWNED STATE ====================
+// Co-op: the server downs a player at 0 HP instead of killing them (DownedState in
+// server.js). Downed players crawl with the pistol until a teammate holds interact
+// next to them or the bleed-out timer runs out, which ends in playerDied as before.
+const DownedMode = {
+    isDowned: false,        // Local player is down
+    bleedOutAt: 0,          // Local clock time the local player bleeds out
+    reviveEndsAt: 0,        // Local clock time a teammate finishes reviving us (0 = nobody is)
+    savedWeapon: null,      // Weapon to switch back to once revived
+    interactHeld: false,    // E / mobile interact is held down
+    nearbyDownedId: null,   // Downed teammate in revive range
+    reviving: null,         // { targetId, endsAt } while we revive someone (endsAt 0 until the server confirms)
+
+    // { type: 'playerDowned', playerId, bleedOutIn }
+    onDowned(message) {
+        if (message.playerId === localPlayerId) {
+            this.isDowned = true;
+            this.bleedOutAt = Date.now() + message.bleedOutIn;
+            this.reviveEndsAt = 0;
+            this.stopReviving();
+            playerState.health = 0;
+            keys.sprint = false;
+
+            // Only the pistol works while down
+            this.savedWeapon = weapon.current;
+            cancelReload();
+            switchWeapon(GameCore.Constants.DOWNED.WEAPON);
+
+            handlePlayerDamaged({ health: 0 });
+            DebugLog.log('You are down! Hold on for a revive', 'error');
+        } else {
+            const playerData = remotePlayers.get(message.playerId);
+            if (!playerData) return;
+            playerData.isDowned = true;
+            playerData.health = 0;
+            updatePlayerNametag(message.playerId, 0);
+            showPickupMessage(`${playerData.name} is down! Hold E near them to revive`, true);
+        }
+        updateHUD();
+    },
+
+    // { type: 'playerDownedUpdate', playerId, bleedOutIn } - hits shorten the bleed-out
+    onDownedUpdate(message) {
+        if (message.playerId === localPlayerId && this.isDowned) {
+            this.bleedOutAt = Date.now() + message.bleedOutIn;
+            handlePlayerDamaged({ health: 0 });
+        }
+    },
+
+    // { type: 'reviveStarted', playerId, reviverId, duration }
+    onReviveStarted(message) {
+        const endsAt = Date.now() + message.duration;
+        if (message.playerId === localPlayerId) {
+            this.reviveEndsAt = endsAt;
+        }
+        if (message.reviverId === localPlayerId && this.reviving && this.reviving.targetId === message.playerId) {
+            this.reviving.endsAt = endsAt;
+        }
+    },
+
+    // { type: 'reviveCancelled', playerId, reviverId, bleedOutIn }
+    onReviveCancelled(message) {
+        if (message.playerId === localPlayerId) {
+            this.reviveEndsAt = 0;
+            this.bleedOutAt = Date.now() + message.bleedOutIn;
+        }
+        if (message.reviverId === localPlayerId) {
+            this.reviving = null;
+        }
+    },
+
+    // { type: 'playerRevived', playerId, reviverId, health }
+    onRevived(message) {
+        if (message.playerId === localPlayerId) {
+            this.isDowned = false;
+            this.reviveEndsAt = 0;
+            playerState.health = message.health;
+            camera.position.y = 0;
+
+            if (this.savedWeapon) {
+                switchWeapon(this.savedWeapon);
+            }
+            this.savedWeapon = null;
+
+            const reviver = remotePlayers.get(message.reviverId);
+            showPickupMessage(reviver ? `Revived by ${reviver.name}` : 'Back on your feet', false);
+        } else {
+            const playerData = remotePlayers.get(message.playerId);
+            if (playerData) {
+                playerData.isDowned = false;
+                playerData.health = message.health;
+                updatePlayerNametag(message.playerId, message.health / (playerData.maxHealth || 100));
+            }
+            if (message.reviverId === localPlayerId) {
+                this.reviving = null;
+                playSound('pickup');
+            }
+        }
+        updateHUD();
+    },
+
+    // playerDied always follows a bleed-out - clear whatever was left of the downed state
+    onDied(playerId) {
+        if (playerId === localPlayerId) {
+            this.reset();
+        } else {
+            const playerData = remotePlayers.get(playerId);
+            if (playerData) playerData.isDowned = false;
+            if (this.reviving && this.reviving.targetId === playerId) this.reviving = null;
+        }
+    },
+
+    setInteractHeld(held) {
+        this.interactHeld = held;
+        if (!held) this.stopReviving();
+    },
+
+    stopReviving() {
+        if (!this.reviving) return;
+        this.reviving = null;
+        sendToServer({ type: 'reviveStop' });
+    },
+
+    // Closest downed teammate within revive range of the local player
+    findNearbyDowned() {
+        if (this.isDowned || !playerState.isAlive) return null;
+        const range = GameCore.Constants.DOWNED.REVIVE_RANGE;
+        let closestId = null;
+        let closestDistance = range;
+        remotePlayers.forEach((playerData, id) => {
+            if (!playerData.isDowned || !playerData.isAlive) return;
+            const mesh = remotePlayerMeshes.get(id);
+            if (!mesh) return;
+            const dx = mesh.position.x - player.position.x;
+            const dz = mesh.position.z - player.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= closestDistance) {
+                closestId = id;
+                closestDistance = distance;
+            }
+        });
+        return closestId;
+    },
+
+    // Per frame while alive: start/stop revives with the interact key and refresh the HUD
+    update() {
+        if (GameState.mode !== 'multiplayer') return;
+
+        const nearbyId = this.findNearbyDowned();
+        if (nearbyId !== this.nearbyDownedId) {
+            this.nearbyDownedId = nearbyId;
+            updateInteractPrompt();
+        }
+
+        if (this.reviving && this.reviving.targetId !== nearbyId) {
+            this.stopReviving();
+        }
+        if (!this.reviving && this.interactHeld && nearbyId) {
+            this.reviving = { targetId: nearbyId, endsAt: 0 };
+            sendToServer({ type: 'reviveStart', targetId: nearbyId });
+        }
+
+        this.updateOverlay();
+    },
+
+    updateOverlay() {
+        const now = Date.now();
+        const D = GameCore.Constants.DOWNED;
+
+        setElementDisplay('downed-overlay', this.isDowned ? 'flex' : 'none');
+        if (this.isDowned) {
+            const bleedFill = document.getElementById('downed-bleed-fill');
+            const remaining = this.reviveEndsAt ? this.bleedOutAt - this.reviveEndsAt + D.REVIVE_TIME : this.bleedOutAt - now;
+            if (bleedFill) bleedFill.style.width = Math.max(0, Math.min(1, remaining / D.BLEED_OUT_TIME)) * 100 + '%';
+
+            const status = document.getElementById('downed-status');
+            if (status) {
+                status.textContent = this.reviveEndsAt
+                    ? 'Being revived...'
+                    : `Crawl to a teammate - bleeding out in ${Math.max(0, Math.ceil((this.bleedOutAt - now) / 1000))}s`;
+            }
+            setElementDisplay('downed-revive-bar', this.reviveEndsAt ? 'block' : 'none');
+            if (this.reviveEndsAt) this.setProgress('downed-revive-fill', this.reviveEndsAt, now);
+        }
+
+        const isReviving = !!(this.reviving && this.reviving.endsAt);
+        setElementDisplay('revive-progress', isReviving ? 'block' : 'none');
+        if (isReviving) this.setProgress('revive-progress-fill', this.reviving.endsAt, now);
+    },
+
+    setProgress(fillId, endsAt, now) {
+        const fill = document.getElementById(fillId);
+        if (!fill) return;
+        const progress = 1 - (endsAt - now) / GameCore.Constants.DOWNED.REVIVE_TIME;
+        fill.style.width = Math.max(0, Math.min(1, progress)) * 100 + '%';
+    },
+
+    reset() {
+        const wasDowned = this.isDowned;
+        this.isDowned = false;
+        this.bleedOutAt = 0;
+        this.reviveEndsAt = 0;
+        this.savedWeapon = null;
+        this.interactHeld = false;
+        this.nearbyDownedId = null;
+        this.reviving = null;
+        if (wasDowned) camera.position.y = 0;
+        remotePlayers.forEach(playerData => { playerData.isDowned = false; });
+        setElementDisplay('downed-overlay', 'none');
+        setElementDisplay('revive-progress', 'none');
+    }
+};
+
 // ==================== GAME STATE ====================
 const GameState = {
     mode: null, // 'singleplayer' or 'multiplayer'
@@ -901,6 +1125,8 @@ const GameState = {
     totalScore: 0,
     spawnTimer: null,
     lastZombieId: 0,
+    rng: null,  // Seeded GameCore.Random streams for the current singleplayer run
+    challenge: null,  // GameCore.Challenge definition when playing a daily/weekly challenge
     // Map loading state to prevent zombie spawn race conditions
     isMapLoading: false,
     pendingZombieSpawns: []
@@ -917,6 +1143,7 @@ const LobbyState = {
     isPrivate: false,
     shortcode: '',
     isLeader: false,  // Convenience: localPlayerId === leaderId
+    mapRotation: null,  // { mode, maps } chosen by the leader (private lobbies)
     // AFK kick countdown tracking
     afkKickPlayerId: null,
     afkKickSeconds: 0
@@ -937,7 +1164,9 @@ const ZombiePool = {
     acquire(zombieData) {
         let mesh;
         // Find a mesh of the same type to reuse (avoid visual mismatch)
-        const sameTypeIndex = this.available.findIndex(m => m.userData.zombieType === zombieData.type);
+        const bossId = zombieData.bossId || null;
+        const sameTypeIndex = this.available.findIndex(m =>
+            m.userData.zombieType === zombieData.type && m.userData.bossId === bossId);
         if (sameTypeIndex >= 0) {
             // Reuse mesh of same type
             mesh = this.available.splice(sameTypeIndex, 1)[0];
@@ -1427,88 +1656,13 @@ const keys = {
 };
 
 // ==================== WEAPON SYSTEM ====================
-const WEAPONS = {
-    pistol: {
-        name: 'Pistol',
-        damage: 20,
-        fireRate: 250,      // ms between shots
-        magSize: 12,
-        reserveMax: 60,
-        reloadTime: 1200,
-        spread: 0.02,       // accuracy (lower = better)
-        pellets: 1,         // bullets per shot
-        automatic: false,   // semi-auto
-        recoil: 0.03,
-        sound: 'pistol'
-    },
-    smg: {
-        name: 'SMG',
-        damage: 15,
-        fireRate: 80,
-        magSize: 30,
-        reserveMax: 120,
-        reloadTime: 1800,
-        spread: 0.05,
-        pellets: 1,
-        automatic: true,
-        recoil: 0.04,
-        sound: 'smg'
-    },
-    shotgun: {
-        name: 'Shotgun',
-        damage: 12,         // per pellet
-        fireRate: 800,
-        magSize: 8,
-        reserveMax: 32,
-        reloadTime: 2500,
-        spread: 0.15,
-        pellets: 8,         // 8 pellets per shot
-        automatic: false,
-        recoil: 0.12,
-        sound: 'shotgun'
-    },
-    rocketLauncher: {
-        name: 'Rocket Launcher',
-        damage: 250,        // Direct hit damage (increased)
-        splashDamage: 150,  // Splash damage (increased)
-        splashRadius: 5,    // Splash radius in units (unchanged)
-        fireRate: 1500,     // Slow fire rate
-        magSize: 1,         // Single rocket
-        reserveMax: 8,
-        reloadTime: 2000,
-        spread: 0,
-        pellets: 1,
-        automatic: false,
-        recoil: 0.25,
-        sound: 'rocket',
-        projectile: true    // Fires projectile instead of hitscan
-    },
-    laserGun: {
-        name: 'Laser Gun',
-        damage: 25,         // Damage per tick (increased from 8)
-        fireRate: 50,       // Rapid fire beam
-        magSize: 100,       // Energy units
-        reserveMax: 200,
-        reloadTime: 2500,
-        spread: 0,
-        pellets: 1,
-        automatic: true,
-        recoil: 0.01,
-        sound: 'laser',
-        isBeam: true        // Continuous beam weapon
-    }
-};
+// Stats live in GameCore so the server's damage and hit validation use the same numbers
+const WEAPONS = GameCore.Constants.WEAPONS;
 
 // ==================== WEAPON UPGRADE SYSTEM ====================
 const WeaponUpgrades = {
-    // Current upgrade levels (0-5 for each stat)
-    levels: {
-        pistol: { damage: 0, fireRate: 0, magSize: 0, reloadTime: 0 },
-        smg: { damage: 0, fireRate: 0, magSize: 0, reloadTime: 0 },
-        shotgun: { damage: 0, pellets: 0, magSize: 0, reloadTime: 0 },
-        rocketLauncher: { damage: 0, splashRadius: 0, magSize: 0, reloadTime: 0 },
-        laserGun: { damage: 0, fireRate: 0, magSize: 0, reloadTime: 0 }
-    },
+    // Current upgrade levels (0-5 for each stat in GameCore's cost table)
+    levels: GameCore.Combat.createUpgradeLevels(),
 
     // Stat descriptions for tooltips
     statDescriptions: {
@@ -1520,35 +1674,14 @@ const WeaponUpgrades = {
         splashRadius: { name: 'Splash Radius', desc: 'Increases explosion radius. Hit more zombies per rocket.', unit: ' units' }
     },
 
-    // Base costs for each weapon/upgrade
-    costs: {
-        pistol: { damage: 100, fireRate: 100, magSize: 150, reloadTime: 100 },
-        smg: { damage: 150, fireRate: 150, magSize: 200, reloadTime: 150 },
-        shotgun: { damage: 200, pellets: 250, magSize: 200, reloadTime: 150 },
-        rocketLauncher: { damage: 300, splashRadius: 350, magSize: 400, reloadTime: 250 },
-        laserGun: { damage: 250, fireRate: 250, magSize: 300, reloadTime: 200 }
-    },
-
-    // Upgrade multipliers per level
-    multipliers: {
-        damage: [1, 1.2, 1.4, 1.6, 1.85, 2.1],      // +20%, +40%, +60%, +85%, +110%
-        fireRate: [1, 0.9, 0.8, 0.72, 0.65, 0.58],   // Faster (lower is better)
-        magSize: [1, 1.25, 1.5, 1.75, 2, 2.5],       // +25%, +50%, +75%, +100%, +150%
-        reloadTime: [1, 0.9, 0.8, 0.7, 0.6, 0.5],    // Faster reload
-        pellets: [1, 1.25, 1.5, 1.75, 2, 2.5],       // More pellets
-        splashRadius: [1, 1.15, 1.3, 1.45, 1.6, 1.8] // Bigger explosions
-    },
-
-    maxLevel: 5,
+    // Costs, multipliers and max level are shared with the server via GameCore
+    maxLevel: GameCore.Constants.UPGRADES.MAX_LEVEL,
     shopCountdown: null,
     shopTimer: null,
 
     // Get cost for next upgrade
     getCost(weapon, stat) {
-        const level = this.levels[weapon][stat];
-        if (level >= this.maxLevel) return null;
-        const baseCost = this.costs[weapon][stat];
-        return Math.floor(baseCost * (1 + level * 0.5)); // Cost increases 50% per level
+        return GameCore.Combat.getUpgradeCost(weapon, stat, this.levels[weapon][stat]);
     },
 
     // Purchase upgrade
@@ -1557,31 +1690,51 @@ const WeaponUpgrades = {
         if (cost === null) return false;
         if (playerState.score < cost) return false;
 
+        // Multiplayer: the server owns balance and levels - its shopState reply updates the shop
+        if (GameState.isMultiplayer && GameState.isConnected) {
+            sendToServer({ type: 'purchaseUpgrade', weapon: weapon, stat: stat });
+            return true;
+        }
+
         playerState.score -= cost;
         this.levels[weapon][stat]++;
+        RunLog.record('u', weapon, stat);
         Achievements.trackUpgrade(this.levels[weapon][stat]);
         this.updateShopUI();
         playSound('pickup');
         DebugLog.log(`Upgraded ${weapon} ${stat} to level ${this.levels[weapon][stat]}`, 'success');
 
-        // Sync upgrade to server for multiplayer damage calculation
-        if (GameState.isMultiplayer && GameState.isConnected) {
-            sendToServer({
-                type: 'upgradeSync',
-                weapon: weapon,
-                stat: stat,
-                level: this.levels[weapon][stat]
-            });
+        return true;
+    },
+
+    // Multiplayer shopState: balance and levels from the server (on waveComplete and after each purchase)
+    applyServerState(message) {
+        if (message.levels) {
+            for (const weapon in this.levels) {
+                for (const stat in this.levels[weapon]) {
+                    this.levels[weapon][stat] = message.levels[weapon]?.[stat] ?? 0;
+                }
+            }
         }
+        if (typeof message.balance === 'number') playerState.score = message.balance;
 
-        return true;
+        const purchase = message.purchase;
+        if (purchase && purchase.success) {
+            Achievements.trackUpgrade(purchase.level);
+            playSound('pickup');
+            DebugLog.log(`Upgraded ${purchase.weapon} ${purchase.stat} to level ${purchase.level}`, 'success');
+        } else if (purchase) {
+            DebugLog.log(`Upgrade ${purchase.weapon} ${purchase.stat} rejected: ${purchase.reason}`, 'warn');
+        }
+
+        this.updateShopUI();
+        updateHUD();
     },
 
     // Get modified weapon stat
     getModifiedStat(weapon, stat, baseValue) {
         const level = this.levels[weapon]?.[stat] ?? 0;
-        const multiplier = this.multipliers[stat]?.[level] ?? 1;
-        return Math.round(baseValue * multiplier);
+        return GameCore.Combat.getUpgradedStat(baseValue, stat, level);
     },
 
     // Shop state for multiplayer sync
@@ -1686,7 +1839,7 @@ const WeaponUpgrades = {
         DebugLog.log(`closeShop mode check: mode=${GameState.mode}`, 'game');
         if (GameState.mode === 'singleplayer') {
             // Store expected zombie count for fallback check
-            const expectedZombies = GameCore.WaveSystem.getZombieCount(GameState.wave, GameState.zombiesPerWave);
+            const expectedZombies = WaveSystem.getZombieCount(GameState.wave);
             
             startSinglePlayerWave().catch(err => {
                 DebugLog.log(`Error starting wave: ${err.message}`, 'error');
@@ -1809,8 +1962,7 @@ const WeaponUpgrades = {
 
         let nextValue = currentValue;
         if (!isMaxed) {
-            const nextMultiplier = this.multipliers[stat]?.[level + 1] ?? 1;
-            nextValue = Math.round(baseStat * nextMultiplier);
+            nextValue = GameCore.Combat.getUpgradedStat(baseStat, stat, level + 1);
         }
 
         // For inverted stats (lower is better), show improvement direction
@@ -1877,23 +2029,201 @@ const WeaponUpgrades = {
     }
 };
 
+// ==================== PLAYER PROFILE ====================
+// Optional server account. While signed in, the profile is the source of truth for
+// settings, cosmetic and name, and achievements are the union of every device's; the
+// local load functions overlay ProfileSync.profile and every save pushes the merged state.
+const ProfileSync = {
+    TOKEN_KEY: 'aspensPlaygroundProfileToken',
+    PUSH_DELAY: 2000,   // ms - coalesce saves (slider drags, several achievements at once)
+    token: null,
+    profile: null,      // Last profile from the server, null while signed out
+    pushTimer: null,
+
+    init() {
+        try {
+            this.token = localStorage.getItem(this.TOKEN_KEY);
+        } catch (e) {
+            this.token = null;
+        }
+
+        document.getElementById('account-login')?.addEventListener('click', () => this.signIn('login'));
+        document.getElementById('account-register')?.addEventListener('click', () => this.signIn('register'));
+        document.getElementById('account-link-claim')?.addEventListener('click', () => this.claimLinkCode());
+        document.getElementById('account-link-create')?.addEventListener('click', () => this.createLinkCode());
+        document.getElementById('account-logout')?.addEventListener('click', () => this.signOut());
+
+        this.updateUI();
+        if (this.token) this.fetch();
+    },
+
+    // fetch() against /api/profile<path>; resolves { ok, status, data } and never throws
+    async request(path, body = undefined) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = 'Bearer ' + this.token;
+
+        try {
+            const response = await fetch(getApiBaseUrl() + '/api/profile' + path, {
+                method: body === undefined ? 'GET' : 'POST',
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            clearTimeout(timeoutId);
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (parseError) {
+                // Non-JSON error page
+            }
+            return { ok: response.ok, status: response.status, data };
+        } catch (e) {
+            clearTimeout(timeoutId);
+            DebugLog.log(`Profile request failed: ${e.name === 'AbortError' ? 'timed out' : e.message}`, 'warn');
+            return { ok: false, status: 0, data: null };
+        }
+    },
+
+    async fetch() {
+        const result = await this.request('');
+        if (result.ok && result.data) {
+            this.apply(result.data);
+        } else if (result.status === 401) {
+            DebugLog.log('Profile sign-in expired', 'warn');
+            this.clearToken();
+        }
+        // Offline: keep playing on local data, the token is retried next launch
+    },
+
+    // Overlay the server profile onto local state, then push back anything only this device had
+    apply(profile) {
+        this.profile = profile;
+        if (profile.name) {
+            localStorage.setItem('playerName', profile.name);
+            const nameInput = document.getElementById('player-name-input');
+            if (nameInput) nameInput.value = profile.name;
+        }
+        loadSettings();
+        loadSelectedCosmetic();
+        Achievements.load();
+
+        saveSettings();
+        saveSelectedCosmetic(selectedCosmetic);
+        Achievements.save();
+        this.updateUI();
+        DebugLog.log(`Profile "${profile.username}" synced`, 'success');
+    },
+
+    push() {
+        if (!this.profile) return;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(async () => {
+            this.pushTimer = null;
+            const result = await this.request('', {
+                name: localStorage.getItem('playerName') || undefined,
+                cosmetic: selectedCosmetic,
+                achievements: Achievements.getUnlockedIds(),
+                settings: userSettings
+            });
+            if (result.ok && result.data && this.profile) {
+                this.profile = result.data;
+            } else if (result.status === 401) {
+                this.clearToken();
+            }
+        }, this.PUSH_DELAY);
+    },
+
+    async signIn(kind) {
+        const username = document.getElementById('account-username')?.value.trim() || '';
+        const password = document.getElementById('account-password')?.value || '';
+        if (!username || !password) {
+            this.setStatus('Enter a username and password');
+            return;
+        }
+        this.setStatus(kind === 'register' ? 'Creating account...' : 'Signing in...');
+        this.handleSignIn(await this.request('/' + kind, { username, password }));
+    },
+
+    async claimLinkCode() {
+        const code = document.getElementById('account-link-input')?.value.trim().toUpperCase() || '';
+        if (!code) {
+            this.setStatus('Enter the code shown on your other device');
+            return;
+        }
+        this.setStatus('Linking...');
+        this.handleSignIn(await this.request('/link/claim', { code }));
+    },
+
+    handleSignIn(result) {
+        if (!result.ok || !result.data || !result.data.token) {
+            this.setStatus((result.data && result.data.error) || 'Could not reach the server');
+            return;
+        }
+        this.token = result.data.token;
+        try {
+            localStorage.setItem(this.TOKEN_KEY, this.token);
+        } catch (e) {
+            DebugLog.log('Failed to save profile token', 'warn');
+        }
+        const password = document.getElementById('account-password');
+        if (password) password.value = '';
+        this.setStatus('');
+        this.apply(result.data.profile);
+    },
+
+    async createLinkCode() {
+        const result = await this.request('/link', {});
+        const codeEl = document.getElementById('account-link-code');
+        if (result.ok && result.data) {
+            if (codeEl) codeEl.textContent = result.data.code;
+            this.setStatus(`Enter this code on your other device within ${Math.round(result.data.expiresIn / 60000)} minutes`);
+        } else {
+            this.setStatus((result.data && result.data.error) || 'Could not reach the server');
+        }
+    },
+
+    async signOut() {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+        await this.request('/logout', {});
+        this.clearToken();
+        this.setStatus('Signed out - progress stays on this device');
+    },
+
+    clearToken() {
+        this.token = null;
+        this.profile = null;
+        try {
+            localStorage.removeItem(this.TOKEN_KEY);
+        } catch (e) {
+            // localStorage might be unavailable
+        }
+        this.updateUI();
+    },
+
+    setStatus(text) {
+        const status = document.getElementById('account-status');
+        if (status) status.textContent = text;
+    },
+
+    updateUI() {
+        setElementDisplay('account-signed-out', this.profile ? 'none' : 'block');
+        setElementDisplay('account-signed-in', this.profile ? 'block' : 'none');
+        const usernameEl = document.getElementById('account-username-display');
+        if (usernameEl) usernameEl.textContent = this.profile ? this.profile.username : '';
+        const codeEl = document.getElementById('account-link-code');
+        if (codeEl) codeEl.textContent = '';
+    }
+};
+
 // ==================== ACHIEVEMENT SYSTEM ====================
 const Achievements = {
-    // Achievement definitions
-    list: {
-        firstBlood: { id: 'firstBlood', name: 'First Blood', desc: 'Kill your first zombie', icon: '🩸', unlocked: false },
-        massacre: { id: 'massacre', name: 'Massacre', desc: 'Kill 100 zombies in one game', icon: '💀', unlocked: false },
-        survivor5: { id: 'survivor5', name: 'Survivor', desc: 'Reach wave 5', icon: '🏆', unlocked: false },
-        survivor10: { id: 'survivor10', name: 'Veteran', desc: 'Reach wave 10', icon: '🎖️', unlocked: false },
-        bossSlayer: { id: 'bossSlayer', name: 'Boss Slayer', desc: 'Defeat your first boss', icon: '👑', unlocked: false },
-        headhunter: { id: 'headhunter', name: 'Headhunter', desc: 'Get 50 headshots in one game', icon: '🎯', unlocked: false },
-        explosiveExpert: { id: 'explosiveExpert', name: 'Explosive Expert', desc: 'Kill 3 zombies with one explosion', icon: '💥', unlocked: false },
-        untouchable: { id: 'untouchable', name: 'Untouchable', desc: 'Complete a wave without taking damage', icon: '🛡️', unlocked: false },
-        richSurvivor: { id: 'richSurvivor', name: 'Rich Survivor', desc: 'Accumulate 10,000 points', icon: '💰', unlocked: false },
-        upgradeAll: { id: 'upgradeAll', name: 'Fully Loaded', desc: 'Max upgrade any weapon stat', icon: '⚡', unlocked: false },
-        speedKill: { id: 'speedKill', name: 'Speed Demon', desc: 'Kill 5 zombies in 3 seconds', icon: '⚡', unlocked: false },
-        grenadeMulti: { id: 'grenadeMulti', name: 'Grenadier', desc: 'Kill 5 zombies with one grenade', icon: '🧨', unlocked: false }
-    },
+    // Achievement definitions (GameCore.Achievements, shared with the server)
+    list: Object.fromEntries(Object.entries(GameCore.Achievements.DEFINITIONS).map(
+        ([id, definition]) => [id, { id, ...definition, unlocked: false }]
+    )),
 
     // Session stats for tracking
     sessionStats: {
@@ -1928,18 +2258,31 @@ const Achievements = {
                 // localStorage might be unavailable
             }
         }
+
+        // Signed in: also everything unlocked on other devices
+        if (ProfileSync.profile) {
+            ProfileSync.profile.achievements.forEach(id => {
+                if (this.list[id]) {
+                    this.list[id].unlocked = true;
+                }
+            });
+        }
+    },
+
+    getUnlockedIds() {
+        return Object.values(this.list)
+            .filter(a => a.unlocked)
+            .map(a => a.id);
     },
 
-    // Save unlocked achievements to localStorage
+    // Save unlocked achievements to localStorage (and the profile when signed in)
     save() {
         try {
-            const unlocked = Object.values(this.list)
-                .filter(a => a.unlocked)
-                .map(a => a.id);
-            localStorage.setItem('aspensPlaygroundAchievements', JSON.stringify(unlocked));
+            localStorage.setItem('aspensPlaygroundAchievements', JSON.stringify(this.getUnlockedIds()));
         } catch (e) {
             DebugLog.log('Failed to save achievements', 'warn');
         }
+        ProfileSync.push();
     },
 
     // Unlock an achievement
@@ -2017,21 +2360,26 @@ const Achievements = {
         // Track recent kills for speed achievement
         const now = Date.now();
         this.sessionStats.recentKills.push(now);
-        this.sessionStats.recentKills = this.sessionStats.recentKills.filter(t => now - t < 3000);
+        this.sessionStats.recentKills = this.sessionStats.recentKills.filter(t => now - t < GameCore.Achievements.SPEED_KILL_WINDOW);
 
         // Check kill-based achievements
-        if (this.sessionStats.kills === 1) this.unlock('firstBlood');
-        if (this.sessionStats.kills >= 100) this.unlock('massacre');
-        if (this.sessionStats.headshots >= 50) this.unlock('headhunter');
-        if (this.sessionStats.bossesKilled >= 1) this.unlock('bossSlayer');
-        if (this.sessionStats.recentKills.length >= 5) this.unlock('speedKill');
+        this.unlockEarned({
+            kills: this.sessionStats.kills,
+            headshots: this.sessionStats.headshots,
+            bossKills: this.sessionStats.bossesKilled,
+            recentKills: this.sessionStats.recentKills.length
+        });
+    },
+
+    // Unlock everything GameCore's thresholds award for these totals
+    unlockEarned(stats) {
+        GameCore.Achievements.earned(stats).forEach(id => this.unlock(id));
     },
 
     // Track wave progress
     trackWave(wave) {
         this.sessionStats.waveReached = wave;
-        if (wave >= 5) this.unlock('survivor5');
-        if (wave >= 10) this.unlock('survivor10');
+        this.unlockEarned({ wave });
 
         // Check untouchable achievement at wave end
         if (this.sessionStats.damageTakenThisWave === 0 && wave > 1) {
@@ -2057,12 +2405,28 @@ const Achievements = {
 
     // Track score
     trackScore(score) {
-        if (score >= 10000) this.unlock('richSurvivor');
+        this.unlockEarned({ score });
     },
 
     // Track upgrade
     trackUpgrade(level) {
-        if (level >= 5) this.unlock('upgradeAll');
+        this.unlockEarned({ upgradeLevel: level });
+    },
+
+    // Server's unlocks for this connection (profile's verified achievements when signed in)
+    handleServerUnlocks(message) {
+        let added = false;
+        (message.achievements || []).forEach(id => {
+            if (this.list[id] && !this.list[id].unlocked) {
+                this.list[id].unlocked = true;
+                added = true;
+            }
+        });
+        if (added) this.save();
+        // Locked cosmetics were held back on connect until the profile was attached
+        if (GameCore.Achievements.getCosmeticRequirement(selectedCosmetic)) {
+            sendToServer({ type: 'setCosmetic', cosmetic: selectedCosmetic });
+        }
     },
 
     // Show achievements screen
@@ -2206,6 +2570,7 @@ function getWeaponStats() {
 // Switch weapon
 function switchWeapon(weaponName) {
     if (!WEAPONS[weaponName] || weapon.current === weaponName || weapon.isReloading) return;
+    if (DownedMode.isDowned && weaponName !== GameCore.Constants.DOWNED.WEAPON) return;
 
     // Save current weapon's ammo
     weapon.inventory[weapon.current].ammo = weapon.ammo;
@@ -2264,23 +2629,35 @@ let lastNetworkUpdate = 0;
 
 // ==================== LEADERBOARD ====================
 let cachedLeaderboard = [];
+let cachedLeaderboardAround = null;  // { name, rank, entries } - player's neighbourhood beyond the top 10
 let playerRank = -1;
 
-async function fetchLeaderboard() {
+// Board shown on the main menu (server boards are split by mode, player count and season)
+const leaderboardFilter = {
+    mode: 'all',        // 'all' | 'singleplayer' | 'multiplayer'
+    season: 'current'   // 'current' | 'all' | e.g. '2026-Q4'
+};
+
+async function fetchLeaderboard(filter = leaderboardFilter) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
+    const params = new URLSearchParams({ mode: filter.mode, season: filter.season });
+    const playerName = getPlayerName();
+    if (playerName) params.set('around', playerName);
+
     try {
-        const response = await fetch(getApiBaseUrl() + '/api/leaderboard', { signal: controller.signal });
+        const response = await fetch(getApiBaseUrl() + '/api/leaderboard?' + params.toString(), { signal: controller.signal });
         clearTimeout(timeoutId);
         if (response.ok) {
             const data = await response.json();
-            if (Array.isArray(data)) {
-                cachedLeaderboard = data;
-                DebugLog.log(`Fetched ${cachedLeaderboard.length} leaderboard entries`, 'info');
+            if (data && Array.isArray(data.entries)) {
+                cachedLeaderboard = data.entries;
+                cachedLeaderboardAround = data.around || null;
+                DebugLog.log(`Fetched ${cachedLeaderboard.length} of ${data.total} leaderboard entries`, 'info');
                 return cachedLeaderboard;
             } else {
-                DebugLog.log('Leaderboard response was not an array', 'warn');
+                DebugLog.log('Leaderboard response had no entries array', 'warn');
             }
         }
     } catch (e) {
@@ -2328,7 +2705,8 @@ async function submitScore(name) {
                     name,
                     score: playerState.score,
                     wave: GameState.wave,
-                    kills: playerState.kills
+                    kills: playerState.kills,
+                    runLog: RunLog.export()  // Replayed server-side to verify the score
                 }),
                 signal: controller.signal
             });
@@ -2339,6 +2717,7 @@ async function submitScore(name) {
             const result = await response.json();
             if (result && Array.isArray(result.leaderboard)) {
                 cachedLeaderboard = result.leaderboard;
+                cachedLeaderboardAround = result.around || null;
                 playerRank = result.rank;
                 DebugLog.log(`Score submitted: rank #${result.rank} (verified: ${result.verifiedScore} pts)`, 'success');
                 return result;
@@ -2369,15 +2748,36 @@ async function submitScore(name) {
     return { added: false, rank: -1, leaderboard: cachedLeaderboard };
 }
 
-function renderLeaderboard(containerId, highlightRank = -1) {
+function renderLeaderboardRow(entry, highlightRank) {
+    const rank = entry.rank;
+    const isHighlighted = rank === highlightRank;
+    const rankClass = rank <= 3 ? `rank-${rank}` : '';
+
+    return `
+        <tr class="${isHighlighted ? 'leaderboard-highlight' : ''}">
+            <td class="rank ${rankClass}">${rank}</td>
+            <td class="player-name">${escapeHtml(entry.name)}</td>
+            <td>${entry.wave}</td>
+            <td>${entry.kills}</td>
+            <td class="score">${entry.score.toLocaleString()}</td>
+        </tr>
+    `;
+}
+
+function renderLeaderboard(containerId, highlightRank = -1, entries = cachedLeaderboard, around = cachedLeaderboardAround) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    if (cachedLeaderboard.length === 0) {
+    if (entries.length === 0) {
         container.innerHTML = '<div class="leaderboard-empty">No scores yet. Be the first!</div>';
         return;
     }
 
+    // Highlight the player's own best rank when no specific rank was given
+    if (highlightRank < 1 && around) {
+        highlightRank = around.rank;
+    }
+
     let html = `
         <table class="leaderboard-table">
             <thead>
@@ -2392,22 +2792,22 @@ function renderLeaderboard(containerId, highlightRank = -1) {
             <tbody>
     `;
 
-    cachedLeaderboard.forEach((entry, index) => {
-        const rank = index + 1;
-        const isHighlighted = rank === highlightRank;
-        const rankClass = rank <= 3 ? `rank-${rank}` : '';
-
-        html += `
-            <tr class="${isHighlighted ? 'leaderboard-highlight' : ''}">
-                <td class="rank ${rankClass}">${rank}</td>
-                <td class="player-name">${escapeHtml(entry.name)}</td>
-                <td>${entry.wave}</td>
-                <td>${entry.kills}</td>
-                <td class="score">${entry.score.toLocaleString()}</td>
-            </tr>
-        `;
+    entries.forEach((entry, index) => {
+        html += renderLeaderboardRow({ ...entry, rank: entry.rank || index + 1 }, highlightRank);
     });
 
+    // Player's neighbourhood below the top entries
+    const lastShownRank = entries.length;
+    if (around && around.rank > lastShownRank) {
+        const neighbours = around.entries.filter(entry => entry.rank > lastShownRank);
+        if (neighbours.length > 0 && neighbours[0].rank > lastShownRank + 1) {
+            html += '<tr class="leaderboard-gap"><td colspan="5">&middot;&middot;&middot;</td></tr>';
+        }
+        neighbours.forEach(entry => {
+            html += renderLeaderboardRow(entry, highlightRank);
+        });
+    }
+
     html += '</tbody></table>';
     container.innerHTML = html;
 }
@@ -2509,6 +2909,7 @@ function initPlayerNameInput() {
         if (name) {
             nameInput.value = name; // Update field with sanitized value
             localStorage.setItem('playerName', name);
+            ProfileSync.push();
             // Send name update to server if in multiplayer mode
             if (GameState.mode === 'multiplayer' && GameState.isConnected) {
                 sendToServer({ type: 'setName', name: name });
@@ -2612,11 +3013,24 @@ function loadSelectedCosmetic() {
     if (saved && COSMETICS[saved]) {
         selectedCosmetic = saved;
     }
+    // The profile's pick wins when signed in
+    const profileCosmetic = ProfileSync.profile && ProfileSync.profile.cosmetic;
+    if (profileCosmetic && COSMETICS[profileCosmetic]) {
+        selectedCosmetic = profileCosmetic;
+    }
 }
 
 function saveSelectedCosmetic(cosmeticId) {
     selectedCosmetic = cosmeticId;
     localStorage.setItem('selectedCosmetic', cosmeticId);
+    ProfileSync.push();
+}
+
+// Signed-in players hold back a cosmetic that needs an achievement until the server has
+// attached their profile - Achievements.handleServerUnlocks sends it then
+function sendCosmeticToServer() {
+    if (ProfileSync.token && GameCore.Achievements.getCosmeticRequirement(selectedCosmetic)) return;
+    sendToServer({ type: 'setCosmetic', cosmetic: selectedCosmetic });
 }
 
 function initCosmeticsScreen() {
@@ -2648,7 +3062,7 @@ function initCosmeticsScreen() {
     document.querySelectorAll('.cosmetic-option').forEach(option => {
         option.addEventListener('click', () => {
             const cosmeticId = option.dataset.cosmetic;
-            if (COSMETICS[cosmeticId]) {
+            if (COSMETICS[cosmeticId] && isCosmeticUnlocked(cosmeticId)) {
                 saveSelectedCosmetic(cosmeticId);
                 updateCosmeticSelection();
             }
@@ -2673,11 +3087,33 @@ function initAchievementsScreen() {
     }
 }
 
+function isCosmeticUnlocked(cosmeticId) {
+    return GameCore.Achievements.isCosmeticUnlocked(cosmeticId, Achievements.getUnlockedIds());
+}
+
 function updateCosmeticSelection() {
     document.querySelectorAll('.cosmetic-option').forEach(option => {
-        const isSelected = option.dataset.cosmetic === selectedCosmetic;
+        const cosmeticId = option.dataset.cosmetic;
+        const isSelected = cosmeticId === selectedCosmetic;
+        const isLocked = !isCosmeticUnlocked(cosmeticId);
         option.classList.toggle('selected', isSelected);
+        option.classList.toggle('locked', isLocked);
         option.setAttribute('aria-selected', isSelected.toString());
+        option.setAttribute('aria-disabled', isLocked.toString());
+
+        // Locked cosmetics show the achievement that unlocks them
+        let lockEl = option.querySelector('.cosmetic-lock');
+        if (isLocked) {
+            const achievement = GameCore.Achievements.DEFINITIONS[GameCore.Achievements.getCosmeticRequirement(cosmeticId)];
+            if (!lockEl) {
+                lockEl = document.createElement('div');
+                lockEl.className = 'cosmetic-lock';
+                option.appendChild(lockEl);
+            }
+            lockEl.textContent = `🔒 ${achievement.name}: ${achievement.desc}`;
+        } else if (lockEl) {
+            lockEl.remove();
+        }
     });
 }
 
@@ -2922,6 +3358,7 @@ function init() {
         loadSelectedCosmetic();
         WeaponUpgrades.init();
         Achievements.init();
+        ProfileSync.init();  // Signed-in players then re-load settings, cosmetic and achievements from the profile
 
         setElementDisplay('loading-screen', 'none');
         DebugLog.log('Game initialization complete!', 'success');
@@ -2971,7 +3408,7 @@ function registerServiceWorker() {
 // Show update notification to user
 function showUpdateNotification() {
     // Only show if we're not in the middle of a game
-    if (GameState.isRunning) return;
+    if (GameState.isRunning || document.getElementById('update-notification')) return;
 
     const notification = document.createElement('div');
     notification.id = 'update-notification';
@@ -4236,6 +4673,11 @@ let reconnectAttempts = 0;
 let isReconnecting = false;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY_BASE = 2000;
+// Session token of a game we dropped out of - the next connection asks the server to resume it
+let resumeToken = null;
+// Cluster servers: the game worker we're on (from init), and the one the next connection must reach
+let serverWorkerId = null;
+let targetWorkerId = null;
 
 let connectionTimeout = null;
 
@@ -4243,6 +4685,10 @@ function connectToServer() {
     // Don't reconnect if we've exceeded attempts or user left lobby
     if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
         DebugLog.log('Max reconnection attempts reached', 'error');
+        if (resumeToken) {
+            handleResumeFailed({ reason: 'Could not reconnect to the server' });
+            return;
+        }
         const lobbyStatus = document.getElementById('lobby-status');
         const readyBtn = document.getElementById('ready-button');
         if (lobbyStatus) lobbyStatus.textContent = 'Connection failed. Please try again.';
@@ -4266,6 +4712,15 @@ function connectToServer() {
         wsUrl = `${protocol}//${window.location.host}`;
     }
 
+    // Tell the matchmaker where this connection belongs (ignored by single-process servers)
+    const routeParams = new URLSearchParams();
+    if (targetWorkerId !== null) {
+        routeParams.set('worker', targetWorkerId);
+    } else if (typeof pendingPrivateJoin !== 'undefined' && pendingPrivateJoin) {
+        routeParams.set('join', pendingPrivateJoin);
+    }
+    if (routeParams.toString()) wsUrl += `/?${routeParams}`;
+
     DebugLog.log(`Connecting to server: ${wsUrl}`, 'net');
 
     // Update status to show we're connecting
@@ -4303,18 +4758,32 @@ function connectToServer() {
         DebugLog.log('Connected to server!', 'success');
         GameState.isConnected = true;
         reconnectAttempts = 0; // Reset on successful connection
+        targetWorkerId = null;
         updateConnectionStatus(true);
         const lobbyStatus = document.getElementById('lobby-status');
         if (lobbyStatus) lobbyStatus.textContent = 'Connected! Waiting for server...';
 
+        // Dropped mid-game: ask for our old slot back instead of joining as a new player
+        if (resumeToken) {
+            DebugLog.log('Resuming game session...', 'net');
+            sendToServer({ type: 'resume', sessionToken: resumeToken });
+            startPingInterval();
+            return;
+        }
+
         // Send player name to server
         const playerName = getPlayerName();
         if (playerName && playerName !== 'Anonymous') {
             sendToServer({ type: 'setName', name: playerName });
         }
 
+        // Signed-in players get their profile's verified achievements (answered with 'unlocks')
+        if (ProfileSync.token) {
+            sendToServer({ type: 'profileAuth', token: ProfileSync.token });
+        }
+
         // Send cosmetic selection to server
-        sendToServer({ type: 'setCosmetic', cosmetic: selectedCosmetic });
+        sendCosmeticToServer();
 
         // Handle pending private join (if user came from Join Private modal)
         if (typeof pendingPrivateJoin !== 'undefined' && pendingPrivateJoin) {
@@ -4351,14 +4820,21 @@ function connectToServer() {
         const readyBtn = document.getElementById('ready-button');
         if (readyBtn) readyBtn.disabled = true;
 
-        // Only reconnect if we're still in multiplayer mode and in lobby
+        // The server holds our slot in a running game for a while (all attempts fit in its grace period)
+        if (GameState.mode === 'multiplayer' && GameState.isRunning && !GameState.isGameOver && sessionToken) {
+            resumeToken = sessionToken;
+            targetWorkerId = serverWorkerId;
+        }
+
+        // Only reconnect if we're still in multiplayer mode and in lobby (or resuming a game)
         // Use isReconnecting flag to prevent multiple parallel reconnect attempts
-        if (GameState.mode === 'multiplayer' && GameState.isInLobby && !isReconnecting) {
+        if (GameState.mode === 'multiplayer' && (GameState.isInLobby || resumeToken) && !isReconnecting) {
             isReconnecting = true;
             reconnectAttempts++;
             const delay = RECONNECT_DELAY_BASE * Math.pow(1.5, reconnectAttempts - 1);
             const lobbyStatus = document.getElementById('lobby-status');
             if (lobbyStatus) lobbyStatus.textContent = `Reconnecting... (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`;
+            if (resumeToken) showPickupMessage(`Connection lost - reconnecting (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})...`, true);
 
             setTimeout(() => {
                 isReconnecting = false;
@@ -4404,14 +4880,99 @@ function connectToServer() {
 }
 
 // ==================== BINARY PROTOCOL DECODER ====================
-const BinaryMsgType = { SYNC: 1, ZOMBIE_SPAWN: 2, ZOMBIE_KILL: 3, PLAYER_POS: 4 };
+const BinaryMsgType = { SYNC: 1, ZOMBIE_SPAWN: 2, ZOMBIE_KILL: 3, PLAYER_POS: 4, SYNC_DELTA: 5 };
 const ZombieTypes = ['normal', 'runner', 'crawler', 'tank', 'spitter', 'exploder', 'minion', 'boss'];
 
+// SYNC frames carry the numeric netId - zombie_N and minion_N share the counter (overwritten on spawn)
+const zombieIdsByNetId = new Map();
+
+// Delta SYNC (see SYNC_FIELD in server.js) - negotiated with syncFormat after every init
+const SYNC_DELTA_VERSION = 1;
+const SYNC_FIELD = { POSITION: 1, ROTATION: 2, HEALTH: 4, TYPE: 8, ALIVE: 16, IS_ALIVE: 32, REMOVED: 128 };
+const SYNC_DELTA_FLAG_KEYFRAME = 1;
+
+// Snapshots rebuilt from delta frames, the baselines the server diffs against
+const SyncBaseline = {
+    snapshots: new Map(),   // seq -> Map of numeric zombie ID -> { type, alive, x, z, rotation, health }
+    maxSnapshots: 64,       // Twice the server's history so any baseline it picks is still here
+    latestSeq: null,
+    ackedSeq: null,
+    lastAckTime: 0,
+    ackInterval: 200,       // ms between syncAck messages
+    awaitingKeyframe: false,
+
+    reset() {
+        this.snapshots.clear();
+        this.latestSeq = null;
+        this.ackedSeq = null;
+        this.lastAckTime = 0;
+        this.awaitingKeyframe = false;
+    },
+
+    // Ask for delta frames (called after every init - a new room restarts the sequence)
+    negotiate() {
+        this.reset();
+        sendToServer({ type: 'syncFormat', versions: [SYNC_DELTA_VERSION] });
+    },
+
+    store(seq, snapshot) {
+        this.snapshots.set(seq, snapshot);
+        if (this.snapshots.size > this.maxSnapshots) {
+            this.snapshots.delete(this.snapshots.keys().next().value);
+        }
+        this.latestSeq = seq;
+    },
+
+    // Acknowledge the newest snapshot (throttled - the server just needs a recent baseline)
+    acknowledge() {
+        const now = Date.now();
+        if (this.latestSeq === this.ackedSeq || now - this.lastAckTime < this.ackInterval) return;
+        this.ackedSeq = this.latestSeq;
+        this.lastAckTime = now;
+        sendToServer({ type: 'syncAck', seq: this.latestSeq });
+    },
+
+    // Baseline missing - drop everything and wait for the keyframe
+    requestKeyframe() {
+        if (this.awaitingKeyframe) return;
+        this.awaitingKeyframe = true;
+        DebugLog.log('Delta SYNC baseline missing - requesting keyframe', 'warn');
+        sendToServer({ type: 'syncAck', keyframe: true });
+    }
+};
+
 function handleBinaryMessage(view) {
     const msgType = view.getUint8(0);
 
     if (msgType === BinaryMsgType.SYNC) {
         decodeBinarySync(view);
+    } else if (msgType === BinaryMsgType.SYNC_DELTA) {
+        decodeBinarySyncDelta(view);
+    }
+}
+
+// Apply one zombie's synced state (shared by full and delta SYNC)
+function applyZombieSync(idx, typeCode, isAlive, x, z, rotation, health) {
+    const zombie = zombies.get(zombieIdsByNetId.get(idx) || `zombie_${idx}`);
+    if (!zombie) return;
+
+    zombie.position.x = x;
+    zombie.position.z = z;
+    zombie.rotation = rotation;
+    zombie.health = health;
+    zombie.isAlive = isAlive;
+    zombie.type = ZombieTypes[typeCode] || 'normal';
+
+    // Update interpolation targets (used by render loop)
+    zombie.targetPosition = { x: x, z: z };
+    zombie.targetRotation = rotation;
+
+    // Update mesh position
+    if (zombie.mesh) {
+        // Let interpolation handle position - zombie.mesh.position.x = x;
+        // zombie.mesh.position.z = z;
+        // zombie.mesh.rotation.y = rotation;
+        zombie.mesh.visible = isAlive;
     }
 }
 
@@ -4449,49 +5010,115 @@ function decodeBinarySync(view) {
         const rotation = view.getFloat32(offset, true); offset += 4;
         const health = view.getUint16(offset, true); offset += 2;
 
-        // Find matching zombie by index or create position reference
-        const zombieId = `zombie_${idx}`;
-        if (zombieId) {
-            const zombie = zombies.get(zombieId);
-            if (zombie) {
-                zombie.position.x = x;
-                zombie.position.z = z;
-                zombie.rotation = rotation;
-                zombie.health = health;
-                zombie.isAlive = isAlive;
-                zombie.type = ZombieTypes[typeCode] || 'normal';
-
-                // Update interpolation targets (used by render loop)
-                zombie.targetPosition = { x: x, z: z };
-                zombie.targetRotation = rotation;
-
-                // Update mesh position
-                if (zombie.mesh) {
-                    // Let interpolation handle position - zombie.mesh.position.x = x;
-                    // zombie.mesh.position.z = z;
-                    // zombie.mesh.rotation.y = rotation;
-                    zombie.mesh.visible = isAlive;
-                }
-            }
-        }
+        applyZombieSync(idx, typeCode, isAlive, x, z, rotation, health);
     }
 
     updateHUD();
 }
 
-function handleServerMessage(message) {
-    switch (message.type) {
-        case 'init':
-            handleInit(message);
-            break;
-
-        case 'lobbyUpdate':
-            handleLobbyUpdate(message);
-            break;
+// Delta SYNC: rebuild the snapshot from its baseline, then apply only the changed zombies
+function decodeBinarySyncDelta(view) {
+    let offset = 1;
 
-        case 'lobbyCountdown':
-            handleLobbyCountdown(message);
-            break;
+    const version = view.getUint8(offset); offset += 1;
+    if (version !== SYNC_DELTA_VERSION) {
+        DebugLog.log(`Unsupported delta SYNC version ${version}`, 'warn');
+        return;
+    }
+    const seq = view.getUint16(offset, true); offset += 2;
+    const baseSeq = view.getUint16(offset, true); offset += 2;
+    const isKeyframe = (view.getUint8(offset) & SYNC_DELTA_FLAG_KEYFRAME) !== 0; offset += 1;
+
+    // Game state
+    GameState.wave = view.getUint16(offset, true); offset += 2;
+    GameState.zombiesRemaining = view.getUint16(offset, true); offset += 2;
+    GameState.totalKills = view.getUint32(offset, true); offset += 4;
+    GameState.totalScore = view.getUint32(offset, true); offset += 4;
+    const entryCount = view.getUint16(offset, true); offset += 2;
+
+    let snapshot;
+    if (isKeyframe) {
+        snapshot = new Map();
+        SyncBaseline.snapshots.clear();
+        SyncBaseline.awaitingKeyframe = false;
+    } else {
+        const base = SyncBaseline.snapshots.get(baseSeq);
+        if (!base) {
+            SyncBaseline.requestKeyframe();
+            updateHUD();
+            return;
+        }
+        snapshot = new Map(base);
+    }
+
+    for (let i = 0; i < entryCount; i++) {
+        const idx = view.getUint32(offset, true); offset += 4;
+        const flags = view.getUint8(offset); offset += 1;
+
+        if (flags & SYNC_FIELD.REMOVED) {
+            snapshot.delete(idx);
+            continue;
+        }
+
+        // Copy so older snapshots sharing this entry stay intact
+        const state = Object.assign({ type: 0, alive: false, x: 0, z: 0, rotation: 0, health: 0 }, snapshot.get(idx));
+        if (flags & SYNC_FIELD.POSITION) {
+            state.x = view.getInt16(offset, true); offset += 2;
+            state.z = view.getInt16(offset, true); offset += 2;
+        }
+        if (flags & SYNC_FIELD.ROTATION) { state.rotation = view.getUint8(offset); offset += 1; }
+        if (flags & SYNC_FIELD.HEALTH) { state.health = view.getUint16(offset, true); offset += 2; }
+        if (flags & SYNC_FIELD.TYPE) { state.type = view.getUint8(offset); offset += 1; }
+        if (flags & SYNC_FIELD.ALIVE) state.alive = (flags & SYNC_FIELD.IS_ALIVE) !== 0;
+        snapshot.set(idx, state);
+
+        // Dequantize: centimetres and 256 steps per turn (back to -PI..PI)
+        const rotationSteps = state.rotation > 127 ? state.rotation - 256 : state.rotation;
+        applyZombieSync(idx, state.type, state.alive, state.x / 100, state.z / 100,
+            rotationSteps / 256 * Math.PI * 2, state.health);
+    }
+
+    SyncBaseline.store(seq, snapshot);
+    SyncBaseline.acknowledge();
+    updateHUD();
+}
+
+function handleServerMessage(message) {
+    // Until a resume is answered, everything else is for the throwaway lobby player the server made
+    if (resumeToken && message.type !== 'resumed' && message.type !== 'resumeFailed') return;
+
+    switch (message.type) {
+        case 'init':
+            handleInit(message);
+            break;
+
+        case 'resumed':
+            handleResumed(message);
+            break;
+
+        case 'resumeFailed':
+            handleResumeFailed(message);
+            break;
+
+        case 'playerDisconnected':
+            handlePlayerConnectionChange(message.playerId, false);
+            break;
+
+        case 'playerReconnected':
+            handlePlayerConnectionChange(message.playerId, true);
+            break;
+
+        case 'redirect':
+            handleRedirect(message);
+            break;
+
+        case 'lobbyUpdate':
+            handleLobbyUpdate(message);
+            break;
+
+        case 'lobbyCountdown':
+            handleLobbyCountdown(message);
+            break;
 
         case 'leaderChange':
             handleLeaderChange(message);
@@ -4549,6 +5176,26 @@ function handleServerMessage(message) {
             handlePlayerDied(message.playerId);
             break;
 
+        case 'playerDowned':
+            DownedMode.onDowned(message);
+            break;
+
+        case 'playerDownedUpdate':
+            DownedMode.onDownedUpdate(message);
+            break;
+
+        case 'reviveStarted':
+            DownedMode.onReviveStarted(message);
+            break;
+
+        case 'reviveCancelled':
+            DownedMode.onReviveCancelled(message);
+            break;
+
+        case 'playerRevived':
+            DownedMode.onRevived(message);
+            break;
+
         case 'playerHealthSync':
             handlePlayerHealthSync(message);
             break;
@@ -4561,6 +5208,14 @@ function handleServerMessage(message) {
             handleZombieSpawned(message.zombie);
             break;
 
+        case 'zombieEnter':
+            handleZombieEnter(message);
+            break;
+
+        case 'zombieLeave':
+            handleZombieLeave(message);
+            break;
+
         case 'zombieDamaged':
             handleZombieDamaged(message);
             break;
@@ -4635,24 +5290,36 @@ function handleServerMessage(message) {
             WeaponUpgrades.handleShopSync(message);
             break;
 
-        case 'pong':
-            handlePong(message);
+        case 'unlocks':
+            Achievements.handleServerUnlocks(message);
             break;
 
-        case 'zombieAbility':
-            handleZombieAbility(message);
+        case 'achievementUnlocked':
+            Achievements.unlock(message.achievementId);
+            break;
+
+        case 'cosmeticRejected':
+            handleCosmeticRejected(message);
+            break;
+
+        case 'shopState':
+            WeaponUpgrades.applyServerState(message);
             break;
 
-        case 'bossGroundSlam':
-            handleBossGroundSlam(message);
+        case 'pong':
+            handlePong(message);
+            break;
+
+        case 'syncFormat':
+            DebugLog.log(message.version > 0 ? `Delta SYNC v${message.version} enabled` : 'Server sends full SYNC frames', 'net');
             break;
 
-        case 'bossCharge':
-            handleBossCharge(message);
+        case 'zombieAbility':
+            handleZombieAbility(message);
             break;
 
-        case 'bossSummon':
-            handleBossSummon(message);
+        case 'bossAttack':
+            handleBossAttack(message);
             break;
 
         case 'exploderExplosion':
@@ -4664,6 +5331,277 @@ function handleServerMessage(message) {
     }
 }
 
+// ==================== REPLAY VIEWER ====================
+// Plays back server-recorded matches by feeding the recorded JSON and binary SYNC
+// frames through handleServerMessage/handleBinaryMessage as if they came off the socket.
+// File format matches ReplayRecorder in server.js.
+const REPLAY_MAGIC = 'APRP';
+const REPLAY_VERSION = 1;
+const REPLAY_FRAME = { JSON: 0, BINARY: 1 };
+
+const ReplayViewer = {
+    isActive: false,
+    isPaused: false,
+    isSeeking: false,    // Fast-forwarding to a seek target (sounds and effects skipped)
+    isScrubbing: false,  // Seek bar is being dragged
+    replayId: null,
+    frames: [],          // { t, kind, data } in recording order
+    cursor: 0,           // Next frame to apply
+    time: 0,             // Playback position (ms)
+    duration: 0,
+    speed: 1,
+
+    // Messages that only trigger effects - skipped while seeking
+    TRANSIENT_TYPES: new Set([
+        'playerShoot', 'zombieAttack', 'spitterAttack', 'zombieDamaged', 'zombieAbility',
+        'bossAttack', 'exploderExplosion', 'chat', 'pong'
+    ]),
+
+    async showScreen() {
+        setElementDisplay('start-screen', 'none');
+        setElementDisplay('replays-screen', 'flex');
+        this.renderList(null);
+        try {
+            const response = await fetch(getApiBaseUrl() + '/api/replays');
+            const data = response.ok ? await response.json() : null;
+            this.renderList(data && Array.isArray(data.replays) ? data.replays : []);
+        } catch (e) {
+            DebugLog.log(`Failed to fetch replays: ${e.message}`, 'error');
+            this.renderList([]);
+        }
+    },
+
+    hideScreen() {
+        setElementDisplay('replays-screen', 'none');
+        setElementDisplay('start-screen', 'flex');
+    },
+
+    renderList(replays) {
+        const list = document.getElementById('replays-list');
+        if (!list) return;
+
+        if (replays === null) {
+            list.innerHTML = '<div class="challenge-meta">Loading replays...</div>';
+            return;
+        }
+        if (replays.length === 0) {
+            list.innerHTML = '<div class="challenge-meta">No replays recorded yet</div>';
+            return;
+        }
+
+        list.innerHTML = replays.map(replay => `
+            <button class="replay-entry" role="listitem" data-replay-id="${escapeHtml(replay.id)}">
+                <div>${escapeHtml(new Date(replay.date).toLocaleString())}</div>
+                <div class="replay-entry-meta">${escapeHtml(replay.id)} &middot; ${Math.ceil(replay.size / 1024)} KB</div>
+            </button>
+        `).join('');
+        list.querySelectorAll('.replay-entry').forEach(button => {
+            button.addEventListener('click', () => this.play(button.dataset.replayId));
+        });
+    },
+
+    async play(replayId) {
+        const list = document.getElementById('replays-list');
+        if (list) list.innerHTML = '<div class="challenge-meta">Loading replay...</div>';
+        try {
+            this.start(replayId, await this.load(replayId));
+        } catch (e) {
+            DebugLog.log(`Failed to load replay ${replayId}: ${e.message}`, 'error');
+            if (list) list.innerHTML = '<div class="challenge-meta">Failed to load replay</div>';
+        }
+    },
+
+    // Download, gunzip and split a replay into frames
+    async load(replayId) {
+        const response = await fetch(getApiBaseUrl() + '/api/replays/' + encodeURIComponent(replayId));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const stream = response.body.pipeThrough(new DecompressionStream('gzip'));
+        return this.parse(await new Response(stream).arrayBuffer());
+    },
+
+    parse(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+        if (magic !== REPLAY_MAGIC || buffer.byteLength < 5) throw new Error('Not a replay file');
+        const version = view.getUint8(4);
+        if (version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${version}`);
+
+        const decoder = new TextDecoder();
+        const frames = [];
+        let offset = 5;
+        while (offset + 9 <= buffer.byteLength) {
+            const t = view.getUint32(offset, true);
+            const kind = view.getUint8(offset + 4);
+            const length = view.getUint32(offset + 5, true);
+            offset += 9;
+            if (offset + length > buffer.byteLength) break;  // Truncated tail (server stopped mid-write)
+            frames.push({
+                t,
+                kind,
+                data: kind === REPLAY_FRAME.JSON
+                    ? decoder.decode(new Uint8Array(buffer, offset, length))
+                    : new DataView(buffer, offset, length)
+            });
+            offset += length;
+        }
+        return frames;
+    },
+
+    start(replayId, frames) {
+        this.replayId = replayId;
+        this.frames = frames;
+        this.cursor = 0;
+        this.time = 0;
+        this.duration = frames.length > 0 ? frames[frames.length - 1].t : 0;
+        this.speed = 1;
+        this.isPaused = false;
+        this.isActive = true;
+
+        // Recorded frames are multiplayer traffic with no local player in it
+        GameState.mode = 'multiplayer';
+        localPlayerId = null;
+
+        const speedSelect = document.getElementById('replay-speed');
+        if (speedSelect) speedSelect.value = '1';
+        const seekBar = document.getElementById('replay-seek');
+        if (seekBar) seekBar.max = this.duration;
+
+        setElementDisplay('replays-screen', 'none');
+        setElementDisplay('replay-controls', 'flex');
+        this.updateControls();
+        DebugLog.log(`Playing replay ${replayId} (${frames.length} frames)`, 'info');
+    },
+
+    // Leave the viewer (quitToMenu does the scene cleanup)
+    close() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.isSeeking = false;
+        this.frames = [];
+        this.cursor = 0;
+        setElementDisplay('replay-controls', 'none');
+    },
+
+    // Advance playback (called every frame from animate)
+    update(delta) {
+        if (!this.isActive) return;
+        if (!this.isPaused) {
+            this.time = Math.min(this.duration, this.time + delta * 1000 * this.speed);
+            while (this.cursor < this.frames.length && this.frames[this.cursor].t <= this.time) {
+                this.apply(this.frames[this.cursor++]);
+            }
+            if (this.cursor >= this.frames.length) this.isPaused = true;
+        }
+        this.updateControls();
+    },
+
+    seek(targetTime) {
+        const target = Math.max(0, Math.min(this.duration, targetTime));
+        // Going back replays from the start: replayStart resets the roster, gameStart the world
+        if (target < this.time) this.cursor = 0;
+
+        this.isSeeking = true;
+        let lastSync = null;
+        while (this.cursor < this.frames.length && this.frames[this.cursor].t <= target) {
+            const frame = this.frames[this.cursor++];
+            // SYNC frames carry absolute state, so only the latest one matters
+            if (frame.kind === REPLAY_FRAME.BINARY) lastSync = frame;
+            else this.apply(frame);
+        }
+        if (lastSync) this.apply(lastSync);
+        this.isSeeking = false;
+
+        this.time = target;
+        this.updateControls();
+    },
+
+    apply(frame) {
+        try {
+            if (frame.kind === REPLAY_FRAME.BINARY) {
+                handleBinaryMessage(frame.data);
+                return;
+            }
+
+            const message = JSON.parse(frame.data);
+            if (this.isSeeking && this.TRANSIENT_TYPES.has(message.type)) return;
+
+            switch (message.type) {
+                case 'replayStart':
+                    this.loadRoster(message.players);
+                    break;
+                case 'gameOver':
+                    // No game over screen or score submission for replays
+                    DebugLog.log(`Replay reached game over (wave ${message.wave}, ${message.totalScore} pts)`, 'info');
+                    break;
+                case 'gameStart':
+                    handleServerMessage(message);
+                    this.followPlayers();
+                    break;
+                default:
+                    handleServerMessage(message);
+            }
+        } catch (e) {
+            DebugLog.log(`Replay frame at ${frame.t}ms failed: ${e.message}`, 'warn');
+        }
+    },
+
+    // Recreate the recorded players (they joined before recording started)
+    loadRoster(players) {
+        if (SpectatorMode.isSpectating) SpectatorMode.exit();
+        remotePlayerMeshes.forEach(mesh => {
+            if (mesh) scene.remove(mesh);
+        });
+        remotePlayerMeshes.clear();
+        remotePlayers.clear();
+        (players || []).forEach(playerData => handlePlayerJoined(playerData));
+    },
+
+    // Watch through the recorded players' eyes using spectator mode
+    followPlayers() {
+        playerState.isAlive = false;              // Keeps local input and network updates off
+        SpectatorMode._deathOverlayShown = true;  // Nobody died - skip the death overlay
+        if (!SpectatorMode.isSpectating) SpectatorMode.enter();
+    },
+
+    togglePause() {
+        if (!this.isActive) return;
+        // Restart from the beginning when play is pressed at the end
+        if (this.isPaused && this.cursor >= this.frames.length) this.seek(0);
+        this.isPaused = !this.isPaused;
+        this.updateControls();
+    },
+
+    setSpeed(speed) {
+        if (speed > 0) this.speed = speed;
+    },
+
+    updateControls() {
+        const playButton = document.getElementById('replay-play-button');
+        if (playButton) {
+            const label = this.isPaused ? 'PLAY' : 'PAUSE';
+            if (playButton.textContent !== label) {
+                playButton.textContent = label;
+                playButton.setAttribute('aria-label', `${label === 'PLAY' ? 'Play' : 'Pause'} replay`);
+            }
+        }
+
+        const seekBar = document.getElementById('replay-seek');
+        if (seekBar && !this.isScrubbing) seekBar.value = Math.round(this.time);
+
+        const timeLabel = document.getElementById('replay-time');
+        if (timeLabel) {
+            const text = `${this.formatTime(this.time)} / ${this.formatTime(this.duration)}`;
+            if (timeLabel.textContent !== text) timeLabel.textContent = text;
+        }
+    },
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const seconds = totalSeconds % 60;
+        return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+    }
+};
+
 // ==================== NETWORK LATENCY TRACKING ====================
 let lastPingTime = 0;
 let networkLatency = 0;
@@ -4688,6 +5626,10 @@ function stopPingInterval() {
 }
 
 function handlePong(message) {
+    // Echo the probe right away - the server times this to lag-compensate our shots
+    if (message.probe !== undefined) {
+        sendToServer({ type: 'pongAck', probe: message.probe });
+    }
     if (lastPingTime > 0) {
         networkLatency = Math.round(performance.now() - lastPingTime);
         // Log high latency warnings
@@ -4720,6 +5662,16 @@ function handleInit(message) {
     localPlayerId = message.playerId;
     localPlayerData = message.player;
     sessionToken = message.sessionToken;  // Store session token for authenticated actions
+    if (message.workerId !== undefined) serverWorkerId = message.workerId;
+
+    // Switch to delta SYNC (the server keeps sending full frames until it answers)
+    SyncBaseline.negotiate();
+
+    // Different weapon tables mean this client is out of date (usually a cached build)
+    if (message.weaponDataHash && message.weaponDataHash !== GameCore.Combat.getWeaponDataHash()) {
+        DebugLog.log(`Weapon data mismatch (server ${message.weaponDataHash}) - refresh to update`, 'error');
+        showUpdateNotification();
+    }
 
     // Store and display room/lobby ID
     if (message.roomId) {
@@ -4810,7 +5762,7 @@ function handleInit(message) {
 
         // Send cosmetic preference to server
         if (selectedCosmetic && selectedCosmetic !== 'default') {
-            sendToServer({ type: 'setCosmetic', cosmetic: selectedCosmetic });
+            sendCosmeticToServer();
         }
 
         DebugLog.log('Connected to lobby', 'net');
@@ -4857,6 +5809,130 @@ function handleInit(message) {
     updatePlayerList();
 }
 
+// Back in our held slot after a dropped connection - bring the running game in line with the server
+async function handleResumed(message) {
+    resumeToken = null;
+    localPlayerId = message.playerId;
+    sessionToken = message.sessionToken;
+    SyncBaseline.negotiate();
+    DebugLog.log(`Resumed game at Wave ${message.gameState.wave}`, 'success');
+    showPickupMessage('Reconnected!');
+
+    LobbyState.roomId = message.roomId;
+    LobbyState.leaderId = message.leaderId || null;
+    LobbyState.isPrivate = message.isPrivate || false;
+    LobbyState.isLeader = (localPlayerId === LobbyState.leaderId);
+
+    const state = message.player;
+    playerState.health = state.health;
+    playerState.isAlive = state.isAlive;
+
+    const game = message.gameState;
+    GameState.wave = game.wave;
+    GameState.zombiesRemaining = game.zombiesRemaining;
+    GameState.totalKills = game.totalKills;
+    GameState.totalScore = game.totalScore;
+
+    // Balance and upgrade levels (updates the HUD)
+    WeaponUpgrades.applyServerState(message.shop);
+
+    // Remote players: drop the ones who left, add the ones who joined, catch up on deaths
+    const serverPlayers = new Map(message.players.map(p => [p.id, p]));
+    Array.from(remotePlayers.keys()).forEach(id => {
+        if (!serverPlayers.has(id)) handlePlayerLeft(id);
+    });
+    serverPlayers.forEach((p, id) => {
+        const existing = remotePlayers.get(id);
+        if (!existing) {
+            handlePlayerJoined(p);
+            return;
+        }
+        existing.health = p.health;
+        updatePlayerNametag(id, p.health / (existing.maxHealth || 100));
+        if (existing.isAlive && !p.isAlive) handlePlayerDied(id);
+    });
+
+    // Pickups and zombies: the snapshot is the server's full set
+    const serverPickups = new Set(message.pickups.map(p => p.id));
+    Array.from(pickups.keys()).forEach(id => {
+        if (!serverPickups.has(id)) handlePickupRemoved(id);
+    });
+    message.pickups.forEach(p => {
+        if (!pickups.has(p.id)) handlePickupSpawned(p);
+    });
+
+    const serverZombies = new Set(message.zombies.map(z => z.id));
+    handleZombieLeave({ zombieIds: Array.from(zombies.keys()).filter(id => !serverZombies.has(id)) });
+    handleZombieEnter({ zombies: message.zombies });
+
+    // Shop opened or closed while we were away
+    if (message.shop.open && !WeaponUpgrades.shopOpen) {
+        WeaponUpgrades.showShop();
+        if (message.shop.ready) WeaponUpgrades.playerReady();
+    } else if (!message.shop.open && WeaponUpgrades.shopOpen) {
+        WeaponUpgrades.closeShop();
+    }
+
+    // Missed a map change (same flow as handleWaveStart)
+    if (typeof MapManager !== 'undefined') {
+        if (game.mapOrder) MapManager.mapOrder = game.mapOrder;
+        if (game.mapId && game.mapId !== MapManager.currentMapId) {
+            GameState.isMapLoading = true;
+            try {
+                await MapManager.loadMap(game.mapId);
+            } catch (err) {
+                DebugLog.log(`Failed to load map ${game.mapId}: ${err.message}`, 'error');
+            } finally {
+                GameState.isMapLoading = false;
+                processPendingZombieSpawns();
+            }
+        }
+        if (game.bossMode) {
+            MapManager.activateBossMode();
+        } else {
+            MapManager.deactivateBossMode();
+        }
+    }
+
+    updateHUD();
+    updatePlayerList();
+}
+
+// The held slot is gone (grace period over, game ended, or we never got back through)
+function handleResumeFailed(message) {
+    resumeToken = null;
+    reconnectAttempts = 0; // Reset for future connections
+    DebugLog.log(`Could not resume game: ${message.reason}`, 'error');
+    alert(`Disconnected from the game: ${message.reason || 'the server no longer has your session'}`);
+    quitToMenu();
+}
+
+// Cluster servers: the public queue or the private lobby we asked for is on another game worker
+function handleRedirect(message) {
+    DebugLog.log(`Moving to game worker ${message.worker}`, 'net');
+    targetWorkerId = message.worker;
+    if (message.join) pendingPrivateJoin = message.join;
+
+    // Not a disconnect - skip the onclose reconnect handling and connect straight away
+    const oldSocket = socket;
+    oldSocket.onclose = null;
+    oldSocket.close();
+    stopPingInterval();
+    GameState.isConnected = false;
+    connectToServer();
+}
+
+// Another player's connection dropped (the server holds their slot) or came back
+function handlePlayerConnectionChange(playerId, connected) {
+    const playerData = remotePlayers.get(playerId);
+    const name = playerData ? playerData.name : 'A player';
+    if (connected) {
+        DebugLog.log(`${name} reconnected`, 'net');
+    } else {
+        DebugLog.log(`${name} lost connection - holding their spot`, 'warn');
+    }
+}
+
 function handleLobbyUpdate(message) {
     // Update lobby players
     LobbyState.players.clear();
@@ -4892,6 +5968,9 @@ function handleLobbyUpdate(message) {
     if (message.shortcode) {
         LobbyState.shortcode = message.shortcode;
     }
+    if (message.mapRotation) {
+        LobbyState.mapRotation = message.mapRotation;
+    }
 
     updateLeaderUI();
     updateLobbyPlayerList();
@@ -5105,6 +6184,72 @@ function updateLeaderUI() {
             lobbyIdEl.title = '';
         }
     }
+
+    updateMapRotationUI();
+}
+
+// Map rotation panel - shown in private lobbies, only the leader can edit it
+function updateMapRotationUI() {
+    const container = document.getElementById('lobby-map-rotation');
+    if (!container) return;
+
+    const rotation = LobbyState.mapRotation;
+    container.style.display = (LobbyState.isPrivate && rotation) ? 'block' : 'none';
+    if (!LobbyState.isPrivate || !rotation) return;
+
+    const getMapName = mapId => (MapManager.maps[mapId] ? MapManager.maps[mapId].name : mapId);
+
+    setElementDisplay('map-rotation-controls', LobbyState.isLeader ? 'flex' : 'none');
+    const modeSelect = document.getElementById('map-rotation-mode');
+    if (modeSelect) modeSelect.value = rotation.mode;
+    const addSelect = document.getElementById('map-rotation-add');
+    if (addSelect && addSelect.options.length !== Object.keys(MapManager.maps).length) {
+        addSelect.innerHTML = Object.keys(MapManager.maps).map(mapId =>
+            `<option value="${escapeHtml(mapId)}">${escapeHtml(getMapName(mapId))}</option>`
+        ).join('');
+    }
+    const addButton = document.getElementById('map-rotation-add-button');
+    if (addButton) addButton.textContent = rotation.mode === 'fixed' ? 'SET' : 'ADD';
+
+    const listEl = document.getElementById('map-rotation-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+
+    const wavesPerMap = MapFormat.WAVES_PER_MAP;
+    rotation.maps.forEach((mapId, index) => {
+        let waves = '';
+        if (rotation.mode === 'fixed') {
+            waves = 'All waves';
+        } else if (rotation.mode === 'custom') {
+            const first = index * wavesPerMap + 1;
+            waves = index === rotation.maps.length - 1 ? `Waves ${first}+` : `Waves ${first}-${first + wavesPerMap - 1}`;
+        }
+
+        const item = document.createElement('div');
+        item.className = 'map-rotation-item';
+        item.innerHTML = `
+            <span>${rotation.mode === 'custom' ? `${index + 1}. ` : ''}${escapeHtml(getMapName(mapId))}</span>
+            <span class="map-rotation-waves">${waves}</span>
+        `;
+        if (LobbyState.isLeader && rotation.mode !== 'fixed') {
+            item.insertAdjacentHTML('beforeend', `
+                <button class="map-rotation-button" data-action="up" data-index="${index}" ${index === 0 || rotation.mode === 'shuffle' ? 'disabled' : ''} aria-label="Move up">&#9650;</button>
+                <button class="map-rotation-button" data-action="remove" data-index="${index}" ${rotation.maps.length === 1 ? 'disabled' : ''} aria-label="Remove">&#10005;</button>
+            `);
+        }
+        listEl.appendChild(item);
+    });
+
+    if (rotation.mode === 'shuffle') {
+        listEl.insertAdjacentHTML('beforeend',
+            `<div class="map-rotation-note">Order is shuffled when the game starts (${wavesPerMap} waves per map)</div>`);
+    }
+}
+
+// Leader edits go to the server, the panel updates from the next lobbyUpdate
+function sendMapRotation(mode, maps) {
+    if (!LobbyState.isLeader || !socket || socket.readyState !== WebSocket.OPEN) return;
+    sendToServer({ type: 'setMapRotation', rotation: { mode, maps } });
 }
 
 function updateLobbyPlayerList() {
@@ -5243,6 +6388,10 @@ function updateRemotePlayerPositions() {
             // Smooth position interpolation and body rotation (rotation.y)
             Interpolation.applyInterpolation(playerData, mesh);
 
+            // Downed teammates fall forward onto the floor (YXZ so they fall the way they face)
+            mesh.rotation.order = 'YXZ';
+            mesh.rotation.x = Interpolation.lerp(mesh.rotation.x, playerData.isDowned ? -Math.PI * 0.45 : 0, 0.15);
+
             // Get the vertical aim pitch (rotation.x)
             const targetPitch = playerData.targetHeadRotation !== undefined ? playerData.targetHeadRotation : 0;
 
@@ -5317,6 +6466,7 @@ function handlePlayerDamaged(message) {
 }
 
 function handlePlayerDied(playerId) {
+    DownedMode.onDied(playerId);
     if (playerId === localPlayerId) {
         playerState.isAlive = false;
         playerState.health = 0;
@@ -5435,12 +6585,38 @@ function handleZombieSpawned(zombieData) {
         targetRotation: zombieData.rotation || 0
     };
     zombies.set(zombieData.id, zombieEntry);
+    if (zombieData.netId !== undefined) zombieIdsByNetId.set(zombieData.netId, zombieData.id);
     invalidateZombieMeshCache();
 
     // Add to spatial grid for optimized collision detection
     SpatialGrid.insert(zombieEntry);
 }
 
+// Interest management: zombies that came into range (same data as zombieSpawned)
+function handleZombieEnter(message) {
+    if (!Array.isArray(message.zombies)) return;
+    message.zombies.forEach(zombieData => {
+        if (zombies.has(zombieData.id)) return;  // Already known (e.g. from init)
+        handleZombieSpawned(zombieData);
+    });
+}
+
+// Zombies that went out of range - removed without a death animation
+function handleZombieLeave(message) {
+    if (!Array.isArray(message.zombieIds)) return;
+    message.zombieIds.forEach(zombieId => {
+        const zombie = zombies.get(zombieId);
+        if (!zombie) return;
+        SpatialGrid.remove(zombie);
+        ZombiePool.release(zombieId);
+        zombies.delete(zombieId);
+    });
+
+    // Spawns still queued behind a map load
+    GameState.pendingZombieSpawns = GameState.pendingZombieSpawns.filter(z => !message.zombieIds.includes(z.id));
+    invalidateZombieMeshCache();
+}
+
 // Process any zombie spawns that were buffered during map loading
 function processPendingZombieSpawns() {
     if (GameState.pendingZombieSpawns.length > 0) {
@@ -5591,111 +6767,22 @@ function handleZombieAbility(message) {
     }
 }
 
-function handleBossGroundSlam(message) {
+function handleBossAttack(message) {
     const zombie = zombies.get(message.zombieId);
-    if (!zombie || !zombie.mesh) return;
-
-    // Visual warning - boss raises arms
-    if (zombie.mesh.userData.leftArm) {
-        zombie.mesh.userData.leftArm.rotation.x = -Math.PI / 2;
-        zombie.mesh.userData.rightArm.rotation.x = -Math.PI / 2;
-    }
+    if (!zombie || !zombie.bossId) return;
+    const action = message.action;
 
-    // Create warning circle on ground
-    const radius = zombie.bossAttackState?.attacks?.groundSlam?.radius || 6;
-    const warningGeo = new THREE.RingGeometry(0.5, radius, 32);
-    const warningMat = new THREE.MeshBasicMaterial({
-        color: 0xff0000,
-        transparent: true,
-        opacity: 0.5,
-        side: THREE.DoubleSide
-    });
-    const warning = new THREE.Mesh(warningGeo, warningMat);
-    warning.rotation.x = -Math.PI / 2;
-    warning.position.copy(zombie.mesh.position);
-    warning.position.y = 0.1;
-    scene.add(warning);
-
-    // Animate warning circle then create slam effect
-    const startTime = Date.now();
-    const windupTime = 800;
-    function animateWarning() {
-        const elapsed = Date.now() - startTime;
-        if (elapsed > windupTime) {
-            scene.remove(warning);
-            warningGeo.dispose();
-            warningMat.dispose();
-            // Create slam effect
-            createGroundSlamEffect(zombie.mesh.position, radius);
-            // Reset arms
-            if (zombie.mesh.userData.leftArm) {
-                zombie.mesh.userData.leftArm.rotation.x = 0;
-                zombie.mesh.userData.rightArm.rotation.x = 0;
-            }
-            return;
+    // Blink: snap instead of sliding across the arena
+    if (action.type === 'teleport') {
+        zombie.position.x = action.to.x;
+        zombie.position.z = action.to.z;
+        zombie.targetPosition = { x: action.to.x, z: action.to.z };
+        if (zombie.mesh) {
+            zombie.mesh.position.x = action.to.x;
+            zombie.mesh.position.z = action.to.z;
         }
-        // Pulse warning
-        const pulse = Math.sin(elapsed * 0.02) * 0.3 + 0.5;
-        warning.material.opacity = pulse;
-        requestAnimationFrame(animateWarning);
     }
-    animateWarning();
-    DebugLog.log('Boss ground slam incoming!', 'game');
-}
-
-function handleBossCharge(message) {
-    const zombie = zombies.get(message.zombieId);
-    if (!zombie || !zombie.mesh) return;
-
-    // Visual indicator - boss leans forward
-    zombie.mesh.rotation.x = 0.3;
-
-    // Create warning line from boss toward player
-    if (playerState && playerState.position) {
-        createChargeWarningLine(zombie.mesh.position, playerState.position);
-    }
-
-    // Reset lean after charge duration
-    setTimeout(() => {
-        if (zombie.mesh) zombie.mesh.rotation.x = 0;
-    }, GameCore.Constants.BOSS.ATTACKS.charge.duration || 1500);
-
-    DebugLog.log('Boss charging!', 'game');
-}
-
-function handleBossSummon(message) {
-    const zombie = zombies.get(message.zombieId);
-    if (!zombie || !zombie.mesh) return;
-
-    // Spawn particle effect around boss
-    for (let i = 0; i < 8; i++) {
-        const angle = (i / 8) * Math.PI * 2;
-        const particleGeo = new THREE.SphereGeometry(0.2, 8, 8);
-        const particleMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-        const particle = new THREE.Mesh(particleGeo, particleMat);
-        particle.position.copy(zombie.mesh.position);
-        particle.position.y += 1;
-        scene.add(particle);
-
-        const velocity = { x: Math.cos(angle) * 3, y: 2, z: Math.sin(angle) * 3 };
-        const startTime = Date.now();
-        function animateParticle() {
-            const elapsed = (Date.now() - startTime) / 1000;
-            if (elapsed > 0.8) {
-                scene.remove(particle);
-                particleGeo.dispose();
-                particleMat.dispose();
-                return;
-            }
-            particle.position.x += velocity.x * 0.016;
-            particle.position.y += velocity.y * 0.016 - elapsed * 0.3;
-            particle.position.z += velocity.z * 0.016;
-            particle.material.opacity = 1 - elapsed / 0.8;
-            requestAnimationFrame(animateParticle);
-        }
-        animateParticle();
-    }
-    DebugLog.log('Boss summoning minions!', 'game');
+    playBossAction(zombie, action);
 }
 
 function handleExploderExplosion(message) {
@@ -5834,8 +6921,8 @@ function handlePickupCollected(message) {
                 playerState.health = Math.min(playerState.health + 25, CONFIG.player.maxHealth);
                 DebugLog.log('Collected health! +25 HP', 'success');
             } else if (message.pickupType === 'ammo') {
-                weapon.reserveAmmo = Math.min(weapon.reserveAmmo + 15, WEAPONS[weapon.current].reserveMax);
-                DebugLog.log('Collected ammo! +15', 'success');
+                weapon.reserveAmmo = Math.min(weapon.reserveAmmo + GameCore.Combat.getPickupEffect('ammo'), WEAPONS[weapon.current].reserveMax);
+                DebugLog.log(`Collected ammo! +${GameCore.Combat.getPickupEffect('ammo')}`, 'success');
             } else if (message.pickupType === 'grenade') {
                 weapon.grenades = Math.min(weapon.grenades + 2, 10);
                 DebugLog.log('Collected grenades! +2', 'success');
@@ -5924,6 +7011,7 @@ function handleGameStart(message) {
     if (SpectatorMode.isSpectating) {
         SpectatorMode.exit();
     }
+    DownedMode.reset();
 
     // Re-initialize controls (may have been cleaned up on previous quit)
     initControls();
@@ -5993,10 +7081,11 @@ function handleGameStart(message) {
     });
     pickups.clear();
 
-    // Reset and load initial map for fresh start
+    // Reset and load initial map for fresh start (the server picks it from the lobby's rotation)
     if (typeof MapManager !== 'undefined') {
         MapManager.reset();
-        MapManager.loadMap('dining_hall').then(() => {
+        MapManager.mapOrder = message.mapOrder || null;
+        MapManager.loadMap(message.mapId || MapManager.getMapForWave(1)).then(() => {
             const spawn = MapManager.getPlayerSpawn();
             player.position.set(spawn.x, spawn.y, spawn.z);
         }).catch(err => {
@@ -6085,10 +7174,14 @@ function showClickToStartOverlay() {
 }
 
 async function handleGameOver(message) {
+    // Replays just run out (spectator mode can still get here when everyone is dead)
+    if (ReplayViewer.isActive) return;
+
     DebugLog.log(`Game Over! Wave: ${message.wave}, Kills: ${message.totalKills}`, 'error');
 
     GameState.isRunning = false;
     GameState.isGameOver = true;
+    DownedMode.reset();
 
     // Display score (use player's individual score, not room total)
     const finalScore = document.getElementById('final-score');
@@ -6112,6 +7205,9 @@ async function handleGameOver(message) {
     if (statFavoriteWeapon) statFavoriteWeapon.textContent = GameStats.getFavoriteWeapon();
     if (statBestStreak) statBestStreak.textContent = GameStats.bestKillStreak;
 
+    // Server-tracked team breakdown (older servers don't send one)
+    renderTeamScoreboard(message.scoreboard);
+
     // Submit score to leaderboard (not in dev mode)
     const rankResult = document.getElementById('rank-result');
     let result = { added: false, rank: -1 };
@@ -6128,18 +7224,17 @@ async function handleGameOver(message) {
 
         // Display rank result
         if (rankResult) {
-            if (result.added && result.rank > 0) {
+            if (result.added && result.rank > 0 && result.rank <= 10) {
                 rankResult.innerHTML = `<span class="new-highscore">NEW HIGH SCORE! #${result.rank}</span>`;
-            } else if (cachedLeaderboard.length >= 10) {
-                // Only show 'points away' if score is below minimum required
-                const minScore = cachedLeaderboard[cachedLeaderboard.length - 1].score;
-                if (playerState.score < minScore) {
-                    const diff = minScore - playerState.score;
-                    rankResult.textContent = `${diff.toLocaleString()} points away from Top 10`;
-                } else {
-                    // Score should have qualified - check for submission error
-                    rankResult.textContent = 'Score submission error - try again';
-                }
+            } else if (result.added && result.rank > 0) {
+                // Every score is ranked - show the season rank and distance to the top 10
+                const minScore = cachedLeaderboard.length >= 10 ? cachedLeaderboard[cachedLeaderboard.length - 1].score : 0;
+                const diff = minScore - playerState.score;
+                rankResult.textContent = diff > 0
+                    ? `Season rank #${result.rank} - ${diff.toLocaleString()} points away from Top 10`
+                    : `Season rank #${result.rank}`;
+            } else if (result.error) {
+                rankResult.textContent = 'Score submission error - try again';
             } else {
                 rankResult.textContent = '';
             }
@@ -6169,6 +7264,72 @@ async function handleGameOver(message) {
     setElementDisplay('multiplayer-panel', 'none');
 }
 
+// Columns of the multiplayer game-over scoreboard, keyed by the server's MatchStats fields
+const TEAM_SCOREBOARD_COLUMNS = [
+    { field: 'kills', label: 'Kills' },
+    { field: 'headshots', label: 'HS' },
+    { field: 'damageDealt', label: 'Dmg' },
+    { field: 'damageTaken', label: 'Taken' },
+    { field: 'revives', label: 'Revives' },
+    { field: 'pickups', label: 'Pickups' },
+    { field: 'shotsFired', label: 'Shots' }
+];
+
+function renderTeamScoreboard(scoreboard) {
+    const container = document.getElementById('team-scoreboard');
+    if (!container) return;
+
+    if (!scoreboard || !Array.isArray(scoreboard.players) || scoreboard.players.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const leaders = scoreboard.leaders || {};
+    let html = `
+        <table class="team-scoreboard-table">
+            <thead>
+                <tr>
+                    <th>NAME</th>
+                    <th>SCORE</th>
+                    ${TEAM_SCOREBOARD_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    scoreboard.players.forEach(row => {
+        const mvpBadge = row.id === scoreboard.mvpId ? '<span class="mvp-badge" title="Most Valuable Player">MVP</span>' : '';
+        const cells = TEAM_SCOREBOARD_COLUMNS.map(column => {
+            const value = Number(row[column.field]) || 0;
+            const leaderClass = leaders[column.field] === row.id ? ' class="stat-leader"' : '';
+            return `<td${leaderClass}>${value.toLocaleString()}</td>`;
+        }).join('');
+
+        html += `
+            <tr class="${row.id === localPlayerId ? 'you' : ''}">
+                <td class="player-name" style="color: ${sanitizeColor(row.color)};">${escapeHtml(row.name)}${mvpBadge}</td>
+                <td>${(Number(row.score) || 0).toLocaleString()}</td>
+                ${cells}
+            </tr>
+        `;
+    });
+
+    html += '</tbody></table>';
+    container.innerHTML = html;
+    container.style.display = 'block';
+}
+
+// The server only accepts cosmetics whose achievement it has seen this player earn
+function handleCosmeticRejected(message) {
+    const achievement = GameCore.Achievements.DEFINITIONS[message.requires];
+    const cosmetic = COSMETICS[message.cosmetic];
+    DebugLog.log(`Server rejected cosmetic ${message.cosmetic} (requires ${message.requires})`, 'warn');
+    if (achievement && cosmetic) {
+        showPickupMessage(`${cosmetic.name} locked online - earn ${achievement.name} in multiplayer`, true);
+    }
+}
+
 function handleGameReset() {
     DebugLog.log('Game reset', 'game');
 
@@ -6187,6 +7348,7 @@ function handleGameReset() {
     remotePlayerMeshes.forEach((mesh, id) => {
         mesh.visible = true;
     });
+    DownedMode.reset();
 
     GameState.wave = 1;
     GameState.totalKills = 0;
@@ -6225,6 +7387,7 @@ function returnToMultiplayerLobby() {
     playerState.score = 0;
     GameStats.reset();
     SpectatorMode.exit();
+    DownedMode.reset();
 
     // Reset weapons to defaults
     resetWeaponsToDefaults();
@@ -6894,6 +8057,7 @@ const ZombieSkeleton = {
     create(zombieData) {
         const group = new THREE.Group();
         group.userData.zombieType = zombieData.type;
+        group.userData.bossId = zombieData.bossId || null;
 
         // Type configurations with expanded enemy types
         const typeConfigs = {
@@ -6906,7 +8070,10 @@ const ZombieSkeleton = {
             spitter: { body: 0x3a4a3a, skin: 0x5a7a5a, eyes: 0x00ffaa, wounds: true, elongated: true }
         };
 
-        const config = typeConfigs[zombieData.type] || typeConfigs.normal;
+        // Boss archetypes bring their own colors (GameCore boss definitions)
+        const bossColors = zombieData.isBossWaveBoss && zombieData.bossId
+            ? GameCore.BossAI.getDefinition(zombieData.bossId).colors : null;
+        const config = Object.assign({}, typeConfigs[zombieData.type] || typeConfigs.normal, bossColors);
         const scale = zombieData.scale || 1;
 
         // Create materials
@@ -7839,19 +9006,16 @@ function initMapSystem() {
         // Initialize MapManager with scene
         MapManager.init(scene);
 
-        // Register all maps
-        MapManager.registerMap('dining_hall', new DiningHallMap());
-        MapManager.registerMap('arcade_zone', new ArcadeZoneMap());
-        MapManager.registerMap('backstage', new BackstageMap());
-        MapManager.registerMap('kitchen', new KitchenMap());
-        MapManager.registerMap('party_room', new PartyRoomMap());
-
-        // Load the first map (dining hall for wave 1)
-        MapManager.loadMap('dining_hall').catch(err => {
-            DebugLog.log(`Failed to load initial map: ${err.message}`, 'error');
-        });
-
-        DebugLog.log('Map system initialized with 5 maps', 'success');
+        // Register every map definition the server ships, then load the first map (dining hall for wave 1)
+        MapManager.loadDefinitions(getApiBaseUrl() + '/api/maps')
+            .then(count => {
+                DebugLog.log(`Map system initialized with ${count} maps`, 'success');
+                return MapManager.loadMap('dining_hall');
+            })
+            .catch(err => {
+                DebugLog.log(`Failed to load maps: ${err.message}, using legacy environment`, 'error');
+                createEnvironment();
+            });
     } else {
         // Fall back to legacy environment
         DebugLog.log('MapManager not found, using legacy environment', 'warn');
@@ -10081,14 +11245,17 @@ function initMobileControls() {
         }
     }, { passive: false, signal });
 
-    // Interact button
+    // Interact button (held to revive a downed teammate)
     interactBtn.addEventListener('touchstart', (e) => {
         e.preventDefault();
         hapticFeedback(HAPTIC.BUTTON);
-        if (nearbyPickup) {
+        DownedMode.setInteractHeld(true);
+        if (nearbyPickup && !DownedMode.nearbyDownedId) {
             tryCollectPickup(nearbyPickup);
         }
     }, { passive: false, signal });
+    interactBtn.addEventListener('touchend', () => DownedMode.setInteractHeld(false), { signal });
+    interactBtn.addEventListener('touchcancel', () => DownedMode.setInteractHeld(false), { signal });
 
     // Weapon switching buttons
     const weaponList = ['pistol', 'smg', 'shotgun', 'rocketLauncher', 'laserGun'];
@@ -10190,7 +11357,7 @@ function updateMobileWeaponButtons() {
 function updateMobileInteractButton() {
     const interactBtn = document.getElementById('mobile-interact');
     if (interactBtn) {
-        interactBtn.classList.toggle('visible', nearbyPickup !== null);
+        interactBtn.classList.toggle('visible', nearbyPickup !== null || DownedMode.nearbyDownedId !== null);
     }
 }
 
@@ -10270,8 +11437,9 @@ function onKeyDown(event) {
             }
             break;
         case 'KeyE':
-            // Interact/pickup (only when alive)
-            if (playerState.isAlive && nearbyPickup) {
+            // Interact: hold to revive a downed teammate, otherwise pickup (only when alive)
+            DownedMode.setInteractHeld(true);
+            if (playerState.isAlive && nearbyPickup && !DownedMode.nearbyDownedId) {
                 tryCollectPickup(nearbyPickup);
             }
             break;
@@ -10297,6 +11465,7 @@ function onKeyUp(event) {
         case 'ArrowLeft': keys.lookLeft = false; break;
         case 'ArrowRight': keys.lookRight = false; break;
         case 'ShiftLeft': keys.sprint = false; break;
+        case 'KeyE': DownedMode.setInteractHeld(false); break;
     }
 }
 
@@ -10388,6 +11557,8 @@ function shoot() {
     // Only consume ammo for non-pistol weapons (unless infinite ammo is enabled)
     if (!isPistol && !(DevSettings.infiniteAmmo && GameState.mode === 'singleplayer')) {
         weapon.ammo--;
+        // shoot messages only carry hits - the server counts every round (PlayerAmmo)
+        if (GameState.mode === 'multiplayer') sendToServer({ type: 'shotFired' });
     }
 
     // Track shot for accuracy stats
@@ -10450,10 +11621,9 @@ function shoot() {
 
             zombies.forEach((zombie, id) => {
                 if (zombie.mesh === rootMesh) {
-                    // Headshot if hit above neck height (1.5 * scale from ground)
+                    // Headshot if hit above neck height (shared hitbox, same rule the server applies)
                     // Use ground reference (0) instead of mesh.position.y which bounces during animation
-                    const headHeight = 1.5 * (zombie.scale || 1);
-                    const isHeadshot = intersects[0].point.y > headHeight;
+                    const isHeadshot = GameCore.Combat.isHeadshotHeight(intersects[0].point.y, zombie.type, zombie.scale);
                     const damage = isHeadshot ? stats.damage * 1.5 : stats.damage;
 
                     createBloodSplatter(intersects[0].point);
@@ -10671,6 +11841,7 @@ function reload() {
             weapon.ammo += ammoToAdd;
             weapon.reserveAmmo -= ammoToAdd;
             weapon.isReloading = false;
+            if (GameState.mode === 'multiplayer') sendToServer({ type: 'reload' });
 
             // Hide reload progress indicator with completion flash
             if (reloadProgress) {
@@ -11250,9 +12421,8 @@ function fireLaser(origin, direction, damage) {
 
         zombies.forEach((zombie, id) => {
             if (zombie.mesh === rootMesh) {
-                // Headshot if hit above neck height (1.5 * scale from ground)
-                const headHeight = 1.5 * (zombie.scale || 1);
-                const isHeadshot = intersects[0].point.y > headHeight;
+                // Headshot if hit above neck height (shared hitbox, same rule the server applies)
+                const isHeadshot = GameCore.Combat.isHeadshotHeight(intersects[0].point.y, zombie.type, zombie.scale);
                 const actualDamage = isHeadshot ? damage * 1.5 : damage;
                 showHitMarker(isHeadshot, intersects[0].point);
                 if (GameState.mode === 'singleplayer') {
@@ -11438,6 +12608,7 @@ function createLaserBeamVisual(start, end, continuous = false) {
 
 // Throw grenade
 function throwGrenade() {
+    if (DownedMode.isDowned) return;
     if (weapon.grenades <= 0 && !(DevSettings.infiniteAmmo && GameState.mode === 'singleplayer')) return;
     if (!(DevSettings.infiniteAmmo && GameState.mode === 'singleplayer')) {
         weapon.grenades--;
@@ -12437,6 +13608,9 @@ function togglePause() {
 
 // ==================== AUDIO ====================
 function playSound(type, position = null) {
+    // Stay quiet while a replay fast-forwards to a seek target
+    if (ReplayViewer.isSeeking) return;
+
     // Use new AudioManager if available (with improved procedural fallbacks)
     if (typeof AudioManager !== 'undefined' && AudioManager.isInitialized) {
         const options = position ? { position } : {};
@@ -12528,6 +13702,9 @@ function animate() {
 
     deltaTime = clock.getDelta();
 
+    // Feed recorded frames when watching a replay
+    if (ReplayViewer.isActive) ReplayViewer.update(deltaTime);
+
     // Always update bullets (visual effect even when paused/dead)
     updateBullets(deltaTime);
     updateProjectiles(deltaTime); // Rockets and grenades
@@ -12543,12 +13720,13 @@ function animate() {
         updateParticles(deltaTime); // Blood, shells, debris
         updateMinimap(); // Live minimap updates
         checkPickupCollisions();
+        DownedMode.update();
+        updateAcidPools(deltaTime); // Update acid pool damage and cleanup
 
         // Single player zombie AI
         if (GameState.mode === 'singleplayer') {
             updateSinglePlayerZombies(deltaTime);
             EntityCollision.update(); // Resolve all entity collisions
-            updateAcidPools(deltaTime); // Update acid pool damage and cleanup
         }
 
         // Update HUD periodically for live enemy count (throttled to avoid DOM spam)
@@ -12601,7 +13779,8 @@ function animate() {
     camera.updateMatrixWorld(true);
     scene.updateMatrixWorld(true);
 
-    renderer.render(scene, camera);
+    // The map editor draws the same scene from its own top-down camera
+    renderer.render(scene, MapEditor.isActive ? MapEditor.camera : camera);
 
     fpsFrames++;
 }
@@ -12649,7 +13828,7 @@ function updatePlayer(delta) {
     moveDirection.applyAxisAngle(Vec3.UP, player.rotation.y);
 
     // Sprint with stamina system
-    let canSprint = keys.sprint && playerState.stamina > 0 && moveDirection.length() > 0;
+    let canSprint = keys.sprint && !DownedMode.isDowned && playerState.stamina > 0 && moveDirection.length() > 0;
     const isSprinting = canSprint;
     
     // Drain stamina while sprinting, regenerate while not
@@ -12665,9 +13844,15 @@ function updatePlayer(delta) {
         staminaBar.style.width = (playerState.stamina / CONFIG.player.maxStamina * 100) + '%';
     }
     
-    const speed = CONFIG.player.speed * (isSprinting ? CONFIG.player.sprintMultiplier : 1);
-    const moveX = moveDirection.x * speed * delta;
-    const moveZ = moveDirection.z * speed * delta;
+    // Downed players crawl
+    const crawl = DownedMode.isDowned ? GameCore.Constants.DOWNED.CRAWL_SPEED_MULT : 1;
+    const speed = CONFIG.player.speed * crawl * (isSprinting ? CONFIG.player.sprintMultiplier : 1);
+    // Knockback (boss hits) slides the player and dies off quickly
+    const moveX = moveDirection.x * speed * delta + playerVelocity.x * delta;
+    const moveZ = moveDirection.z * speed * delta + playerVelocity.z * delta;
+    const knockbackDecay = Math.max(0, 1 - 8 * delta);
+    playerVelocity.x *= knockbackDecay;
+    playerVelocity.z *= knockbackDecay;
 
     // Store old position for collision resolution
     const oldX = player.position.x;
@@ -12734,7 +13919,12 @@ function updatePlayer(delta) {
     if (player.position.y < CONFIG.player.height) {
         player.position.y = CONFIG.player.height;
         playerVelocity.y = 0;
-        canJump = true;
+        canJump = !DownedMode.isDowned;
+    }
+
+    // Downed view drops to the floor (DownedMode puts it back on revive)
+    if (DownedMode.isDowned) {
+        camera.position.y = Interpolation.lerp(camera.position.y, -CONFIG.player.height * 0.6, 0.1);
     }
 
     playerState.position.copy(player.position);
@@ -12946,6 +14136,9 @@ function checkPickupCollisions() {
         }
     });
 
+    // Downed players can't pick anything up
+    if (DownedMode.isDowned) closestPickup = null;
+
     // Update nearby pickup for E key interaction
     if (nearbyPickup !== closestPickup) {
         nearbyPickup = closestPickup;
@@ -12960,6 +14153,10 @@ function updateInteractPrompt() {
     // On mobile, don't show the "Press E" prompt - mobile has a dedicated pickup button
     if (isMobile) {
         prompt.style.display = 'none';
+    } else if (DownedMode.nearbyDownedId) {
+        const downedPlayer = remotePlayers.get(DownedMode.nearbyDownedId);
+        prompt.innerHTML = `Hold <span class="key">E</span> to revive ${escapeHtml(downedPlayer ? downedPlayer.name : 'teammate')}`;
+        prompt.style.display = 'block';
     } else if (nearbyPickup && pickups.has(nearbyPickup)) {
         const pickup = pickups.get(nearbyPickup);
         const itemName = pickup.type === 'health' ? 'Health Pack' : 'Ammo Box';
@@ -13021,9 +14218,173 @@ function updateEffects(delta) {
     });
 }
 
+// ==================== SINGLEPLAYER RUN LOG ====================
+// Compact event log of a singleplayer run. The server replays it against GameCore
+// scoring rules and only accepts the score it reproduces.
+// Events: [t, 'w', wave] wave start, [t, 'k', type, headshot, summoned] kill (summoned = brought in
+//         by a boss), [t, 'c', wave] wave complete, [t, 'u', weapon, stat] upgrade purchase,
+//         [t, 'p', pickupType] pickup collected
+const RunLog = {
+    ticket: null,       // Server-signed { runId, seed, issuedAt, signature }
+    events: [],
+    startTime: 0,
+
+    // Start a new run and request a signed run ticket from the server
+    // (challenge runs get a ticket carrying the challenge id and its fixed seed)
+    begin(challenge = null) {
+        this.ticket = null;
+        this.events = [];
+        this.startTime = performance.now();
+        const runStartTime = this.startTime;
+
+        fetch(getApiBaseUrl() + '/api/run/start', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(challenge ? { challenge: challenge.period } : {})
+        })
+            .then(response => response.ok ? response.json() : null)
+            .then(ticket => {
+                // Ignore tickets for a run that has since been replaced
+                if (!ticket || !ticket.runId || this.startTime !== runStartTime) return;
+                // The challenge rolled over between opening the screen and starting the run
+                if (challenge && ticket.challengeId !== challenge.id) {
+                    DebugLog.log(`Challenge ${challenge.id} has ended - score will not be recorded`, 'warn');
+                    return;
+                }
+                // The seed drives spawns and drops, so it can only be swapped in before the first wave
+                if (this.events.length > 0 || GameState.mode !== 'singleplayer') {
+                    DebugLog.log('Run ticket arrived after the run started - score will not be verifiable', 'warn');
+                    return;
+                }
+                this.ticket = ticket;
+                GameState.rng = GameCore.Random.createStreams(ticket.seed);
+                DebugLog.log(`Run ticket received (seed ${ticket.seed})`, 'info');
+            })
+            .catch(e => DebugLog.log(`Failed to get run ticket: ${e.message}`, 'warn'));
+    },
+
+    record(type, ...args) {
+        if (GameState.mode !== 'singleplayer') return;
+        this.events.push([Math.round(performance.now() - this.startTime), type, ...args]);
+    },
+
+    // Payload for leaderboard submission (null if the run can't be verified)
+    export() {
+        if (!this.ticket) return null;
+        return { ...this.ticket, events: this.events };
+    }
+};
+
 // ==================== SINGLE PLAYER MODE ====================
-function startSinglePlayerGame() {
-    DebugLog.log('Starting Single Player mode...', 'game');
+// ==================== CHALLENGE MODE ====================
+// Daily/weekly challenges: everyone plays the same seed, starting weapon and modifiers
+// (derived by GameCore.Challenge). The server decides which challenge is current and
+// keeps a separate leaderboard per challenge.
+const ChallengeMode = {
+    current: null,      // { serverTime, daily, weekly } from /api/challenge/current
+    selected: 'daily',  // Period shown on the challenge screen
+
+    async fetchCurrent() {
+        try {
+            const response = await fetch(getApiBaseUrl() + '/api/challenge/current');
+            if (response.ok) {
+                this.current = await response.json();
+                return this.current;
+            }
+            DebugLog.log(`Challenge fetch failed: HTTP ${response.status}`, 'warn');
+        } catch (e) {
+            DebugLog.log(`Failed to fetch challenge: ${e.message}`, 'error');
+        }
+        this.current = false;
+        return null;
+    },
+
+    getSelected() {
+        return this.current ? this.current[this.selected] : null;
+    },
+
+    showScreen() {
+        this.current = null;
+        setElementDisplay('start-screen', 'none');
+        setElementDisplay('challenge-screen', 'flex');
+        this.render();
+        this.fetchCurrent().then(() => this.render());
+    },
+
+    hideScreen() {
+        setElementDisplay('challenge-screen', 'none');
+        setElementDisplay('start-screen', 'flex');
+    },
+
+    select(period) {
+        this.selected = period;
+        document.querySelectorAll('.challenge-tab').forEach(tab => {
+            const isSelected = tab.dataset.period === period;
+            tab.classList.toggle('selected', isSelected);
+            tab.setAttribute('aria-selected', isSelected.toString());
+        });
+        this.render();
+    },
+
+    render() {
+        const details = document.getElementById('challenge-details');
+        const playButton = document.getElementById('challenge-play-button');
+        const challenge = this.getSelected();
+        if (playButton) playButton.disabled = !challenge;
+        if (!details) return;
+
+        if (!challenge) {
+            details.innerHTML = `<div class="challenge-meta">${this.current === null ? 'Loading challenge...' : 'Challenge unavailable'}</div>`;
+            renderLeaderboard('challenge-leaderboard-content', -1, [], null);
+            return;
+        }
+
+        const hoursLeft = Math.max(0, Math.ceil((challenge.endsAt - this.current.serverTime) / 3600000));
+        const timeLeft = hoursLeft > 48 ? `${Math.ceil(hoursLeft / 24)} days left` : `${hoursLeft}h left`;
+        const modifiers = challenge.modifiers.map(id => {
+            const modifier = GameCore.Constants.CHALLENGE.MODIFIERS[id];
+            return `
+                <div class="challenge-modifier">
+                    <div class="challenge-modifier-name">${escapeHtml(modifier.name)}</div>
+                    <div class="challenge-modifier-desc">${escapeHtml(modifier.description)}</div>
+                </div>`;
+        }).join('');
+
+        details.innerHTML = `
+            <div class="challenge-meta">${escapeHtml(challenge.id)} &middot; ${timeLeft} &middot; ${challenge.players} runs</div>
+            <div class="challenge-weapon">Starting weapon: ${escapeHtml(WEAPONS[challenge.weapon].name)}</div>
+            ${modifiers}
+        `;
+        this.renderLeaderboard(challenge.id);
+    },
+
+    async renderLeaderboard(challengeId) {
+        const params = new URLSearchParams({ challenge: challengeId });
+        const playerName = getPlayerName();
+        if (playerName) params.set('around', playerName);
+
+        try {
+            const response = await fetch(getApiBaseUrl() + '/api/challenge/leaderboard?' + params.toString());
+            if (!response.ok) return;
+            const data = await response.json();
+            // Skip if the player switched tabs while this was loading
+            const selected = this.getSelected();
+            if (!selected || selected.id !== challengeId || !Array.isArray(data.entries)) return;
+            renderLeaderboard('challenge-leaderboard-content', -1, data.entries, data.around || null);
+        } catch (e) {
+            DebugLog.log(`Failed to fetch challenge leaderboard: ${e.message}`, 'error');
+        }
+    }
+};
+
+// Modifier list for GameCore wave/combat rules (null outside challenge runs)
+function getChallengeModifiers() {
+    return GameState.challenge ? GameState.challenge.modifiers : null;
+}
+
+function startSinglePlayerGame(challenge = null) {
+    DebugLog.log(challenge ? `Starting ${challenge.id} challenge...` : 'Starting Single Player mode...', 'game');
+    GameState.challenge = challenge;
 
     // Ensure animation loop is running and clock is reset
     ensureAnimationRunning();
@@ -13064,6 +14425,12 @@ function startSinglePlayerGame() {
         rocketLauncher: { ammo: WEAPONS.rocketLauncher.magSize, reserve: WEAPONS.rocketLauncher.reserveMax },
         laserGun: { ammo: WEAPONS.laserGun.magSize, reserve: WEAPONS.laserGun.reserveMax }
     };
+    // Challenges start with their own weapon drawn
+    if (challenge) {
+        weapon.current = challenge.weapon;
+        weapon.ammo = weapon.inventory[challenge.weapon].ammo;
+        weapon.reserveAmmo = weapon.inventory[challenge.weapon].reserve;
+    }
     updateWeaponModel();
 
     // Clear multiplayer session token to ensure singleplayer uses client-side score submission
@@ -13083,7 +14450,8 @@ function startSinglePlayerGame() {
     // Reset map to first map for wave 1
     if (typeof MapManager !== 'undefined') {
         MapManager.deactivateBossMode();
-        MapManager.loadMap('dining_hall').then(() => {
+        MapManager.mapOrder = null;  // Single player plays the default rotation
+        MapManager.loadMap(MapManager.getMapForWave(1)).then(() => {
             const spawn = MapManager.getPlayerSpawn();
             player.position.set(spawn.x, spawn.y, spawn.z);
         }).catch(err => {
@@ -13103,6 +14471,12 @@ function startSinglePlayerGame() {
     // Reset achievement session stats
     Achievements.resetSession();
 
+    // Seed this run's random streams and start recording a verifiable run log
+    // (RunLog re-seeds with the server ticket's seed if it arrives before wave 1;
+    // challenge tickets carry the challenge's own seed, so nothing changes)
+    GameState.rng = GameCore.Random.createStreams(challenge ? challenge.seed : GameCore.Random.newSeed());
+    RunLog.begin(challenge);
+
     updateHUD();
 
     // Show mobile controls or request pointer lock
@@ -13187,22 +14561,22 @@ const WaveSystem = {
     currentBoss: null,
     minionSpawnTimer: null,
 
-    // Delegate to GameCore for shared logic
-    isBossWave: (wave) => GameCore.WaveSystem.isBossWave(wave),
-    getZombieCount: (wave) => GameCore.WaveSystem.getZombieCount(wave, GameState.zombiesPerWave),
+    // Delegate to GameCore for shared logic (with the active challenge's modifiers, if any)
+    isBossWave: (wave) => GameCore.WaveSystem.isBossWave(wave, getChallengeModifiers()),
+    getZombieCount: (wave) => GameCore.WaveSystem.getZombieCount(wave, GameState.zombiesPerWave, getChallengeModifiers()),
     getSpawnInterval: (wave) => GameCore.WaveSystem.getSpawnInterval(wave),
-    getBossProps: (wave) => GameCore.WaveSystem.getBossProps(wave),
+    getBossProps: (wave) => GameCore.WaveSystem.getBossProps(wave, getChallengeModifiers()),
     getBossName: (level) => GameCore.WaveSystem.getBossName(level),
-    getZombieType: (wave) => GameCore.WaveSystem.getZombieType(wave),
-    getWaveBonus: (wave) => GameCore.WaveSystem.getWaveBonus(wave),
+    getZombieType: (wave) => GameCore.WaveSystem.getZombieType(wave, GameState.rng.spawn, getChallengeModifiers()),
+    getWaveBonus: (wave) => GameCore.WaveSystem.getWaveBonus(wave, getChallengeModifiers()),
     
     // typeProps now references GameCore constants
     get typeProps() {
         return GameCore.Constants.ZOMBIE_TYPES;
     },
     
-    // scaleByWave delegates to GameCore
-    scaleByWave: (props, wave) => GameCore.WaveSystem.scaleByWave(props, wave, true),
+    // scaleByWave delegates to GameCore (speed variance from the run's spawn stream)
+    scaleByWave: (props, wave) => GameCore.WaveSystem.scaleByWave(props, wave, true, GameState.rng.spawn),
 
     // Start minion spawning for boss fight
     startMinionSpawning(bossZombie) {
@@ -13221,10 +14595,10 @@ const WaveSystem = {
             });
 
             // Spawn minion if under limit
-            if (minionCount < 5) {
+            if (minionCount < GameCore.Constants.BOSS.MINION_SPAWN.maxAlive) {
                 this.spawnMinion(bossZombie);
             }
-        }, 3000);
+        }, GameCore.Constants.BOSS.MINION_SPAWN.interval);
     },
 
     stopMinionSpawning() {
@@ -13234,22 +14608,24 @@ const WaveSystem = {
         }
     },
 
-    spawnMinion(boss) {
+    // Boss attacks pass the type and spot; the periodic spawner picks a spot near the boss
+    spawnMinion(boss, type = 'minion', position = null) {
         const id = `minion_${++GameState.lastZombieId}`;
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 3 + Math.random() * 2;
-
-        const position = {
-            x: boss.position.x + Math.cos(angle) * dist,
-            y: 0,
-            z: boss.position.z + Math.sin(angle) * dist
-        };
+        if (!position) {
+            const angle = GameState.rng.misc.next() * Math.PI * 2;
+            const dist = GameState.rng.misc.range(3, 5);
+            position = {
+                x: boss.position.x + Math.cos(angle) * dist,
+                y: 0,
+                z: boss.position.z + Math.sin(angle) * dist
+            };
+        }
 
-        const props = this.typeProps.minion;
+        const props = this.typeProps[type];
 
         const zombieData = {
             id: id,
-            type: 'minion',
+            type: type,
             position: position,
             rotation: 0,
             health: props.health,
@@ -13301,11 +14677,13 @@ async function startSinglePlayerWave() {
         }
 
         // Activate boss mode if this is a boss wave
-        if (MapManager.isBossWave(GameState.wave)) {
+        if (WaveSystem.isBossWave(GameState.wave)) {
             MapManager.activateBossMode();
         }
     }
 
+    RunLog.record('w', GameState.wave);
+
     // Check if this is a boss wave
     if (WaveSystem.isBossWave(GameState.wave)) {
         startBossWave();
@@ -13372,7 +14750,7 @@ function startBossWave() {
         if (GameState.isRunning) {
             spawnBoss(bossProps);
         }
-    }, 1500);
+    }, GameCore.Constants.BOSS.SPAWN_DELAY);
 }
 
 function spawnBoss(bossProps) {
@@ -13386,10 +14764,10 @@ function spawnBoss(bossProps) {
 
     if (Math.abs(playerX) > Math.abs(playerZ)) {
         position.x = playerX > 0 ? -arenaEdge : arenaEdge;
-        position.z = (Math.random() - 0.5) * CONFIG.arena.depth * 0.5;
+        position.z = (GameState.rng.misc.next() - 0.5) * CONFIG.arena.depth * 0.5;
     } else {
         position.z = playerZ > 0 ? -arenaEdge : arenaEdge;
-        position.x = (Math.random() - 0.5) * CONFIG.arena.width * 0.5;
+        position.x = (GameState.rng.misc.next() - 0.5) * CONFIG.arena.width * 0.5;
     }
 
     const zombieData = {
@@ -13404,22 +14782,12 @@ function spawnBoss(bossProps) {
         scale: bossProps.scale,
         points: bossProps.points,
         isAlive: true,
-        lastAttack: 0,
-        isBossWaveBoss: true,
-        bossName: bossProps.name,
-        // Boss attack state
-        bossAttackState: {
-            phase: 1, // 1 = >66% health, 2 = 33-66%, 3 = <33%
-            lastGroundSlam: 0,
-            lastCharge: 0,
-            lastSummon: 0,
-            isCharging: false,
-            chargeDirection: null,
-            chargeStartTime: 0,
-            isDoingGroundSlam: false,
-            groundSlamStartTime: 0,
-            attacks: bossProps.attacks
-        }
+        lastAttack: 0,
+        isBossWaveBoss: true,
+        bossId: bossProps.bossId,
+        bossLevel: bossProps.level,
+        bossName: bossProps.name,
+        bossAttackState: GameCore.BossAI.createAttackState(bossProps.bossId, bossProps.level)
     };
 
     const mesh = createZombieMesh(zombieData);
@@ -13474,73 +14842,46 @@ function hideBossHealthBar() {
 }
 
 // ==================== BOSS SPECIAL ATTACKS ====================
+// The attack script is GameCore.BossAI (the same one the server runs). In single
+// player the client runs it and applies the hits; in multiplayer the server sends
+// each action as bossAttack and the client only draws it (playBossAction).
 function updateBossAttacks(boss, deltaTime) {
     if (!boss.isAlive || !boss.bossAttackState) return;
 
     const state = boss.bossAttackState;
     const now = Date.now();
+    const def = GameCore.BossAI.getDefinition(boss.bossId);
+
+    const result = GameCore.BossAI.update(state, {
+        now: now,
+        position: boss.position,
+        target: playerState.isAlive ? player.position : null,
+        healthPercent: boss.health / boss.maxHealth,
+        rng: GameState.rng.misc,
+        arena: { halfWidth: CONFIG.arena.width / 2, halfDepth: CONFIG.arena.depth / 2 },
+        isWalkable: NavGrid.initialized
+            ? (x, z) => NavGrid.isWalkable(NavGrid.worldToGridX(x), NavGrid.worldToGridZ(z))
+            : null
+    });
+    result.actions.forEach(action => applyBossAction(boss, action));
 
-    // Update phase based on health
-    const healthPercent = boss.health / boss.maxHealth;
-    if (healthPercent <= 0.33) state.phase = 3;
-    else if (healthPercent <= 0.66) state.phase = 2;
-    else state.phase = 1;
-
-    // Reduce cooldowns in later phases
-    const cooldownMultiplier = state.phase === 3 ? 0.6 : (state.phase === 2 ? 0.8 : 1);
-
-    // Handle ongoing charge
-    if (state.isCharging) {
-        updateBossCharge(boss, deltaTime);
-        return; // Don't do other attacks while charging
-    }
-
-    // Handle ongoing ground slam
-    if (state.isDoingGroundSlam) {
-        updateBossGroundSlam(boss);
-        return;
-    }
-
-    const distToPlayer = boss.mesh.position.distanceTo(playerState.position);
-
-    // Ground Slam - when close to player
-    if (distToPlayer < 8 && now - state.lastGroundSlam > state.attacks.groundSlam.cooldown * cooldownMultiplier) {
-        startBossGroundSlam(boss);
-        state.lastGroundSlam = now;
-        return;
-    }
-
-    // Charge - when far from player
-    if (distToPlayer > 10 && distToPlayer < 25 && now - state.lastCharge > state.attacks.charge.cooldown * cooldownMultiplier) {
-        startBossCharge(boss);
-        state.lastCharge = now;
+    if (state.current && state.current.stage === 'active') {
+        updateBossDash(boss, state.current, deltaTime);
         return;
     }
+    if (result.busy) return; // Winding up
 
-    // Summon minions - phase 2+
-    if (state.phase >= 2 && now - state.lastSummon > state.attacks.summon.cooldown * cooldownMultiplier) {
-        bossSummonMinions(boss);
-        state.lastSummon = now;
-    }
-
-    // Normal boss movement - walk toward player when not doing special attacks
+    // Normal boss movement - walk toward player (ranged bosses stop at keepDistance)
     const dx = player.position.x - boss.position.x;
     const dz = player.position.z - boss.position.z;
     const dist = Math.sqrt(dx * dx + dz * dz);
+    boss.rotation = Math.atan2(dx, dz);
 
-    if (dist > 3) { // Don't move if very close
-        const dirX = dx / dist;
-        const dirZ = dz / dist;
-
+    if (dist > Math.max(3, def.keepDistance)) {
         // Boss moves slower in later phases (more focus on attacks)
-        const speedMultiplier = state.phase === 3 ? 0.7 : (state.phase === 2 ? 0.85 : 1);
-        const moveSpeed = boss.speed * speedMultiplier * deltaTime;
-
-        boss.position.x += dirX * moveSpeed;
-        boss.position.z += dirZ * moveSpeed;
-
-        // Face player
-        boss.rotation = Math.atan2(dx, dz);
+        const moveSpeed = boss.speed * GameCore.BossAI.getPhaseConfig(state).speed * deltaTime;
+        boss.position.x += (dx / dist) * moveSpeed;
+        boss.position.z += (dz / dist) * moveSpeed;
     }
 
     // Melee attack when very close
@@ -13552,85 +14893,305 @@ function updateBossAttacks(boss, deltaTime) {
     }
 }
 
-function startBossGroundSlam(boss) {
-    boss.bossAttackState.isDoingGroundSlam = true;
-    boss.bossAttackState.groundSlamStartTime = Date.now();
+// Single player: draw the action, then apply its damage, spawns and movement
+function applyBossAction(boss, action) {
+    const attack = GameCore.BossAI.getDefinition(boss.bossId).attacks[action.name];
+    playBossAction(boss, action);
 
-    // Visual warning - boss raises arms
-    if (boss.mesh && boss.mesh.userData.leftArm) {
-        boss.mesh.userData.leftArm.rotation.x = -Math.PI / 2;
-        boss.mesh.userData.rightArm.rotation.x = -Math.PI / 2;
+    switch (action.type) {
+        case 'strike':
+            if (GameCore.BossAI.isInArea(attack.area, action.origin, action.direction, player.position)) {
+                damagePlayer(attack.damage);
+            }
+            if (attack.area.shape === 'circle') {
+                damageDestructiblesInRadius(new THREE.Vector3(action.origin.x, 1, action.origin.z), attack.area.radius, attack.damage * 2);
+            }
+            if (attack.hazard) spawnAcidPool(action.origin.x, action.origin.z, attack.hazard);
+            break;
+
+        case 'spawn':
+            action.positions.forEach((position, i) => {
+                setTimeout(() => {
+                    if (boss.isAlive && GameState.isRunning) {
+                        WaveSystem.spawnMinion(boss, action.zombie, position);
+                    }
+                }, i * 200);
+            });
+            DebugLog.log(`Boss summoned ${action.positions.length} ${action.zombie}s!`, 'warn');
+            break;
+
+        case 'teleport':
+            boss.position.x = action.to.x;
+            boss.position.z = action.to.z;
+            break;
     }
+}
 
-    // Create warning circle on ground
-    const warningGeo = new THREE.RingGeometry(0.5, boss.bossAttackState.attacks.groundSlam.radius, 32);
-    const warningMat = new THREE.MeshBasicMaterial({
-        color: 0xff0000,
-        transparent: true,
-        opacity: 0.5,
-        side: THREE.DoubleSide
-    });
-    const warning = new THREE.Mesh(warningGeo, warningMat);
-    warning.rotation.x = -Math.PI / 2;
-    warning.position.copy(boss.mesh.position);
-    warning.position.y = 0.1;
-    scene.add(warning);
-    boss.bossAttackState.warningCircle = warning;
+// Visuals and sounds for a boss action (both modes). Knockback is applied here too since
+// the local player's movement is client-side in multiplayer as well.
+function playBossAction(boss, action) {
+    if (!boss.mesh) return;
+    const def = GameCore.BossAI.getDefinition(boss.bossId);
+    const attack = def.attacks[action.name];
+    const accent = def.colors ? def.colors.eyes : 0xff00ff;
+
+    switch (action.type) {
+        case 'telegraph':
+            if (!attack.telegraph) break;
+            if (attack.type === 'area') {
+                setBossArmsRaised(boss, true);
+                createBossAreaWarning(attack.area, action.origin, action.direction, attack.telegraph);
+            } else if (attack.type === 'dash') {
+                boss.mesh.rotation.x = 0.3; // Leans forward
+                const reach = attack.speed * attack.duration / 1000;
+                createChargeWarningLine(action.origin, {
+                    x: action.origin.x + action.direction.x * reach,
+                    z: action.origin.z + action.direction.z * reach
+                });
+            } else if (attack.type === 'teleport') {
+                createBossAreaWarning({ shape: 'circle', radius: 1.5 }, action.destination, action.direction, attack.telegraph);
+                createBossBurstEffect(boss.mesh.position, accent);
+            } else if (attack.type === 'projectile') {
+                setBossArmsRaised(boss, true);
+            }
+            break;
+
+        case 'strike':
+            setBossArmsRaised(boss, false);
+            if (attack.area.shape === 'circle') {
+                createGroundSlamEffect(new THREE.Vector3(action.origin.x, 0, action.origin.z), attack.area.radius);
+            } else {
+                createBossAreaFlash(attack.area, action.origin, action.direction, accent);
+            }
+            if (attack.knockback && GameCore.BossAI.isInArea(attack.area, action.origin, action.direction, player.position)) {
+                knockbackPlayer(action.origin, attack.knockback);
+            }
+            playSound('explosion');
+            break;
+
+        case 'dash':
+            setTimeout(() => {
+                if (boss.mesh) boss.mesh.rotation.x = 0;
+            }, attack.duration);
+            break;
+
+        case 'projectile':
+            setBossArmsRaised(boss, false);
+            action.targets.forEach(target => {
+                createBossGlob(action.from, target, attack.speed, () => {
+                    if (!GameState.isRunning) return;
+                    if (GameState.mode === 'singleplayer') {
+                        const dx = player.position.x - target.x;
+                        const dz = player.position.z - target.z;
+                        if (dx * dx + dz * dz <= attack.impactRadius * attack.impactRadius) {
+                            damagePlayer(attack.damage);
+                        }
+                    }
+                    // Multiplayer pools are only drawn - the server ticks their damage
+                    if (attack.hazard) spawnAcidPool(target.x, target.z, attack.hazard);
+                });
+            });
+            playSound('shoot');
+            break;
+
+        case 'spawn':
+            createBossBurstEffect(boss.mesh.position, 0x00ff00);
+            break;
+
+        case 'teleport':
+            createBossBurstEffect(new THREE.Vector3(action.to.x, 0, action.to.z), accent);
+            break;
+
+        case 'phase':
+            DebugLog.log(`${boss.bossName} enters phase ${action.phase}!`, 'warn');
+            screenShake(0.5);
+            break;
+    }
 }
 
-function updateBossGroundSlam(boss) {
-    const elapsed = Date.now() - boss.bossAttackState.groundSlamStartTime;
-    const windupTime = 800; // Time before slam hits
+// Ongoing dash - walls and props stop it, the first hit on the player ends it
+function updateBossDash(boss, current, deltaTime) {
+    const attack = GameCore.BossAI.getDefinition(boss.bossId).attacks[current.name];
+    const nextX = boss.position.x + current.direction.x * attack.speed * deltaTime;
+    const nextZ = boss.position.z + current.direction.z * attack.speed * deltaTime;
+
+    const arenaEdge = CONFIG.arena.width / 2 - 2;
+    const blocked = Math.abs(nextX) > arenaEdge || Math.abs(nextZ) > arenaEdge ||
+        (NavGrid.initialized && !NavGrid.isWalkable(NavGrid.worldToGridX(nextX), NavGrid.worldToGridZ(nextZ)));
+    if (blocked) {
+        GameCore.BossAI.endAttack(boss.bossAttackState);
+        if (boss.mesh) boss.mesh.rotation.x = 0;
+        // Stun effect - boss hit wall
+        createGroundSlamEffect(new THREE.Vector3(boss.position.x, 0, boss.position.z), 3);
+        return;
+    }
+    boss.position.x = nextX;
+    boss.position.z = nextZ;
+    boss.rotation = Math.atan2(current.direction.x, current.direction.z);
+
+    const dx = player.position.x - boss.position.x;
+    const dz = player.position.z - boss.position.z;
+    if (dx * dx + dz * dz < attack.hitRadius * attack.hitRadius) {
+        damagePlayer(attack.damage);
+        knockbackPlayer(boss.position, attack.knockback);
+        // Stop charge on hit
+        GameCore.BossAI.endAttack(boss.bossAttackState);
+        if (boss.mesh) boss.mesh.rotation.x = 0;
+    }
+}
 
-    // Animate warning circle
-    if (boss.bossAttackState.warningCircle) {
-        const pulse = Math.sin(elapsed * 0.02) * 0.3 + 0.5;
-        boss.bossAttackState.warningCircle.material.opacity = pulse;
+function setBossArmsRaised(boss, raised) {
+    if (boss.mesh && boss.mesh.userData.leftArm) {
+        boss.mesh.userData.leftArm.rotation.x = raised ? -Math.PI / 2 : 0;
+        boss.mesh.userData.rightArm.rotation.x = raised ? -Math.PI / 2 : 0;
     }
+}
+
+// Push the local player away from a point (decays in updatePlayer)
+function knockbackPlayer(from, force) {
+    const dx = player.position.x - from.x;
+    const dz = player.position.z - from.z;
+    const dist = Math.sqrt(dx * dx + dz * dz) || 1;
+    playerVelocity.x += (dx / dist) * force;
+    playerVelocity.z += (dz / dist) * force;
+}
 
-    if (elapsed >= windupTime) {
-        executeBossGroundSlam(boss);
+// Flat mesh in the shape of an attack area, placed at origin and turned toward direction
+function createBossAreaMesh(area, origin, direction, color, opacity) {
+    let geo;
+    switch (area.shape) {
+        case 'ring':
+            geo = new THREE.RingGeometry(area.inner, area.outer, 48);
+            break;
+        case 'cone': {
+            // Facing local +Z once laid flat (see rotation below)
+            const half = (area.angle / 2) * Math.PI / 180;
+            geo = new THREE.CircleGeometry(area.radius, 24, -Math.PI / 2 - half, half * 2);
+            break;
+        }
+        case 'line':
+            geo = new THREE.PlaneGeometry(area.width, area.length);
+            geo.translate(0, -area.length / 2, 0);
+            break;
+        default:
+            geo = new THREE.RingGeometry(0.5, area.radius, 32);
     }
+    const mat = new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: opacity,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.rotation.x = -Math.PI / 2;
+
+    const group = new THREE.Group();
+    group.add(mesh);
+    group.position.set(origin.x, 0.1, origin.z);
+    group.rotation.y = Math.atan2(direction.x, direction.z);
+    scene.add(group);
+    return group;
 }
 
-function executeBossGroundSlam(boss) {
-    boss.bossAttackState.isDoingGroundSlam = false;
-    const radius = boss.bossAttackState.attacks.groundSlam.radius;
-    const damage = boss.bossAttackState.attacks.groundSlam.damage;
+function removeBossAreaMesh(group) {
+    scene.remove(group);
+    group.children.forEach(child => {
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+}
 
-    // Remove warning circle
-    if (boss.bossAttackState.warningCircle) {
-        scene.remove(boss.bossAttackState.warningCircle);
-        boss.bossAttackState.warningCircle.geometry.dispose();
-        boss.bossAttackState.warningCircle.material.dispose();
-        boss.bossAttackState.warningCircle = null;
+// Pulsing red area for the length of a telegraph
+function createBossAreaWarning(area, origin, direction, duration) {
+    const warning = createBossAreaMesh(area, origin, direction, 0xff0000, 0.5);
+    const material = warning.children[0].material;
+    const startTime = Date.now();
+    function animateWarning() {
+        const elapsed = Date.now() - startTime;
+        if (elapsed > duration || !GameState.isRunning) {
+            removeBossAreaMesh(warning);
+            return;
+        }
+        material.opacity = Math.sin(elapsed * 0.02) * 0.3 + 0.5;
+        requestAnimationFrame(animateWarning);
     }
+    animateWarning();
+}
 
-    // Reset arms
-    if (boss.mesh && boss.mesh.userData.leftArm) {
-        boss.mesh.userData.leftArm.rotation.x = 0;
-        boss.mesh.userData.rightArm.rotation.x = 0;
+// Short flash of the area as the attack lands
+function createBossAreaFlash(area, origin, direction, color) {
+    const flash = createBossAreaMesh(area, origin, direction, color, 0.8);
+    const material = flash.children[0].material;
+    const startTime = Date.now();
+    function animateFlash() {
+        const elapsed = (Date.now() - startTime) / 1000;
+        if (elapsed > 0.4) {
+            removeBossAreaMesh(flash);
+            return;
+        }
+        material.opacity = 0.8 * (1 - elapsed / 0.4);
+        requestAnimationFrame(animateFlash);
     }
+    animateFlash();
+}
 
-    // Create shockwave effect
-    createGroundSlamEffect(boss.mesh.position, radius);
+// Acid glob arcing from the boss to a landing point
+function createBossGlob(from, to, speed, onLand) {
+    const globGeo = new THREE.SphereGeometry(0.3, 8, 8);
+    const globMat = new THREE.MeshBasicMaterial({ color: 0x88ff00, transparent: true, opacity: 0.9 });
+    const glob = new THREE.Mesh(globGeo, globMat);
+    glob.position.set(from.x, 2, from.z);
+    scene.add(glob);
 
-    // Damage player if in range
-    const distToPlayer = boss.mesh.position.distanceTo(playerState.position);
-    if (distToPlayer <= radius) {
-        damagePlayer(damage);
-        // Knockback
-        const knockDir = new THREE.Vector3()
-            .subVectors(playerState.position, boss.mesh.position)
-            .normalize();
-        playerState.velocity.x += knockDir.x * 10;
-        playerState.velocity.z += knockDir.z * 10;
+    const dist = Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.z - from.z, 2));
+    const flightTime = (dist / speed) * 1000;
+    const startTime = Date.now();
+    function animateGlob() {
+        const t = Math.min(1, (Date.now() - startTime) / flightTime);
+        glob.position.x = from.x + (to.x - from.x) * t;
+        glob.position.z = from.z + (to.z - from.z) * t;
+        glob.position.y = 2 * (1 - t) + Math.sin(t * Math.PI) * 2;
+        if (t >= 1) {
+            scene.remove(glob);
+            globGeo.dispose();
+            globMat.dispose();
+            onLand();
+            return;
+        }
+        requestAnimationFrame(animateGlob);
     }
+    animateGlob();
+}
 
-    // Damage nearby destructibles
-    damageDestructiblesInRadius(boss.mesh.position, radius, damage * 2);
+// Particle burst (summons, blinks)
+function createBossBurstEffect(position, color) {
+    for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * Math.PI * 2;
+        const particleGeo = new THREE.SphereGeometry(0.2, 8, 8);
+        const particleMat = new THREE.MeshBasicMaterial({ color: color, transparent: true });
+        const particle = new THREE.Mesh(particleGeo, particleMat);
+        particle.position.copy(position);
+        particle.position.y += 1;
+        scene.add(particle);
 
-    playSound('explosion');
+        const velocity = new THREE.Vector3(Math.cos(angle) * 3, 2, Math.sin(angle) * 3);
+        const startTime = Date.now();
+        function animateParticle() {
+            const elapsed = (Date.now() - startTime) / 1000;
+            if (elapsed > 0.8) {
+                scene.remove(particle);
+                particleGeo.dispose();
+                particleMat.dispose();
+                return;
+            }
+            velocity.y -= 5 * 0.016;
+            Vec3.temp.copy(velocity).multiplyScalar(0.016);
+            particle.position.add(Vec3.temp);
+            particle.material.opacity = 1 - elapsed / 0.8;
+            requestAnimationFrame(animateParticle);
+        }
+        animateParticle();
+    }
 }
 
 function createGroundSlamEffect(position, radius) {
@@ -13710,25 +15271,6 @@ function createGroundSlamEffect(position, radius) {
     animateRing();
 }
 
-function startBossCharge(boss) {
-    boss.bossAttackState.isCharging = true;
-    boss.bossAttackState.chargeStartTime = Date.now();
-
-    // Calculate charge direction towards player
-    const dir = new THREE.Vector3()
-        .subVectors(playerState.position, boss.mesh.position)
-        .normalize();
-    boss.bossAttackState.chargeDirection = { x: dir.x, z: dir.z };
-
-    // Visual indicator - boss leans forward
-    if (boss.mesh) {
-        boss.mesh.rotation.x = 0.3;
-    }
-
-    // Warning trail
-    createChargeWarningLine(boss.mesh.position, playerState.position);
-}
-
 function createChargeWarningLine(start, end) {
     const points = [
         new THREE.Vector3(start.x, 0.1, start.z),
@@ -13755,106 +15297,10 @@ function createChargeWarningLine(start, end) {
     animateLine();
 }
 
-function updateBossCharge(boss, deltaTime) {
-    const elapsed = Date.now() - boss.bossAttackState.chargeStartTime;
-    const chargeDelay = 500; // Wind-up time
-    const chargeDuration = 1500;
-
-    if (elapsed < chargeDelay) {
-        // Wind-up phase - boss shakes
-        if (boss.mesh) {
-            boss.mesh.position.x += (Math.random() - 0.5) * 0.1;
-            boss.mesh.position.z += (Math.random() - 0.5) * 0.1;
-        }
-        return;
-    }
-
-    if (elapsed > chargeDelay + chargeDuration) {
-        // Charge complete
-        boss.bossAttackState.isCharging = false;
-        if (boss.mesh) boss.mesh.rotation.x = 0;
-        return;
-    }
-
-    // Execute charge movement
-    const chargeSpeed = boss.bossAttackState.attacks.charge.speed;
-    const dir = boss.bossAttackState.chargeDirection;
-    const moveSpeed = chargeSpeed * deltaTime;
-
-    boss.mesh.position.x += dir.x * moveSpeed;
-    boss.mesh.position.z += dir.z * moveSpeed;
-
-    // Check collision with player
-    const distToPlayer = boss.mesh.position.distanceTo(playerState.position);
-    if (distToPlayer < 2.5) {
-        damagePlayer(boss.bossAttackState.attacks.charge.damage);
-        // Knockback player
-        const knockDir = new THREE.Vector3(dir.x, 0.3, dir.z).normalize();
-        playerState.velocity.x += knockDir.x * 15;
-        playerState.velocity.y += knockDir.y * 8;
-        playerState.velocity.z += knockDir.z * 15;
-        // Stop charge on hit
-        boss.bossAttackState.isCharging = false;
-        if (boss.mesh) boss.mesh.rotation.x = 0;
-    }
-
-    // Check wall collision
-    const arenaEdge = CONFIG.arena.width / 2 - 2;
-    if (Math.abs(boss.mesh.position.x) > arenaEdge || Math.abs(boss.mesh.position.z) > arenaEdge) {
-        boss.bossAttackState.isCharging = false;
-        if (boss.mesh) boss.mesh.rotation.x = 0;
-        // Stun effect - boss hit wall
-        createGroundSlamEffect(boss.mesh.position, 3);
-    }
-}
-
-function bossSummonMinions(boss) {
-    const count = boss.bossAttackState.attacks.summon.count;
-
-    // Spawn effect
-    for (let i = 0; i < 8; i++) {
-        const angle = (i / 8) * Math.PI * 2;
-        const particleGeo = new THREE.SphereGeometry(0.2, 8, 8);
-        const particleMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-        const particle = new THREE.Mesh(particleGeo, particleMat);
-        particle.position.copy(boss.mesh.position);
-        particle.position.y += 1;
-        scene.add(particle);
-
-        const velocity = new THREE.Vector3(Math.cos(angle) * 3, 2, Math.sin(angle) * 3);
-        const startTime = Date.now();
-        function animateParticle() {
-            const elapsed = (Date.now() - startTime) / 1000;
-            if (elapsed > 0.8) {
-                scene.remove(particle);
-                particleGeo.dispose();
-                particleMat.dispose();
-                return;
-            }
-            velocity.y -= 5 * 0.016;
-            Vec3.temp.copy(velocity).multiplyScalar(0.016);
-            particle.position.add(Vec3.temp);
-            particle.material.opacity = 1 - elapsed / 0.8;
-            requestAnimationFrame(animateParticle);
-        }
-        animateParticle();
-    }
-
-    // Actually spawn the minions
-    for (let i = 0; i < count; i++) {
-        setTimeout(() => {
-            if (boss.isAlive && GameState.isRunning) {
-                WaveSystem.spawnMinion(boss);
-            }
-        }, i * 200);
-    }
-
-    DebugLog.log(`Boss summoned ${count} minions!`, 'warn');
-}
-
 function spawnSinglePlayerZombie() {
     const id = `zombie_${++GameState.lastZombieId}`;
     const minPlayerDistance = 5; // Minimum distance from player
+    const rng = GameState.rng.misc;
     let position = null;
 
     // Use MapManager spawn points if available
@@ -13869,11 +15315,11 @@ function spawnSinglePlayerZombie() {
             });
 
             if (validSpawns.length > 0) {
-                const spawn = validSpawns[Math.floor(Math.random() * validSpawns.length)];
+                const spawn = validSpawns[rng.int(validSpawns.length)];
                 position = { x: spawn.x, y: 0, z: spawn.z };
             } else {
                 // Use any spawn if none are far enough
-                const spawn = spawns[Math.floor(Math.random() * spawns.length)];
+                const spawn = spawns[rng.int(spawns.length)];
                 position = { x: spawn.x, y: 0, z: spawn.z };
             }
         }
@@ -13885,14 +15331,14 @@ function spawnSinglePlayerZombie() {
         const maxAttempts = 10;
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const side = Math.floor(Math.random() * 4);
+            const side = rng.int(4);
             let testPos = { x: 0, y: 0, z: 0 };
 
             switch (side) {
-                case 0: testPos = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: -arenaEdge }; break;
-                case 1: testPos = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: arenaEdge }; break;
-                case 2: testPos = { x: -arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
-                case 3: testPos = { x: arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
+                case 0: testPos = { x: (rng.next() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: -arenaEdge }; break;
+                case 1: testPos = { x: (rng.next() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: arenaEdge }; break;
+                case 2: testPos = { x: -arenaEdge, y: 0, z: (rng.next() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
+                case 3: testPos = { x: arenaEdge, y: 0, z: (rng.next() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
             }
 
             const dx = testPos.x - player.position.x;
@@ -13911,9 +15357,9 @@ function spawnSinglePlayerZombie() {
             const pz = player.position.z;
             const arenaEdge = CONFIG.arena.width / 2 - 2;
             if (Math.abs(px) > Math.abs(pz)) {
-                position = { x: px > 0 ? -arenaEdge : arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.6 };
+                position = { x: px > 0 ? -arenaEdge : arenaEdge, y: 0, z: (rng.next() - 0.5) * CONFIG.arena.depth * 0.6 };
             } else {
-                position = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.6, y: 0, z: pz > 0 ? -arenaEdge : arenaEdge };
+                position = { x: (rng.next() - 0.5) * CONFIG.arena.width * 0.6, y: 0, z: pz > 0 ? -arenaEdge : arenaEdge };
             }
         }
     }
@@ -14157,7 +15603,7 @@ function updateSinglePlayerZombies(delta) {
                     zombie.steerState.unstuckStartTime = now;
                     zombie.steerState.unstuckPhase = 0;
                     // Start with a random direction
-                    zombie.steerState.unstuckAngle = Math.random() * Math.PI * 2;
+                    zombie.steerState.unstuckAngle = GameState.rng.misc.next() * Math.PI * 2;
                 }
 
                 // Reset stuck check position and time
@@ -14504,12 +15950,15 @@ function spawnSpitterProjectile(zombie) {
     playSound('shoot');
 }
 
-// Spawn acid pool at location
-function spawnAcidPool(x, z) {
+// Spawn acid pool at location (hazard: { radius, duration, interval, damage } - boss attacks
+// bring their own, spitters use the default)
+function spawnAcidPool(x, z, hazard) {
+    hazard = hazard || { radius: 1.5, duration: 6000, interval: 500, damage: 5 };
+    const radius = hazard.radius;
     const poolGroup = new THREE.Group();
 
     // Main pool - flat cylinder
-    const poolGeo = new THREE.CylinderGeometry(1.5, 1.5, 0.05, 16);
+    const poolGeo = new THREE.CylinderGeometry(radius, radius, 0.05, 16);
     const poolMat = new THREE.MeshBasicMaterial({
         color: 0x00ff00,
         transparent: true,
@@ -14529,9 +15978,9 @@ function spawnAcidPool(x, z) {
         });
         const bubble = new THREE.Mesh(bubbleGeo, bubbleMat);
         bubble.position.set(
-            (Math.random() - 0.5) * 2,
+            (Math.random() - 0.5) * radius * 1.3,
             0.1,
-            (Math.random() - 0.5) * 2
+            (Math.random() - 0.5) * radius * 1.3
         );
         bubble.userData.originalY = 0.1;
         bubble.userData.bobOffset = Math.random() * Math.PI * 2;
@@ -14539,7 +15988,7 @@ function spawnAcidPool(x, z) {
     }
 
     // Glow underneath
-    const glowGeo = new THREE.CircleGeometry(1.8, 16);
+    const glowGeo = new THREE.CircleGeometry(radius * 1.2, 16);
     const glowMat = new THREE.MeshBasicMaterial({
         color: 0x00ff00,
         transparent: true,
@@ -14557,12 +16006,12 @@ function spawnAcidPool(x, z) {
     acidPools.push({
         mesh: poolGroup,
         position: { x, z },
-        radius: 1.5,
-        damage: 5, // Damage per tick
-        damageInterval: 500, // ms between damage ticks
+        radius: radius,
+        damage: hazard.damage, // Damage per tick
+        damageInterval: hazard.interval, // ms between damage ticks
         lastDamageTime: 0,
         createdAt: Date.now(),
-        duration: 6000 // Pool lasts 6 seconds
+        duration: hazard.duration
     });
 }
 
@@ -14603,7 +16052,8 @@ function updateAcidPools(deltaTime) {
             Math.pow(player.position.z - pool.position.z, 2)
         );
 
-        if (playerDist < pool.radius && playerState.isAlive) {
+        // Multiplayer pools are visual only - the server ticks their damage
+        if (GameState.mode === 'singleplayer' && playerDist < pool.radius && playerState.isAlive) {
             // Damage player periodically
             if (now - pool.lastDamageTime > pool.damageInterval) {
                 damagePlayer(pool.damage);
@@ -14818,7 +16268,8 @@ function killSinglePlayerZombie(zombieId, isHeadshot) {
 
     // Score - use zombie's points value with headshot bonus
     const basePoints = zombie.points || 100;
-    const points = basePoints + (isHeadshot ? Math.floor(basePoints * 0.5) : 0);
+    const points = GameCore.Combat.calculateKillScore(basePoints, isHeadshot);
+    RunLog.record('k', zombie.type, isHeadshot ? 1 : 0, zombie.isMinion ? 1 : 0);
     playerState.kills++;
     playerState.score += points;
     GameState.totalKills++;
@@ -14862,26 +16313,23 @@ function killSinglePlayerZombie(zombieId, isHeadshot) {
     // Death animation
     animateZombieDeath(zombie);
 
-    // Chance to drop pickup (higher for special types)
-    let dropChance = 0.3;
-    if (zombie.isBossWaveBoss) {
-        dropChance = 1.0;
-        // Boss drops multiple pickups
-        for (let i = 0; i < 3; i++) {
-            const offsetPos = {
-                x: zombie.position.x + (Math.random() - 0.5) * 3,
-                y: 0,
-                z: zombie.position.z + (Math.random() - 0.5) * 3
-            };
-            spawnSinglePlayerPickup(offsetPos);
+    // Chance to drop pickup (higher for special types) - same rules and drop stream
+    // order as the server, so run verification can reproduce every drop
+    const drops = GameState.rng.drops;
+    if (GameCore.Combat.shouldDropPickup(zombie.type, zombie.isBossWaveBoss, drops, getChallengeModifiers())) {
+        if (zombie.isBossWaveBoss) {
+            // Boss drops multiple pickups
+            for (let i = 0; i < GameCore.Combat.getBossPickupCount(); i++) {
+                const offsetPos = {
+                    x: zombie.position.x + (GameState.rng.misc.next() - 0.5) * 3,
+                    y: 0,
+                    z: zombie.position.z + (GameState.rng.misc.next() - 0.5) * 3
+                };
+                spawnSinglePlayerPickup(offsetPos, GameCore.Combat.rollPickupType(drops));
+            }
+        } else {
+            spawnSinglePlayerPickup(zombie.position, GameCore.Combat.rollPickupType(drops));
         }
-        dropChance = 0; // Already dropped
-    } else if (zombie.type === 'tank') {
-        dropChance = 0.5;
-    }
-
-    if (Math.random() < dropChance) {
-        spawnSinglePlayerPickup(zombie.position);
     }
 
     updateHUD();
@@ -14904,10 +16352,9 @@ function killSinglePlayerZombie(zombieId, isHeadshot) {
                     MapManager.deactivateBossMode();
                 }
 
-                const waveBonus = isBossWave
-                    ? 2000 + GameState.wave * 200 // Bigger bonus for boss waves
-                    : 500 + GameState.wave * 100;
+                const waveBonus = WaveSystem.getWaveBonus(GameState.wave); // Bigger bonus for boss waves
                 const completedWave = GameState.wave;
+                RunLog.record('c', completedWave);
                 GameState.wave++;
                 GameState.totalScore += waveBonus;
                 playerState.score += waveBonus;
@@ -14984,11 +16431,8 @@ function createExplosion(position) {
     playSound('zombieAttack');
 }
 
-function spawnSinglePlayerPickup(position) {
+function spawnSinglePlayerPickup(position, type) {
     const id = `pickup_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-    // 40% health, 40% ammo, 20% grenade
-    const roll = Math.random();
-    const type = roll < 0.4 ? 'health' : (roll < 0.8 ? 'ammo' : 'grenade');
 
     const pickupData = {
         id: id,
@@ -15101,13 +16545,14 @@ function collectSinglePlayerPickup(pickupId) {
 
     scene.remove(pickup.mesh);
     pickups.delete(pickupId);
+    RunLog.record('p', pickup.type);
 
     if (pickup.type === 'health') {
         playerState.health = Math.min(playerState.health + 25, CONFIG.player.maxHealth);
         showPickupMessage('Collected health! +25 HP');
     } else if (pickup.type === 'ammo') {
-        weapon.reserveAmmo = Math.min(weapon.reserveAmmo + 15, WEAPONS[weapon.current].reserveMax);
-        showPickupMessage('Collected ammo! +15');
+        weapon.reserveAmmo = Math.min(weapon.reserveAmmo + GameCore.Combat.getPickupEffect('ammo'), WEAPONS[weapon.current].reserveMax);
+        showPickupMessage(`Collected ammo! +${GameCore.Combat.getPickupEffect('ammo')}`);
     } else if (pickup.type === 'grenade') {
         weapon.grenades = Math.min(weapon.grenades + 2, 10);
         showPickupMessage('Collected grenades! +2');
@@ -15133,6 +16578,9 @@ async function singlePlayerGameOver() {
 
     DebugLog.log('Game Over!', 'error');
 
+    // Solo runs only have the local stats dashboard
+    renderTeamScoreboard(null);
+
     // Display score
     const finalScore = document.getElementById('final-score');
     if (finalScore) finalScore.textContent = `Score: ${playerState.score.toLocaleString()}`;
@@ -15171,18 +16619,21 @@ async function singlePlayerGameOver() {
 
         // Display rank result
         if (rankResult) {
-            if (result.added && result.rank > 0) {
+            if (result.added && result.challenge) {
+                rankResult.innerHTML = result.rank <= 10
+                    ? `<span class="new-highscore">CHALLENGE RANK #${result.rank}!</span>`
+                    : `Challenge rank #${result.rank}`;
+            } else if (result.added && result.rank > 0 && result.rank <= 10) {
                 rankResult.innerHTML = `<span class="new-highscore">NEW HIGH SCORE! #${result.rank}</span>`;
-            } else if (cachedLeaderboard.length >= 10) {
-                // Only show 'points away' if score is below minimum required
-                const minScore = cachedLeaderboard[cachedLeaderboard.length - 1].score;
-                if (playerState.score < minScore) {
-                    const diff = minScore - playerState.score;
-                    rankResult.textContent = `${diff.toLocaleString()} points away from Top 10`;
-                } else {
-                    // Score should have qualified - check for submission error
-                    rankResult.textContent = 'Score submission error - try again';
-                }
+            } else if (result.added && result.rank > 0) {
+                // Every score is ranked - show the season rank and distance to the top 10
+                const minScore = cachedLeaderboard.length >= 10 ? cachedLeaderboard[cachedLeaderboard.length - 1].score : 0;
+                const diff = minScore - playerState.score;
+                rankResult.textContent = diff > 0
+                    ? `Season rank #${result.rank} - ${diff.toLocaleString()} points away from Top 10`
+                    : `Season rank #${result.rank}`;
+            } else if (result.error) {
+                rankResult.textContent = 'Score submission error - try again';
             } else {
                 rankResult.textContent = '';
             }
@@ -15368,6 +16819,10 @@ function initEventListeners() {
         if (mode === 'singleplayer') {
             GameState.mode = 'singleplayer';
             startSinglePlayerGame();
+        } else if (mode === 'challenge') {
+            GameState.mode = 'singleplayer';
+            setElementDisplay('challenge-screen', 'none');
+            startSinglePlayerGame(ChallengeMode.getSelected());
         } else if (mode === 'multiplayer') {
             GameState.mode = 'multiplayer';
             setElementDisplay('start-screen', 'none');
@@ -15380,6 +16835,63 @@ function initEventListeners() {
         showNamePopup('singleplayer');
     });
 
+    // Challenge button - pick the daily or weekly challenge
+    document.getElementById('challenge-button')?.addEventListener('click', () => {
+        ChallengeMode.showScreen();
+    });
+
+    document.querySelectorAll('.challenge-tab').forEach(tab => {
+        tab.addEventListener('click', () => ChallengeMode.select(tab.dataset.period));
+    });
+
+    document.getElementById('challenge-play-button')?.addEventListener('click', () => {
+        if (ChallengeMode.getSelected()) showNamePopup('challenge');
+    });
+
+    document.getElementById('challenge-close-button')?.addEventListener('click', () => {
+        ChallengeMode.hideScreen();
+    });
+
+    // Replays button - browse recorded multiplayer matches
+    document.getElementById('replays-button')?.addEventListener('click', () => {
+        ReplayViewer.showScreen();
+    });
+
+    document.getElementById('replays-close-button')?.addEventListener('click', () => {
+        ReplayViewer.hideScreen();
+    });
+
+    // Map editor - build and edit map files from the menu
+    document.getElementById('map-editor-button')?.addEventListener('click', () => {
+        MapEditor.open();
+    });
+
+    document.getElementById('editor-exit-button')?.addEventListener('click', () => {
+        MapEditor.close();
+    });
+
+    // Replay playback controls
+    document.getElementById('replay-play-button')?.addEventListener('click', () => {
+        ReplayViewer.togglePause();
+    });
+
+    const replaySeek = document.getElementById('replay-seek');
+    replaySeek?.addEventListener('input', () => {
+        ReplayViewer.isScrubbing = true;
+    });
+    replaySeek?.addEventListener('change', () => {
+        ReplayViewer.isScrubbing = false;
+        ReplayViewer.seek(parseInt(replaySeek.value, 10) || 0);
+    });
+
+    document.getElementById('replay-speed')?.addEventListener('change', (e) => {
+        ReplayViewer.setSpeed(parseFloat(e.target.value));
+    });
+
+    document.getElementById('replay-exit-button')?.addEventListener('click', () => {
+        quitToMenu();
+    });
+
     // Multiplayer button - go to lobby
     document.getElementById('multiplayer-button')?.addEventListener('click', () => {
         showNamePopup('multiplayer');
@@ -15421,6 +16933,36 @@ function initEventListeners() {
         sendToServer({ type: 'togglePrivate' });
     });
 
+    // Map rotation (private lobby leader)
+    document.getElementById('map-rotation-mode')?.addEventListener('change', (e) => {
+        if (LobbyState.mapRotation) sendMapRotation(e.target.value, LobbyState.mapRotation.maps);
+    });
+
+    document.getElementById('map-rotation-add-button')?.addEventListener('click', () => {
+        const rotation = LobbyState.mapRotation;
+        const mapId = document.getElementById('map-rotation-add').value;
+        if (!rotation || !mapId) return;
+        sendMapRotation(rotation.mode, rotation.mode === 'fixed' ? [mapId] : rotation.maps.concat(mapId));
+    });
+
+    document.getElementById('map-rotation-reset-button')?.addEventListener('click', () => {
+        sendMapRotation(MapFormat.DEFAULT_ROTATION.mode, MapFormat.DEFAULT_ROTATION.maps);
+    });
+
+    document.getElementById('map-rotation-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const rotation = LobbyState.mapRotation;
+        if (!button || !rotation) return;
+        const index = parseInt(button.dataset.index, 10);
+        const maps = rotation.maps.slice();
+        if (button.dataset.action === 'remove') {
+            maps.splice(index, 1);
+        } else if (button.dataset.action === 'up' && index > 0) {
+            [maps[index - 1], maps[index]] = [maps[index], maps[index - 1]];
+        }
+        sendMapRotation(rotation.mode, maps);
+    });
+
     // Join private modal - confirm button
     document.getElementById('join-private-confirm')?.addEventListener('click', () => {
         submitJoinPrivate();
@@ -15491,7 +17033,7 @@ function initEventListeners() {
     document.getElementById('restart-button')?.addEventListener('click', () => {
         if (GameState.mode === 'singleplayer') {
             resetSinglePlayerGame();
-            startSinglePlayerGame();
+            startSinglePlayerGame(GameState.challenge);  // Retry the same challenge
             setElementDisplay('game-over-screen', 'none');
         } else {
             // Multiplayer: return to lobby to ready up again
@@ -15518,6 +17060,16 @@ function initEventListeners() {
         window._settingsFromPause = true;
     });
 
+    // Leaderboard board filters on main menu
+    ['leaderboard-mode-select', 'leaderboard-season-select'].forEach(selectId => {
+        document.getElementById(selectId)?.addEventListener('change', async (e) => {
+            if (selectId === 'leaderboard-mode-select') leaderboardFilter.mode = e.target.value;
+            else leaderboardFilter.season = e.target.value;
+            await fetchLeaderboard();
+            renderLeaderboard('menu-leaderboard-content');
+        });
+    });
+
     // Leaderboard toggle on main menu
     document.getElementById('menu-leaderboard-toggle')?.addEventListener('click', async () => {
         const leaderboard = document.getElementById('menu-leaderboard');
@@ -15668,9 +17220,11 @@ function initEventListeners() {
 }
 
 async function quitToMenu() {
+    ReplayViewer.close();
     GameState.isPaused = false;
     GameState.isRunning = false;
     GameState.isGameOver = false;
+    GameState.challenge = null;
 
     // Clean up spectator mode completely (removes DOM elements too)
     SpectatorMode.cleanup();
@@ -15745,6 +17299,7 @@ async function quitToMenu() {
         socket.close();
         socket = null;
     }
+    resumeToken = null;
 
     // Reset player state
     playerState.health = CONFIG.player.maxHealth;
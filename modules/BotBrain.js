@@ -0,0 +1,368 @@
+// ============================================
+// BOT BRAIN - Headless Player for the Multiplayer Protocol
+// ============================================
+// A bot that plays through the same WebSocket messages as a browser client:
+// readies up in the lobby, follows NavGrid paths toward the nearest zombie from
+// SYNC frames, shoots it, and confirms the upgrade shop between waves.
+// Transport-agnostic - bots.js drives it over real sockets, the server
+// drives it over an in-process socket to fill lobbies.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node.js
+        module.exports = factory(require('./GameCore.js'), require('./Navigation.js'));
+    } else {
+        // Browser global
+        root.BotBrain = factory(root.GameCore, root.Navigation);
+    }
+}(typeof self !== 'undefined' ? self : this, function(GameCore, Navigation) {
+    'use strict';
+
+
+    // Matches BinaryMsgType.SYNC and the type codes in the server's BinaryProtocol
+    const SYNC_MSG_TYPE = 1;
+    const ZOMBIE_TYPE_CODES = ['normal', 'runner', 'crawler', 'tank', 'spitter', 'exploder', 'minion', 'boss'];
+
+    // Weapons bots use - GameCore stats, shooting from a little inside the server's hit range
+    const WEAPONS = GameCore.Constants.WEAPONS;
+    const BOT_WEAPONS = {
+        pistol: { fireRate: WEAPONS.pistol.fireRate, range: WEAPONS.pistol.range * 0.9 },
+        smg: { fireRate: WEAPONS.smg.fireRate, range: WEAPONS.smg.range * 0.9 }
+    };
+
+    const BOT_DEFAULTS = {
+        moveSpeed: 6,            // Units per second (server allows up to 12 plus tolerance)
+        eyeHeight: 1.65,         // Shot origin above feet, matches client CONFIG.player.height
+        engageRange: 18,         // Stop closing in once a zombie is this close
+        retreatRange: 5,         // Back off from zombies closer than this
+        accuracy: 0.75,          // Chance a shot is aimed at the target
+        repathInterval: 1000,    // ms between path recalculations
+        shopDelay: 1500,         // ms spent "browsing" the shop before confirming
+        smgFromWave: 3           // Switch to the SMG from this wave on
+    };
+
+    class BotBrain {
+        constructor(options = {}) {
+            this.options = Object.assign({}, BOT_DEFAULTS, options);
+            this.name = options.name || 'Bot';
+            this.send = options.send || function() {};    // (message object) => void
+            this.random = options.random || Math.random;
+
+            this.playerId = null;
+            this.position = { x: 0, y: 0, z: 0 };
+            this.rotation = { x: 0, y: 0 };
+            this.health = 100;
+            this.isAlive = false;
+            this.isReady = false;
+            this.inGame = false;
+            this.mapId = 'dining_hall';
+            this.wave = 1;
+            this.weapon = 'pistol';
+            this.zombies = new Map();    // zombieId -> { id, type, scale, x, z, health, isAlive }
+            this.zombieIdsByNetId = new Map();  // Numeric SYNC ID -> zombieId (zombie_N or minion_N)
+
+            this.path = null;
+            this.pathIndex = 0;
+            this.lastPathTime = 0;
+            this.lastShotTime = 0;
+            this.lastUpdateTime = 0;
+            this.shopReadyAt = 0;        // When to send shopReady (0 = shop not open)
+
+            this.stats = { shots: 0, hits: 0, kills: 0, deaths: 0, games: 0 };
+        }
+
+        // ==================== INCOMING ====================
+        handleMessage(message) {
+            switch (message.type) {
+                case 'init':
+                    this.playerId = message.playerId;
+                    this.isReady = false;
+                    this.inGame = !!(message.gameState && message.gameState.isRunning);
+                    this.isAlive = !this.inGame;  // Joining mid-game spectates
+                    this.clearZombies();
+                    if (message.player) this.setPosition(message.player.position);
+                    if (message.player && message.player.name !== this.name) {
+                        this.send({ type: 'setName', name: this.name });
+                    }
+                    (message.zombies || []).forEach(zombie => this.addZombie(zombie));
+                    if (!this.inGame) this.setReady();
+                    break;
+
+                case 'lobbyUpdate': {
+                    // Ready again if the server reset us (e.g. after a countdown was cancelled)
+                    const self = (message.players || []).find(p => p.id === this.playerId);
+                    if (self && !self.isReady) {
+                        this.isReady = false;
+                        this.setReady();
+                    }
+                    break;
+                }
+
+                case 'gameStart': {
+                    this.inGame = true;
+                    this.isAlive = true;
+                    this.health = 100;
+                    this.wave = 1;
+                    this.weapon = 'pistol';
+                    this.mapId = 'dining_hall';
+                    this.clearZombies();
+                    this.path = null;
+                    this.shopReadyAt = 0;
+                    const self = (message.players || []).find(p => p.id === this.playerId);
+                    if (self) this.setPosition(self.position);
+                    break;
+                }
+
+                case 'waveStart':
+                    this.wave = message.wave;
+                    if (message.mapId) this.mapId = message.mapId;
+                    if (message.mapChanged) this.path = null;
+                    this.shopReadyAt = 0;
+                    this.chooseWeapon();
+                    break;
+
+                case 'waveComplete':
+                    if (message.showShop && this.isAlive) {
+                        this.shopReadyAt = Date.now() + this.options.shopDelay;
+                    }
+                    break;
+
+                case 'zombieSpawned':
+                    this.addZombie(message.zombie);
+                    break;
+
+                // Interest management: zombies coming into and going out of range
+                case 'zombieEnter':
+                    (message.zombies || []).forEach(zombie => this.addZombie(zombie));
+                    break;
+
+                case 'zombieLeave':
+                    (message.zombieIds || []).forEach(id => this.zombies.delete(id));
+                    break;
+
+                case 'zombieKilled':
+                    this.zombies.delete(message.zombieId);
+                    if (message.killerId === this.playerId) this.stats.kills++;
+                    break;
+
+                case 'playerDamaged':
+                    this.health = message.health;
+                    break;
+
+                case 'playerDied':
+                    if (message.playerId === this.playerId) {
+                        this.isAlive = false;
+                        this.stats.deaths++;
+                    }
+                    break;
+
+                case 'gameOver':
+                    this.inGame = false;
+                    this.isAlive = false;
+                    this.isReady = false;
+                    this.clearZombies();
+                    this.stats.games++;
+                    break;
+            }
+        }
+
+        // Binary SYNC frame (Buffer, ArrayBuffer or DataView)
+        handleBinary(data) {
+            const view = data instanceof DataView ? data
+                : ArrayBuffer.isView(data) ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+                : new DataView(data);
+            if (view.byteLength < 21 || view.getUint8(0) !== SYNC_MSG_TYPE) return;
+
+            const count = view.getUint16(1, true);
+            this.wave = view.getUint16(5, true) || this.wave;
+
+            // 20 bytes per zombie: id(4) type(1) alive(1) x(4) z(4) rotation(4) health(2)
+            let offset = 21;
+            for (let i = 0; i < count && offset + 20 <= view.byteLength; i++) {
+                const netId = view.getUint32(offset, true);
+                const id = this.zombieIdsByNetId.get(netId) || `zombie_${netId}`;
+                const type = ZOMBIE_TYPE_CODES[view.getUint8(offset + 4)] || 'normal';
+                const isAlive = view.getUint8(offset + 5) === 1;
+                const x = view.getFloat32(offset + 6, true);
+                const z = view.getFloat32(offset + 10, true);
+                const health = view.getUint16(offset + 18, true);
+                offset += 20;
+
+                let zombie = this.zombies.get(id);
+                if (!zombie) {
+                    if (!isAlive) continue;
+                    zombie = this.addZombie({ id, type, position: { x, z } });
+                }
+                zombie.x = x;
+                zombie.z = z;
+                zombie.health = health;
+                zombie.isAlive = isAlive;
+            }
+        }
+
+        addZombie(data) {
+            if (!data || !data.id || !data.position) return null;
+            const zombie = {
+                id: data.id,
+                type: data.type || 'normal',
+                scale: data.scale,
+                x: data.position.x,
+                z: data.position.z,
+                health: data.health || 0,
+                isAlive: true
+            };
+            this.zombies.set(zombie.id, zombie);
+            if (data.netId !== undefined) this.zombieIdsByNetId.set(data.netId, zombie.id);
+            return zombie;
+        }
+
+        clearZombies() {
+            this.zombies.clear();
+            this.zombieIdsByNetId.clear();
+        }
+
+        // ==================== OUTGOING ====================
+        setReady() {
+            if (this.isReady) return;
+            this.isReady = true;
+            this.send({ type: 'ready', isReady: true });
+        }
+
+        setPosition(position) {
+            if (!position) return;
+            this.position = { x: position.x, y: 0, z: position.z };
+        }
+
+        chooseWeapon() {
+            const weapon = this.wave >= this.options.smgFromWave ? 'smg' : 'pistol';
+            if (weapon !== this.weapon) {
+                this.weapon = weapon;
+                this.send({ type: 'weaponSwitch', weapon });
+            }
+        }
+
+        // ==================== THINKING ====================
+        // Advance movement and shooting, call regularly (bots.js every 50ms, the server every 100ms)
+        update(now = Date.now()) {
+            const dt = this.lastUpdateTime ? Math.min(0.25, (now - this.lastUpdateTime) / 1000) : 0;
+            this.lastUpdateTime = now;
+            if (!this.inGame || !this.isAlive) return;
+
+            if (this.shopReadyAt && now >= this.shopReadyAt) {
+                this.shopReadyAt = 0;
+                this.send({ type: 'shopReady' });
+            }
+
+            const target = this.findTarget();
+            if (target) {
+                const dx = target.x - this.position.x;
+                const dz = target.z - this.position.z;
+                const dist = Math.sqrt(dx * dx + dz * dz);
+                this.rotation.y = Math.atan2(-dx, -dz);
+
+                if (dist > this.options.engageRange) {
+                    this.moveToward(target.x, target.z, dt, now);
+                } else if (dist < this.options.retreatRange && dist > 0.01) {
+                    this.moveToward(this.position.x - dx / dist * 4, this.position.z - dz / dist * 4, dt, now);
+                }
+
+                this.tryShoot(target, dist, now);
+            } else {
+                // Nothing to shoot - drift back toward the middle of the arena
+                this.moveToward(0, 0, dt, now);
+            }
+
+            this.send({
+                type: 'update',
+                position: { x: this.position.x, y: this.position.y, z: this.position.z },
+                rotation: { x: this.rotation.x, y: this.rotation.y }
+            });
+        }
+
+        findTarget() {
+            let nearest = null;
+            let nearestDistSq = Infinity;
+            this.zombies.forEach(zombie => {
+                if (!zombie.isAlive) return;
+                const dx = zombie.x - this.position.x;
+                const dz = zombie.z - this.position.z;
+                const distSq = dx * dx + dz * dz;
+                if (distSq < nearestDistSq) {
+                    nearestDistSq = distSq;
+                    nearest = zombie;
+                }
+            });
+            return nearest;
+        }
+
+        // Follow an A* path toward (goalX, goalZ), recomputed every repathInterval
+        moveToward(goalX, goalZ, dt, now) {
+            if (dt <= 0) return;
+            if (!this.path || now - this.lastPathTime > this.options.repathInterval) {
+                const navigation = Navigation.forMap(this.mapId);
+                this.path = navigation
+                    ? navigation.pathfinder.findPath(this.position.x, this.position.z, goalX, goalZ)
+                    : null;
+                this.pathIndex = 1;
+                this.lastPathTime = now;
+            }
+
+            // No path (blocked or same cell) - walk straight at it
+            const waypoint = this.path && this.pathIndex < this.path.length
+                ? this.path[this.pathIndex]
+                : { x: goalX, z: goalZ };
+
+            const dx = waypoint.x - this.position.x;
+            const dz = waypoint.z - this.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const step = this.options.moveSpeed * dt;
+            if (dist <= step) {
+                this.position.x = waypoint.x;
+                this.position.z = waypoint.z;
+                if (this.path) this.pathIndex++;
+            } else {
+                this.position.x += dx / dist * step;
+                this.position.z += dz / dist * step;
+            }
+        }
+
+        tryShoot(target, dist, now) {
+            const weapon = BOT_WEAPONS[this.weapon] || BOT_WEAPONS.pistol;
+            if (dist > weapon.range || now - this.lastShotTime < weapon.fireRate) return;
+            const navigation = Navigation.forMap(this.mapId);
+            if (navigation && !navigation.pathfinder.hasLineOfSight(this.position.x, this.position.z, target.x, target.z)) return;
+
+            this.lastShotTime = now;
+            this.stats.shots++;
+
+            const origin = { x: this.position.x, y: this.position.y + this.options.eyeHeight, z: this.position.z };
+            const aimY = GameCore.Combat.getHitbox(target.type, target.scale).height * 0.5;
+            const onTarget = this.random() < this.options.accuracy;
+            // Misses are thrown a little wide and don't claim a hit
+            const spread = onTarget ? 0 : 1.5 + this.random() * 2;
+            const dir = {
+                x: target.x + (this.random() - 0.5) * spread - origin.x,
+                y: aimY - origin.y,
+                z: target.z + (this.random() - 0.5) * spread - origin.z
+            };
+            const len = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z) || 1;
+
+            const message = {
+                type: 'shoot',
+                origin,
+                direction: { x: dir.x / len, y: dir.y / len, z: dir.z / len }
+            };
+            if (onTarget) {
+                message.hitZombieId = target.id;
+                message.isHeadshot = false;
+                this.stats.hits++;
+            }
+            this.send(message);
+        }
+    }
+
+    BotBrain.DEFAULTS = BOT_DEFAULTS;
+    BotBrain.WEAPONS = BOT_WEAPONS;
+
+    return BotBrain;
+}));
@@ -95,13 +95,11 @@
         // Boss configuration
         BOSS: {
             WAVE_INTERVAL: 10,  // Boss every N waves
-            NAMES: [
-                'THE ABOMINATION',
-                'NIGHTMARE KING',
-                'DEATH BRINGER',
-                'ETERNAL HORROR',
-                'APOCALYPSE LORD'
-            ],
+            SPAWN_DELAY: 1500,  // Boss appears this long after its wave starts (single player)
+            // Single player also trickles in minions next to the boss's own summon attacks
+            MINION_SPAWN: { interval: 3000, maxAlive: 5 },
+            // Boss level N (wave 10 = level 1) fights ROSTER[(N - 1) % length]
+            ROSTER: ['abomination', 'bileQueen', 'phantom'],
             // Base boss stats (level 1 = wave 10)
             BASE: {
                 health: 1500,
@@ -115,16 +113,118 @@
                 points: 2000,
                 pointsPerLevel: 500
             },
-            // Boss attack definitions
-            ATTACKS: {
-                groundSlam: { cooldown: 8000, damage: 40, radius: 6 },
-                charge: { cooldown: 12000, damage: 60, speed: 12, duration: 1500 },
-                summon: { cooldown: 15000, baseCount: 2 }
-            },
-            // Health percentage thresholds for phases
-            PHASE_THRESHOLDS: [0.66, 0.33],
-            // Cooldown multipliers by phase (faster attacks at low health)
-            COOLDOWN_MULTIPLIERS: { 1: 1, 2: 0.8, 3: 0.6 }
+            // Boss scripts, run by GameCore.BossAI. Each boss has:
+            //   stats        - multipliers on BASE health/speed/damage
+            //   keepDistance - stops walking this close to its target
+            //   colors       - body/skin/eyes override for the boss model
+            //   phases       - entered when health drops to `health` (fraction); `cooldown` and
+            //                  `speed` scale attack cooldowns and walk speed, `attacks` is the
+            //                  list tried in order each tick
+            //   attacks      - { type, range: [min, max], cooldown (ms), telegraph (ms), ... }
+            // Attack types:
+            //   area       - damage inside `area` when the telegraph ends. Shapes: circle { radius },
+            //                ring { inner, outer }, cone { radius, angle (deg) }, line { length, width };
+            //                at: 'self' (default) or 'target'. Optional hazard left behind.
+            //   dash       - run along the telegraphed line at `speed` for `duration` ms, hitting
+            //                the first player within `hitRadius`
+            //   projectile - `count` globs `spread` degrees apart, landing where the target stood;
+            //                `impactRadius` damage on landing, then an optional hazard
+            //   spawn      - zombies of `spawn.zombie`, count + countPerLevel * level, `distance` away
+            //   teleport   - blink to `distance` [min, max] from the target, then start `then`
+            // Hazards are ground pools: { radius, damage, interval (ms), duration (ms) }
+            DEFINITIONS: {
+                abomination: {
+                    name: 'THE ABOMINATION',
+                    stats: { health: 1, speed: 1, damage: 1 },
+                    keepDistance: 3,
+                    colors: null,
+                    phases: [
+                        { health: 1, cooldown: 1, speed: 1, attacks: ['groundSlam', 'charge'] },
+                        { health: 0.66, cooldown: 0.8, speed: 0.85, attacks: ['groundSlam', 'charge', 'summon'] },
+                        { health: 0.33, cooldown: 0.6, speed: 0.7, attacks: ['groundSlam', 'charge', 'summon'] }
+                    ],
+                    attacks: {
+                        groundSlam: {
+                            type: 'area', range: [0, 8], cooldown: 8000, telegraph: 800,
+                            area: { shape: 'circle', radius: 6 }, damage: 40, knockback: 10
+                        },
+                        charge: {
+                            type: 'dash', range: [10, 25], cooldown: 12000, telegraph: 500,
+                            duration: 1500, speed: 12, hitRadius: 2.5, damage: 60, knockback: 15
+                        },
+                        summon: {
+                            type: 'spawn', range: [0, 100], cooldown: 15000, telegraph: 0,
+                            spawn: { zombie: 'minion', count: 2, countPerLevel: 1, distance: [3, 5] }
+                        }
+                    }
+                },
+                // Ranged acid boss - keeps its distance, lobs globs that leave pools
+                bileQueen: {
+                    name: 'THE BILE QUEEN',
+                    stats: { health: 0.85, speed: 0.8, damage: 0.8 },
+                    keepDistance: 12,
+                    colors: { body: 0x2a4a1a, skin: 0x5a8a3a, eyes: 0x88ff00 },
+                    phases: [
+                        { health: 1, cooldown: 1, speed: 1, attacks: ['acidSpray', 'acidVolley'] },
+                        { health: 0.66, cooldown: 0.8, speed: 1, attacks: ['acidSpray', 'acidVolley', 'brood'] },
+                        { health: 0.33, cooldown: 0.6, speed: 1.2, attacks: ['acidSpray', 'acidRain', 'acidVolley', 'brood'] }
+                    ],
+                    attacks: {
+                        acidSpray: {
+                            type: 'area', range: [0, 7], cooldown: 6000, telegraph: 700,
+                            area: { shape: 'cone', radius: 8, angle: 60 }, damage: 30
+                        },
+                        acidVolley: {
+                            type: 'projectile', range: [6, 30], cooldown: 3500, telegraph: 600,
+                            count: 3, spread: 15, speed: 14, impactRadius: 1.5, damage: 20,
+                            hazard: { radius: 1.5, damage: 6, interval: 500, duration: 5000 }
+                        },
+                        acidRain: {
+                            type: 'area', range: [0, 30], cooldown: 10000, telegraph: 1200,
+                            area: { shape: 'circle', radius: 4, at: 'target' }, damage: 35,
+                            hazard: { radius: 4, damage: 8, interval: 500, duration: 6000 }
+                        },
+                        brood: {
+                            type: 'spawn', range: [0, 100], cooldown: 18000, telegraph: 500,
+                            spawn: { zombie: 'spitter', count: 1, countPerLevel: 0.5, distance: [2, 4] }
+                        }
+                    }
+                },
+                // Teleporting boss - blinks next to players and punishes standing still or kiting
+                phantom: {
+                    name: 'THE PHANTOM',
+                    stats: { health: 0.8, speed: 1.1, damage: 1 },
+                    keepDistance: 3,
+                    colors: { body: 0x1a1a3a, skin: 0x4a4a7a, eyes: 0x00ffff },
+                    phases: [
+                        { health: 1, cooldown: 1, speed: 1, attacks: ['shadowSlash', 'blink'] },
+                        { health: 0.66, cooldown: 0.8, speed: 1, attacks: ['shadowSlash', 'blinkStrike', 'blink'] },
+                        { health: 0.33, cooldown: 0.5, speed: 1.2, attacks: ['shockRing', 'shadowSlash', 'blinkStrike', 'blink'] }
+                    ],
+                    attacks: {
+                        shadowSlash: {
+                            type: 'area', range: [0, 9], cooldown: 4000, telegraph: 600,
+                            area: { shape: 'line', length: 10, width: 2 }, damage: 35
+                        },
+                        blink: {
+                            type: 'teleport', range: [10, 100], cooldown: 7000, telegraph: 700,
+                            distance: [6, 8], then: 'shadowSlash'
+                        },
+                        blinkStrike: {
+                            type: 'teleport', range: [4, 100], cooldown: 9000, telegraph: 600,
+                            distance: [2, 3], then: 'voidBurst'
+                        },
+                        voidBurst: {
+                            type: 'area', range: [0, 0], cooldown: 0, telegraph: 500,
+                            area: { shape: 'circle', radius: 4 }, damage: 45, knockback: 8
+                        },
+                        shockRing: {
+                            type: 'area', range: [3, 10], cooldown: 8000, telegraph: 900,
+                            area: { shape: 'ring', inner: 4, outer: 10 }, damage: 30
+                        }
+                    }
+                }
+            }
         },
 
         // Exploder death explosion
@@ -133,6 +233,13 @@
             EXPLOSION_DAMAGE: 40
         },
 
+        // Zombie hitbox (upright cylinder at scale 1.0, multiplied by zombie scale)
+        HITBOX: {
+            radius: 0.5,        // Horizontal radius
+            height: 2.1,        // Top of head
+            headHeight: 1.5     // Hits above this count as headshots
+        },
+
         // Pickup drop configuration
         DROP_RATES: {
             normal: 0.3,        // 30% drop chance
@@ -151,20 +258,284 @@
         PICKUP_EFFECTS: {
             health: 25,         // HP restored
             ammoMultiplier: 1,  // Full mag restore
+            ammo: 15,           // Reserve rounds given for the current gun
             grenadeCount: 2     // Grenades given
         },
 
+        // Co-op downed state - a player at 0 HP crawls with the pistol until revived or bled out
+        DOWNED: {
+            BLEED_OUT_TIME: 30000,      // ms from going down to death
+            BLEED_PER_DAMAGE: 200,      // ms of bleed-out lost per point of damage taken while down
+            REVIVE_TIME: 3000,          // ms a teammate holds interact to revive
+            REVIVE_RANGE: 2.5,          // max reviver distance
+            REVIVE_HEALTH: 30,          // HP after being revived
+            CRAWL_SPEED_MULT: 0.3,      // movement speed while down
+            WEAPON: 'pistol',           // the only weapon usable while down
+            TARGET_PENALTY: 10          // zombies treat downed players as this much farther away
+        },
+
         // Wave completion bonuses
         WAVE_BONUS: {
             normal: { base: 500, perWave: 100 },
             boss: { base: 2000, perWave: 200 }
         },
 
+        // Zombie type spawn chances (%) by wave bracket; remainder spawns as 'normal'.
+        // Checked in order, so earlier types win ties on the roll.
+        SPAWN_TABLE: [
+            { maxWave: 2,        chances: {} },
+            { maxWave: 4,        chances: { runner: 20 } },
+            { maxWave: 6,        chances: { runner: 15, crawler: 15 } },
+            { maxWave: 8,        chances: { runner: 15, crawler: 12, tank: 10 } },
+            { maxWave: Infinity, chances: { runner: 12, crawler: 10, tank: 10, spitter: 8, exploder: 8 } }
+        ],
+
+        // Weapon stats - client firing, server damage and hit validation all read these
+        WEAPONS: {
+            pistol: {
+                name: 'Pistol',
+                damage: 20,
+                fireRate: 250,      // ms between shots
+                magSize: 12,
+                reserveMax: 60,
+                reloadTime: 1200,
+                spread: 0.02,       // accuracy (lower = better)
+                pellets: 1,         // bullets per shot
+                automatic: false,   // semi-auto
+                recoil: 0.03,
+                sound: 'pistol',
+                headshotMultiplier: 2,
+                range: 50           // Max hit distance, checked server-side with CONFIG.hitValidation.rangeTolerance
+            },
+            smg: {
+                name: 'SMG',
+                damage: 15,
+                fireRate: 80,
+                magSize: 30,
+                reserveMax: 120,
+                reloadTime: 1800,
+                spread: 0.05,
+                pellets: 1,
+                automatic: true,
+                recoil: 0.04,
+                sound: 'smg',
+                headshotMultiplier: 2,
+                range: 40
+            },
+            shotgun: {
+                name: 'Shotgun',
+                damage: 12,         // per pellet
+                fireRate: 800,
+                magSize: 8,
+                reserveMax: 32,
+                reloadTime: 2500,
+                spread: 0.15,
+                pellets: 8,         // 8 pellets per shot
+                automatic: false,
+                recoil: 0.12,
+                sound: 'shotgun',
+                headshotMultiplier: 1.5,
+                range: 20
+            },
+            rocketLauncher: {
+                name: 'Rocket Launcher',
+                damage: 250,        // Direct hit damage (increased)
+                splashDamage: 150,  // Splash damage (increased)
+                splashRadius: 5,    // Splash radius in units (unchanged)
+                fireRate: 1500,     // Slow fire rate
+                magSize: 1,         // Single rocket
+                reserveMax: 8,
+                reloadTime: 2000,
+                spread: 0,
+                pellets: 1,
+                automatic: false,
+                recoil: 0.25,
+                sound: 'rocket',
+                projectile: true,   // Fires projectile instead of hitscan
+                headshotMultiplier: 1,
+                range: 60
+            },
+            laserGun: {
+                name: 'Laser Gun',
+                damage: 25,         // Damage per tick (increased from 8)
+                fireRate: 50,       // Rapid fire beam
+                magSize: 100,       // Energy units
+                reserveMax: 200,
+                reloadTime: 2500,
+                spread: 0,
+                pellets: 1,
+                automatic: true,
+                recoil: 0.01,
+                sound: 'laser',
+                isBeam: true,       // Continuous beam weapon
+                headshotMultiplier: 1.5,
+                range: 50
+            }
+        },
+
+        // Weapon upgrade shop (costs grow 50% per level already bought)
+        UPGRADES: {
+            MAX_LEVEL: 5,
+            COST_GROWTH: 0.5,
+            COSTS: {
+                pistol: { damage: 100, fireRate: 100, magSize: 150, reloadTime: 100 },
+                smg: { damage: 150, fireRate: 150, magSize: 200, reloadTime: 150 },
+                shotgun: { damage: 200, pellets: 250, magSize: 200, reloadTime: 150 },
+                rocketLauncher: { damage: 300, splashRadius: 350, magSize: 400, reloadTime: 250 },
+                laserGun: { damage: 250, fireRate: 250, magSize: 300, reloadTime: 200 }
+            },
+            // Stat multiplier per level (index = level)
+            MULTIPLIERS: {
+                damage: [1, 1.2, 1.4, 1.6, 1.85, 2.1],      // +20%, +40%, +60%, +85%, +110%
+                fireRate: [1, 0.9, 0.8, 0.72, 0.65, 0.58],   // Faster (lower is better)
+                magSize: [1, 1.25, 1.5, 1.75, 2, 2.5],       // +25%, +50%, +75%, +100%, +150%
+                reloadTime: [1, 0.9, 0.8, 0.7, 0.6, 0.5],    // Faster reload
+                pellets: [1, 1.25, 1.5, 1.75, 2, 2.5],       // More pellets
+                splashRadius: [1, 1.15, 1.3, 1.45, 1.6, 1.8] // Bigger explosions
+            }
+        },
+
         // Spawn timing
         SPAWN: {
             baseInterval: 2000,     // Base spawn interval (ms)
             minInterval: 800,       // Minimum spawn interval
             intervalReduction: 100  // Reduction per wave
+        },
+
+        // Daily/weekly challenges (see GameCore.Challenge)
+        CHALLENGE: {
+            DURATION: { daily: 86400000, weekly: 604800000 },   // ms
+            MODIFIER_COUNT: { daily: 1, weekly: 2 },
+            STARTING_WEAPONS: ['pistol', 'smg', 'shotgun', 'rocketLauncher', 'laserGun'],
+            MODIFIERS: {
+                runnersOnly: { name: 'Runners Only', description: 'Every zombie is a runner' },
+                noPickups: { name: 'No Pickups', description: 'Zombies never drop pickups' },
+                doubleBossFrequency: { name: 'Double Boss Frequency', description: 'A boss every 5 waves' }
+            }
+        }
+    };
+
+    // ==================== SEEDED RANDOM ====================
+    // Deterministic PRNG so runs can be reproduced (replays, verification, challenges)
+
+    GameCore.Random = {
+        // Create a seeded generator (mulberry32) - same seed gives the same sequence
+        create: function(seed) {
+            let state = seed >>> 0;
+            return {
+                seed: seed >>> 0,
+                // Float in [0, 1), drop-in replacement for Math.random()
+                next: function() {
+                    state = (state + 0x6D2B79F5) >>> 0;
+                    let t = state;
+                    t = Math.imul(t ^ (t >>> 15), t | 1);
+                    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+                },
+                // Float in [min, max)
+                range: function(min, max) {
+                    return min + this.next() * (max - min);
+                },
+                // Integer in [0, max)
+                int: function(max) {
+                    return Math.floor(this.next() * max);
+                }
+            };
+        },
+
+        // Independent streams for one room/run. Spawns and drops get their own streams so
+        // their sequences only depend on spawn/kill order, not on unrelated random calls.
+        createStreams: function(seed) {
+            seed = seed >>> 0;
+            return {
+                seed: seed,
+                spawn: this.create(seed),
+                drops: this.create(seed ^ Math.imul(1, 0x9E3779B9)),
+                misc: this.create(seed ^ Math.imul(2, 0x9E3779B9))   // Positions, offsets, cosmetic variance
+            };
+        },
+
+        // Fresh random seed (uint32)
+        newSeed: function() {
+            return Math.floor(Math.random() * 4294967296) >>> 0;
+        }
+    };
+
+    // ==================== CHALLENGES ====================
+    // Daily/weekly challenges. Seed, starting weapon and modifiers are all derived
+    // from the challenge id, so every client and the server agree without storage.
+    // Wave/combat functions take the modifier list as an optional last argument.
+
+    GameCore.Challenge = {
+        // Challenge id for the UTC period containing a date, e.g. "daily-2026-10-19", "weekly-2026-W43"
+        getId: function(period, date) {
+            const d = new Date(date === undefined ? Date.now() : date);
+            if (period === 'daily') return 'daily-' + d.toISOString().slice(0, 10);
+            // ISO week - the week's Thursday decides which year it belongs to
+            const day = (d.getUTCDay() + 6) % 7;
+            const thursday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 3);
+            const year = new Date(thursday).getUTCFullYear();
+            const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / 604800000) + 1;
+            return 'weekly-' + year + '-W' + (week < 10 ? '0' : '') + week;
+        },
+
+        // Full challenge definition from its id (null if malformed)
+        fromId: function(id) {
+            const C = GameCore.Constants.CHALLENGE;
+            let period, startsAt;
+            let match = /^daily-(\d{4}-\d{2}-\d{2})$/.exec(id);
+            if (match) {
+                period = 'daily';
+                startsAt = Date.parse(match[1] + 'T00:00:00Z');
+            } else {
+                match = /^weekly-(\d{4})-W(\d{2})$/.exec(id);
+                if (!match) return null;
+                period = 'weekly';
+                // Week 1 is the week containing January 4th
+                const jan4 = Date.UTC(parseInt(match[1], 10), 0, 4);
+                const week1 = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * 86400000;
+                startsAt = week1 + (parseInt(match[2], 10) - 1) * C.DURATION.weekly;
+            }
+            // Round-trip rejects impossible dates and weeks
+            if (!Number.isFinite(startsAt) || this.getId(period, startsAt) !== id) return null;
+
+            const seed = this.hash(id);
+            const rng = GameCore.Random.create(seed ^ 0x5BD1E995);  // Kept apart from the run's own streams
+            const pool = Object.keys(C.MODIFIERS);
+            const modifiers = [];
+            for (let i = 0; i < C.MODIFIER_COUNT[period] && pool.length > 0; i++) {
+                modifiers.push(pool.splice(rng.int(pool.length), 1)[0]);
+            }
+
+            return {
+                id: id,
+                period: period,
+                seed: seed,
+                weapon: C.STARTING_WEAPONS[rng.int(C.STARTING_WEAPONS.length)],
+                modifiers: modifiers,
+                startsAt: startsAt,
+                endsAt: startsAt + C.DURATION[period]
+            };
+        },
+
+        // Challenge running at a date (default now)
+        current: function(period, date) {
+            return this.fromId(this.getId(period, date));
+        },
+
+        // Check a modifier list (undefined/null = no modifiers)
+        has: function(modifiers, modifier) {
+            return !!modifiers && modifiers.indexOf(modifier) !== -1;
+        },
+
+        // FNV-1a string hash (uint32)
+        hash: function(str) {
+            let h = 0x811C9DC5;
+            for (let i = 0; i < str.length; i++) {
+                h ^= str.charCodeAt(i);
+                h = Math.imul(h, 0x01000193);
+            }
+            return h >>> 0;
         }
     };
 
@@ -172,15 +543,26 @@
     // Wave progression, zombie selection, and scaling
 
     GameCore.WaveSystem = {
+        // Waves between bosses (halved by the doubleBossFrequency challenge modifier)
+        getBossInterval: function(modifiers) {
+            const interval = GameCore.Constants.BOSS.WAVE_INTERVAL;
+            return GameCore.Challenge.has(modifiers, 'doubleBossFrequency') ? interval / 2 : interval;
+        },
+
         // Check if wave is a boss wave (every 10 waves)
-        isBossWave: function(wave) {
-            return wave > 0 && wave % GameCore.Constants.BOSS.WAVE_INTERVAL === 0;
+        isBossWave: function(wave, modifiers) {
+            return wave > 0 && wave % this.getBossInterval(modifiers) === 0;
+        },
+
+        // Boss level for a wave (1 = first boss)
+        getBossLevel: function(wave, modifiers) {
+            return Math.floor(wave / this.getBossInterval(modifiers));
         },
 
         // Get number of zombies for a wave
-        getZombieCount: function(wave, baseCount) {
+        getZombieCount: function(wave, baseCount, modifiers) {
             baseCount = baseCount || 5;
-            if (this.isBossWave(wave)) return 1; // Boss wave = just the boss
+            if (this.isBossWave(wave, modifiers)) return 1; // Boss wave = just the boss
             return Math.floor(baseCount + (wave - 1) * 2 + Math.pow(wave, 1.3));
         },
 
@@ -190,39 +572,33 @@
             return Math.max(C.minInterval, C.baseInterval - wave * C.intervalReduction);
         },
 
-        // Select zombie type based on wave with weighted probabilities
-        getZombieType: function(wave) {
-            const roll = Math.random() * 100;
-
-            if (wave <= 2) return 'normal';
-
-            if (wave <= 4) {
-                if (roll < 20) return 'runner';
-                return 'normal';
-            }
-
-            if (wave <= 6) {
-                if (roll < 15) return 'runner';
-                if (roll < 30) return 'crawler';
-                return 'normal';
+        // Get the spawn table bracket for a wave
+        getSpawnChances: function(wave, modifiers) {
+            if (GameCore.Challenge.has(modifiers, 'runnersOnly')) return { runner: 100 };
+            const table = GameCore.Constants.SPAWN_TABLE;
+            for (let i = 0; i < table.length; i++) {
+                if (wave <= table[i].maxWave) return table[i].chances;
             }
+            return table[table.length - 1].chances;
+        },
 
-            if (wave <= 8) {
-                if (roll < 15) return 'runner';
-                if (roll < 27) return 'crawler';
-                if (roll < 37) return 'tank';
-                return 'normal';
+        // Select zombie type based on wave with weighted probabilities
+        getZombieType: function(wave, rng, modifiers) {
+            const roll = rng.next() * 100;
+            const chances = this.getSpawnChances(wave, modifiers);
+            let cumulative = 0;
+            for (const type in chances) {
+                cumulative += chances[type];
+                if (roll < cumulative) return type;
             }
-
-            // Wave 9+
-            if (roll < 12) return 'runner';
-            if (roll < 22) return 'crawler';
-            if (roll < 32) return 'tank';
-            if (roll < 40) return 'spitter';
-            if (roll < 48) return 'exploder';
             return 'normal';
         },
 
+        // Zombie types that can spawn in a regular wave
+        getPossibleZombieTypes: function(wave, modifiers) {
+            return Object.keys(this.getSpawnChances(wave, modifiers)).concat('normal');
+        },
+
         // Get base properties for a zombie type
         getTypeProps: function(type) {
             const props = GameCore.Constants.ZOMBIE_TYPES[type];
@@ -238,14 +614,15 @@
         },
 
         // Scale zombie stats by wave number
-        scaleByWave: function(props, wave, randomizeSpeed) {
+        // rng is required when randomizeSpeed is true
+        scaleByWave: function(props, wave, randomizeSpeed, rng) {
             if (randomizeSpeed === undefined) randomizeSpeed = true;
             const S = GameCore.Constants.WAVE_SCALING;
 
             const healthMult = 1 + (wave - 1) * S.health;
             const damageMult = 1 + (wave - 1) * S.damage;
             const speedMult = 1 + (wave - 1) * S.speed;
-            const speedVariance = randomizeSpeed ? (0.9 + Math.random() * 0.2) : 1;
+            const speedVariance = randomizeSpeed ? rng.range(0.9, 1.1) : 1;
 
             return {
                 health: Math.floor(props.health * healthMult),
@@ -257,38 +634,37 @@
             };
         },
 
-        // Get boss properties for a given wave
-        getBossProps: function(wave) {
-            const bossLevel = Math.floor(wave / GameCore.Constants.BOSS.WAVE_INTERVAL);
+        // Get boss properties for a given wave (the boss archetype comes from the level)
+        getBossProps: function(wave, modifiers) {
+            const bossLevel = this.getBossLevel(wave, modifiers);
             const B = GameCore.Constants.BOSS.BASE;
-            const A = GameCore.Constants.BOSS.ATTACKS;
-            const names = GameCore.Constants.BOSS.NAMES;
+            const bossId = GameCore.BossAI.getBossId(bossLevel);
+            const stats = GameCore.BossAI.getDefinition(bossId).stats;
+            const health = Math.floor((B.health + bossLevel * B.healthPerLevel) * stats.health);
 
             return {
-                health: B.health + bossLevel * B.healthPerLevel,
-                maxHealth: B.health + bossLevel * B.healthPerLevel,
-                speed: B.speed + bossLevel * B.speedPerLevel,
-                damage: B.damage + bossLevel * B.damagePerLevel,
+                bossId: bossId,
+                level: bossLevel,
+                health: health,
+                maxHealth: health,
+                speed: (B.speed + bossLevel * B.speedPerLevel) * stats.speed,
+                damage: Math.floor((B.damage + bossLevel * B.damagePerLevel) * stats.damage),
                 scale: B.scale + bossLevel * B.scalePerLevel,
                 points: B.points + bossLevel * B.pointsPerLevel,
-                name: names[Math.min(bossLevel - 1, names.length - 1)] || ('BOSS LV.' + bossLevel),
-                attacks: {
-                    groundSlam: { cooldown: A.groundSlam.cooldown, damage: A.groundSlam.damage, radius: A.groundSlam.radius },
-                    charge: { cooldown: A.charge.cooldown, damage: A.charge.damage, speed: A.charge.speed },
-                    summon: { cooldown: A.summon.cooldown, count: A.summon.baseCount + bossLevel }
-                }
+                name: this.getBossName(bossLevel)
             };
         },
 
-        // Get boss name for a level
+        // Get boss name for a level - repeat visits through the roster show the level
         getBossName: function(level) {
-            const names = GameCore.Constants.BOSS.NAMES;
-            return names[Math.min(level - 1, names.length - 1)] || ('BOSS LV.' + level);
+            const roster = GameCore.Constants.BOSS.ROSTER;
+            const name = GameCore.BossAI.getDefinition(GameCore.BossAI.getBossId(level)).name;
+            return level > roster.length ? name + ' LV.' + level : name;
         },
 
         // Calculate wave completion bonus
-        getWaveBonus: function(wave) {
-            const isBoss = this.isBossWave(wave);
+        getWaveBonus: function(wave, modifiers) {
+            const isBoss = this.isBossWave(wave, modifiers);
             const bonus = isBoss ? GameCore.Constants.WAVE_BONUS.boss : GameCore.Constants.WAVE_BONUS.normal;
             return bonus.base + wave * bonus.perWave;
         },
@@ -429,81 +805,261 @@
     };
 
     // ==================== BOSS AI ====================
-    // Boss attack patterns and phase management
+    // Runs any boss script from Constants.BOSS.DEFINITIONS. update() only decides what
+    // happens and returns actions; the server (multiplayer) and game.js (single player)
+    // apply damage and effects themselves, so both run the same script.
+    //
+    // Actions: telegraph { name, origin, direction, destination } - attack wind-up started
+    //          strike { name, origin, direction } - area attack lands
+    //          dash { name, direction } - dash starts (boss moves until endAttack or duration)
+    //          projectile { name, from, targets: [{x, z}] } - globs launched
+    //          spawn { name, zombie, positions } - summon
+    //          teleport { name, from, to } - boss moved
+    //          phase { phase } - entered a new phase
 
     GameCore.BossAI = {
+        getDefinition: function(bossId) {
+            const defs = GameCore.Constants.BOSS.DEFINITIONS;
+            return defs[bossId] || defs[GameCore.Constants.BOSS.ROSTER[0]];
+        },
+
+        // Boss archetype for a boss level (level 1 = first boss wave)
+        getBossId: function(level) {
+            const roster = GameCore.Constants.BOSS.ROSTER;
+            return roster[(Math.max(1, level) - 1) % roster.length];
+        },
+
         // Initialize boss attack state
-        createAttackState: function(attacks) {
-            const A = GameCore.Constants.BOSS.ATTACKS;
+        createAttackState: function(bossId, level) {
             return {
+                bossId: bossId,
+                level: level || 1,
                 phase: 1,
-                lastGroundSlam: 0,
-                lastCharge: 0,
-                lastSummon: 0,
-                isCharging: false,
-                isDoingGroundSlam: false,
-                chargeDirection: null,
-                chargeStartTime: 0,
-                attacks: attacks || {
-                    groundSlam: { ...A.groundSlam },
-                    charge: { ...A.charge },
-                    summon: { cooldown: A.summon.cooldown, count: A.summon.baseCount }
-                }
+                lastUsed: {},       // attack name -> time it last started
+                current: null       // { name, stage: 'telegraph' | 'active', executeAt, endsAt, origin, direction, destination }
             };
         },
 
-        // Update boss phase based on health percentage
-        updatePhase: function(healthPercent) {
-            const thresholds = GameCore.Constants.BOSS.PHASE_THRESHOLDS;
-            if (healthPercent <= thresholds[1]) return 3;
-            if (healthPercent <= thresholds[0]) return 2;
-            return 1;
+        // 1-based phase for a health fraction
+        getPhase: function(def, healthPercent) {
+            let phase = 1;
+            for (let i = 0; i < def.phases.length; i++) {
+                if (healthPercent <= def.phases[i].health) phase = i + 1;
+            }
+            return phase;
         },
 
-        // Get cooldown multiplier for current phase
-        getCooldownMultiplier: function(phase) {
-            return GameCore.Constants.BOSS.COOLDOWN_MULTIPLIERS[phase] || 1;
+        getPhaseConfig: function(state) {
+            const def = this.getDefinition(state.bossId);
+            return def.phases[state.phase - 1] || def.phases[0];
         },
 
-        // Check if ground slam should trigger
-        shouldGroundSlam: function(distance, lastSlam, now, attacks, phase) {
-            if (distance >= 8) return false;
-            const mult = this.getCooldownMultiplier(phase);
-            return now - lastSlam > attacks.groundSlam.cooldown * mult;
+        getSpawnCount: function(attack, level) {
+            return Math.floor(attack.spawn.count + (attack.spawn.countPerLevel || 0) * level);
         },
 
-        // Check if charge should trigger
-        shouldCharge: function(distance, lastCharge, now, attacks, phase) {
-            if (distance < 10 || distance > 25) return false;
-            const mult = this.getCooldownMultiplier(phase);
-            return now - lastCharge > attacks.charge.cooldown * mult;
+        // Most zombies of `type` a single player boss can have brought in by `elapsedMs` into its
+        // wave: the minion spawner plus each spawn attack used as often as its fastest phase allows
+        getSummonLimit: function(bossId, level, type, elapsedMs) {
+            const B = GameCore.Constants.BOSS;
+            const def = this.getDefinition(bossId);
+            const fightTime = Math.max(0, elapsedMs - B.SPAWN_DELAY);
+            let limit = type === 'minion' ? Math.floor(fightTime / B.MINION_SPAWN.interval) : 0;
+
+            let fastest = 1;
+            for (let i = 0; i < def.phases.length; i++) {
+                fastest = Math.min(fastest, def.phases[i].cooldown);
+            }
+            for (const name in def.attacks) {
+                const attack = def.attacks[name];
+                if (attack.type !== 'spawn' || attack.spawn.zombie !== type) continue;
+                const uses = 1 + Math.floor(fightTime / (attack.cooldown * fastest));
+                limit += uses * this.getSpawnCount(attack, level);
+            }
+            return limit;
         },
 
-        // Check if minion summon should trigger
-        shouldSummon: function(phase, lastSummon, now, attacks) {
-            if (phase < 2) return false;
-            const mult = this.getCooldownMultiplier(phase);
-            return now - lastSummon > attacks.summon.cooldown * mult;
+        // Is a point inside an attack area placed at origin, facing direction ({x, z} unit vector)?
+        isInArea: function(area, origin, direction, point) {
+            const dx = point.x - origin.x;
+            const dz = point.z - origin.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            switch (area.shape) {
+                case 'circle':
+                    return dist <= area.radius;
+                case 'ring':
+                    return dist >= area.inner && dist <= area.outer;
+                case 'cone': {
+                    if (dist > area.radius) return false;
+                    if (dist === 0) return true;
+                    const dot = (dx * direction.x + dz * direction.z) / dist;
+                    return dot >= Math.cos((area.angle / 2) * Math.PI / 180);
+                }
+                case 'line': {
+                    const along = dx * direction.x + dz * direction.z;
+                    const across = Math.abs(dx * direction.z - dz * direction.x);
+                    return along >= 0 && along <= area.length && across <= area.width / 2;
+                }
+                default:
+                    return false;
+            }
         },
 
-        // Calculate minion spawn positions around boss
-        calculateMinionSpawnPositions: function(bossPosition, count) {
-            const positions = [];
-            for (var i = 0; i < count; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 3 + Math.random() * 2;
-                positions.push({
-                    x: bossPosition.x + Math.cos(angle) * dist,
-                    y: 0,
-                    z: bossPosition.z + Math.sin(angle) * dist
-                });
+        // Advance the script one step.
+        // ctx: { now, position, target (or null), healthPercent, rng, arena: { halfWidth, halfDepth }, isWalkable(x, z) }
+        // Returns { actions, busy } - busy means the boss shouldn't walk (winding up or dashing)
+        update: function(state, ctx) {
+            const def = this.getDefinition(state.bossId);
+            const actions = [];
+
+            const phase = this.getPhase(def, ctx.healthPercent);
+            if (phase !== state.phase) {
+                state.phase = phase;
+                actions.push({ type: 'phase', phase: phase });
+            }
+
+            const current = state.current;
+            if (current) {
+                if (current.stage === 'telegraph' && ctx.now >= current.executeAt) {
+                    this.execute(state, def, ctx, actions);
+                } else if (current.stage === 'active' && ctx.now >= current.endsAt) {
+                    state.current = null;
+                }
+                return { actions: actions, busy: state.current !== null };
+            }
+
+            if (!ctx.target) return { actions: actions, busy: false };
+
+            const dx = ctx.target.x - ctx.position.x;
+            const dz = ctx.target.z - ctx.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const phaseConfig = def.phases[state.phase - 1];
+            for (const name of phaseConfig.attacks) {
+                const attack = def.attacks[name];
+                if (distance < attack.range[0] || distance > attack.range[1]) continue;
+                if (ctx.now - (state.lastUsed[name] || 0) <= attack.cooldown * phaseConfig.cooldown) continue;
+                this.start(state, def, name, ctx, actions);
+                break;
+            }
+            return { actions: actions, busy: state.current !== null };
+        },
+
+        // Begin an attack's telegraph (attacks without one execute right away)
+        start: function(state, def, name, ctx, actions) {
+            const attack = def.attacks[name];
+            const target = ctx.target || ctx.position;
+            const dx = target.x - ctx.position.x;
+            const dz = target.z - ctx.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const direction = dist > 0 ? { x: dx / dist, z: dz / dist } : { x: 0, z: 1 };
+            const atTarget = attack.area && attack.area.at === 'target';
+
+            state.lastUsed[name] = ctx.now;
+            state.current = {
+                name: name,
+                stage: 'telegraph',
+                executeAt: ctx.now + (attack.telegraph || 0),
+                endsAt: 0,
+                origin: atTarget ? { x: target.x, z: target.z } : { x: ctx.position.x, z: ctx.position.z },
+                direction: direction,
+                destination: attack.type === 'teleport' ? this.findTeleportDestination(attack, target, ctx) : null
+            };
+
+            const current = state.current;
+            actions.push({
+                type: 'telegraph',
+                name: name,
+                origin: current.origin,
+                direction: direction,
+                destination: current.destination
+            });
+            if (!attack.telegraph) this.execute(state, def, ctx, actions);
+        },
+
+        // Telegraph finished - the attack happens
+        execute: function(state, def, ctx, actions) {
+            const current = state.current;
+            const attack = def.attacks[current.name];
+            state.current = null;
+
+            switch (attack.type) {
+                case 'area':
+                    actions.push({ type: 'strike', name: current.name, origin: current.origin, direction: current.direction });
+                    break;
+
+                case 'dash':
+                    current.stage = 'active';
+                    current.endsAt = ctx.now + attack.duration;
+                    state.current = current;
+                    actions.push({ type: 'dash', name: current.name, direction: current.direction });
+                    break;
+
+                case 'projectile': {
+                    // Re-aim at where the target stands now, globs fanned out around that line
+                    const target = ctx.target || current.origin;
+                    const dx = target.x - ctx.position.x;
+                    const dz = target.z - ctx.position.z;
+                    const dist = Math.max(1, Math.sqrt(dx * dx + dz * dz));
+                    const baseAngle = Math.atan2(dx, dz);
+                    const targets = [];
+                    for (let i = 0; i < attack.count; i++) {
+                        const offset = (i - (attack.count - 1) / 2) * attack.spread * Math.PI / 180;
+                        targets.push({
+                            x: ctx.position.x + Math.sin(baseAngle + offset) * dist,
+                            z: ctx.position.z + Math.cos(baseAngle + offset) * dist
+                        });
+                    }
+                    actions.push({ type: 'projectile', name: current.name, from: { x: ctx.position.x, z: ctx.position.z }, targets: targets });
+                    break;
+                }
+
+                case 'spawn': {
+                    const positions = [];
+                    const count = this.getSpawnCount(attack, state.level);
+                    for (let i = 0; i < count; i++) {
+                        const angle = ctx.rng.next() * Math.PI * 2;
+                        const dist = ctx.rng.range(attack.spawn.distance[0], attack.spawn.distance[1]);
+                        positions.push({
+                            x: ctx.position.x + Math.cos(angle) * dist,
+                            y: 0,
+                            z: ctx.position.z + Math.sin(angle) * dist
+                        });
+                    }
+                    actions.push({ type: 'spawn', name: current.name, zombie: attack.spawn.zombie, positions: positions });
+                    break;
+                }
+
+                case 'teleport': {
+                    const from = { x: ctx.position.x, z: ctx.position.z };
+                    actions.push({ type: 'teleport', name: current.name, from: from, to: current.destination });
+                    // Follow-up attack starts from the new position
+                    if (attack.then) {
+                        this.start(state, def, attack.then, Object.assign({}, ctx, { position: current.destination }), actions);
+                    }
+                    break;
+                }
             }
-            return positions;
         },
 
-        // Get boss charge duration
-        getChargeDuration: function() {
-            return GameCore.Constants.BOSS.ATTACKS.charge.duration;
+        // Stop an ongoing dash early (hit a player or a wall)
+        endAttack: function(state) {
+            state.current = null;
+        },
+
+        // Walkable spot `distance` away from the target, inside the arena
+        findTeleportDestination: function(attack, target, ctx) {
+            const margin = 2;
+            let fallback = null;
+            for (let attempt = 0; attempt < 8; attempt++) {
+                const angle = ctx.rng.next() * Math.PI * 2;
+                const dist = ctx.rng.range(attack.distance[0], attack.distance[1]);
+                const x = Math.max(-ctx.arena.halfWidth + margin, Math.min(ctx.arena.halfWidth - margin, target.x + Math.cos(angle) * dist));
+                const z = Math.max(-ctx.arena.halfDepth + margin, Math.min(ctx.arena.halfDepth - margin, target.z + Math.sin(angle) * dist));
+                if (!ctx.isWalkable || ctx.isWalkable(x, z)) return { x: x, z: z };
+                fallback = fallback || { x: x, z: z };
+            }
+            // Nowhere clear - stay put rather than land inside a prop
+            return ctx.isWalkable ? { x: ctx.position.x, z: ctx.position.z } : fallback;
         }
     };
 
@@ -549,22 +1105,144 @@
         },
 
         // Roll for pickup type
-        rollPickupType: function() {
+        rollPickupType: function(rng) {
             const types = GameCore.Constants.DROP_RATES.types;
-            const roll = Math.random();
+            const roll = rng.next();
             if (roll < types.health) return 'health';
             if (roll < types.health + types.ammo) return 'ammo';
             return 'grenade';
         },
 
         // Check if should drop pickup
-        shouldDropPickup: function(zombieType, isBoss) {
-            return Math.random() < this.getDropChance(zombieType, isBoss);
+        shouldDropPickup: function(zombieType, isBoss, rng, modifiers) {
+            if (GameCore.Challenge.has(modifiers, 'noPickups')) return false;
+            return rng.next() < this.getDropChance(zombieType, isBoss);
         },
 
         // Get pickup effect value
         getPickupEffect: function(type) {
             return GameCore.Constants.PICKUP_EFFECTS[type] || 0;
+        },
+
+        // Get cost of the next upgrade level, or null if maxed/unknown
+        getUpgradeCost: function(weapon, stat, currentLevel) {
+            const U = GameCore.Constants.UPGRADES;
+            const baseCost = U.COSTS[weapon] && U.COSTS[weapon][stat];
+            if (!baseCost || currentLevel >= U.MAX_LEVEL) return null;
+            return Math.floor(baseCost * (1 + currentLevel * U.COST_GROWTH));
+        },
+
+        // Upgrade levels at 0 for every weapon stat in the cost table
+        createUpgradeLevels: function() {
+            const costs = GameCore.Constants.UPGRADES.COSTS;
+            const levels = {};
+            for (const weapon in costs) {
+                levels[weapon] = {};
+                for (const stat in costs[weapon]) levels[weapon][stat] = 0;
+            }
+            return levels;
+        },
+
+        // Weapon stat after upgrades (e.g. base damage at damage level 2)
+        getUpgradedStat: function(baseValue, stat, level) {
+            const multipliers = GameCore.Constants.UPGRADES.MULTIPLIERS[stat];
+            const multiplier = (multipliers && multipliers[level]) || 1;
+            return Math.round(baseValue * multiplier);
+        },
+
+        // Fingerprint of the weapon and upgrade tables - the server sends its own on init
+        // so a client with different (e.g. cached) weapon data is caught
+        getWeaponDataHash: function() {
+            const C = GameCore.Constants;
+            const hash = GameCore.Challenge.hash(JSON.stringify({ weapons: C.WEAPONS, upgrades: C.UPGRADES }));
+            return ('0000000' + hash.toString(16)).slice(-8);
+        },
+
+        // Get scaled hitbox dimensions (falls back to given scale for bosses/unknown types)
+        getHitbox: function(zombieType, scale) {
+            const H = GameCore.Constants.HITBOX;
+            const props = GameCore.Constants.ZOMBIE_TYPES[zombieType];
+            const s = scale || (props ? props.scale : 1);
+            return {
+                radius: H.radius * s,
+                height: H.height * s,
+                headHeight: H.headHeight * s
+            };
+        },
+
+        // Check if a hit at the given height (above zombie feet) is a headshot
+        isHeadshotHeight: function(hitY, zombieType, scale) {
+            return hitY > this.getHitbox(zombieType, scale).headHeight;
+        }
+    };
+
+    // ==================== ACHIEVEMENTS ====================
+    // Achievement definitions, the thresholds both the client and the server check, and
+    // which cosmetic each achievement unlocks. In multiplayer only the server grants
+    // achievements, so cosmetics are tied to ones it can observe (kills, waves, bosses).
+
+    GameCore.Achievements = {
+        DEFINITIONS: {
+            firstBlood:      { name: 'First Blood',      desc: 'Kill your first zombie',               icon: '🩸' },
+            massacre:        { name: 'Massacre',         desc: 'Kill 100 zombies in one game',         icon: '💀' },
+            survivor5:       { name: 'Survivor',         desc: 'Reach wave 5',                         icon: '🏆' },
+            survivor10:      { name: 'Veteran',          desc: 'Reach wave 10',                        icon: '🎖️' },
+            bossSlayer:      { name: 'Boss Slayer',      desc: 'Defeat your first boss',               icon: '👑' },
+            headhunter:      { name: 'Headhunter',       desc: 'Get 50 headshots in one game',         icon: '🎯' },
+            explosiveExpert: { name: 'Explosive Expert', desc: 'Kill 3 zombies with one explosion',    icon: '💥' },
+            untouchable:     { name: 'Untouchable',      desc: 'Complete a wave without taking damage', icon: '🛡️' },
+            richSurvivor:    { name: 'Rich Survivor',    desc: 'Accumulate 10,000 points',             icon: '💰' },
+            upgradeAll:      { name: 'Fully Loaded',     desc: 'Max upgrade any weapon stat',          icon: '⚡' },
+            speedKill:       { name: 'Speed Demon',      desc: 'Kill 5 zombies in 3 seconds',          icon: '⚡' },
+            grenadeMulti:    { name: 'Grenadier',        desc: 'Kill 5 zombies with one grenade',      icon: '🧨' }
+        },
+
+        SPEED_KILL_WINDOW: 3000,  // ms - speedKill counts kills inside this window
+
+        // Cosmetics anyone can wear - every other cosmetic is in COSMETIC_UNLOCKS
+        FREE_COSMETICS: ['default'],
+
+        // Cosmetic -> achievement that unlocks it
+        COSMETIC_UNLOCKS: {
+            military: 'survivor5',
+            hazmat: 'bossSlayer',
+            punk: 'massacre',
+            mascot: 'survivor10'
+        },
+
+        // Achievements a player's running totals qualify for. Every field is optional:
+        // { kills, headshots, bossKills, recentKills, wave, score, upgradeLevel }
+        // (kills/headshots are per game, recentKills within SPEED_KILL_WINDOW)
+        earned: function(stats) {
+            const earned = [];
+            if (stats.kills >= 1) earned.push('firstBlood');
+            if (stats.kills >= 100) earned.push('massacre');
+            if (stats.headshots >= 50) earned.push('headhunter');
+            if (stats.bossKills >= 1) earned.push('bossSlayer');
+            if (stats.recentKills >= 5) earned.push('speedKill');
+            if (stats.wave >= 5) earned.push('survivor5');
+            if (stats.wave >= 10) earned.push('survivor10');
+            if (stats.score >= 10000) earned.push('richSurvivor');
+            if (stats.upgradeLevel >= GameCore.Constants.UPGRADES.MAX_LEVEL) earned.push('upgradeAll');
+            return earned;
+        },
+
+        // Whether a cosmetic exists at all (free or unlockable)
+        isCosmetic: function(cosmetic) {
+            return this.FREE_COSMETICS.includes(cosmetic) ||
+                Object.prototype.hasOwnProperty.call(this.COSMETIC_UNLOCKS, cosmetic);
+        },
+
+        // Achievement a cosmetic needs (null if it's always available)
+        getCosmeticRequirement: function(cosmetic) {
+            return this.COSMETIC_UNLOCKS[cosmetic] || null;
+        },
+
+        // Check a cosmetic against a collection of unlocked achievement ids (Array or Set)
+        isCosmeticUnlocked: function(cosmetic, unlocked) {
+            const required = this.getCosmeticRequirement(cosmetic);
+            if (!required) return true;
+            return typeof unlocked.has === 'function' ? unlocked.has(required) : unlocked.indexOf(required) !== -1;
         }
     };
 
@@ -612,8 +1290,8 @@
         },
 
         // Random value in range
-        randomInRange: function(min, max) {
-            return min + Math.random() * (max - min);
+        randomInRange: function(min, max, rng) {
+            return rng.range(min, max);
         }
     };
 
@@ -0,0 +1,511 @@
+// ============================================
+// NAVIGATION - Shared Map Obstacles and Pathfinding
+// ============================================
+// Obstacle layouts, the navigation grid and the A* pathfinder.
+// Used by the server (zombie movement, hit occlusion) and by bots (bots.js).
+// Map definitions are read from maps/*.json once, when the module loads.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node.js
+        const path = require('path');
+        const MapFormat = require('./maps/MapFormat.js');
+        module.exports = factory(MapFormat, MapFormat.loadDirectory(path.join(__dirname, '..', 'maps')));
+    } else {
+        // Browser global - the client gets definitions from /api/maps instead
+        root.Navigation = factory(root.MapFormat, { definitions: {}, errors: [] });
+    }
+}(typeof self !== 'undefined' ? self : this, function(MapFormat, mapData) {
+    'use strict';
+
+    // Log sink, the server routes this into its own log()
+    let logger = function() {};
+
+    // ==================== MAP OBSTACLES PER MAP ====================
+    // Derived from the map definitions in maps/*.json - the same files the client builds from
+    // maxY is the obstacle height (matches client collision maxY), used for hitscan occlusion
+    const MAP_DEFINITIONS = mapData.definitions;
+    const MAP_LOAD_ERRORS = mapData.errors;
+    const MAP_OBSTACLES = {};
+    Object.keys(MAP_DEFINITIONS).forEach(mapId => {
+        MAP_OBSTACLES[mapId] = MapFormat.getObstacles(MAP_DEFINITIONS[mapId]);
+    });
+
+    // ==================== NUMERIC KEY HELPER ====================
+    // Convert grid coordinates to numeric key (avoids string concatenation in hot paths)
+    // Formula: x * 100 + z (works for grids up to 100x100)
+    function gridKey(x, z) {
+        return x * 100 + z;
+    }
+
+    // ==================== MIN-HEAP PRIORITY QUEUE ====================
+    // Binary heap for O(log n) A* pathfinding operations
+    class MinHeap {
+        constructor() {
+            this.heap = [];
+            this.indices = new Map(); // numeric key -> index for O(1) lookup
+        }
+
+        get length() {
+            return this.heap.length;
+        }
+
+        push(node) {
+            const key = gridKey(node.x, node.z);
+            this.heap.push(node);
+            this.indices.set(key, this.heap.length - 1);
+            this._bubbleUp(this.heap.length - 1);
+        }
+
+        pop() {
+            if (this.heap.length === 0) return null;
+            const min = this.heap[0];
+            this.indices.delete(gridKey(min.x, min.z));
+
+            if (this.heap.length === 1) {
+                this.heap.pop();
+                return min;
+            }
+
+            const last = this.heap.pop();
+            this.heap[0] = last;
+            this.indices.set(gridKey(last.x, last.z), 0);
+            this._bubbleDown(0);
+            return min;
+        }
+
+        has(x, z) {
+            return this.indices.has(gridKey(x, z));
+        }
+
+        updateF(x, z, newF) {
+            const idx = this.indices.get(gridKey(x, z));
+            if (idx === undefined) return false;
+
+            const oldF = this.heap[idx].f;
+            this.heap[idx].f = newF;
+
+            if (newF < oldF) {
+                this._bubbleUp(idx);
+            } else {
+                this._bubbleDown(idx);
+            }
+            return true;
+        }
+
+        _bubbleUp(idx) {
+            while (idx > 0) {
+                const parentIdx = Math.floor((idx - 1) / 2);
+                if (this.heap[parentIdx].f <= this.heap[idx].f) break;
+
+                this._swap(idx, parentIdx);
+                idx = parentIdx;
+            }
+        }
+
+        _bubbleDown(idx) {
+            const length = this.heap.length;
+            // Safety limit: heap depth is at most log2(length), but add buffer
+            const maxIterations = Math.max(length, 100);
+            let iterations = 0;
+
+            while (iterations++ < maxIterations) {
+                const leftIdx = 2 * idx + 1;
+                const rightIdx = 2 * idx + 2;
+                let smallest = idx;
+
+                if (leftIdx < length && this.heap[leftIdx].f < this.heap[smallest].f) {
+                    smallest = leftIdx;
+                }
+                if (rightIdx < length && this.heap[rightIdx].f < this.heap[smallest].f) {
+                    smallest = rightIdx;
+                }
+
+                if (smallest === idx) break;
+                this._swap(idx, smallest);
+                idx = smallest;
+            }
+        }
+
+        _swap(i, j) {
+            const nodeI = this.heap[i];
+            const nodeJ = this.heap[j];
+            this.heap[i] = nodeJ;
+            this.heap[j] = nodeI;
+            this.indices.set(gridKey(nodeI.x, nodeI.z), j);
+            this.indices.set(gridKey(nodeJ.x, nodeJ.z), i);
+        }
+    }
+
+    // ==================== NAVIGATION GRID ====================
+    function createNavGrid() {
+        return {
+            cellSize: 1.0,
+            gridWidth: 60,
+            gridHeight: 60,
+            offsetX: -30,
+            offsetZ: -30,
+            grid: null,
+            initialized: false,
+
+            init() {
+                this.grid = [];
+                for (let z = 0; z < this.gridHeight; z++) {
+                    this.grid[z] = new Array(this.gridWidth).fill(0);
+                }
+                // Mark arena boundaries as blocked
+                for (let x = 0; x < this.gridWidth; x++) {
+                    this.grid[0][x] = 1;
+                    this.grid[this.gridHeight - 1][x] = 1;
+                }
+                for (let z = 0; z < this.gridHeight; z++) {
+                    this.grid[z][0] = 1;
+                    this.grid[z][this.gridWidth - 1] = 1;
+                }
+                this.initialized = true;
+                logger(`NavGrid initialized: ${this.gridWidth}x${this.gridHeight}`, 'INFO');
+            },
+
+            worldToGridX(x) {
+                return Math.floor((x - this.offsetX) / this.cellSize);
+            },
+
+            worldToGridZ(z) {
+                return Math.floor((z - this.offsetZ) / this.cellSize);
+            },
+
+            gridToWorldX(gx) {
+                return gx * this.cellSize + this.offsetX + this.cellSize / 2;
+            },
+
+            gridToWorldZ(gz) {
+                return gz * this.cellSize + this.offsetZ + this.cellSize / 2;
+            },
+
+            isWalkable(gx, gz) {
+                if (gx < 0 || gx >= this.gridWidth || gz < 0 || gz >= this.gridHeight) {
+                    return false;
+                }
+                return this.grid[gz][gx] === 0;
+            },
+
+            markBlocked(minX, maxX, minZ, maxZ) {
+                const gMinX = Math.max(0, this.worldToGridX(minX) - 1);
+                const gMaxX = Math.min(this.gridWidth - 1, this.worldToGridX(maxX) + 1);
+                const gMinZ = Math.max(0, this.worldToGridZ(minZ) - 1);
+                const gMaxZ = Math.min(this.gridHeight - 1, this.worldToGridZ(maxZ) + 1);
+
+                for (let gz = gMinZ; gz <= gMaxZ; gz++) {
+                    for (let gx = gMinX; gx <= gMaxX; gx++) {
+                        this.grid[gz][gx] = 1;
+                    }
+                }
+            },
+
+            buildFromObstacles(obstacles) {
+                // Reset grid
+                for (let z = 0; z < this.gridHeight; z++) {
+                    for (let x = 0; x < this.gridWidth; x++) {
+                        // Keep arena boundaries blocked
+                        if (z === 0 || z === this.gridHeight - 1 || x === 0 || x === this.gridWidth - 1) {
+                            this.grid[z][x] = 1;
+                        } else {
+                            this.grid[z][x] = 0;
+                        }
+                    }
+                }
+                // Mark obstacles
+                obstacles.forEach(obs => {
+                    this.markBlocked(obs.minX, obs.maxX, obs.minZ, obs.maxZ);
+                });
+                logger(`NavGrid built with ${obstacles.length} obstacles`, 'INFO');
+            }
+        };
+    }
+
+    // ==================== A* PATHFINDER ====================
+    // Paths over the given grid
+    function createPathfinder(navGrid) {
+        return {
+            pathCache: new Map(),
+            cacheTimeout: 500, // ms
+
+            clearCache() {
+                this.pathCache.clear();
+            },
+
+            findPath(startX, startZ, goalX, goalZ) {
+                if (!navGrid.initialized) {
+                    logger('Pathfinder: NavGrid not initialized', 'DEBUG');
+                    return null;
+                }
+
+                const startGX = navGrid.worldToGridX(startX);
+                const startGZ = navGrid.worldToGridZ(startZ);
+                const goalGX = navGrid.worldToGridX(goalX);
+                const goalGZ = navGrid.worldToGridZ(goalZ);
+
+                // Check if start/goal are valid
+                if (!navGrid.isWalkable(startGX, startGZ)) {
+                    // Find nearest walkable cell to start
+                    const nearest = this.findNearestWalkable(startGX, startGZ);
+                    if (!nearest) {
+                        logger('Pathfinder: No walkable cell near start', 'DEBUG');
+                        return null;
+                    }
+                }
+
+                if (!navGrid.isWalkable(goalGX, goalGZ)) {
+                    // Find nearest walkable cell to goal
+                    const nearest = this.findNearestWalkable(goalGX, goalGZ);
+                    if (!nearest) {
+                        logger('Pathfinder: No walkable cell near goal', 'DEBUG');
+                        return null;
+                    }
+                }
+
+                // A* implementation with MinHeap for O(log n) operations
+                const openSet = new MinHeap();
+                const closedSet = new Set();  // Uses numeric keys
+                const cameFrom = new Map();   // Uses numeric keys
+                const gScore = new Map();     // Uses numeric keys
+
+                const startKey = gridKey(startGX, startGZ);
+
+                gScore.set(startKey, 0);
+                const startF = this.heuristic(startGX, startGZ, goalGX, goalGZ);
+                openSet.push({ x: startGX, z: startGZ, f: startF });
+
+                const neighbors = [
+                    { dx: 0, dz: -1, cost: 1 },
+                    { dx: 0, dz: 1, cost: 1 },
+                    { dx: -1, dz: 0, cost: 1 },
+                    { dx: 1, dz: 0, cost: 1 },
+                    { dx: -1, dz: -1, cost: 1.414 },
+                    { dx: 1, dz: -1, cost: 1.414 },
+                    { dx: -1, dz: 1, cost: 1.414 },
+                    { dx: 1, dz: 1, cost: 1.414 }
+                ];
+
+                let iterations = 0;
+                const maxIterations = 2000;
+
+                while (openSet.length > 0 && iterations < maxIterations) {
+                    iterations++;
+
+                    // Get node with lowest fScore - O(log n) with heap
+                    const current = openSet.pop();
+                    const currentKey = gridKey(current.x, current.z);
+
+                    if (current.x === goalGX && current.z === goalGZ) {
+                        // Reconstruct path
+                        return this.reconstructPath(cameFrom, current, startGX, startGZ);
+                    }
+
+                    closedSet.add(currentKey);
+
+                    for (const neighbor of neighbors) {
+                        const nx = current.x + neighbor.dx;
+                        const nz = current.z + neighbor.dz;
+                        const neighborKey = gridKey(nx, nz);
+
+                        if (closedSet.has(neighborKey)) continue;
+                        if (!navGrid.isWalkable(nx, nz)) continue;
+
+                        // For diagonal movement, check if we can cut the corner
+                        if (neighbor.dx !== 0 && neighbor.dz !== 0) {
+                            if (!navGrid.isWalkable(current.x + neighbor.dx, current.z) ||
+                                !navGrid.isWalkable(current.x, current.z + neighbor.dz)) {
+                                continue;
+                            }
+                        }
+
+                        const tentativeG = gScore.get(currentKey) + neighbor.cost;
+
+                        if (!gScore.has(neighborKey) || tentativeG < gScore.get(neighborKey)) {
+                            cameFrom.set(neighborKey, current);
+                            gScore.set(neighborKey, tentativeG);
+                            const f = tentativeG + this.heuristic(nx, nz, goalGX, goalGZ);
+
+                            // O(log n) update or insert
+                            if (openSet.has(nx, nz)) {
+                                openSet.updateF(nx, nz, f);
+                            } else {
+                                openSet.push({ x: nx, z: nz, f: f });
+                            }
+                        }
+                    }
+                }
+
+                // Log path failure reason
+                if (iterations >= maxIterations) {
+                    logger('Pathfinder: Max iterations reached (path too complex)', 'DEBUG');
+                } else {
+                    logger('Pathfinder: No valid path exists', 'DEBUG');
+                }
+                return null;
+            },
+
+            heuristic(x1, z1, x2, z2) {
+                // Squared Euclidean distance (avoids expensive sqrt, still admissible)
+                const dx = x2 - x1;
+                const dz = z2 - z1;
+                return dx * dx + dz * dz;
+            },
+
+            reconstructPath(cameFrom, goal, startX, startZ) {
+                const path = [];
+                let current = goal;
+
+                while (current) {
+                    path.push({
+                        x: navGrid.gridToWorldX(current.x),
+                        z: navGrid.gridToWorldZ(current.z)
+                    });
+                    current = cameFrom.get(gridKey(current.x, current.z));
+                }
+                path.reverse(); // O(n) once instead of O(n) per unshift
+
+                // Smooth path - remove unnecessary waypoints
+                return this.smoothPath(path);
+            },
+
+            // Optimized path smoothing - O(n) instead of O(n²)
+            // Limits lookahead to max 6 waypoints instead of checking all remaining
+            smoothPath(path) {
+                if (path.length <= 2) return path;
+
+                const smoothed = [path[0]];
+                let i = 0;
+                const maxLookahead = 6; // Limit how far ahead we check
+
+                while (i < path.length - 1) {
+                    let furthest = i + 1;
+                    // Only check up to maxLookahead waypoints ahead (O(1) per iteration)
+                    const limit = Math.min(i + maxLookahead, path.length);
+                    for (let j = limit - 1; j > i + 1; j--) {
+                        // Check furthest first, break on first success (greedy)
+                        if (this.hasLineOfSight(path[i].x, path[i].z, path[j].x, path[j].z)) {
+                            furthest = j;
+                            break;
+                        }
+                    }
+                    smoothed.push(path[furthest]);
+                    i = furthest;
+                }
+
+                return smoothed;
+            },
+
+            // Optimized line-of-sight using Bresenham-style integer stepping
+            // Avoids Math.sqrt() and uses coarser grid sampling (1.0 unit steps)
+            hasLineOfSight(x1, z1, x2, z2) {
+                // Convert to grid coordinates for integer math
+                const gx1 = navGrid.worldToGridX(x1);
+                const gz1 = navGrid.worldToGridZ(z1);
+                const gx2 = navGrid.worldToGridX(x2);
+                const gz2 = navGrid.worldToGridZ(z2);
+
+                // Bresenham's line algorithm for grid traversal
+                let dx = Math.abs(gx2 - gx1);
+                let dz = Math.abs(gz2 - gz1);
+                const sx = gx1 < gx2 ? 1 : -1;
+                const sz = gz1 < gz2 ? 1 : -1;
+                let err = dx - dz;
+
+                let x = gx1;
+                let z = gz1;
+
+                // Safety limit: max iterations is the manhattan distance plus buffer
+                const maxIterations = dx + dz + 10;
+                let iterations = 0;
+
+                while (iterations++ < maxIterations) {
+                    if (!navGrid.isWalkable(x, z)) {
+                        return false;
+                    }
+
+                    if (x === gx2 && z === gz2) break;
+
+                    const e2 = 2 * err;
+                    if (e2 > -dz) {
+                        err -= dz;
+                        x += sx;
+                    }
+                    if (e2 < dx) {
+                        err += dx;
+                        z += sz;
+                    }
+                }
+                return true;
+            },
+
+            findNearestWalkable(gx, gz) {
+                const maxRadius = 5;
+                for (let r = 1; r <= maxRadius; r++) {
+                    for (let dx = -r; dx <= r; dx++) {
+                        for (let dz = -r; dz <= r; dz++) {
+                            if (Math.abs(dx) === r || Math.abs(dz) === r) {
+                                if (navGrid.isWalkable(gx + dx, gz + dz)) {
+                                    return { x: gx + dx, z: gz + dz };
+                                }
+                            }
+                        }
+                    }
+                }
+                return null;
+            }
+        };
+    }
+
+    // Shared default instances (bots.js, map editor) - rebuilt by useMap
+    const NavGrid = createNavGrid();
+    const Pathfinder = createPathfinder(NavGrid);
+
+    // ==================== MAP SWITCHING ====================
+    let currentMapId = null;
+    const mapNavigation = {};  // mapId -> { navGrid, pathfinder }, built on first use
+
+    return {
+        MAP_DEFINITIONS,
+        MAP_LOAD_ERRORS,
+        MAP_OBSTACLES,
+        NavGrid,
+        Pathfinder,
+        MinHeap,
+        createNavGrid,
+        createPathfinder,
+
+        setLogger: function(fn) {
+            logger = typeof fn === 'function' ? fn : function() {};
+        },
+
+        getMapId: function() {
+            return currentMapId;
+        },
+
+        // Rebuild the grid for a map (no-op if it is already loaded)
+        useMap: function(mapId) {
+            if (!MAP_OBSTACLES[mapId]) return false;
+            if (mapId === currentMapId && NavGrid.initialized) return true;
+            if (!NavGrid.initialized) NavGrid.init();
+            NavGrid.buildFromObstacles(MAP_OBSTACLES[mapId]);
+            Pathfinder.clearCache();
+            currentMapId = mapId;
+            return true;
+        },
+
+        // A grid and pathfinder of the map's own, shared by everyone on that map and left
+        // alone by useMap - null for an unknown map
+        forMap: function(mapId) {
+            if (!MAP_OBSTACLES[mapId]) return null;
+            if (!mapNavigation[mapId]) {
+                const navGrid = createNavGrid();
+                navGrid.init();
+                navGrid.buildFromObstacles(MAP_OBSTACLES[mapId]);
+                mapNavigation[mapId] = { navGrid, pathfinder: createPathfinder(navGrid) };
+            }
+            return mapNavigation[mapId];
+        }
+    };
+}));
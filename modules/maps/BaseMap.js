@@ -1,10 +1,13 @@
 // ==================== BASE MAP CLASS ====================
-// Base class for all game maps - extend this to create new maps
+// Builds a game map from a JSON definition (see modules/maps/MapFormat.js and maps/*.json)
+// Meshes and lights are created here; collision comes from MapFormat so the
+// client, the server and bots all share the same obstacle data.
 
 class BaseMap {
-    constructor(id, name) {
-        this.id = id;
-        this.name = name;
+    constructor(definition) {
+        this.definition = definition;
+        this.id = definition.id;
+        this.name = definition.name;
         this.meshes = [];           // All 3D objects created by this map
         this.obstacles = [];        // Collision bounds for pathfinding
         this.playerSpawns = [];     // Where players can spawn
@@ -13,13 +16,14 @@ class BaseMap {
         this.lights = [];           // Map-specific lights
         this.isCreated = false;
 
-        // Arena dimensions (can be overridden)
-        this.arenaWidth = 50;
-        this.arenaDepth = 50;
-        this.wallHeight = 6;
+        // Arena dimensions
+        const arena = MapFormat.getArena(definition);
+        this.arenaWidth = arena.width;
+        this.arenaDepth = arena.depth;
+        this.wallHeight = arena.wallHeight;
     }
 
-    // Override this to create your map
+    // Build the map into the scene
     create(scene) {
         if (this.isCreated) {
             console.warn(`[${this.name}] Map already created`);
@@ -33,16 +37,41 @@ class BaseMap {
         this.createWalls(scene);
         this.createLighting(scene);
 
-        // Create map-specific content (override in subclass)
+        // Props and spawns from the definition
         this.createContent(scene);
 
+        // Collision - arena edges plus every prop footprint
+        this.obstacles = MapFormat.getArenaBounds(this.definition)
+            .concat(MapFormat.getObstacles(this.definition));
+
         this.isCreated = true;
         console.log(`[${this.name}] Map created with ${this.obstacles.length} obstacles`);
     }
 
-    // Override this to add map-specific content
+    // Add the definition's props and spawn points
     createContent(scene) {
-        // Override in subclass
+        (this.definition.props || []).forEach(prop => this.addProp(scene, prop));
+
+        (this.definition.playerSpawns || []).forEach(spawn => {
+            this.addPlayerSpawn(spawn.x, spawn.z);
+        });
+        (this.definition.zombieSpawns || []).forEach(spawn => {
+            this.addZombieSpawn(spawn.x, spawn.z, MapFormat.toRadians(spawn.rotation));
+        });
+    }
+
+    // Build one prop through its PROP_BUILDERS entry
+    addProp(scene, prop) {
+        const build = BaseMap.PROP_BUILDERS[prop.type];
+        if (!build) {
+            console.warn(`[${this.name}] Unknown prop type: ${prop.type}`);
+            return null;
+        }
+        const object = build(this, scene, MapFormat.withDefaults(prop));
+        if (object && prop.rotation) {
+            object.rotation.y = MapFormat.toRadians(prop.rotation);
+        }
+        return object;
     }
 
     // Destroy map and clean up
@@ -98,118 +127,121 @@ class BaseMap {
 
     // ==================== BASE CREATION METHODS ====================
 
-    // Create floor with checker pattern
+    // Create floor
     createFloor(scene) {
+        const floorDef = this.definition.floor || {};
         const floorGeo = new THREE.PlaneGeometry(this.arenaWidth, this.arenaDepth);
         const floorMat = new THREE.MeshStandardMaterial({
-            color: 0x2a1a0a,
-            roughness: 0.9
+            color: floorDef.color || 0x2a1a0a,
+            roughness: floorDef.roughness !== undefined ? floorDef.roughness : 0.9,
+            metalness: floorDef.metalness || 0
         });
         const floor = new THREE.Mesh(floorGeo, floorMat);
         floor.rotation.x = -Math.PI / 2;
         floor.receiveShadow = true;
         scene.add(floor);
         this.meshes.push(floor);
-
-        // Add floor bounds as unwalkable edges
-        const halfW = this.arenaWidth / 2;
-        const halfD = this.arenaDepth / 2;
-
-        // Arena boundaries (outer walls)
-        this.obstacles.push({ minX: -halfW - 1, maxX: -halfW, minZ: -halfD, maxZ: halfD, maxY: this.wallHeight });
-        this.obstacles.push({ minX: halfW, maxX: halfW + 1, minZ: -halfD, maxZ: halfD, maxY: this.wallHeight });
-        this.obstacles.push({ minX: -halfW, maxX: halfW, minZ: -halfD - 1, maxZ: -halfD, maxY: this.wallHeight });
-        this.obstacles.push({ minX: -halfW, maxX: halfW, minZ: halfD, maxZ: halfD + 1, maxY: this.wallHeight });
     }
 
-    // Create arena walls
+    // Create arena walls and ceiling
     createWalls(scene) {
         const halfW = this.arenaWidth / 2;
         const halfD = this.arenaDepth / 2;
+        const wallDef = this.definition.walls || {};
+        const ceilingDef = this.definition.ceiling || {};
         const wallMat = new THREE.MeshStandardMaterial({
-            color: 0x1a0a0a,
-            roughness: 0.8
+            color: wallDef.color || 0x1a0a0a,
+            roughness: wallDef.roughness !== undefined ? wallDef.roughness : 0.8
         });
 
-        // North wall
-        const northWall = new THREE.Mesh(
-            new THREE.BoxGeometry(this.arenaWidth, this.wallHeight, 0.5),
-            wallMat
-        );
-        northWall.position.set(0, this.wallHeight / 2, -halfD);
-        scene.add(northWall);
-        this.meshes.push(northWall);
-
-        // South wall
-        const southWall = new THREE.Mesh(
-            new THREE.BoxGeometry(this.arenaWidth, this.wallHeight, 0.5),
-            wallMat
-        );
-        southWall.position.set(0, this.wallHeight / 2, halfD);
-        scene.add(southWall);
-        this.meshes.push(southWall);
-
-        // East wall
-        const eastWall = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, this.wallHeight, this.arenaDepth),
-            wallMat
-        );
-        eastWall.position.set(halfW, this.wallHeight / 2, 0);
-        scene.add(eastWall);
-        this.meshes.push(eastWall);
-
-        // West wall
-        const westWall = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, this.wallHeight, this.arenaDepth),
-            wallMat
-        );
-        westWall.position.set(-halfW, this.wallHeight / 2, 0);
-        scene.add(westWall);
-        this.meshes.push(westWall);
+        const walls = [
+            { pos: [0, this.wallHeight / 2, -halfD], size: [this.arenaWidth, this.wallHeight, 0.5] },
+            { pos: [0, this.wallHeight / 2, halfD], size: [this.arenaWidth, this.wallHeight, 0.5] },
+            { pos: [halfW, this.wallHeight / 2, 0], size: [0.5, this.wallHeight, this.arenaDepth] },
+            { pos: [-halfW, this.wallHeight / 2, 0], size: [0.5, this.wallHeight, this.arenaDepth] }
+        ];
+
+        walls.forEach(wall => {
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(...wall.size),
+                wallMat
+            );
+            mesh.position.set(...wall.pos);
+            scene.add(mesh);
+            this.meshes.push(mesh);
+        });
 
         // Ceiling
         const ceiling = new THREE.Mesh(
             new THREE.PlaneGeometry(this.arenaWidth, this.arenaDepth),
-            new THREE.MeshStandardMaterial({ color: 0x0a0505, side: THREE.DoubleSide })
+            new THREE.MeshStandardMaterial({ color: ceilingDef.color || 0x0a0505, side: THREE.DoubleSide })
         );
         ceiling.rotation.x = Math.PI / 2;
         ceiling.position.y = this.wallHeight;
         scene.add(ceiling);
         this.meshes.push(ceiling);
+
+        // Exposed ceiling beams, evenly spaced across the depth
+        if (ceilingDef.beams) {
+            const spacing = ceilingDef.beams.spacing || 10;
+            const limit = Math.floor((halfD - 1) / spacing) * spacing;
+            const beamMat = new THREE.MeshStandardMaterial({ color: ceilingDef.beams.color || 0x2a2a30 });
+            for (let i = -limit; i <= limit; i += spacing) {
+                const beam = new THREE.Mesh(
+                    new THREE.BoxGeometry(this.arenaWidth, 0.4, 0.6),
+                    beamMat
+                );
+                beam.position.set(0, this.wallHeight - 0.2, i);
+                scene.add(beam);
+                this.meshes.push(beam);
+            }
+        }
     }
 
-    // Create basic lighting
+    // Create the definition's lights and fog
     createLighting(scene) {
-        // Ambient light
-        const ambient = new THREE.AmbientLight(0x1a0505, 0.3);
-        scene.add(ambient);
-        this.lights.push(ambient);
-
-        // Main overhead light
-        const mainLight = new THREE.PointLight(0xff4400, 1.0, 40);
-        mainLight.position.set(0, 5, 0);
-        mainLight.castShadow = true;
-        scene.add(mainLight);
-        this.lights.push(mainLight);
-
-        // Corner lights
-        const cornerPositions = [
-            [-15, -15], [15, -15], [-15, 15], [15, 15]
-        ];
-        cornerPositions.forEach(([x, z]) => {
-            const light = new THREE.PointLight(0xff4400, 0.6, 20);
-            light.position.set(x, 4, z);
+        (this.definition.lights || []).forEach(def => {
+            let light = null;
+            switch (def.type) {
+                case 'ambient':
+                    light = new THREE.AmbientLight(def.color, def.intensity);
+                    break;
+                case 'point':
+                    light = new THREE.PointLight(def.color, def.intensity, def.distance || 0);
+                    break;
+                case 'spot':
+                    light = new THREE.SpotLight(def.color, def.intensity, def.distance || 0,
+                        MapFormat.toRadians(def.angle || 60), def.penumbra || 0);
+                    if (def.target) {
+                        light.target.position.set(def.target.x || 0, def.target.y || 0, def.target.z || 0);
+                    }
+                    scene.add(light.target);
+                    this.meshes.push(light.target);
+                    break;
+                case 'rectArea':
+                    light = new THREE.RectAreaLight(def.color, def.intensity, def.width || 3, def.height || 1.5);
+                    light.rotation.x = -Math.PI / 2;
+                    break;
+                default:
+                    console.warn(`[${this.name}] Unknown light type: ${def.type}`);
+                    return;
+            }
+            if (def.type !== 'ambient') {
+                light.position.set(def.x || 0, def.y || 0, def.z || 0);
+            }
+            if (def.castShadow) light.castShadow = true;
             scene.add(light);
             this.lights.push(light);
         });
 
-        // Fog
-        scene.fog = new THREE.Fog(0x0a0000, 5, 45);
+        const fog = this.definition.fog;
+        scene.fog = fog ? new THREE.Fog(fog.color, fog.near, fog.far) : null;
     }
 
     // ==================== HELPER METHODS ====================
+    // Visual only - collision for every prop comes from MapFormat.getObstacles
 
-    // Add a box obstacle with matching visual
+    // Add a box with matching visual
     addBox(scene, x, z, width, depth, height, color = 0x4a3a2a) {
         const geo = new THREE.BoxGeometry(width, height, depth);
         const mat = new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
@@ -220,19 +252,10 @@ class BaseMap {
         scene.add(mesh);
         this.meshes.push(mesh);
 
-        // Add collision - EXACT match to visual
-        this.obstacles.push({
-            minX: x - width / 2,
-            maxX: x + width / 2,
-            minZ: z - depth / 2,
-            maxZ: z + depth / 2,
-            maxY: height
-        });
-
         return mesh;
     }
 
-    // Add a cylinder obstacle with matching visual
+    // Add a cylinder
     addCylinder(scene, x, z, radius, height, color = 0x4a3a2a) {
         const geo = new THREE.CylinderGeometry(radius, radius, height, 16);
         const mat = new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
@@ -243,15 +266,6 @@ class BaseMap {
         scene.add(mesh);
         this.meshes.push(mesh);
 
-        // Add collision as square (simpler for pathfinding)
-        this.obstacles.push({
-            minX: x - radius,
-            maxX: x + radius,
-            minZ: z - radius,
-            maxZ: z + radius,
-            maxY: height
-        });
-
         return mesh;
     }
 
@@ -277,20 +291,11 @@ class BaseMap {
         scene.add(group);
         this.meshes.push(group);
 
-        // Add collision
-        this.obstacles.push({
-            minX: x - radius,
-            maxX: x + radius,
-            minZ: z - radius,
-            maxZ: z + radius,
-            maxY: height + 0.1
-        });
-
         return group;
     }
 
     // Add arcade cabinet
-    addArcadeCabinet(scene, x, z, rotation = 0) {
+    addArcadeCabinet(scene, x, z) {
         const group = new THREE.Group();
 
         // Cabinet body
@@ -315,22 +320,9 @@ class BaseMap {
         group.add(screen);
 
         group.position.set(x, 0, z);
-        group.rotation.y = rotation;
         scene.add(group);
         this.meshes.push(group);
 
-        // Add collision (account for rotation)
-        const cos = Math.abs(Math.cos(rotation));
-        const sin = Math.abs(Math.sin(rotation));
-        const hw = 0.6, hd = 0.5;
-        this.obstacles.push({
-            minX: x - cos * hw - sin * hd,
-            maxX: x + cos * hw + sin * hd,
-            minZ: z - sin * hw - cos * hd,
-            maxZ: z + sin * hw + cos * hd,
-            maxY: 1.9
-        });
-
         return group;
     }
 
@@ -344,15 +336,764 @@ class BaseMap {
         scene.add(mesh);
         this.meshes.push(mesh);
 
-        this.obstacles.push({
-            minX: x - radius,
-            maxX: x + radius,
-            minZ: z - radius,
-            maxZ: z + radius,
-            maxY: this.wallHeight
+        return mesh;
+    }
+
+    // Add a decorative hanging light
+    addHangingLight(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Chain
+        const chainGeo = new THREE.CylinderGeometry(0.02, 0.02, 1.5, 6);
+        const chainMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const chain = new THREE.Mesh(chainGeo, chainMat);
+        chain.position.y = 5.25;
+        group.add(chain);
+
+        // Fixture
+        const fixtureGeo = new THREE.CylinderGeometry(0.3, 0.5, 0.3, 8);
+        const fixtureMat = new THREE.MeshStandardMaterial({
+            color: 0x333333,
+            emissive: 0xff2200,
+            emissiveIntensity: 0.3
         });
+        const fixture = new THREE.Mesh(fixtureGeo, fixtureMat);
+        fixture.position.y = 4.5;
+        group.add(fixture);
 
-        return mesh;
+        // Light
+        const light = new THREE.PointLight(0xff4400, 0.8, 15);
+        light.position.y = 4.3;
+        group.add(light);
+        this.lights.push(light);
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+        this.decorations.push(group);
+
+        return group;
+    }
+
+    // Add neon floor strip
+    addNeonStrip(scene, x, z, width, length, color) {
+        const geo = new THREE.PlaneGeometry(width, length);
+        const mat = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.5
+        });
+        const strip = new THREE.Mesh(geo, mat);
+        strip.rotation.x = -Math.PI / 2;
+        strip.position.set(x, 0.01, z);
+        scene.add(strip);
+        this.meshes.push(strip);
+        this.decorations.push(strip);
+
+        // Add glow light
+        const light = new THREE.PointLight(color, 0.3, 8);
+        light.position.set(x, 0.5, z);
+        scene.add(light);
+        this.lights.push(light);
+    }
+
+    // Add shipping crate
+    addCrate(scene, x, z, width, depth, height) {
+        const group = new THREE.Group();
+
+        // Main crate body
+        const bodyGeo = new THREE.BoxGeometry(width, height, depth);
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: 0x8b7355,
+            roughness: 0.9
+        });
+        const body = new THREE.Mesh(bodyGeo, bodyMat);
+        body.position.y = height / 2;
+        body.castShadow = true;
+        group.add(body);
+
+        // Add wooden slat details
+        const slatMat = new THREE.MeshStandardMaterial({ color: 0x5c4033 });
+        for (let i = 0; i < 3; i++) {
+            const slat = new THREE.Mesh(
+                new THREE.BoxGeometry(width + 0.05, 0.1, 0.15),
+                slatMat
+            );
+            slat.position.set(0, height * 0.2 + i * (height * 0.3), depth / 2);
+            group.add(slat);
+        }
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add equipment rack
+    addEquipmentRack(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Frame
+        const frameMat = new THREE.MeshStandardMaterial({ color: 0x4a4a4a });
+
+        // Vertical posts
+        const postGeo = new THREE.BoxGeometry(0.1, 2.2, 0.1);
+        [[-0.8, -0.4], [-0.8, 0.4], [0.8, -0.4], [0.8, 0.4]].forEach(([px, pz]) => {
+            const post = new THREE.Mesh(postGeo, frameMat);
+            post.position.set(px, 1.1, pz);
+            group.add(post);
+        });
+
+        // Shelves
+        const shelfGeo = new THREE.BoxGeometry(1.8, 0.05, 1);
+        for (let h = 0.5; h <= 2; h += 0.5) {
+            const shelf = new THREE.Mesh(shelfGeo, frameMat);
+            shelf.position.y = h;
+            group.add(shelf);
+        }
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add costume rack
+    addCostumeRack(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Main pole
+        const poleGeo = new THREE.CylinderGeometry(0.03, 0.03, 1.8, 8);
+        const poleMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
+        const pole = new THREE.Mesh(poleGeo, poleMat);
+        pole.position.y = 1.4;
+        group.add(pole);
+
+        // Base
+        const baseGeo = new THREE.CylinderGeometry(0.4, 0.4, 0.1, 12);
+        const base = new THREE.Mesh(baseGeo, poleMat);
+        base.position.y = 0.05;
+        group.add(base);
+
+        // Hanging costumes (colored boxes)
+        const costumeColors = [0x8b0000, 0x4a0080, 0x006400];
+        costumeColors.forEach((color, i) => {
+            const costume = new THREE.Mesh(
+                new THREE.BoxGeometry(0.4, 1.2, 0.15),
+                new THREE.MeshStandardMaterial({ color })
+            );
+            costume.position.set(-0.5 + i * 0.5, 1.2, 0);
+            group.add(costume);
+        });
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+        this.decorations.push(group);
+
+        return group;
+    }
+
+    // Add forklift
+    addForklift(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Body
+        const bodyGeo = new THREE.BoxGeometry(1.5, 1.2, 2.5);
+        const bodyMat = new THREE.MeshStandardMaterial({ color: 0xffcc00 });
+        const body = new THREE.Mesh(bodyGeo, bodyMat);
+        body.position.set(0, 0.8, 0);
+        group.add(body);
+
+        // Mast
+        const mastGeo = new THREE.BoxGeometry(0.2, 2.5, 0.2);
+        const mastMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+        const mast = new THREE.Mesh(mastGeo, mastMat);
+        mast.position.set(0, 1.5, 1.5);
+        group.add(mast);
+
+        // Forks
+        const forkGeo = new THREE.BoxGeometry(0.15, 0.1, 1.2);
+        const forkMat = new THREE.MeshStandardMaterial({ color: 0x555555 });
+        [-0.4, 0.4].forEach(fx => {
+            const fork = new THREE.Mesh(forkGeo, forkMat);
+            fork.position.set(fx, 0.15, 2);
+            group.add(fork);
+        });
+
+        // Wheels
+        const wheelGeo = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 12);
+        wheelGeo.rotateZ(Math.PI / 2);
+        const wheelMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a });
+        [[-0.8, -0.8], [0.8, -0.8], [-0.5, 0.8], [0.5, 0.8]].forEach(([wx, wz]) => {
+            const wheel = new THREE.Mesh(wheelGeo, wheelMat);
+            wheel.position.set(wx, 0.3, wz);
+            group.add(wheel);
+        });
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add emergency light
+    addEmergencyLight(scene, x, z) {
+        const light = new THREE.PointLight(0xff3300, 0.4, 12);
+        light.position.set(x, 3, z);
+        scene.add(light);
+        this.lights.push(light);
+
+        // Visual fixture
+        const fixtureGeo = new THREE.BoxGeometry(0.3, 0.15, 0.15);
+        const fixtureMat = new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.8
+        });
+        const fixture = new THREE.Mesh(fixtureGeo, fixtureMat);
+        fixture.position.set(x, 3, z);
+        scene.add(fixture);
+        this.meshes.push(fixture);
+        this.decorations.push(fixture);
+    }
+
+    // Add stainless steel counter
+    addCounter(scene, x, z, width, depth, height) {
+        const group = new THREE.Group();
+
+        // Counter top
+        const topGeo = new THREE.BoxGeometry(width, 0.08, depth);
+        const topMat = new THREE.MeshStandardMaterial({
+            color: 0xcccccc,
+            metalness: 0.8,
+            roughness: 0.2
+        });
+        const top = new THREE.Mesh(topGeo, topMat);
+        top.position.y = height;
+        group.add(top);
+
+        // Base cabinet
+        const baseGeo = new THREE.BoxGeometry(width - 0.1, height - 0.1, depth - 0.1);
+        const baseMat = new THREE.MeshStandardMaterial({
+            color: 0x888888,
+            metalness: 0.6,
+            roughness: 0.4
+        });
+        const base = new THREE.Mesh(baseGeo, baseMat);
+        base.position.y = (height - 0.1) / 2;
+        group.add(base);
+
+        group.position.set(x, 0, z);
+        group.castShadow = true;
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add prep station with cutting board
+    addPrepStation(scene, x, z) {
+        // Cutting board on counter
+        const boardGeo = new THREE.BoxGeometry(0.6, 0.05, 0.4);
+        const boardMat = new THREE.MeshStandardMaterial({ color: 0xf5deb3 });
+        const board = new THREE.Mesh(boardGeo, boardMat);
+        board.position.set(x, 1.05, z);
+        scene.add(board);
+        this.meshes.push(board);
+        this.decorations.push(board);
+
+        return board;
+    }
+
+    // Add commercial stove
+    addStove(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Stove body
+        const bodyGeo = new THREE.BoxGeometry(2.5, 1, 1.8);
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: 0x333333,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+        const body = new THREE.Mesh(bodyGeo, bodyMat);
+        body.position.y = 0.5;
+        group.add(body);
+
+        // Burner grates
+        const grateMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a });
+        for (let gx = -0.6; gx <= 0.6; gx += 0.6) {
+            const grate = new THREE.Mesh(
+                new THREE.BoxGeometry(0.5, 0.05, 0.5),
+                grateMat
+            );
+            grate.position.set(gx, 1.02, 0);
+            group.add(grate);
+        }
+
+        // Knobs
+        const knobGeo = new THREE.CylinderGeometry(0.04, 0.04, 0.03, 8);
+        const knobMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
+        for (let kx = -0.8; kx <= 0.8; kx += 0.4) {
+            const knob = new THREE.Mesh(knobGeo, knobMat);
+            knob.rotation.x = Math.PI / 2;
+            knob.position.set(kx, 0.6, 0.92);
+            group.add(knob);
+        }
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add hood vent
+    addHoodVent(scene, x, z, width) {
+        const hoodGeo = new THREE.BoxGeometry(width, 0.6, 2);
+        const hoodMat = new THREE.MeshStandardMaterial({
+            color: 0x666666,
+            metalness: 0.8,
+            roughness: 0.2
+        });
+        const hood = new THREE.Mesh(hoodGeo, hoodMat);
+        hood.position.set(x, 4, z);
+        scene.add(hood);
+        this.meshes.push(hood);
+        this.decorations.push(hood);
+
+        return hood;
+    }
+
+    // Add storage shelf
+    addShelf(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Frame
+        const frameMat = new THREE.MeshStandardMaterial({
+            color: 0x888888,
+            metalness: 0.6
+        });
+
+        // Posts
+        const postGeo = new THREE.BoxGeometry(0.08, 2.2, 0.08);
+        [[-0.7, -0.5], [-0.7, 0.5], [0.7, -0.5], [0.7, 0.5]].forEach(([px, pz]) => {
+            const post = new THREE.Mesh(postGeo, frameMat);
+            post.position.set(px, 1.1, pz);
+            group.add(post);
+        });
+
+        // Shelves with items
+        const shelfMat = new THREE.MeshStandardMaterial({ color: 0x999999, metalness: 0.5 });
+        for (let h = 0.4; h <= 2; h += 0.5) {
+            const shelf = new THREE.Mesh(
+                new THREE.BoxGeometry(1.5, 0.03, 1.1),
+                shelfMat
+            );
+            shelf.position.y = h;
+            group.add(shelf);
+        }
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add sink
+    addSink(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Basin
+        const basinGeo = new THREE.BoxGeometry(1.2, 0.4, 0.8);
+        const basinMat = new THREE.MeshStandardMaterial({
+            color: 0xaaaaaa,
+            metalness: 0.9,
+            roughness: 0.1
+        });
+        const basin = new THREE.Mesh(basinGeo, basinMat);
+        basin.position.y = 0.85;
+        group.add(basin);
+
+        // Faucet
+        const faucetGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.4, 8);
+        const faucetMat = new THREE.MeshStandardMaterial({
+            color: 0xcccccc,
+            metalness: 1,
+            roughness: 0.1
+        });
+        const faucet = new THREE.Mesh(faucetGeo, faucetMat);
+        faucet.position.set(0, 1.25, -0.3);
+        group.add(faucet);
+
+        // Spout
+        const spoutGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.25, 8);
+        const spout = new THREE.Mesh(spoutGeo, faucetMat);
+        spout.rotation.x = Math.PI / 2;
+        spout.position.set(0, 1.4, -0.15);
+        group.add(spout);
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+        this.decorations.push(group);
+
+        return group;
+    }
+
+    // Add heat lamp
+    addHeatLamp(scene, x, z) {
+        // Lamp fixture
+        const lampGeo = new THREE.ConeGeometry(0.3, 0.4, 8, 1, true);
+        const lampMat = new THREE.MeshStandardMaterial({
+            color: 0x333333,
+            side: THREE.DoubleSide
+        });
+        const lamp = new THREE.Mesh(lampGeo, lampMat);
+        lamp.position.set(x, 2, z);
+        lamp.rotation.x = Math.PI;
+        scene.add(lamp);
+        this.meshes.push(lamp);
+        this.decorations.push(lamp);
+
+        // Warm light
+        const light = new THREE.PointLight(0xff6600, 0.5, 6);
+        light.position.set(x, 1.7, z);
+        scene.add(light);
+        this.lights.push(light);
+    }
+
+    // Add floor drain
+    addFloorDrain(scene, x, z) {
+        const drainGeo = new THREE.CircleGeometry(0.25, 16);
+        const drainMat = new THREE.MeshStandardMaterial({
+            color: 0x2a2a2a,
+            metalness: 0.8
+        });
+        const drain = new THREE.Mesh(drainGeo, drainMat);
+        drain.rotation.x = -Math.PI / 2;
+        drain.position.set(x, 0.01, z);
+        scene.add(drain);
+        this.meshes.push(drain);
+        this.decorations.push(drain);
+    }
+
+    // Add fluorescent ceiling panel with its area light
+    addLightPanel(scene, x, z, intensity = 2) {
+        const light = new THREE.RectAreaLight(0xffffff, intensity, 3, 1.5);
+        light.position.set(x, 5.5, z);
+        light.rotation.x = -Math.PI / 2;
+        scene.add(light);
+        this.lights.push(light);
+
+        // Visual panel
+        const panelGeo = new THREE.PlaneGeometry(3, 1.5);
+        const panelMat = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.9
+        });
+        const panel = new THREE.Mesh(panelGeo, panelMat);
+        panel.position.set(x, 5.8, z);
+        panel.rotation.x = Math.PI / 2;
+        scene.add(panel);
+        this.meshes.push(panel);
+        this.decorations.push(panel);
+    }
+
+    // Add raised central stage
+    addCentralStage(scene, x, z, radius) {
+        // Stage platform
+        const stageGeo = new THREE.CylinderGeometry(radius, radius + 0.5, 0.4, 24);
+        const stageMat = new THREE.MeshStandardMaterial({
+            color: 0x5a3a6a,
+            roughness: 0.6
+        });
+        const stage = new THREE.Mesh(stageGeo, stageMat);
+        stage.position.set(x, 0.2, z);
+        scene.add(stage);
+        this.meshes.push(stage);
+
+        // Glowing edge ring
+        const ringGeo = new THREE.TorusGeometry(radius, 0.1, 8, 48);
+        const ringMat = new THREE.MeshBasicMaterial({
+            color: 0xff00ff,
+            transparent: true,
+            opacity: 0.7
+        });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = Math.PI / 2;
+        ring.position.set(x, 0.45, z);
+        scene.add(ring);
+        this.meshes.push(ring);
+        this.decorations.push(ring);
+
+        // Stage light
+        const light = new THREE.PointLight(0xff00ff, 0.6, 15);
+        light.position.set(x, 0.5, z);
+        scene.add(light);
+        this.lights.push(light);
+    }
+
+    // Add party table with tablecloth
+    addPartyTable(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Table top with cloth
+        const clothGeo = new THREE.CylinderGeometry(1.6, 1.8, 0.1, 16);
+        const clothMat = new THREE.MeshStandardMaterial({
+            color: 0xff4488,
+            roughness: 0.8
+        });
+        const cloth = new THREE.Mesh(clothGeo, clothMat);
+        cloth.position.y = 0.85;
+        group.add(cloth);
+
+        // Table base
+        const baseGeo = new THREE.CylinderGeometry(0.2, 0.3, 0.8, 8);
+        const baseMat = new THREE.MeshStandardMaterial({ color: 0x2a1a1a });
+        const base = new THREE.Mesh(baseGeo, baseMat);
+        base.position.y = 0.4;
+        group.add(base);
+
+        // Party items on table
+        this.addPartyPlate(group, -0.5, 0.9, 0);
+        this.addPartyPlate(group, 0.5, 0.9, 0);
+        this.addPartyPlate(group, 0, 0.9, 0.5);
+
+        // Party hat decoration
+        const hatGeo = new THREE.ConeGeometry(0.15, 0.35, 8);
+        const hatMat = new THREE.MeshStandardMaterial({ color: 0xffff00 });
+        const hat = new THREE.Mesh(hatGeo, hatMat);
+        hat.position.set(0, 1.1, -0.3);
+        group.add(hat);
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add party plate
+    addPartyPlate(parent, x, y, z) {
+        const plateGeo = new THREE.CylinderGeometry(0.2, 0.2, 0.02, 12);
+        const plateMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
+        const plate = new THREE.Mesh(plateGeo, plateMat);
+        plate.position.set(x, y, z);
+        parent.add(plate);
+    }
+
+    // Add balloon cluster
+    addBalloonCluster(scene, x, z) {
+        const group = new THREE.Group();
+        const colors = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 0xff00ff];
+
+        colors.forEach((color, i) => {
+            const balloon = new THREE.Group();
+
+            // Balloon body
+            const balloonGeo = new THREE.SphereGeometry(0.4, 12, 12);
+            balloonGeo.scale(1, 1.3, 1);
+            const balloonMat = new THREE.MeshStandardMaterial({
+                color,
+                roughness: 0.3,
+                metalness: 0.1
+            });
+            const balloonMesh = new THREE.Mesh(balloonGeo, balloonMat);
+            balloon.add(balloonMesh);
+
+            // String
+            const stringGeo = new THREE.CylinderGeometry(0.01, 0.01, 2, 4);
+            const stringMat = new THREE.MeshBasicMaterial({ color: 0x888888 });
+            const string = new THREE.Mesh(stringGeo, stringMat);
+            string.position.y = -1.5;
+            balloon.add(string);
+
+            // Position in cluster
+            const offsetX = (Math.random() - 0.5) * 1.5;
+            const offsetZ = (Math.random() - 0.5) * 1.5;
+            const offsetY = 4 + Math.random() * 1;
+            balloon.position.set(offsetX, offsetY, offsetZ);
+
+            group.add(balloon);
+        });
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+        this.decorations.push(group);
+
+        return group;
+    }
+
+    // Add gift pile
+    addGiftPile(scene, x, z) {
+        const group = new THREE.Group();
+        const giftColors = [0xff0000, 0x00aa00, 0x0000ff, 0xffaa00];
+
+        // Stack of gift boxes
+        const positions = [
+            { pos: [0, 0.3, 0], size: [0.8, 0.6, 0.8] },
+            { pos: [0.3, 0.8, 0.2], size: [0.5, 0.4, 0.5] },
+            { pos: [-0.25, 0.65, -0.15], size: [0.6, 0.5, 0.55] }
+        ];
+
+        positions.forEach((gift, i) => {
+            const giftGeo = new THREE.BoxGeometry(...gift.size);
+            const giftMat = new THREE.MeshStandardMaterial({
+                color: giftColors[i % giftColors.length],
+                roughness: 0.5
+            });
+            const giftMesh = new THREE.Mesh(giftGeo, giftMat);
+            giftMesh.position.set(...gift.pos);
+            group.add(giftMesh);
+
+            // Ribbon
+            const ribbonGeo = new THREE.BoxGeometry(gift.size[0] + 0.05, 0.08, 0.08);
+            const ribbonMat = new THREE.MeshStandardMaterial({ color: 0xffd700 });
+            const ribbon = new THREE.Mesh(ribbonGeo, ribbonMat);
+            ribbon.position.set(gift.pos[0], gift.pos[1], gift.pos[2]);
+            group.add(ribbon);
+        });
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add cake table
+    addCakeTable(scene, x, z) {
+        const group = new THREE.Group();
+
+        // Table
+        const tableGeo = new THREE.BoxGeometry(4, 1, 2);
+        const tableMat = new THREE.MeshStandardMaterial({ color: 0x4a3a2a });
+        const table = new THREE.Mesh(tableGeo, tableMat);
+        table.position.y = 0.5;
+        group.add(table);
+
+        // Tablecloth
+        const clothGeo = new THREE.BoxGeometry(4.2, 0.05, 2.2);
+        const clothMat = new THREE.MeshStandardMaterial({ color: 0xff88aa });
+        const cloth = new THREE.Mesh(clothGeo, clothMat);
+        cloth.position.y = 1.02;
+        group.add(cloth);
+
+        // Birthday cake
+        this.addBirthdayCake(group, 0, 1.1, 0);
+
+        group.position.set(x, 0, z);
+        scene.add(group);
+        this.meshes.push(group);
+
+        return group;
+    }
+
+    // Add birthday cake
+    addBirthdayCake(parent, x, y, z) {
+        const cakeGroup = new THREE.Group();
+
+        // Bottom tier
+        const tier1Geo = new THREE.CylinderGeometry(0.6, 0.6, 0.4, 16);
+        const cakeMat = new THREE.MeshStandardMaterial({ color: 0xffc0cb });
+        const tier1 = new THREE.Mesh(tier1Geo, cakeMat);
+        tier1.position.y = 0.2;
+        cakeGroup.add(tier1);
+
+        // Top tier
+        const tier2Geo = new THREE.CylinderGeometry(0.4, 0.4, 0.3, 16);
+        const tier2 = new THREE.Mesh(tier2Geo, cakeMat);
+        tier2.position.y = 0.55;
+        cakeGroup.add(tier2);
+
+        // Candles
+        const candleMat = new THREE.MeshStandardMaterial({ color: 0xffff88 });
+        const flameMat = new THREE.MeshBasicMaterial({ color: 0xff6600 });
+        for (let i = 0; i < 5; i++) {
+            const angle = (i / 5) * Math.PI * 2;
+            const cx = Math.cos(angle) * 0.25;
+            const cz = Math.sin(angle) * 0.25;
+
+            const candle = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.03, 0.03, 0.15, 6),
+                candleMat
+            );
+            candle.position.set(cx, 0.8, cz);
+            cakeGroup.add(candle);
+
+            const flame = new THREE.Mesh(
+                new THREE.SphereGeometry(0.04, 6, 6),
+                flameMat
+            );
+            flame.position.set(cx, 0.9, cz);
+            cakeGroup.add(flame);
+        }
+
+        cakeGroup.position.set(x, y, z);
+        parent.add(cakeGroup);
+    }
+
+    // Add banner string between two points
+    addBannerString(scene, x1, z1, x2, z2) {
+        const group = new THREE.Group();
+        const bannerColors = [0xff0000, 0xffff00, 0x00ff00, 0x00ffff, 0xff00ff];
+        const segments = 8;
+
+        for (let i = 0; i < segments; i++) {
+            const t = i / (segments - 1);
+            const x = x1 + (x2 - x1) * t;
+            const z = z1 + (z2 - z1) * t;
+            // Catenary curve
+            const sag = Math.sin(t * Math.PI) * 0.8;
+            const y = 4.5 - sag;
+
+            const flagGeo = new THREE.PlaneGeometry(0.4, 0.5);
+            const flagMat = new THREE.MeshBasicMaterial({
+                color: bannerColors[i % bannerColors.length],
+                side: THREE.DoubleSide
+            });
+            const flag = new THREE.Mesh(flagGeo, flagMat);
+            flag.position.set(x, y, z);
+            flag.rotation.y = Math.atan2(x2 - x1, z2 - z1);
+            group.add(flag);
+        }
+
+        scene.add(group);
+        this.meshes.push(group);
+        this.decorations.push(group);
+    }
+
+    // Add disco ball
+    addDiscoBall(scene, x, y, z) {
+        const ballGeo = new THREE.IcosahedronGeometry(0.5, 1);
+        const ballMat = new THREE.MeshStandardMaterial({
+            color: 0xcccccc,
+            metalness: 1,
+            roughness: 0.1,
+            envMapIntensity: 2
+        });
+        const ball = new THREE.Mesh(ballGeo, ballMat);
+        ball.position.set(x, y, z);
+        scene.add(ball);
+        this.meshes.push(ball);
+        this.decorations.push(ball);
+
+        // Chain
+        const chainGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 6);
+        const chainMat = new THREE.MeshStandardMaterial({ color: 0x444444 });
+        const chain = new THREE.Mesh(chainGeo, chainMat);
+        chain.position.set(x, y + 0.6, z);
+        scene.add(chain);
+        this.meshes.push(chain);
+        this.decorations.push(chain);
     }
 
     // Add player spawn point
@@ -366,6 +1107,40 @@ class BaseMap {
     }
 }
 
+// ==================== PROP BUILDERS ====================
+// One entry per MapFormat.PROPS type - p already has the type's defaults filled in.
+// Builders that return an object get the prop's rotation applied by addProp.
+BaseMap.PROP_BUILDERS = {
+    box: (map, scene, p) => map.addBox(scene, p.x, p.z, p.width, p.depth, p.height, p.color),
+    cylinder: (map, scene, p) => map.addCylinder(scene, p.x, p.z, p.radius, p.height, p.color),
+    pillar: (map, scene, p) => map.addPillar(scene, p.x, p.z, p.radius),
+    table: (map, scene, p) => map.addTable(scene, p.x, p.z, p.radius, p.height),
+    arcadeCabinet: (map, scene, p) => map.addArcadeCabinet(scene, p.x, p.z),
+    hangingLight: (map, scene, p) => map.addHangingLight(scene, p.x, p.z),
+    neonStrip: (map, scene, p) => map.addNeonStrip(scene, p.x, p.z, p.width, p.length, p.color),
+    crate: (map, scene, p) => map.addCrate(scene, p.x, p.z, p.width, p.depth, p.height),
+    equipmentRack: (map, scene, p) => map.addEquipmentRack(scene, p.x, p.z),
+    costumeRack: (map, scene, p) => map.addCostumeRack(scene, p.x, p.z),
+    forklift: (map, scene, p) => map.addForklift(scene, p.x, p.z),
+    emergencyLight: (map, scene, p) => map.addEmergencyLight(scene, p.x, p.z),
+    counter: (map, scene, p) => map.addCounter(scene, p.x, p.z, p.width, p.depth, p.height),
+    prepStation: (map, scene, p) => map.addPrepStation(scene, p.x, p.z),
+    stove: (map, scene, p) => map.addStove(scene, p.x, p.z),
+    hoodVent: (map, scene, p) => map.addHoodVent(scene, p.x, p.z, p.width),
+    shelf: (map, scene, p) => map.addShelf(scene, p.x, p.z),
+    sink: (map, scene, p) => map.addSink(scene, p.x, p.z),
+    heatLamp: (map, scene, p) => map.addHeatLamp(scene, p.x, p.z),
+    floorDrain: (map, scene, p) => map.addFloorDrain(scene, p.x, p.z),
+    lightPanel: (map, scene, p) => map.addLightPanel(scene, p.x, p.z, p.intensity),
+    centralStage: (map, scene, p) => map.addCentralStage(scene, p.x, p.z, p.radius),
+    partyTable: (map, scene, p) => map.addPartyTable(scene, p.x, p.z),
+    balloonCluster: (map, scene, p) => map.addBalloonCluster(scene, p.x, p.z),
+    giftPile: (map, scene, p) => map.addGiftPile(scene, p.x, p.z),
+    cakeTable: (map, scene, p) => map.addCakeTable(scene, p.x, p.z),
+    bannerString: (map, scene, p) => map.addBannerString(scene, p.x, p.z, p.x2, p.z2),
+    discoBall: (map, scene, p) => map.addDiscoBall(scene, p.x, p.y, p.z)
+};
+
 // Export for use
 if (typeof window !== 'undefined') {
     window.BaseMap = BaseMap;
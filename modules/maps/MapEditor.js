@@ -0,0 +1,721 @@
+// ==================== MAP EDITOR ====================
+// Top-down editor for map definitions (maps/*.json). Places, moves, rotates and
+// deletes props on a grid, paints spawn points, previews the server NavGrid and
+// exports/imports map files. Every edit rebuilds the scene through BaseMap, so
+// the preview is exactly what the game builds from the exported file.
+
+const MapEditor = {
+    isActive: false,
+    definition: null,       // Working copy of the map being edited
+    map: null,              // BaseMap built from the definition
+    camera: null,           // Orthographic top-down camera (rendered instead of the player camera)
+    light: null,            // Flat editor lighting so dark maps stay readable from above
+    overlay: null,          // Footprints, spawn markers, grid and NavGrid preview
+    tool: 'select',         // select | place | playerSpawn | zombieSpawn
+    placeType: 'box',
+    selection: null,        // { kind: 'props' | 'playerSpawns' | 'zombieSpawns', index }
+    drag: null,             // { offsetX, offsetZ, moved } while moving the selection
+    snap: 1,
+    showNavGrid: false,
+    listeners: null,        // AbortController for DOM listeners while the editor is open
+
+    PICK_RADIUS: 0.8,       // How close a click must be to a spawn or decoration to pick it
+    VIEW_MARGIN: 8,         // World units shown around the arena
+
+    // Starting point for NEW - one of each spawn so the map validates straight away
+    TEMPLATE: {
+        id: 'new_map',
+        name: 'New Map',
+        arena: { width: 50, depth: 50, wallHeight: 6 },
+        floor: { color: '#2a1a0a', roughness: 0.9 },
+        walls: { color: '#1a0a0a', roughness: 0.8 },
+        ceiling: { color: '#0a0505' },
+        fog: { color: '#0a0500', near: 8, far: 50 },
+        lights: [
+            { type: 'ambient', color: '#2a1505', intensity: 0.35 },
+            { type: 'point', color: '#ffaa44', intensity: 1.2, distance: 45, x: 0, y: 5, z: 0, castShadow: true }
+        ],
+        props: [],
+        playerSpawns: [{ x: 0, z: 12 }],
+        zombieSpawns: [{ x: 0, z: -22, rotation: 0 }]
+    },
+
+    // ==================== OPEN / CLOSE ====================
+
+    open() {
+        if (this.isActive) return;
+        this.isActive = true;
+
+        // Clear the menu map - the editor owns the scene until it closes
+        MapManager.reset();
+        player.visible = false;
+
+        this.light = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+        scene.add(this.light);
+        this.overlay = new THREE.Group();
+        scene.add(this.overlay);
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 200);
+        this.camera.up.set(0, 0, -1);          // North (-Z) at the top of the screen
+        this.camera.position.set(0, 100, 0);
+        this.camera.lookAt(0, 0, 0);
+
+        this.populateMapSelect();
+        this.populatePropSelect();
+        this.attachListeners();
+        this.setTool('select');
+
+        document.getElementById('start-screen').style.display = 'none';
+        document.getElementById('map-editor').style.display = 'flex';
+
+        const first = Object.values(MapManager.maps)[0];
+        this.load(first ? first.definition : this.TEMPLATE);
+        console.log('[MapEditor] Opened');
+    },
+
+    close() {
+        if (!this.isActive) return;
+        this.isActive = false;
+
+        if (this.map) this.map.destroy(scene);
+        this.map = null;
+        this.clearOverlay();
+        scene.remove(this.overlay);
+        scene.remove(this.light);
+        this.overlay = null;
+        this.light = null;
+        this.selection = null;
+        this.drag = null;
+        player.visible = true;
+
+        if (this.listeners) this.listeners.abort();
+        this.listeners = null;
+
+        document.getElementById('map-editor').style.display = 'none';
+        document.getElementById('start-screen').style.display = 'flex';
+        console.log('[MapEditor] Closed');
+    },
+
+    // ==================== LOADING ====================
+
+    load(definition) {
+        this.definition = JSON.parse(JSON.stringify(definition));
+        this.selection = null;
+        this.fitCamera();
+        this.rebuild();
+        this.updateMapFields();
+        this.setStatus(`Editing ${this.definition.name}`);
+    },
+
+    newMap() {
+        this.load(this.TEMPLATE);
+    },
+
+    // Rebuild the scene from the working definition
+    rebuild() {
+        if (this.map) this.map.destroy(scene);
+        this.map = new BaseMap(this.definition);
+        this.map.create(scene);
+        scene.fog = null;   // Map fog would hide everything from editor height
+        this.updateOverlay();
+        this.updateSelectionPanel();
+    },
+
+    fitCamera() {
+        const arena = MapFormat.getArena(this.definition);
+        const aspect = window.innerWidth / window.innerHeight;
+        const viewHeight = Math.max(arena.depth, arena.width / aspect) + this.VIEW_MARGIN * 2;
+        this.camera.left = -viewHeight * aspect / 2;
+        this.camera.right = viewHeight * aspect / 2;
+        this.camera.top = viewHeight / 2;
+        this.camera.bottom = -viewHeight / 2;
+        this.camera.zoom = 1;
+        this.camera.updateProjectionMatrix();
+    },
+
+    // ==================== OVERLAY ====================
+
+    clearOverlay() {
+        if (!this.overlay) return;
+        this.overlay.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                if (obj.material.map) obj.material.map.dispose();
+                obj.material.dispose();
+            }
+        });
+        this.overlay.clear();
+    },
+
+    // Redraw grid, footprints and spawn markers (cheap - used while dragging)
+    updateOverlay() {
+        this.clearOverlay();
+        const def = this.definition;
+        const arena = MapFormat.getArena(def);
+
+        const grid = new THREE.GridHelper(Math.max(arena.width, arena.depth), Math.max(arena.width, arena.depth), 0x444444, 0x222222);
+        grid.position.y = 0.02;
+        this.addOverlayObject(grid, 1);
+
+        if (this.showNavGrid) this.addNavGridPreview();
+
+        def.props.forEach((prop, index) => {
+            const selected = this.isSelected('props', index);
+            const bounds = MapFormat.getPropBounds(prop, arena);
+            if (bounds) {
+                this.addRect(bounds, selected ? 0x00ffff : 0xffcc00);
+            } else {
+                this.addMarker(prop.x, prop.z, 0.4, selected ? 0x00ffff : 0xff66ff, 4);
+            }
+        });
+
+        def.playerSpawns.forEach((spawn, index) => {
+            this.addMarker(spawn.x, spawn.z, 0.6, this.isSelected('playerSpawns', index) ? 0x00ffff : 0x00ff00, 16);
+        });
+
+        def.zombieSpawns.forEach((spawn, index) => {
+            const color = this.isSelected('zombieSpawns', index) ? 0x00ffff : 0xff0000;
+            this.addMarker(spawn.x, spawn.z, 0.6, color, 16);
+            // Facing arrow (rotation 0 faces +Z, into the arena from the north wall)
+            const angle = MapFormat.toRadians(spawn.rotation);
+            this.addLine([
+                [spawn.x, spawn.z],
+                [spawn.x + Math.sin(angle) * 1.5, spawn.z + Math.cos(angle) * 1.5]
+            ], color);
+        });
+    },
+
+    addOverlayObject(object, renderOrder = 2) {
+        object.renderOrder = renderOrder;
+        object.traverse(obj => {
+            if (obj.material) obj.material.depthTest = false;
+        });
+        this.overlay.add(object);
+    },
+
+    addLine(points, color, closed = false) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            points.map(([x, z]) => new THREE.Vector3(x, 0.1, z))
+        );
+        const material = new THREE.LineBasicMaterial({ color });
+        this.addOverlayObject(closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material));
+    },
+
+    addRect(bounds, color) {
+        this.addLine([
+            [bounds.minX, bounds.minZ], [bounds.maxX, bounds.minZ],
+            [bounds.maxX, bounds.maxZ], [bounds.minX, bounds.maxZ]
+        ], color, true);
+    },
+
+    addMarker(x, z, radius, color, segments) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push([x + Math.cos(angle) * radius, z + Math.sin(angle) * radius]);
+        }
+        this.addLine(points, color, true);
+    },
+
+    // Walkability as the server sees it: Navigation.NavGrid built from the same obstacles.
+    // Green = walkable, red = blocked, orange = walkable but unreachable from any player spawn.
+    addNavGridPreview() {
+        const navGrid = Navigation.NavGrid;
+        if (!navGrid.initialized) navGrid.init();
+        navGrid.buildFromObstacles(MapFormat.getObstacles(this.definition));
+
+        const reachable = this.getReachableCells();
+        const arena = MapFormat.getArena(this.definition);
+        const canvas = document.createElement('canvas');
+        canvas.width = navGrid.gridWidth;
+        canvas.height = navGrid.gridHeight;
+        const ctx = canvas.getContext('2d');
+
+        for (let gz = 0; gz < navGrid.gridHeight; gz++) {
+            for (let gx = 0; gx < navGrid.gridWidth; gx++) {
+                const wx = navGrid.gridToWorldX(gx);
+                const wz = navGrid.gridToWorldZ(gz);
+                if (Math.abs(wx) > arena.width / 2 || Math.abs(wz) > arena.depth / 2) continue;
+                if (!navGrid.isWalkable(gx, gz)) ctx.fillStyle = '#ff0000';
+                else if (!reachable.has(gz * navGrid.gridWidth + gx)) ctx.fillStyle = '#ff8800';
+                else ctx.fillStyle = '#00ff00';
+                ctx.fillRect(gx, gz, 1, 1);
+            }
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(navGrid.gridWidth * navGrid.cellSize, navGrid.gridHeight * navGrid.cellSize),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0.35 })
+        );
+        // Canvas row 0 is the grid's minimum Z, which is the top of the texture
+        plane.rotation.x = -Math.PI / 2;
+        plane.position.set(
+            navGrid.offsetX + navGrid.gridWidth * navGrid.cellSize / 2,
+            0.05,
+            navGrid.offsetZ + navGrid.gridHeight * navGrid.cellSize / 2
+        );
+        this.addOverlayObject(plane, 1);
+    },
+
+    // Flood fill the NavGrid from every player spawn (4-neighbour, like a zombie walking to them)
+    getReachableCells() {
+        const navGrid = Navigation.NavGrid;
+        const reachable = new Set();
+        const queue = [];
+        this.definition.playerSpawns.forEach(spawn => {
+            const gx = navGrid.worldToGridX(spawn.x);
+            const gz = navGrid.worldToGridZ(spawn.z);
+            if (navGrid.isWalkable(gx, gz)) {
+                reachable.add(gz * navGrid.gridWidth + gx);
+                queue.push([gx, gz]);
+            }
+        });
+        while (queue.length > 0) {
+            const [gx, gz] = queue.shift();
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+                const nx = gx + dx;
+                const nz = gz + dz;
+                const key = nz * navGrid.gridWidth + nx;
+                if (!reachable.has(key) && navGrid.isWalkable(nx, nz)) {
+                    reachable.add(key);
+                    queue.push([nx, nz]);
+                }
+            });
+        }
+        return reachable;
+    },
+
+    // Zombie spawns that can never reach a player
+    getStrandedZombieSpawns() {
+        const navGrid = Navigation.NavGrid;
+        if (!navGrid.initialized) navGrid.init();
+        navGrid.buildFromObstacles(MapFormat.getObstacles(this.definition));
+        const reachable = this.getReachableCells();
+        return this.definition.zombieSpawns.filter(spawn => {
+            const gx = navGrid.worldToGridX(spawn.x);
+            const gz = navGrid.worldToGridZ(spawn.z);
+            return !reachable.has(gz * navGrid.gridWidth + gx);
+        });
+    },
+
+    // ==================== EDITING ====================
+
+    isSelected(kind, index) {
+        return this.selection !== null && this.selection.kind === kind && this.selection.index === index;
+    },
+
+    getSelectedItem() {
+        if (!this.selection) return null;
+        return this.definition[this.selection.kind][this.selection.index] || null;
+    },
+
+    select(selection) {
+        this.selection = selection;
+        this.updateOverlay();
+        this.updateSelectionPanel();
+    },
+
+    snapValue(value) {
+        return Math.round(value / this.snap) * this.snap;
+    },
+
+    // Snap a point to the grid and keep it inside the arena walls
+    snapPoint(x, z) {
+        const arena = MapFormat.getArena(this.definition);
+        const halfW = arena.width / 2 - 0.5;
+        const halfD = arena.depth / 2 - 0.5;
+        return {
+            x: Math.max(-halfW, Math.min(halfW, this.snapValue(x))),
+            z: Math.max(-halfD, Math.min(halfD, this.snapValue(z)))
+        };
+    },
+
+    // Topmost spawn or prop under a world point
+    pick(x, z) {
+        const def = this.definition;
+        const arena = MapFormat.getArena(def);
+        for (const kind of ['playerSpawns', 'zombieSpawns']) {
+            for (let i = def[kind].length - 1; i >= 0; i--) {
+                if (Math.hypot(def[kind][i].x - x, def[kind][i].z - z) <= this.PICK_RADIUS) {
+                    return { kind, index: i };
+                }
+            }
+        }
+        for (let i = def.props.length - 1; i >= 0; i--) {
+            const prop = def.props[i];
+            const bounds = MapFormat.getPropBounds(prop, arena);
+            const hit = bounds
+                ? x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ
+                : Math.hypot(prop.x - x, prop.z - z) <= this.PICK_RADIUS;
+            if (hit) return { kind: 'props', index: i };
+        }
+        return null;
+    },
+
+    placeProp(x, z) {
+        const type = MapFormat.PROPS[this.placeType];
+        const point = this.snapPoint(x, z);
+        const prop = Object.assign({ type: this.placeType, x: point.x, z: point.z }, JSON.parse(JSON.stringify(type.defaults)));
+        this.definition.props.push(prop);
+        this.selection = { kind: 'props', index: this.definition.props.length - 1 };
+        this.rebuild();
+    },
+
+    // Click toggles: on an existing spawn of this kind it is removed, otherwise one is added
+    paintSpawn(kind, x, z) {
+        const spawns = this.definition[kind];
+        const hit = spawns.findIndex(spawn => Math.hypot(spawn.x - x, spawn.z - z) <= this.PICK_RADIUS);
+        if (hit !== -1) {
+            spawns.splice(hit, 1);
+            this.selection = null;
+        } else {
+            const point = this.snapPoint(x, z);
+            const spawn = kind === 'zombieSpawns'
+                ? { x: point.x, z: point.z, rotation: this.getInwardRotation(point.x, point.z) }
+                : { x: point.x, z: point.z };
+            spawns.push(spawn);
+            this.selection = { kind, index: spawns.length - 1 };
+        }
+        this.updateOverlay();
+        this.updateSelectionPanel();
+    },
+
+    // Face a new zombie spawn towards the arena centre, rounded to 45 degrees
+    getInwardRotation(x, z) {
+        const degrees = Math.round(Math.atan2(-x, -z) * 180 / Math.PI / 45) * 45;
+        return degrees === -180 ? 180 : degrees;
+    },
+
+    moveSelection(x, z) {
+        const item = this.getSelectedItem();
+        if (!item) return;
+        const point = this.snapPoint(x, z);
+        const dx = point.x - item.x;
+        const dz = point.z - item.z;
+        if (dx === 0 && dz === 0) return;
+        item.x = point.x;
+        item.z = point.z;
+        // Props with a second anchor (banner strings) move as a whole
+        if (item.x2 !== undefined) item.x2 += dx;
+        if (item.z2 !== undefined) item.z2 += dz;
+        this.drag.moved = true;
+        this.updateOverlay();
+    },
+
+    rotateSelection(degrees) {
+        const item = this.getSelectedItem();
+        if (!item || this.selection.kind === 'playerSpawns') return;
+        let rotation = ((item.rotation || 0) + degrees) % 360;
+        if (rotation > 180) rotation -= 360;
+        if (rotation <= -180) rotation += 360;
+        item.rotation = rotation;
+        if (this.selection.kind === 'props') this.rebuild();
+        else this.select(this.selection);
+    },
+
+    deleteSelection() {
+        if (!this.selection) return;
+        const kind = this.selection.kind;
+        this.definition[kind].splice(this.selection.index, 1);
+        this.selection = null;
+        if (kind === 'props') this.rebuild();
+        else this.select(null);
+    },
+
+    // ==================== INPUT ====================
+
+    attachListeners() {
+        this.listeners = new AbortController();
+        const signal = this.listeners.signal;
+        const canvas = renderer.domElement;
+
+        canvas.addEventListener('pointerdown', e => this.onPointerDown(e), { signal });
+        window.addEventListener('pointermove', e => this.onPointerMove(e), { signal });
+        window.addEventListener('pointerup', () => this.onPointerUp(), { signal });
+        canvas.addEventListener('wheel', e => this.onWheel(e), { signal, passive: false });
+        document.addEventListener('keydown', e => this.onKeyDown(e), { signal });
+        window.addEventListener('resize', () => {
+            const zoom = this.camera.zoom;
+            this.fitCamera();
+            this.camera.zoom = zoom;
+            this.camera.updateProjectionMatrix();
+        }, { signal });
+
+        document.querySelectorAll('#map-editor .editor-tool').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool), { signal });
+        });
+        document.getElementById('editor-map-select').addEventListener('change', e => {
+            const map = MapManager.maps[e.target.value];
+            if (map) this.load(map.definition);
+        }, { signal });
+        document.getElementById('editor-new-button').addEventListener('click', () => this.newMap(), { signal });
+        document.getElementById('editor-prop-type').addEventListener('change', e => {
+            this.placeType = e.target.value;
+            this.setTool('place');
+        }, { signal });
+        document.getElementById('editor-snap').addEventListener('change', e => {
+            this.snap = parseFloat(e.target.value) || 1;
+        }, { signal });
+        document.getElementById('editor-navgrid-toggle').addEventListener('change', e => {
+            this.showNavGrid = e.target.checked;
+            this.updateOverlay();
+        }, { signal });
+        document.querySelectorAll('#map-editor [data-field]').forEach(input => {
+            input.addEventListener('change', () => this.onMapFieldChange(input), { signal });
+        });
+        document.getElementById('editor-export-button').addEventListener('click', () => this.exportFile(), { signal });
+        document.getElementById('editor-import-button').addEventListener('click', () => {
+            document.getElementById('editor-import-input').click();
+        }, { signal });
+        document.getElementById('editor-import-input').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        }, { signal });
+    },
+
+    getWorldPoint(event) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(ndc, this.camera);
+        const point = new THREE.Vector3();
+        return raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), point) ? point : null;
+    },
+
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        const point = this.getWorldPoint(event);
+        if (!point) return;
+
+        switch (this.tool) {
+            case 'place':
+                this.placeProp(point.x, point.z);
+                break;
+            case 'playerSpawn':
+            case 'zombieSpawn':
+                this.paintSpawn(this.tool + 's', point.x, point.z);
+                break;
+            default: {
+                const hit = this.pick(point.x, point.z);
+                this.select(hit);
+                const item = this.getSelectedItem();
+                if (item) {
+                    this.drag = { offsetX: item.x - point.x, offsetZ: item.z - point.z, moved: false };
+                }
+            }
+        }
+    },
+
+    onPointerMove(event) {
+        const point = this.getWorldPoint(event);
+        if (!point) return;
+        if (this.drag) {
+            this.moveSelection(point.x + this.drag.offsetX, point.z + this.drag.offsetZ);
+            this.updateSelectionPanel();
+        }
+        const snapped = this.snapPoint(point.x, point.z);
+        this.setCursorStatus(`x ${snapped.x}, z ${snapped.z}`);
+    },
+
+    onPointerUp() {
+        if (!this.drag) return;
+        const moved = this.drag.moved;
+        this.drag = null;
+        if (moved && this.selection.kind === 'props') this.rebuild();
+    },
+
+    onWheel(event) {
+        event.preventDefault();
+        const factor = event.deltaY > 0 ? 0.9 : 1.1;
+        this.camera.zoom = Math.max(0.5, Math.min(4, this.camera.zoom * factor));
+        this.camera.updateProjectionMatrix();
+    },
+
+    onKeyDown(event) {
+        // Typing in a panel field is not an editor command
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+        switch (event.code) {
+            case 'Delete':
+            case 'Backspace':
+                event.preventDefault();
+                this.deleteSelection();
+                break;
+            case 'KeyR':
+                this.rotateSelection(event.shiftKey ? 15 : 90);
+                break;
+            case 'Escape':
+                if (this.tool !== 'select') this.setTool('select');
+                else this.select(null);
+                break;
+            case 'KeyG':
+                this.showNavGrid = !this.showNavGrid;
+                document.getElementById('editor-navgrid-toggle').checked = this.showNavGrid;
+                this.updateOverlay();
+                break;
+        }
+    },
+
+    // ==================== PANEL ====================
+
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('#map-editor .editor-tool').forEach(button => {
+            button.classList.toggle('selected', button.dataset.tool === tool);
+        });
+    },
+
+    populateMapSelect() {
+        const select = document.getElementById('editor-map-select');
+        select.innerHTML = Object.values(MapManager.maps).map(map =>
+            `<option value="${escapeHtml(map.id)}">${escapeHtml(map.name)}</option>`
+        ).join('');
+    },
+
+    populatePropSelect() {
+        const select = document.getElementById('editor-prop-type');
+        select.innerHTML = Object.keys(MapFormat.PROPS).map(type =>
+            `<option value="${type}">${type}${MapFormat.getPropBounds({ type, x: 0, z: 0 }, MapFormat.DEFAULT_ARENA) ? '' : ' (decor)'}</option>`
+        ).join('');
+        select.value = this.placeType;
+    },
+
+    updateMapFields() {
+        const arena = MapFormat.getArena(this.definition);
+        const values = { id: this.definition.id, name: this.definition.name, width: arena.width, depth: arena.depth };
+        document.querySelectorAll('#map-editor [data-field]').forEach(input => {
+            input.value = values[input.dataset.field];
+        });
+    },
+
+    onMapFieldChange(input) {
+        const field = input.dataset.field;
+        if (field === 'id' || field === 'name') {
+            this.definition[field] = input.value.trim();
+            return;
+        }
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) return;
+        this.definition.arena = Object.assign({}, MapFormat.getArena(this.definition), { [field]: value });
+        this.fitCamera();
+        this.rebuild();
+    },
+
+    // Property inputs for the selected prop or spawn
+    updateSelectionPanel() {
+        const panel = document.getElementById('editor-selection');
+        if (!panel) return;
+        const item = this.getSelectedItem();
+        if (!item) {
+            panel.innerHTML = '<div class="challenge-meta">Nothing selected</div>';
+            return;
+        }
+
+        const kind = this.selection.kind;
+        const title = kind === 'props' ? item.type : (kind === 'playerSpawns' ? 'player spawn' : 'zombie spawn');
+        const fields = ['x', 'z'];
+        if (kind !== 'playerSpawns') fields.push('rotation');
+        if (kind === 'props') {
+            Object.keys(MapFormat.PROPS[item.type].defaults).forEach(key => {
+                if (!fields.includes(key)) fields.push(key);
+            });
+        }
+        const values = kind === 'props' ? MapFormat.withDefaults(item) : item;
+
+        panel.innerHTML = `
+            <div class="editor-selection-title">${escapeHtml(title)}</div>
+            <div class="editor-fields">
+                ${fields.map(key => {
+                    const value = values[key] !== undefined ? values[key] : 0;
+                    const isColor = typeof value === 'string' && value.startsWith('#');
+                    return `<label for="editor-prop-${key}">${key}</label>
+                        <input id="editor-prop-${key}" data-prop="${key}" type="${isColor ? 'color' : 'number'}" step="any" value="${escapeHtml(String(value))}">`;
+                }).join('')}
+            </div>
+            <div class="editor-row">
+                <button class="editor-button" data-action="rotate" ${kind === 'playerSpawns' ? 'disabled' : ''}>ROTATE</button>
+                <button class="editor-button" data-action="delete">DELETE</button>
+            </div>`;
+
+        panel.querySelectorAll('[data-prop]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.prop;
+                const value = input.type === 'color' ? input.value : parseFloat(input.value);
+                if (input.type !== 'color' && !Number.isFinite(value)) return;
+                item[key] = value;
+                if (kind === 'props') this.rebuild();
+                else this.select(this.selection);
+            });
+        });
+        panel.querySelector('[data-action="rotate"]').addEventListener('click', () => this.rotateSelection(90));
+        panel.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSelection());
+    },
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('editor-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        this.statusMessage = message;
+    },
+
+    // Cursor position rides along under the last status message
+    setCursorStatus(text) {
+        const status = document.getElementById('editor-status');
+        if (status && !status.classList.contains('error')) {
+            status.textContent = `${this.statusMessage || ''}\n${text}`;
+        }
+    },
+
+    // ==================== IMPORT / EXPORT ====================
+
+    exportFile() {
+        const errors = MapFormat.validate(this.definition);
+        if (errors.length > 0) {
+            this.setStatus(`Cannot export:\n${errors.join('\n')}`, true);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.definition, null, 4) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.definition.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        const stranded = this.getStrandedZombieSpawns().length;
+        this.setStatus(`Exported ${this.definition.id}.json - add it to maps/ and restart the server` +
+            (stranded > 0 ? `\nWarning: ${stranded} zombie spawn(s) cannot reach a player spawn` : ''));
+    },
+
+    async importFile(file) {
+        let definition;
+        try {
+            definition = JSON.parse(await file.text());
+        } catch (e) {
+            this.setStatus(`${file.name} is not valid JSON: ${e.message}`, true);
+            return;
+        }
+        const errors = MapFormat.validate(definition);
+        if (errors.length > 0) {
+            this.setStatus(`Cannot import ${file.name}:\n${errors.join('\n')}`, true);
+            return;
+        }
+        this.load(definition);
+        this.setStatus(`Imported ${file.name}`);
+    }
+};
+
+// Export for use in game.js
+if (typeof window !== 'undefined') {
+    window.MapEditor = MapEditor;
+}
@@ -0,0 +1,370 @@
+// ============================================
+// MAP FORMAT - Shared Map Definitions
+// ============================================
+// Maps are JSON files in maps/ (one per map). The client builds them with
+// BaseMap, the server and bots derive obstacles and the NavGrid from the
+// same file through Navigation.js - footprints below are the only copy.
+//
+// A definition looks like:
+// {
+//   "id": "dining_hall", "name": "Dining Hall",
+//   "arena": { "width": 50, "depth": 50, "wallHeight": 6 },
+//   "floor": { "color": "#2a1a0a", "roughness": 0.9 },
+//   "walls": { "color": "#1a0a0a", "roughness": 0.8 },
+//   "ceiling": { "color": "#0a0505", "beams": { "color": "#2a2a30", "spacing": 10 } },
+//   "fog": { "color": "#0a0500", "near": 8, "far": 50 },
+//   "lights": [{ "type": "point", "color": "#ffaa44", "intensity": 1.2, "distance": 45, "x": 0, "y": 5, "z": 0 }],
+//   "props": [{ "type": "table", "x": -8, "z": -8, "radius": 1.5 }],
+//   "playerSpawns": [{ "x": 0, "z": 12 }],
+//   "zombieSpawns": [{ "x": -22, "z": 0, "rotation": 90 }]
+// }
+// Colors are "#rrggbb" strings and every rotation/angle is in degrees.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node.js
+        module.exports = factory();
+    } else {
+        // Browser global
+        root.MapFormat = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const MAX_ARENA_SIZE = 60;      // NavGrid covers -30..30
+    const MIN_ARENA_SIZE = 20;
+    const LIGHT_TYPES = ['ambient', 'point', 'spot', 'rectArea'];
+
+    // ==================== PROP TYPES ====================
+    // defaults: parameters a prop may leave out
+    // footprint(p, arena): collision box in the prop's own space { hw, hd, ox, oz, maxY },
+    // rotated by p.rotation - null for decorations zombies and players walk through
+    const PROPS = {
+        // Generic shapes
+        box: {
+            defaults: { width: 2, depth: 2, height: 1, color: '#4a3a2a' },
+            footprint: p => ({ hw: p.width / 2, hd: p.depth / 2, maxY: p.height })
+        },
+        cylinder: {
+            defaults: { radius: 0.5, height: 1.5, color: '#4a3a2a' },
+            footprint: p => ({ hw: p.radius, hd: p.radius, maxY: p.height })
+        },
+        pillar: {
+            defaults: { radius: 0.6 },
+            footprint: (p, arena) => ({ hw: p.radius, hd: p.radius, maxY: arena.wallHeight })
+        },
+        table: {
+            defaults: { radius: 1.5, height: 0.9 },
+            footprint: p => ({ hw: p.radius, hd: p.radius, maxY: p.height + 0.1 })
+        },
+        arcadeCabinet: {
+            defaults: {},
+            footprint: () => ({ hw: 0.6, hd: 0.5, maxY: 1.9 })
+        },
+
+        // Dining hall
+        hangingLight: { defaults: {}, footprint: () => null },
+
+        // Arcade zone
+        neonStrip: {
+            defaults: { width: 0.3, length: 30, color: '#00ff00' },
+            footprint: () => null
+        },
+
+        // Backstage
+        crate: {
+            defaults: { width: 2, depth: 2, height: 2 },
+            footprint: p => ({ hw: p.width / 2, hd: p.depth / 2, maxY: p.height })
+        },
+        equipmentRack: {
+            defaults: {},
+            footprint: () => ({ hw: 1.0, hd: 0.6, maxY: 2.2 })
+        },
+        costumeRack: {
+            defaults: {},
+            footprint: () => ({ hw: 0.5, hd: 0.5, maxY: 0.5 })
+        },
+        forklift: {
+            defaults: {},
+            footprint: () => ({ hw: 1, hd: 2, oz: 0.5, maxY: 2.5 })
+        },
+        emergencyLight: { defaults: {}, footprint: () => null },
+
+        // Kitchen
+        counter: {
+            defaults: { width: 4, depth: 1.5, height: 1 },
+            footprint: p => ({ hw: p.width / 2, hd: p.depth / 2, maxY: p.height + 0.1 })
+        },
+        prepStation: { defaults: {}, footprint: () => null },
+        stove: {
+            defaults: {},
+            footprint: () => ({ hw: 1.4, hd: 1, maxY: 1.1 })
+        },
+        hoodVent: { defaults: { width: 10 }, footprint: () => null },
+        shelf: {
+            defaults: {},
+            footprint: () => ({ hw: 0.9, hd: 0.7, maxY: 2.2 })
+        },
+        sink: { defaults: {}, footprint: () => null },
+        heatLamp: { defaults: {}, footprint: () => null },
+        floorDrain: { defaults: {}, footprint: () => null },
+        lightPanel: { defaults: { intensity: 2 }, footprint: () => null },
+
+        // Party room
+        centralStage: { defaults: { radius: 6 }, footprint: () => null },
+        partyTable: {
+            defaults: {},
+            footprint: () => ({ hw: 1.8, hd: 1.8, maxY: 1 })
+        },
+        balloonCluster: { defaults: {}, footprint: () => null },
+        giftPile: {
+            defaults: {},
+            footprint: () => ({ hw: 0.8, hd: 0.8, maxY: 1.2 })
+        },
+        cakeTable: {
+            defaults: {},
+            footprint: () => ({ hw: 2.2, hd: 1.2, maxY: 1.5 })
+        },
+        bannerString: { defaults: { x2: 0, z2: 0 }, footprint: () => null },
+        discoBall: { defaults: { y: 5.5 }, footprint: () => null }
+    };
+
+    const DEFAULT_ARENA = { width: 50, depth: 50, wallHeight: 6 };
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function toRadians(degrees) {
+        return (degrees || 0) * Math.PI / 180;
+    }
+
+    // Arena size with defaults filled in
+    function getArena(def) {
+        return Object.assign({}, DEFAULT_ARENA, def.arena);
+    }
+
+    // Prop parameters with the type's defaults filled in
+    function withDefaults(prop) {
+        const type = PROPS[prop.type];
+        return Object.assign({ rotation: 0 }, type ? type.defaults : {}, prop);
+    }
+
+    // World-space collision AABB for one prop, or null if it has none
+    function getPropBounds(prop, arena) {
+        const type = PROPS[prop.type];
+        if (!type) return null;
+        const p = withDefaults(prop);
+        const fp = type.footprint(p, arena);
+        if (!fp) return null;
+
+        // Rotate the footprint (and its offset) the way THREE rotates the prop around Y
+        const angle = toRadians(p.rotation);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const ox = fp.ox || 0;
+        const oz = fp.oz || 0;
+        const cx = p.x + ox * cos + oz * sin;
+        const cz = p.z - ox * sin + oz * cos;
+        const ex = Math.abs(cos) * fp.hw + Math.abs(sin) * fp.hd;
+        const ez = Math.abs(sin) * fp.hw + Math.abs(cos) * fp.hd;
+
+        return {
+            minX: round(cx - ex),
+            maxX: round(cx + ex),
+            minZ: round(cz - ez),
+            maxZ: round(cz + ez),
+            maxY: fp.maxY
+        };
+    }
+
+    // Trim float noise from the trig so bounds read like hand-written ones
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // Collision boxes for every prop in the map (what Navigation.MAP_OBSTACLES holds)
+    function getObstacles(def) {
+        const arena = getArena(def);
+        const obstacles = [];
+        (def.props || []).forEach(prop => {
+            const bounds = getPropBounds(prop, arena);
+            if (bounds) obstacles.push(bounds);
+        });
+        return obstacles;
+    }
+
+    // The four slabs just outside the arena walls
+    function getArenaBounds(def) {
+        const arena = getArena(def);
+        const halfW = arena.width / 2;
+        const halfD = arena.depth / 2;
+        const maxY = arena.wallHeight;
+        return [
+            { minX: -halfW - 1, maxX: -halfW, minZ: -halfD, maxZ: halfD, maxY },
+            { minX: halfW, maxX: halfW + 1, minZ: -halfD, maxZ: halfD, maxY },
+            { minX: -halfW, maxX: halfW, minZ: -halfD - 1, maxZ: -halfD, maxY },
+            { minX: -halfW, maxX: halfW, minZ: halfD, maxZ: halfD + 1, maxY }
+        ];
+    }
+
+    // ==================== VALIDATION ====================
+    // Returns a list of problems - empty when the definition is usable
+    function validate(def) {
+        const errors = [];
+        if (!def || typeof def !== 'object') return ['Map definition must be an object'];
+
+        if (typeof def.id !== 'string' || !/^[a-z0-9_]{1,32}$/.test(def.id)) {
+            errors.push('id must be 1-32 lowercase letters, digits or underscores');
+        }
+        if (typeof def.name !== 'string' || def.name.length === 0 || def.name.length > 40) {
+            errors.push('name must be 1-40 characters');
+        }
+
+        const arena = getArena(def);
+        ['width', 'depth'].forEach(key => {
+            if (!isFiniteNumber(arena[key]) || arena[key] < MIN_ARENA_SIZE || arena[key] > MAX_ARENA_SIZE) {
+                errors.push(`arena.${key} must be between ${MIN_ARENA_SIZE} and ${MAX_ARENA_SIZE}`);
+            }
+        });
+        if (!isFiniteNumber(arena.wallHeight) || arena.wallHeight <= 0) {
+            errors.push('arena.wallHeight must be a positive number');
+        }
+
+        const inArena = (x, z) => isFiniteNumber(x) && isFiniteNumber(z) &&
+            Math.abs(x) <= arena.width / 2 && Math.abs(z) <= arena.depth / 2;
+
+        if (!Array.isArray(def.props)) {
+            errors.push('props must be an array');
+        } else {
+            def.props.forEach((prop, i) => {
+                if (!prop || !PROPS[prop.type]) {
+                    errors.push(`props[${i}]: unknown type "${prop && prop.type}"`);
+                } else if (!inArena(prop.x, prop.z)) {
+                    errors.push(`props[${i}] (${prop.type}): x/z must be inside the arena`);
+                }
+            });
+        }
+
+        ['playerSpawns', 'zombieSpawns'].forEach(key => {
+            if (!Array.isArray(def[key]) || def[key].length === 0) {
+                errors.push(`${key} needs at least one spawn point`);
+            } else if (def[key].some(spawn => !spawn || !inArena(spawn.x, spawn.z))) {
+                errors.push(`${key}: every spawn must have x/z inside the arena`);
+            }
+        });
+
+        if (def.lights !== undefined) {
+            if (!Array.isArray(def.lights)) {
+                errors.push('lights must be an array');
+            } else if (def.lights.some(light => !light || !LIGHT_TYPES.includes(light.type))) {
+                errors.push(`lights: type must be one of ${LIGHT_TYPES.join(', ')}`);
+            }
+        }
+
+        return errors;
+    }
+
+    // ==================== MAP ROTATION ====================
+    // Which map each wave is played on. A rotation is { mode, maps }:
+    //   fixed   - every wave on maps[0]
+    //   custom  - maps in the listed order
+    //   shuffle - the listed maps in a random order, drawn when the game starts
+    // Each map in the order lasts WAVES_PER_MAP waves and the last one stays for the
+    // rest of the run (boss waves included). The server resolves the order once per
+    // game and sends it to clients, so both sides call getMapForWave with the same list.
+    const WAVES_PER_MAP = 2;
+    const ROTATION_MODES = ['fixed', 'custom', 'shuffle'];
+    const DEFAULT_MAP_ORDER = ['dining_hall', 'arcade_zone', 'backstage', 'kitchen', 'party_room'];
+    const DEFAULT_ROTATION = { mode: 'custom', maps: DEFAULT_MAP_ORDER };
+
+    // Clean up a requested rotation against the maps that exist - null if nothing usable is left
+    function normalizeRotation(rotation, mapIds) {
+        if (!rotation || typeof rotation !== 'object' || !ROTATION_MODES.includes(rotation.mode)) return null;
+        if (!Array.isArray(rotation.maps)) return null;
+
+        const maps = [];
+        rotation.maps.forEach(mapId => {
+            // Custom orders may repeat a map, shuffle pools may not
+            if (!mapIds.includes(mapId)) return;
+            if (rotation.mode === 'shuffle' && maps.includes(mapId)) return;
+            maps.push(mapId);
+        });
+        if (maps.length === 0) return null;
+
+        return { mode: rotation.mode, maps: rotation.mode === 'fixed' ? [maps[0]] : maps.slice(0, 20) };
+    }
+
+    // Map order for one game. randomInt(max) returns an integer in [0, max) - pass a seeded one
+    // so replays reproduce the shuffle.
+    function resolveRotation(rotation, randomInt) {
+        const rot = rotation || DEFAULT_ROTATION;
+        const order = rot.maps.slice();
+        if (rot.mode === 'shuffle') {
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = randomInt(i + 1);
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+        }
+        return order;
+    }
+
+    function getMapForWave(wave, order) {
+        const maps = order && order.length > 0 ? order : DEFAULT_MAP_ORDER;
+        const index = Math.floor((Math.max(1, wave) - 1) / WAVES_PER_MAP);
+        return maps[Math.min(index, maps.length - 1)];
+    }
+
+    // ==================== LOADING (Node) ====================
+    // Read and validate every maps/*.json - bad files are reported and skipped
+    function loadDirectory(dir) {
+        const fs = require('fs');
+        const path = require('path');
+        const definitions = {};
+        const errors = [];
+
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+        } catch (err) {
+            errors.push(`Could not read map directory ${dir}: ${err.message}`);
+        }
+
+        files.forEach(file => {
+            try {
+                const def = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                const problems = validate(def);
+                if (problems.length > 0) {
+                    errors.push(`${file}: ${problems.join('; ')}`);
+                } else if (definitions[def.id]) {
+                    errors.push(`${file}: duplicate map id "${def.id}"`);
+                } else {
+                    definitions[def.id] = def;
+                }
+            } catch (err) {
+                errors.push(`${file}: ${err.message}`);
+            }
+        });
+
+        return { definitions, errors };
+    }
+
+    return {
+        PROPS,
+        DEFAULT_ARENA,
+        toRadians,
+        getArena,
+        withDefaults,
+        getPropBounds,
+        getObstacles,
+        getArenaBounds,
+        validate,
+        WAVES_PER_MAP,
+        ROTATION_MODES,
+        DEFAULT_ROTATION,
+        normalizeRotation,
+        resolveRotation,
+        getMapForWave,
+        loadDirectory
+    };
+}));
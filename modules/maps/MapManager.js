@@ -10,15 +10,8 @@ const MapManager = {
     transitionPromise: null,
     bossMode: false,
     bossBarriers: [],
-
-    // Map to wave mapping
-    waveMapConfig: [
-        { waves: [1, 2], mapId: 'dining_hall' },
-        { waves: [3, 4], mapId: 'arcade_zone' },
-        { waves: [5, 6], mapId: 'backstage' },
-        { waves: [7, 8], mapId: 'kitchen' },
-        { waves: [9, 10, 11, 12], mapId: 'party_room' }  // Boss waves cycle here
-    ],
+    ready: null,                // Resolves once map definitions are registered
+    mapOrder: null,             // Map order from the server for this game (null = default rotation)
 
     // Initialize with scene reference
     init(scene) {
@@ -44,6 +37,7 @@ const MapManager = {
         // Clear current map reference so next loadMap will actually load
         this.currentMapId = null;
         this.currentMap = null;
+        this.mapOrder = null;
         this.isTransitioning = false;
         this.transitionPromise = null;
     },
@@ -54,15 +48,30 @@ const MapManager = {
         console.log(`[MapManager] Registered map: ${mapId}`);
     },
 
-    // Get map ID for a given wave
+    // Fetch map definitions (maps/*.json, served by /api/maps) and register a BaseMap for each
+    loadDefinitions(url) {
+        this.ready = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                (data.maps || []).forEach(definition => {
+                    const errors = MapFormat.validate(definition);
+                    if (errors.length > 0) {
+                        console.warn(`[MapManager] Skipping invalid map ${definition.id}: ${errors.join('; ')}`);
+                        return;
+                    }
+                    this.registerMap(definition.id, new BaseMap(definition));
+                });
+                return Object.keys(this.maps).length;
+            });
+        return this.ready;
+    },
+
+    // Get map ID for a given wave (same rotation rules as the server, see MapFormat)
     getMapForWave(wave) {
-        for (const config of this.waveMapConfig) {
-            if (config.waves.includes(wave)) {
-                return config.mapId;
-            }
-        }
-        // Default to party room for high waves
-        return 'party_room';
+        return MapFormat.getMapForWave(wave, this.mapOrder);
     },
 
     // Check if wave is a boss wave (every 10th wave)
@@ -76,6 +85,11 @@ const MapManager = {
 
     // Load a map by ID
     async loadMap(mapId) {
+        // Definitions arrive asynchronously - callers may ask for a map before they do
+        if (this.ready) {
+            await this.ready.catch(() => {});
+        }
+
         // If a transition is in progress, wait for it to complete first
         if (this.isTransitioning && this.transitionPromise) {
             console.log('[MapManager] Waiting for current transition to complete...');
@@ -6,16 +6,21 @@ const express = require('express');
 const http = require('http');
 const https = require('https');
 const net = require('net');
+const cluster = require('cluster');
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
 const { execSync } = require('child_process');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
 const GameCore = require('./modules/GameCore.js');
+const Navigation = require('./modules/Navigation.js');
+const MapFormat = require('./modules/maps/MapFormat.js');
+const BotBrain = require('./modules/BotBrain.js');
 
 // ==================== RATE LIMITING CONFIG ====================
 const RATE_LIMIT = {
@@ -26,7 +31,7 @@ const RATE_LIMIT = {
     },
     // WebSocket limits
     ws: {
-        maxConnectionsPerIP: 5,   // Max 5 simultaneous connections per IP
+        maxConnectionsPerIP: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP, 10) || 5,  // Raise for local bot load tests
         maxMessagesPerSecond: 60, // Max 60 messages per second per client
         banDurationMs: 5 * 60 * 1000  // 5 minute ban for abusive IPs
     }
@@ -44,121 +49,29 @@ const LOG_LEVELS = {
     // Game-specific types map to DEBUG level in production
     'LOBBY': 0, 'WAVE': 0, 'COMBAT': 0, 'PICKUP': 0,
     'PLAYER': 1, 'SYNC': 0, 'NETWORK': 0, 'GAME': 1, 'SHOP': 0, 'BOSS': 0,
-    'SUCCESS': 1
+    'CLUSTER': 1, 'DIRECTOR': 1, 'SUCCESS': 1
 };
 const CURRENT_LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS['DEBUG'];
 
+// ==================== CLUSTER CONFIG ====================
+// WORKERS=N (N > 1) turns this process into the matchmaker: it forks N game worker
+// processes, serves HTTP itself and hands each WebSocket to a worker (see MATCHMAKER).
+// With the default of 1 everything runs in this one process as before.
+const CLUSTER = {
+    workers: Math.max(1, parseInt(process.env.WORKERS, 10) || 1),
+    isMatchmaker: cluster.isPrimary && (parseInt(process.env.WORKERS, 10) || 1) > 1,
+    isWorker: cluster.isWorker,
+    workerId: cluster.isWorker ? parseInt(process.env.WORKER_ID, 10) : null,
+    statusIntervalMs: 1000,     // How often workers report rooms and players to the matchmaker
+    requestTimeoutMs: 2000,     // Request/reply between matchmaker and workers (session and profile lookups)
+    restartDelayMs: 1000        // Wait before replacing a worker that exited
+};
+
 // Track connections and bans per IP
 const ipConnections = new Map();  // IP -> Set of WebSocket connections
 const ipBans = new Map();         // IP -> ban expiry timestamp
 const clientMessageRates = new Map(); // playerId -> { count, windowStart }
 
-// ==================== NUMERIC KEY HELPER ====================
-// Convert grid coordinates to numeric key (avoids string concatenation in hot paths)
-// Formula: x * 100 + z (works for grids up to 100x100)
-function gridKey(x, z) {
-    return x * 100 + z;
-}
-
-// ==================== MIN-HEAP PRIORITY QUEUE ====================
-// Binary heap for O(log n) A* pathfinding operations
-class MinHeap {
-    constructor() {
-        this.heap = [];
-        this.indices = new Map(); // numeric key -> index for O(1) lookup
-    }
-
-    get length() {
-        return this.heap.length;
-    }
-
-    push(node) {
-        const key = gridKey(node.x, node.z);
-        this.heap.push(node);
-        this.indices.set(key, this.heap.length - 1);
-        this._bubbleUp(this.heap.length - 1);
-    }
-
-    pop() {
-        if (this.heap.length === 0) return null;
-        const min = this.heap[0];
-        this.indices.delete(gridKey(min.x, min.z));
-
-        if (this.heap.length === 1) {
-            this.heap.pop();
-            return min;
-        }
-
-        const last = this.heap.pop();
-        this.heap[0] = last;
-        this.indices.set(gridKey(last.x, last.z), 0);
-        this._bubbleDown(0);
-        return min;
-    }
-
-    has(x, z) {
-        return this.indices.has(gridKey(x, z));
-    }
-
-    updateF(x, z, newF) {
-        const idx = this.indices.get(gridKey(x, z));
-        if (idx === undefined) return false;
-
-        const oldF = this.heap[idx].f;
-        this.heap[idx].f = newF;
-
-        if (newF < oldF) {
-            this._bubbleUp(idx);
-        } else {
-            this._bubbleDown(idx);
-        }
-        return true;
-    }
-
-    _bubbleUp(idx) {
-        while (idx > 0) {
-            const parentIdx = Math.floor((idx - 1) / 2);
-            if (this.heap[parentIdx].f <= this.heap[idx].f) break;
-
-            this._swap(idx, parentIdx);
-            idx = parentIdx;
-        }
-    }
-
-    _bubbleDown(idx) {
-        const length = this.heap.length;
-        // Safety limit: heap depth is at most log2(length), but add buffer
-        const maxIterations = Math.max(length, 100);
-        let iterations = 0;
-
-        while (iterations++ < maxIterations) {
-            const leftIdx = 2 * idx + 1;
-            const rightIdx = 2 * idx + 2;
-            let smallest = idx;
-
-            if (leftIdx < length && this.heap[leftIdx].f < this.heap[smallest].f) {
-                smallest = leftIdx;
-            }
-            if (rightIdx < length && this.heap[rightIdx].f < this.heap[smallest].f) {
-                smallest = rightIdx;
-            }
-
-            if (smallest === idx) break;
-            this._swap(idx, smallest);
-            idx = smallest;
-        }
-    }
-
-    _swap(i, j) {
-        const nodeI = this.heap[i];
-        const nodeJ = this.heap[j];
-        this.heap[i] = nodeJ;
-        this.heap[j] = nodeI;
-        this.indices.set(gridKey(nodeI.x, nodeI.z), j);
-        this.indices.set(gridKey(nodeJ.x, nodeJ.z), i);
-    }
-}
-
 // ==================== SPATIAL PARTITIONING GRID ====================
 // Grid-based spatial partitioning for O(1) nearby entity lookups
 // Reduces zombie targeting from O(n*m) to O(n) where n=zombies, m=players
@@ -291,46 +204,44 @@ class SpatialGrid {
     }
 }
 
-// Global spatial grids (rebuilt each tick)
-const playerSpatialGrid = new SpatialGrid(10, 50, 50);
-const zombieSpatialGrid = new SpatialGrid(10, 50, 50);
+// Each room owns a player grid and a zombie grid (room.playerGrid / room.zombieGrid),
+// rebuilt by that room's tick
 
 // ==================== ENTITY CACHE ====================
-// Caches alive entity arrays to avoid repeated O(n) filtering per tick
+// Per-room cache of alive entity arrays to avoid repeated O(n) filtering per tick
 // Mark cache dirty when entities spawn/die, rebuild once per tick on first access
-const EntityCache = {
-    _alivePlayers: null,
-    _aliveZombies: null,
-    _playersDirty: true,
-    _zombiesDirty: true,
-    _lastRoomId: null,
+class EntityCache {
+    constructor(room) {
+        this.room = room;
+        this._alivePlayers = null;
+        this._aliveZombies = null;
+        this._playersDirty = true;
+        this._zombiesDirty = true;
+    }
 
     // Mark caches as needing rebuild
-    invalidatePlayers() { this._playersDirty = true; },
-    invalidateZombies() { this._zombiesDirty = true; },
-    invalidateAll() { this._playersDirty = true; this._zombiesDirty = true; },
+    invalidatePlayers() { this._playersDirty = true; }
+    invalidateZombies() { this._zombiesDirty = true; }
+    invalidateAll() { this._playersDirty = true; this._zombiesDirty = true; }
 
     // Get cached alive players (rebuilds if dirty)
-    getAlivePlayers(room) {
-        if (!room) return [];
-        if (this._playersDirty || this._lastRoomId !== room.id) {
-            this._alivePlayers = Array.from(room.players.values()).filter(p => p.isAlive);
+    getAlivePlayers() {
+        if (this._playersDirty) {
+            // Players held by ReconnectGrace are left alone until they're back
+            this._alivePlayers = Array.from(this.room.players.values()).filter(p => p.isAlive && !p.disconnectedAt);
             this._playersDirty = false;
-            this._lastRoomId = room.id;
         }
         return this._alivePlayers;
-    },
+    }
 
     // Get cached alive zombies (rebuilds if dirty)
-    getAliveZombies(room) {
-        if (!room) return [];
-        if (this._zombiesDirty || this._lastRoomId !== room.id) {
-            this._aliveZombies = Array.from(room.zombies.values()).filter(z => z.isAlive);
+    getAliveZombies() {
+        if (this._zombiesDirty) {
+            this._aliveZombies = Array.from(this.room.zombies.values()).filter(z => z.isAlive);
             this._zombiesDirty = false;
-            this._lastRoomId = room.id;
         }
         return this._aliveZombies;
-    },
+    }
 
     // Call at start of each tick to reset for fresh rebuilds
     beginTick() {
@@ -339,7 +250,7 @@ const EntityCache = {
         this._playersDirty = true;
         this._zombiesDirty = true;
     }
-};
+}
 
 // ==================== OBJECT POOLS ====================
 // Reuse objects to reduce GC pressure from frequent allocations
@@ -357,6 +268,7 @@ const ZombiePool = {
         } else {
             zombie = {
                 id: null,
+                netId: 0,
                 type: null,
                 position: { x: 0, y: 0, z: 0 },
                 rotation: 0,
@@ -379,6 +291,8 @@ const ZombiePool = {
 
         // Reset all fields
         zombie.id = id;
+        // Numeric ID on the wire (SYNC frames, netId in events) - zombie_N and minion_N share one counter
+        zombie.netId = parseInt(id.slice(id.lastIndexOf('_') + 1), 10) || 0;
         zombie.type = type;
         zombie.position.x = position.x;
         zombie.position.y = position.y;
@@ -398,6 +312,10 @@ const ZombiePool = {
         zombie.lastPathUpdate = 0;
         zombie.lastTargetPos = null;
         zombie.stuckData = null;
+        zombie.isMinion = false;
+        zombie.isBossWaveBoss = false;
+        zombie.bossId = null;
+        zombie.bossAttackState = null;
 
         return zombie;
     },
@@ -446,6 +364,137 @@ const Vec3Pool = {
     }
 };
 
+// ==================== MATCH STATS ====================
+// Per-player counters for the multiplayer game-over scoreboard. Each player carries a
+// stats object for the current match; gameOver copies it into the player's session so
+// the leaderboard entry keeps the breakdown.
+const MatchStats = {
+    FIELDS: ['kills', 'headshots', 'damageDealt', 'damageTaken', 'revives', 'pickups', 'shotsFired'],
+
+    create() {
+        const stats = {};
+        this.FIELDS.forEach(field => { stats[field] = 0; });
+        return stats;
+    },
+
+    add(player, field, amount = 1) {
+        if (player && player.stats) player.stats[field] += amount;
+    },
+
+    // Whole, non-negative numbers for every field (damage is summed from multiplied floats)
+    normalize(raw) {
+        const stats = {};
+        this.FIELDS.forEach(field => {
+            stats[field] = Math.max(0, Math.round(Number(raw && raw[field]) || 0));
+        });
+        return stats;
+    },
+
+    // Team scoreboard for the gameOver message: rows sorted by score, the MVP
+    // (best score, then kills, then damage) and who led each stat
+    buildScoreboard(players) {
+        const rows = players.map(player => ({
+            id: player.id,
+            name: player.name,
+            color: player.color,
+            score: player.score,
+            ...this.normalize(player.stats)
+        }));
+        rows.sort((a, b) => b.score - a.score || b.kills - a.kills || b.damageDealt - a.damageDealt);
+
+        const leaders = {};
+        this.FIELDS.forEach(field => {
+            let best = null;
+            rows.forEach(row => {
+                if (row[field] > 0 && (!best || row[field] > best[field])) best = row;
+            });
+            if (best) leaders[field] = best.id;
+        });
+
+        return { players: rows, mvpId: rows.length > 0 ? rows[0].id : null, leaders };
+    }
+};
+
+// ==================== SERVER ACHIEVEMENTS ====================
+// Multiplayer achievements are granted here from what the server observes, using the
+// GameCore.Achievements thresholds, and decide which cosmetics setCosmetic accepts.
+// Unlocks belong to the connection's game session; a signed-in player (profileAuth)
+// starts with their profile's verified achievements and keeps every new one on it.
+const ServerAchievements = {
+    // { type: 'profileAuth', token } - the profile lives in the matchmaker in cluster mode
+    async authenticate(playerId, token) {
+        if (typeof token !== 'string' || token.length > 128) return;
+        const result = CLUSTER.isWorker
+            ? await WorkerLink.request({ type: 'profileLookup', token })
+            : ProfileStore.lookup(token);
+
+        const session = getSessionByPlayerId(playerId);
+        if (!session) return;
+        if (result) {
+            session.accountId = result.accountId;
+            result.achievements.forEach(id => session.achievements.add(id));
+            // Anything granted before signing in goes on the profile too
+            this.persist(session.accountId, Array.from(session.achievements));
+            log(`Player ${playerId} signed in with ${result.achievements.length} verified achievements`, 'PLAYER');
+        }
+        sendToPlayer(playerId, { type: 'unlocks', achievements: Array.from(session.achievements), signedIn: !!result });
+    },
+
+    grant(playerId, ids) {
+        const session = getSessionByPlayerId(playerId);
+        if (!session) return;
+        const fresh = ids.filter(id => !session.achievements.has(id));
+        if (fresh.length === 0) return;
+
+        fresh.forEach(id => {
+            session.achievements.add(id);
+            sendToPlayer(playerId, { type: 'achievementUnlocked', achievementId: id });
+        });
+        log(`Player ${playerId} earned ${fresh.join(', ')}`, 'PLAYER');
+        if (session.accountId) this.persist(session.accountId, fresh);
+    },
+
+    persist(accountId, ids) {
+        if (CLUSTER.isWorker) {
+            WorkerLink.send({ type: 'grantAchievements', accountId, ids });
+        } else {
+            ProfileStore.grantAchievements(accountId, ids);
+        }
+    },
+
+    canUseCosmetic(playerId, cosmetic) {
+        const session = getSessionByPlayerId(playerId);
+        return GameCore.Achievements.isCosmeticUnlocked(cosmetic, session ? session.achievements : []);
+    },
+
+    // After killZombie credits a kill (MatchStats already counted it)
+    onKill(player, playerId, zombie) {
+        const now = Date.now();
+        player.recentKillTimes = player.recentKillTimes.filter(t => now - t < GameCore.Achievements.SPEED_KILL_WINDOW);
+        player.recentKillTimes.push(now);
+        this.grant(playerId, GameCore.Achievements.earned({
+            kills: player.stats.kills,
+            headshots: player.stats.headshots,
+            bossKills: zombie.isBossWaveBoss ? 1 : 0,
+            recentKills: player.recentKillTimes.length,
+            score: player.score
+        }));
+    },
+
+    // Everyone still standing when a wave starts has reached it
+    onWaveStart(room) {
+        room.players.forEach((player, playerId) => {
+            if (player.isAlive && !player.disconnectedAt) {
+                this.grant(playerId, GameCore.Achievements.earned({ wave: room.wave }));
+            }
+        });
+    },
+
+    onUpgrade(playerId, level) {
+        this.grant(playerId, GameCore.Achievements.earned({ upgradeLevel: level }));
+    }
+};
+
 // ==================== SESSION AUTHENTICATION ====================
 // Game sessions - tracks active players and their server-verified stats
 const gameSessions = new Map();  // sessionToken -> { playerId, visitorId, score, kills, wave, startTime, isActive }
@@ -466,7 +515,11 @@ function createGameSession(playerId, visitorId = null) {
         wave: 1,
         startTime: Date.now(),
         isActive: true,
-        isInGame: false  // True once they've started playing (not just in lobby)
+        isInGame: false,  // True once they've started playing (not just in lobby)
+        playerCount: 1,   // Most players seen in the room during play (leaderboard board)
+        stats: null,      // MatchStats of the last finished match (set at game over)
+        accountId: null,  // Profile attached with profileAuth (ServerAchievements)
+        achievements: new Set()  // Server-granted achievement ids (decide which cosmetics are allowed)
     };
     gameSessions.set(token, session);
     playerIdToToken.set(playerId, token);  // Add to reverse index
@@ -503,6 +556,30 @@ function endGameSession(token) {
     return session;
 }
 
+// Mark a session's score as submitted to the leaderboard and return the server-tracked
+// values, or { status, error } if it can't be (the matchmaker asks workers for this)
+function claimSessionScore(token) {
+    const session = getSessionByToken(token);
+    if (!session) {
+        return { status: 401, error: 'Invalid session token' };
+    }
+    if (session.score <= 0) {
+        return { status: 400, error: 'No score to submit' };
+    }
+    // Prevent duplicate submissions
+    if (session.leaderboardSubmitted) {
+        return { status: 400, error: 'Score already submitted' };
+    }
+    session.leaderboardSubmitted = true;
+    return {
+        score: session.score,
+        wave: session.wave,
+        kills: session.kills,
+        playerCount: session.playerCount,
+        stats: session.stats
+    };
+}
+
 // Server-side score tracking
 function addKillToSession(playerId, points, isHeadshot = false) {
     const session = getSessionByPlayerId(playerId);
@@ -653,8 +730,8 @@ const PORT = process.env.PORT || 3000;
 // Create internal HTTP server (not exposed directly)
 const httpServer = http.createServer(app);
 
-// Try to create HTTPS server
-const sslCerts = ensureSSLCerts();
+// Try to create HTTPS server (game workers only talk to the matchmaker, over plain HTTP)
+const sslCerts = CLUSTER.isWorker ? null : ensureSSLCerts();
 let httpsServer = null;
 let usingTrustedCerts = false;
 
@@ -736,6 +813,12 @@ function handleUpgrade(request, socket, head) {
         return;
     }
 
+    // Cluster mode: the game runs on a worker process
+    if (CLUSTER.isMatchmaker) {
+        Matchmaker.proxyUpgrade(request, socket, head, ip);
+        return;
+    }
+
     wss.handleUpgrade(request, socket, head, (ws) => {
         wss.emit('connection', ws, request);
     });
@@ -773,8 +856,12 @@ const mainServer = net.createServer((socket) => {
     });
 });
 
-const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json');
-const MAX_LEADERBOARD_SIZE = 10;
+const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json');        // Legacy top-10 file (migrated on startup)
+const LEADERBOARD_LOG_FILE = path.join(__dirname, 'leaderboard.jsonl');  // Append-only score log
+const MAX_LEADERBOARD_SIZE = 10;        // Default page size
+const MAX_LEADERBOARD_PAGE = 100;       // Largest page a client may request
+const LEADERBOARD_AROUND_RADIUS = 2;    // Entries shown above/below a player's rank
+const LEADERBOARD_MODES = ['singleplayer', 'multiplayer'];
 
 // ==================== SECURITY HEADERS ====================
 app.use(helmet({
@@ -817,7 +904,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    allowedHeaders: ['Content-Type', 'Authorization']  // Authorization carries profile tokens
 }));
 
 // ==================== RATE LIMITING ====================
@@ -868,6 +955,7 @@ const singleplayerLimiter = rateLimit({
 
 // Serve static files and parse JSON
 app.use(express.static(path.join(__dirname)));
+app.use('/api/leaderboard/singleplayer', express.json({ limit: '512kb' }));  // Run logs are larger than other payloads
 app.use(express.json());
 
 // Clean URL for dashboard (now protected by generalLimiter above)
@@ -901,6 +989,11 @@ function banIP(ip, reason) {
     const expiry = Date.now() + RATE_LIMIT.ws.banDurationMs;
     ipBans.set(ip, expiry);
     log(`Banned IP ${ip} for ${RATE_LIMIT.ws.banDurationMs / 1000}s - Reason: ${reason}`, 'WARN');
+
+    // The matchmaker turns banned IPs away before they reach any worker
+    if (CLUSTER.isWorker) {
+        WorkerLink.send({ type: 'ban', ip, reason });
+    }
 }
 
 function trackIPConnection(ip, ws) {
@@ -961,140 +1054,571 @@ setInterval(() => {
 }, 10000); // Every 10 seconds
 
 // ==================== LEADERBOARD ====================
-let leaderboard = [];
+// Every score is appended to LEADERBOARD_LOG_FILE (one JSON entry per line) and indexed
+// in memory into boards keyed by mode, player count and season. 'all' acts as a wildcard
+// for each dimension, so every entry lands on 8 boards.
+const LeaderboardStore = {
+    entries: [],
+    boards: new Map(),   // "mode|players|season" -> entries sorted by rank
+    challengeBoards: new Map(),   // Challenge id -> entries sorted by rank (kept off the mode boards)
+    seasons: new Set(),
+
+    // Seasons are calendar quarters, e.g. "2026-Q4"
+    getSeason(date = new Date()) {
+        const d = new Date(date);
+        return `${d.getUTCFullYear()}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+    },
 
-function loadLeaderboard() {
-    try {
+    _key(mode, players, season) {
+        return `${mode}|${players}|${season}`;
+    },
+
+    // Higher score first, earlier date breaks ties
+    _compare(a, b) {
+        return b.score - a.score || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    },
+
+    // Insert into a sorted board, returns 1-based rank
+    _insert(board, entry) {
+        let lo = 0, hi = board.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this._compare(board[mid], entry) <= 0) lo = mid + 1;
+            else hi = mid;
+        }
+        board.splice(lo, 0, entry);
+        return lo + 1;
+    },
+
+    // Boards an entry belongs on (created as needed)
+    _boardsFor(entry) {
+        if (entry.challenge) {
+            if (!this.challengeBoards.has(entry.challenge)) this.challengeBoards.set(entry.challenge, []);
+            return [this.challengeBoards.get(entry.challenge)];
+        }
+        this.seasons.add(entry.season);
+        const boards = [];
+        for (const mode of [entry.mode, 'all']) {
+            for (const players of [entry.players, 'all']) {
+                for (const season of [entry.season, 'all']) {
+                    const key = this._key(mode, players, season);
+                    if (!this.boards.has(key)) this.boards.set(key, []);
+                    boards.push(this.boards.get(key));
+                }
+            }
+        }
+        return boards;
+    },
+
+    // Live scores are inserted in rank order
+    _index(entry) {
+        this.entries.push(entry);
+        this._boardsFor(entry).forEach(board => this._insert(board, entry));
+    },
+
+    // Loading appends everything, then sorts each board once (sort is stable,
+    // so ties keep log order just like _insert)
+    _indexAll(entries) {
+        entries.forEach(entry => {
+            this.entries.push(entry);
+            this._boardsFor(entry).forEach(board => board.push(entry));
+        });
+        this.boards.forEach(board => board.sort((a, b) => this._compare(a, b)));
+        this.challengeBoards.forEach(board => board.sort((a, b) => this._compare(a, b)));
+    },
+
+    _normalize(raw) {
+        const date = raw.date && !isNaN(Date.parse(raw.date)) ? raw.date : new Date().toISOString();
+        const entry = {
+            name: String(raw.name || '').substring(0, 20).replace(/[<>]/g, '').trim() || 'Anonymous',
+            score: parseInt(raw.score) || 0,
+            wave: parseInt(raw.wave) || 1,
+            kills: parseInt(raw.kills) || 0,
+            mode: typeof raw.mode === 'string' ? raw.mode : 'legacy',
+            players: Math.max(1, Math.min(8, parseInt(raw.players) || 1)),
+            season: typeof raw.season === 'string' ? raw.season : this.getSeason(date),
+            date
+        };
+        if (typeof raw.challenge === 'string') entry.challenge = raw.challenge;
+        if (raw.stats && typeof raw.stats === 'object') entry.stats = MatchStats.normalize(raw.stats);
+        return entry;
+    },
+
+    load() {
+        this.entries = [];
+        this.boards.clear();
+        this.challengeBoards.clear();
+        this.seasons.clear();
+
+        try {
+            if (fs.existsSync(LEADERBOARD_LOG_FILE)) {
+                const lines = fs.readFileSync(LEADERBOARD_LOG_FILE, 'utf8').split('\n');
+                const entries = [];
+                let skipped = 0;
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    try {
+                        entries.push(this._normalize(JSON.parse(line)));
+                    } catch (e) {
+                        skipped++;
+                    }
+                }
+                this._indexAll(entries);
+                if (skipped > 0) {
+                    log(`Skipped ${skipped} corrupt leaderboard lines`, 'WARN');
+                }
+                log(`Loaded ${this.entries.length} leaderboard entries`, 'SUCCESS');
+            } else {
+                this._migrateLegacy();
+            }
+        } catch (e) {
+            log(`Error loading leaderboard: ${e.message}`, 'ERROR');
+        }
+        this.seasons.add(this.getSeason());
+    },
+
+    // Import the old top-10 leaderboard.json into the score log (mode 'legacy')
+    _migrateLegacy() {
+        let legacy = [];
         if (fs.existsSync(LEADERBOARD_FILE)) {
-            const data = fs.readFileSync(LEADERBOARD_FILE, 'utf8');
-            const parsed = JSON.parse(data);
-            // Validate parsed data is an array
-            if (!Array.isArray(parsed)) {
-                throw new Error('Leaderboard data is not an array');
+            try {
+                const parsed = JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8'));
+                if (Array.isArray(parsed)) legacy = parsed;
+            } catch (e) {
+                log(`Legacy leaderboard unreadable, starting fresh: ${e.message}`, 'WARN');
             }
-            leaderboard = parsed;
-            log(`Loaded ${leaderboard.length} leaderboard entries`, 'SUCCESS');
-        } else {
-            leaderboard = [];
-            saveLeaderboard();
-            log('Created new leaderboard file', 'INFO');
         }
-    } catch (e) {
-        log(`Error loading leaderboard: ${e.message}`, 'ERROR');
-        leaderboard = [];
-        // Backup corrupted file and create fresh one
+        const entries = legacy.map(raw => this._normalize({ ...raw, mode: 'legacy' }));
+        fs.writeFileSync(LEADERBOARD_LOG_FILE, entries.map(e => JSON.stringify(e) + '\n').join(''));
+        this._indexAll(entries);
         if (fs.existsSync(LEADERBOARD_FILE)) {
-            const backupPath = LEADERBOARD_FILE + '.corrupt.' + Date.now();
-            fs.renameSync(LEADERBOARD_FILE, backupPath);
-            log(`Corrupted file backed up to ${backupPath}`, 'WARN');
+            fs.renameSync(LEADERBOARD_FILE, LEADERBOARD_FILE + '.migrated');
+        }
+        log(entries.length > 0
+            ? `Migrated ${entries.length} legacy leaderboard entries`
+            : 'Created new leaderboard file', 'INFO');
+    },
+
+    // Record a score, returns its rank on the mode's current-season board
+    // (or on the challenge's own board for challenge runs). Multiplayer scores
+    // carry the player's MatchStats breakdown.
+    add(name, score, wave, kills, mode, players, challenge = null, stats = null) {
+        const entry = this._normalize({ name, score, wave, kills, mode, players, challenge, stats, date: new Date().toISOString() });
+        entry.season = this.getSeason(entry.date);
+
+        // Use async append to avoid blocking the event loop
+        fs.appendFile(LEADERBOARD_LOG_FILE, JSON.stringify(entry) + '\n', (err) => {
+            if (err) {
+                log(`Error saving leaderboard entry: ${err.message}`, 'ERROR');
+            }
+        });
+
+        this._index(entry);
+        const board = entry.challenge ? this.getChallengeBoard(entry.challenge) : this.getBoard(entry.mode, 'all', entry.season);
+        const rank = board.indexOf(entry) + 1;
+        log(`Leaderboard: ${entry.name} added with score ${entry.score} (${entry.challenge || entry.mode}, ${entry.players}p, rank #${rank})`, 'SUCCESS');
+        return { added: true, rank, name: entry.name, mode: entry.mode, season: entry.season, challenge: entry.challenge || null };
+    },
+
+    getBoard(mode, players, season) {
+        return this.boards.get(this._key(mode, players, season)) || [];
+    },
+
+    getChallengeBoard(challengeId) {
+        return this.challengeBoards.get(challengeId) || [];
+    },
+
+    _withRank(entry, index) {
+        return {
+            rank: index + 1,
+            name: entry.name,
+            score: entry.score,
+            wave: entry.wave,
+            kills: entry.kills,
+            mode: entry.mode,
+            players: entry.players,
+            date: entry.date,
+            stats: entry.stats || null
+        };
+    },
+
+    // Page through a board, optionally including the neighbourhood of a player's best rank
+    query({ mode = 'all', players = 'all', season = 'all', limit = MAX_LEADERBOARD_SIZE, offset = 0, around = null } = {}) {
+        return {
+            mode, players, season,
+            ...this._page(this.getBoard(mode, players, season), limit, offset, around),
+            seasons: Array.from(this.seasons).sort().reverse()
+        };
+    },
+
+    // Same paging over a single challenge's board
+    queryChallenge(challengeId, { limit = MAX_LEADERBOARD_SIZE, offset = 0, around = null } = {}) {
+        return {
+            challenge: challengeId,
+            ...this._page(this.getChallengeBoard(challengeId), limit, offset, around)
+        };
+    },
+
+    _page(board, limit, offset, around) {
+        const result = {
+            limit, offset,
+            total: board.length,
+            entries: board.slice(offset, offset + limit).map((e, i) => this._withRank(e, offset + i)),
+            around: null
+        };
+
+        if (around) {
+            const target = around.toLowerCase();
+            const index = board.findIndex(e => e.name.toLowerCase() === target);
+            if (index !== -1) {
+                const from = Math.max(0, index - LEADERBOARD_AROUND_RADIUS);
+                const to = Math.min(board.length, index + LEADERBOARD_AROUND_RADIUS + 1);
+                result.around = {
+                    name: board[index].name,
+                    rank: index + 1,
+                    entries: board.slice(from, to).map((e, i) => this._withRank(e, from + i))
+                };
+            }
         }
-        saveLeaderboard();
+        return result;
     }
-}
+};
 
-function saveLeaderboard() {
-    // Use async write to avoid blocking the event loop
-    const data = JSON.stringify(leaderboard, null, 2);
-    fs.writeFile(LEADERBOARD_FILE, data, (err) => {
-        if (err) {
-            log(`Error saving leaderboard: ${err.message}`, 'ERROR');
+// Parse and validate leaderboard query parameters (shared by GET and submission responses)
+function parseLeaderboardQuery(query) {
+    const mode = query.mode === undefined ? 'all' : String(query.mode);
+    if (mode !== 'all' && mode !== 'legacy' && !LEADERBOARD_MODES.includes(mode)) {
+        return { error: 'Invalid mode' };
+    }
+
+    let players = 'all';
+    if (query.players !== undefined && query.players !== 'all') {
+        players = parseInt(query.players);
+        if (!Number.isInteger(players) || players < 1 || players > 8) {
+            return { error: 'Invalid player count' };
         }
-    });
+    }
+
+    let season = query.season === undefined ? 'current' : String(query.season);
+    if (season === 'current') {
+        season = LeaderboardStore.getSeason();
+    } else if (season !== 'all' && !/^\d{4}-Q[1-4]$/.test(season)) {
+        return { error: 'Invalid season' };
+    }
+
+    const limit = query.limit === undefined ? MAX_LEADERBOARD_SIZE : parseInt(query.limit);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_PAGE) {
+        return { error: 'Invalid limit' };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'Invalid offset' };
+    }
+
+    const around = query.around ? String(query.around).substring(0, 20).replace(/[<>]/g, '').trim() : null;
+
+    return { mode, players, season, limit, offset, around: around || null };
 }
 
-function addToLeaderboard(name, score, wave, kills) {
-    // Sanitize name
-    name = String(name).substring(0, 20).replace(/[<>]/g, '').trim() || 'Anonymous';
-    score = parseInt(score) || 0;
-    wave = parseInt(wave) || 1;
-    kills = parseInt(kills) || 0;
-
-    // Check if score qualifies for leaderboard
-    const minScore = leaderboard.length >= MAX_LEADERBOARD_SIZE
-        ? leaderboard[leaderboard.length - 1].score
-        : -1;
-
-    // Score must be higher than the lowest (or leaderboard not full yet)
-    if (leaderboard.length >= MAX_LEADERBOARD_SIZE && score <= minScore) {
-        log(`Leaderboard: ${name} score ${score} didn't qualify (min: ${minScore})`, 'INFO');
-        return { added: false, rank: -1 };
-    }
-
-    // Add new entry with unique ID for tracking
-    const entryId = Date.now() + Math.random();
-    const entry = {
-        _id: entryId,
-        name,
-        score,
-        wave,
-        kills,
-        date: new Date().toISOString()
-    };
+// ==================== SINGLEPLAYER RUN VERIFICATION ====================
+// Singleplayer runs start with a server-signed ticket (run id + seed). On submission the
+// client's event log is replayed against GameCore wave/scoring rules with the same seeded
+// spawn and drop streams; only a score the replay reproduces exactly is accepted.
+// Challenge runs use the challenge's fixed seed and replay with its modifiers.
+// Headshots are asserted by the client - the replay can't prove any one of them, it
+// only rejects runs whose overall headshot share is implausible (RUN_MAX_HEADSHOT_SHARE).
+const RUN_SIGNING_SECRET = process.env.RUN_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+const RUN_TICKET_TTL = 12 * 60 * 60 * 1000;  // Longest run we accept (12 hours)
+const MAX_RUN_EVENTS = 20000;
+const RUN_TIMING_TOLERANCE = 100;            // ms slack for timer jitter
+const RUN_MAX_HEADSHOT_SHARE = 0.7;          // Most of a run's kills that can be headshots...
+const RUN_HEADSHOT_GRACE = 10;               // ...plus this many, so short runs aren't judged on a handful
+const usedRunIds = new Map();                // runId -> expiry timestamp (one submission per ticket)
+
+const RunVerifier = {
+    _sign(runId, seed, issuedAt, challengeId) {
+        return crypto.createHmac('sha256', RUN_SIGNING_SECRET)
+            .update(`${runId}:${seed}:${issuedAt}:${challengeId || ''}`)
+            .digest('hex');
+    },
+
+    // Ticket for a random run, or for a challenge (fixed seed) when given one
+    issueTicket(challenge = null) {
+        const runId = uuidv4();
+        const seed = challenge ? challenge.seed : crypto.randomBytes(4).readUInt32LE(0);
+        const issuedAt = Date.now();
+        const challengeId = challenge ? challenge.id : null;
+        return { runId, seed, issuedAt, challengeId, signature: this._sign(runId, seed, issuedAt, challengeId) };
+    },
+
+    // Check ticket signature, age and single use. Returns error string or null.
+    checkTicket(runLog) {
+        const { runId, seed, issuedAt, signature } = runLog;
+        const challengeId = runLog.challengeId || null;
+        if (typeof runId !== 'string' || typeof signature !== 'string' ||
+            !Number.isInteger(seed) || !Number.isInteger(issuedAt) ||
+            (challengeId !== null && typeof challengeId !== 'string')) {
+            return 'Malformed run ticket';
+        }
+        const expected = this._sign(runId, seed, issuedAt, challengeId);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return 'Invalid run ticket';
+        }
+        if (Date.now() - issuedAt > RUN_TICKET_TTL) return 'Run ticket expired';
+        if (usedRunIds.has(runId)) return 'Run already submitted';
+        return null;
+    },
+
+    markUsed(runId) {
+        usedRunIds.set(runId, Date.now() + RUN_TICKET_TTL);
+    },
+
+    // Replay an event log. Returns { score, wave, kills } or { error }.
+    replay(runLog) {
+        const events = runLog.events;
+        if (!Array.isArray(events) || events.length > MAX_RUN_EVENTS) {
+            return { error: 'Invalid run log' };
+        }
+
+        const WS = GameCore.WaveSystem;
+        const rng = GameCore.Random.createStreams(runLog.seed);
+        const challenge = runLog.challengeId ? GameCore.Challenge.fromId(runLog.challengeId) : null;
+        if (runLog.challengeId && !challenge) return { error: 'Unknown challenge' };
+        const modifiers = challenge ? challenge.modifiers : null;
+        const levels = {};              // "weapon.stat" -> level bought
+        let spawned = {};               // Zombie type -> count spawned this wave (from the seed)
+        let killed = {};                // Zombie type -> count killed this wave
+        const pickups = { health: 0, ammo: 0, grenade: 0 };  // Dropped and not yet collected
+        let phase = 'start';            // start -> active -> between (shop) -> active ...
+        let wave = 1;
+        let score = 0;
+        let kills = 0;
+        let headshots = 0;
+        let waveKills = 0;              // Non-minion kills this wave
+        let waveStart = 0;
+        let bossKilled = false;
+        let lastTime = 0;
+        const maxDuration = Date.now() - runLog.issuedAt + 5000;
+
+        for (const event of events) {
+            if (!Array.isArray(event)) return { error: 'Malformed event' };
+            const [t, type] = event;
+            if (!Number.isInteger(t) || t < lastTime || t > maxDuration) {
+                return { error: 'Event timing invalid' };
+            }
+            lastTime = t;
+
+            switch (type) {
+                case 'w': {
+                    if (event[2] !== wave || (phase !== 'start' && phase !== 'between')) {
+                        return { error: `Unexpected start of wave ${event[2]}` };
+                    }
+                    phase = 'active';
+                    waveKills = 0;
+                    waveStart = t;
+                    bossKilled = false;
+                    killed = {};
+                    spawned = {};
+
+                    // Draw this wave's spawns from the spawn stream in the same order as the client
+                    if (!WS.isBossWave(wave, modifiers)) {
+                        for (let i = 0; i < WS.getZombieCount(wave, undefined, modifiers); i++) {
+                            const zombieType = WS.getZombieType(wave, rng.spawn, modifiers);
+                            WS.scaleByWave(WS.getTypeProps(zombieType), wave, true, rng.spawn);
+                            spawned[zombieType] = (spawned[zombieType] || 0) + 1;
+                        }
+                    }
+                    break;
+                }
+                case 'k': {
+                    const zombieType = event[2];
+                    const isHeadshot = event[3] === 1;
+                    const summoned = event[4] === 1;
+                    if (phase !== 'active') return { error: 'Kill outside of a wave' };
+                    if (zombieType !== 'boss' && !Object.prototype.hasOwnProperty.call(GameCore.Constants.ZOMBIE_TYPES, zombieType)) {
+                        return { error: 'Unknown zombie type' };
+                    }
+
+                    let points;
+                    if (WS.isBossWave(wave, modifiers)) {
+                        if (zombieType === 'boss' && !bossKilled) {
+                            bossKilled = true;
+                            points = WS.getBossProps(wave, modifiers).points;
+                        } else if (summoned && !bossKilled) {
+                            // Only types this boss brings in, no more than the spawner and its summons could have made by now
+                            const boss = WS.getBossProps(wave, modifiers);
+                            const limit = GameCore.BossAI.getSummonLimit(boss.bossId, boss.level, zombieType,
+                                t - waveStart + RUN_TIMING_TOLERANCE);
+                            if ((killed[zombieType] || 0) >= limit) {
+                                return { error: limit > 0
+                                    ? `Too many ${zombieType} kills too fast in boss wave ${wave}`
+                                    : `Impossible ${zombieType} kill in boss wave ${wave}` };
+                            }
+                            killed[zombieType] = (killed[zombieType] || 0) + 1;
+                            points = GameCore.Constants.ZOMBIE_TYPES[zombieType].points;
+                        } else {
+                            return { error: `Impossible ${zombieType} kill in boss wave ${wave}` };
+                        }
+                    } else {
+                        if ((killed[zombieType] || 0) >= (spawned[zombieType] || 0)) {
+                            return { error: `More ${zombieType} kills than spawns in wave ${wave}` };
+                        }
+                        // The Nth zombie can't spawn before (N-1) spawn intervals have passed
+                        const earliest = waveStart + waveKills * WS.getSpawnInterval(wave) - RUN_TIMING_TOLERANCE;
+                        if (waveKills >= WS.getZombieCount(wave, undefined, modifiers) || t < earliest) {
+                            return { error: `Too many kills too fast in wave ${wave}` };
+                        }
+                        waveKills++;
+                        killed[zombieType] = (killed[zombieType] || 0) + 1;
+                        points = GameCore.Constants.ZOMBIE_TYPES[zombieType].points;
+                    }
+                    score += GameCore.Combat.calculateKillScore(points, isHeadshot);
+                    kills++;
+                    if (isHeadshot) headshots++;
+                    if (headshots > RUN_HEADSHOT_GRACE + kills * RUN_MAX_HEADSHOT_SHARE) {
+                        return { error: `Implausible headshot share (${headshots} of ${kills} kills)` };
+                    }
+
+                    // Same drop rolls, in kill order, as killSinglePlayerZombie
+                    const isBoss = zombieType === 'boss';
+                    if (GameCore.Combat.shouldDropPickup(zombieType, isBoss, rng.drops, modifiers)) {
+                        const count = isBoss ? GameCore.Combat.getBossPickupCount() : 1;
+                        for (let i = 0; i < count; i++) {
+                            pickups[GameCore.Combat.rollPickupType(rng.drops)]++;
+                        }
+                    }
+                    break;
+                }
+                case 'c': {
+                    const complete = WS.isBossWave(wave, modifiers)
+                        ? bossKilled
+                        : waveKills === WS.getZombieCount(wave, undefined, modifiers);
+                    if (event[2] !== wave || phase !== 'active' || !complete) {
+                        return { error: `Wave ${event[2]} completed early` };
+                    }
+                    score += WS.getWaveBonus(wave, modifiers);
+                    wave++;
+                    phase = 'between';
+                    break;
+                }
+                case 'u': {
+                    const key = `${event[2]}.${event[3]}`;
+                    const level = levels[key] || 0;
+                    const cost = GameCore.Combat.getUpgradeCost(event[2], event[3], level);
+                    if (phase !== 'between' || cost === null || cost > score) {
+                        return { error: `Invalid upgrade ${key}` };
+                    }
+                    score -= cost;
+                    levels[key] = level + 1;
+                    break;
+                }
+                case 'p': {
+                    if (!(pickups[event[2]] > 0)) return { error: `No ${event[2]} pickup was dropped` };
+                    pickups[event[2]]--;
+                    break;
+                }
+                default:
+                    return { error: `Unknown event ${type}` };
+            }
+        }
+
+        return { score, wave, kills };
+    }
+};
 
-    leaderboard.push(entry);
-    leaderboard.sort((a, b) => b.score - a.score);
+// Prune used run ids once their tickets could no longer be submitted anyway
+setInterval(() => {
+    const now = Date.now();
+    for (const [runId, expiry] of usedRunIds) {
+        if (expiry < now) usedRunIds.delete(runId);
+    }
+}, 60 * 60 * 1000);
 
-    // Keep only top entries
-    if (leaderboard.length > MAX_LEADERBOARD_SIZE) {
-        leaderboard = leaderboard.slice(0, MAX_LEADERBOARD_SIZE);
+// Issue a signed ticket (run id + seed) at the start of a singleplayer run.
+// Body { challenge: 'daily' | 'weekly' } starts a run of the current challenge instead.
+app.post('/api/run/start', (req, res) => {
+    const period = req.body && req.body.challenge;
+    if (period === undefined || period === null) {
+        return res.json(RunVerifier.issueTicket());
+    }
+    if (!CHALLENGE_PERIODS.includes(period)) {
+        return res.status(400).json({ error: 'Invalid challenge' });
     }
+    res.json(RunVerifier.issueTicket(GameCore.Challenge.current(period)));
+});
 
-    // Find rank of new entry (check if it's still in the list)
-    const rank = leaderboard.findIndex(e => e._id === entryId) + 1;
+// ==================== CHALLENGES ====================
+// Daily/weekly challenges are derived from the date by GameCore.Challenge;
+// the server is the clock everyone agrees on and keeps a board per challenge.
+const CHALLENGE_PERIODS = ['daily', 'weekly'];
 
-    if (rank > 0) {
-        // Clean up the _id before saving (not needed in stored data)
-        leaderboard.forEach(e => delete e._id);
-        saveLeaderboard();
-        log(`Leaderboard: ${name} added with score ${score} (rank #${rank})`, 'SUCCESS');
-        return { added: true, rank };
+app.get('/api/challenge/current', (req, res) => {
+    const now = Date.now();
+    const result = { serverTime: now };
+    for (const period of CHALLENGE_PERIODS) {
+        const challenge = GameCore.Challenge.current(period, now);
+        result[period] = {
+            ...challenge,
+            players: LeaderboardStore.getChallengeBoard(challenge.id).length
+        };
     }
+    res.json(result);
+});
 
-    log(`Leaderboard: ${name} score ${score} was pushed out`, 'INFO');
-    return { added: false, rank: -1 };
-}
+// Challenge leaderboard (?challenge=<id>, defaults to today's daily challenge)
+app.get('/api/challenge/leaderboard', (req, res) => {
+    const challengeId = req.query.challenge === undefined
+        ? GameCore.Challenge.getId('daily')
+        : String(req.query.challenge);
+    if (!GameCore.Challenge.fromId(challengeId)) {
+        return res.status(400).json({ error: 'Invalid challenge' });
+    }
+    const params = parseLeaderboardQuery({ limit: req.query.limit, offset: req.query.offset, around: req.query.around });
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+    res.json(LeaderboardStore.queryChallenge(challengeId, params));
+});
 
 // Leaderboard API endpoints
 app.get('/api/leaderboard', (req, res) => {
-    res.json(leaderboard);
+    const params = parseLeaderboardQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+    res.json(LeaderboardStore.query(params));
 });
 
-app.post('/api/leaderboard', (req, res) => {
+app.post('/api/leaderboard', async (req, res) => {
     const { name, sessionToken } = req.body;
 
     // Require valid session token
-    if (!sessionToken) {
+    if (!sessionToken || typeof sessionToken !== 'string') {
         log('Leaderboard submission rejected: No session token', 'WARN');
         return res.status(401).json({ error: 'Session token required' });
     }
 
-    const session = getSessionByToken(sessionToken);
-    if (!session) {
-        log('Leaderboard submission rejected: Invalid session token', 'WARN');
-        return res.status(401).json({ error: 'Invalid session token' });
+    // Sessions live with the game - on a worker process in cluster mode
+    const claim = CLUSTER.isMatchmaker ? await Matchmaker.claimSession(sessionToken) : claimSessionScore(sessionToken);
+    if (claim.error) {
+        if (claim.status === 401) log('Leaderboard submission rejected: Invalid session token', 'WARN');
+        return res.status(claim.status).json({ error: claim.error });
     }
 
     // Use server-tracked values, not client-submitted ones
-    const serverScore = session.score;
-    const serverWave = session.wave;
-    const serverKills = session.kills;
-
-    if (serverScore <= 0) {
-        return res.status(400).json({ error: 'No score to submit' });
-    }
-
-    // Mark session as used for leaderboard (prevent duplicate submissions)
-    if (session.leaderboardSubmitted) {
-        return res.status(400).json({ error: 'Score already submitted' });
-    }
-    session.leaderboardSubmitted = true;
+    const serverScore = claim.score;
+    const serverWave = claim.wave;
+    const serverKills = claim.kills;
 
-    const result = addToLeaderboard(name, serverScore, serverWave, serverKills);
+    const result = LeaderboardStore.add(name, serverScore, serverWave, serverKills, 'multiplayer', claim.playerCount, null, claim.stats);
     log(`Leaderboard: Session ${sessionToken.substring(0, 8)}... submitted score ${serverScore}`, 'INFO');
+    const board = LeaderboardStore.query({ mode: result.mode, season: result.season, around: result.name });
 
     res.json({
         ...result,
-        leaderboard,
+        leaderboard: board.entries,
+        around: board.around,
         verifiedScore: serverScore,
         verifiedWave: serverWave,
         verifiedKills: serverKills
@@ -1104,14 +1628,11 @@ app.post('/api/leaderboard', (req, res) => {
 // Singleplayer score submission (no session required)
 // Strict validation to prevent leaderboard manipulation
 app.post('/api/leaderboard/singleplayer', singleplayerLimiter, (req, res) => {
-    const { name, score, wave, kills } = req.body;
+    const { name, score, wave, kills, runLog } = req.body;
 
     // ==================== ANTI-CHEAT VALIDATION ====================
-    // These limits are based on realistic gameplay analysis:
-    // - Max realistic wave in singleplayer: ~35 (extremely skilled player)
-    // - Max kills per wave: ~15-25 average, scaling with wave
-    // - Max score per kill: ~200 average (headshot bonus on high-value zombie)
-    // - Wave completion bonuses: ~500-1500 per wave
+    // Cheap absolute limits first, then the run log is replayed and must
+    // reproduce the submitted score, wave and kills exactly.
 
     const MAX_REALISTIC_WAVE = 40;      // Tightened from 50
     const MAX_REALISTIC_KILLS = 700;    // ~18 kills/wave * 40 waves
@@ -1142,44 +1663,399 @@ app.post('/api/leaderboard/singleplayer', singleplayerLimiter, (req, res) => {
         return res.status(400).json({ error: 'Kills exceed maximum allowed' });
     }
 
-    // Ratio validation (must have reasonable relationship between stats)
-    // Minimum: At least 50 points per kill (even basic zombies give 100)
-    // Maximum: No more than 250 points per kill on average (accounts for bonuses)
-    const pointsPerKill = kills > 0 ? score / kills : 0;
-    if (kills > 0 && (pointsPerKill < 50 || pointsPerKill > 250)) {
-        log(`Singleplayer rejected: suspicious ratio ${pointsPerKill.toFixed(1)} pts/kill (score=${score}, kills=${kills})`, 'WARN');
-        return res.status(400).json({ error: 'Score validation failed' });
+    // Replay the signed run log
+    if (!runLog || typeof runLog !== 'object') {
+        log('Singleplayer rejected: no run log', 'WARN');
+        return res.status(400).json({ error: 'Run log required' });
     }
-
-    // Wave/kills ratio check (should have ~5-30 kills per wave on average)
-    const killsPerWave = wave > 0 ? kills / wave : 0;
-    if (wave > 1 && (killsPerWave < 3 || killsPerWave > 40)) {
-        log(`Singleplayer rejected: suspicious ${killsPerWave.toFixed(1)} kills/wave (wave=${wave}, kills=${kills})`, 'WARN');
+    const ticketError = RunVerifier.checkTicket(runLog);
+    if (ticketError) {
+        log(`Singleplayer rejected: ${ticketError}`, 'WARN');
+        return res.status(400).json({ error: ticketError });
+    }
+    const replay = RunVerifier.replay(runLog);
+    if (replay.error) {
+        log(`Singleplayer rejected: replay failed (${replay.error})`, 'WARN');
         return res.status(400).json({ error: 'Score validation failed' });
     }
-
-    // Score/wave ratio check (max ~3000 points per wave on average)
-    const scorePerWave = wave > 0 ? score / wave : 0;
-    if (wave > 1 && scorePerWave > 3500) {
-        log(`Singleplayer rejected: suspicious ${scorePerWave.toFixed(0)} score/wave (score=${score}, wave=${wave})`, 'WARN');
+    if (replay.score !== score || replay.wave !== wave || replay.kills !== kills) {
+        log(`Singleplayer rejected: replay gives ${replay.score} pts/wave ${replay.wave}/${replay.kills} kills, submitted ${score}/${wave}/${kills}`, 'WARN');
         return res.status(400).json({ error: 'Score validation failed' });
     }
+    RunVerifier.markUsed(runLog.runId);
 
-    // All checks passed - submit to leaderboard
-    const result = addToLeaderboard(name, score, wave, kills);
-    log(`Singleplayer leaderboard: ${name} submitted score ${score} (wave ${wave}, ${kills} kills)`, 'INFO');
+    // All checks passed - submit to leaderboard (challenge runs go to the challenge's own board)
+    const challengeId = runLog.challengeId || null;
+    const result = LeaderboardStore.add(name, score, wave, kills, challengeId ? 'challenge' : 'singleplayer', 1, challengeId);
+    log(`Singleplayer leaderboard: ${name} submitted score ${score} (wave ${wave}, ${kills} kills${challengeId ? `, ${challengeId}` : ''})`, 'INFO');
+    const board = challengeId
+        ? LeaderboardStore.queryChallenge(challengeId, { around: result.name })
+        : LeaderboardStore.query({ mode: result.mode, season: result.season, around: result.name });
 
     res.json({
         ...result,
-        leaderboard,
+        leaderboard: board.entries,
+        around: board.around,
         verifiedScore: score,
         verifiedWave: wave,
         verifiedKills: kills
     });
 });
 
-// Load leaderboard on startup
-loadLeaderboard();
+// Load leaderboard on startup (game workers never serve it)
+if (!CLUSTER.isWorker) {
+    LeaderboardStore.load();
+}
+
+// ==================== PLAYER PROFILES ====================
+// Optional accounts so achievements, cosmetic, settings and name follow a player across
+// browsers and the Electron build. Passwords are hashed with scrypt; a signed-in device
+// can also hand out a short-lived link code that signs another device in without one.
+// Profiles live in PROFILES_FILE (rewritten on change) and bearer tokens are stored as
+// SHA-256 hashes, so the file never holds a usable credential.
+const PROFILES_FILE = path.join(__dirname, 'profiles.json');
+const PROFILE_CONFIG = {
+    tokenTtlMs: 90 * 24 * 60 * 60 * 1000,  // Sign-ins last 90 days
+    maxTokensPerAccount: 10,               // Oldest sign-in is dropped past this
+    linkCodeTtlMs: 10 * 60 * 1000,         // Device link codes expire after 10 minutes
+    saveDelayMs: 1000,                     // Coalesce profile writes
+    maxAchievements: 100,
+    maxSettings: 32
+};
+const PROFILE_USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,20}$/;
+const PROFILE_KEY_PATTERN = /^[a-zA-Z0-9_]{1,32}$/;
+const LINK_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // No 0/O or 1/I
+
+const ProfileStore = {
+    accounts: new Map(),    // accountId -> account
+    usernames: new Map(),   // lowercase username -> accountId
+    tokens: new Map(),      // token hash -> { accountId, expires }
+    linkCodes: new Map(),   // code -> { accountId, expires }
+    saveTimer: null,
+
+    load() {
+        try {
+            if (!fs.existsSync(PROFILES_FILE)) return;
+            const parsed = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+            (Array.isArray(parsed.accounts) ? parsed.accounts : []).forEach(account => this._index(account));
+            log(`Loaded ${this.accounts.size} player profiles`, 'SUCCESS');
+        } catch (e) {
+            log(`Error loading profiles: ${e.message}`, 'ERROR');
+        }
+    },
+
+    _index(account) {
+        account.tokens = (account.tokens || []).filter(t => t.expires > Date.now());
+        account.profile.verifiedAchievements = account.profile.verifiedAchievements || [];
+        this.accounts.set(account.id, account);
+        this.usernames.set(account.username.toLowerCase(), account.id);
+        account.tokens.forEach(t => this.tokens.set(t.hash, { accountId: account.id, expires: t.expires }));
+    },
+
+    // Write the whole file shortly after the last change (temp file + rename, so a crash
+    // mid-write never truncates it)
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            const data = JSON.stringify({ accounts: Array.from(this.accounts.values()) });
+            const tempFile = PROFILES_FILE + '.tmp';
+            fs.writeFile(tempFile, data, (err) => {
+                if (err) {
+                    log(`Error saving profiles: ${err.message}`, 'ERROR');
+                    return;
+                }
+                fs.rename(tempFile, PROFILES_FILE, (renameErr) => {
+                    if (renameErr) log(`Error saving profiles: ${renameErr.message}`, 'ERROR');
+                });
+            });
+        }, PROFILE_CONFIG.saveDelayMs);
+    },
+
+    _hashPassword(password, salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(key));
+        });
+    },
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+
+    async register(username, password) {
+        if (this.usernames.has(username.toLowerCase())) {
+            return { status: 409, error: 'Username taken' };
+        }
+        const salt = crypto.randomBytes(16).toString('hex');
+        const key = await this._hashPassword(password, salt);
+        // Checked again: another registration may have finished while scrypt ran
+        if (this.usernames.has(username.toLowerCase())) {
+            return { status: 409, error: 'Username taken' };
+        }
+
+        const now = new Date().toISOString();
+        const account = {
+            id: uuidv4(),
+            username,
+            passwordSalt: salt,
+            passwordHash: key.toString('hex'),
+            createdAt: now,
+            updatedAt: now,
+            tokens: [],
+            profile: { name: username.substring(0, 20), cosmetic: 'default', achievements: [], verifiedAchievements: [], settings: {} }
+        };
+        this._index(account);
+        log(`Profile: registered "${username}"`, 'INFO');
+        return { token: this.issueToken(account), profile: this.getProfile(account) };
+    },
+
+    async login(username, password) {
+        const account = this.accounts.get(this.usernames.get(username.toLowerCase()));
+        // Hash anyway for unknown users so response time doesn't reveal which usernames exist
+        const salt = account ? account.passwordSalt : '00000000000000000000000000000000';
+        const key = await this._hashPassword(password, salt);
+        if (!account || !crypto.timingSafeEqual(key, Buffer.from(account.passwordHash, 'hex'))) {
+            return { status: 401, error: 'Wrong username or password' };
+        }
+        return { token: this.issueToken(account), profile: this.getProfile(account) };
+    },
+
+    issueToken(account) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const entry = { hash: this._hashToken(token), expires: Date.now() + PROFILE_CONFIG.tokenTtlMs };
+        account.tokens.push(entry);
+        while (account.tokens.length > PROFILE_CONFIG.maxTokensPerAccount) {
+            this.tokens.delete(account.tokens.shift().hash);
+        }
+        this.tokens.set(entry.hash, { accountId: account.id, expires: entry.expires });
+        this.scheduleSave();
+        return token;
+    },
+
+    revokeToken(token) {
+        const hash = this._hashToken(token);
+        const entry = this.tokens.get(hash);
+        if (!entry) return;
+        this.tokens.delete(hash);
+        const account = this.accounts.get(entry.accountId);
+        if (account) account.tokens = account.tokens.filter(t => t.hash !== hash);
+        this.scheduleSave();
+    },
+
+    // Account a token signs in to (null if unknown or expired)
+    getAccountByToken(token) {
+        if (typeof token !== 'string' || !token) return null;
+        const entry = this.tokens.get(this._hashToken(token));
+        if (!entry || entry.expires < Date.now()) return null;
+        return this.accounts.get(entry.accountId) || null;
+    },
+
+    // Account for an `Authorization: Bearer <token>` header
+    authenticate(req) {
+        const header = req.headers.authorization;
+        if (typeof header !== 'string' || !header.startsWith('Bearer ')) return null;
+        return this.getAccountByToken(header.substring(7).trim());
+    },
+
+    // What a game server needs for a WebSocket's profileAuth (null if the token is invalid)
+    lookup(token) {
+        const account = this.getAccountByToken(token);
+        return account ? { accountId: account.id, achievements: account.profile.verifiedAchievements } : null;
+    },
+
+    // Achievements the game server saw a signed-in player earn (also shown as unlocked)
+    grantAchievements(accountId, ids) {
+        const account = this.accounts.get(accountId);
+        if (!account) return;
+        const profile = account.profile;
+        const fresh = ids.filter(id => PROFILE_KEY_PATTERN.test(id) && !profile.verifiedAchievements.includes(id));
+        if (fresh.length === 0) return;
+        profile.verifiedAchievements.push(...fresh);
+        fresh.forEach(id => {
+            if (!profile.achievements.includes(id)) profile.achievements.push(id);
+        });
+        account.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+    },
+
+    // Short code another device can claim within PROFILE_CONFIG.linkCodeTtlMs
+    createLinkCode(account) {
+        let code;
+        do {
+            code = Array.from(crypto.randomBytes(8), b => LINK_CODE_CHARS[b % LINK_CODE_CHARS.length]).join('');
+        } while (this.linkCodes.has(code));
+        this.linkCodes.set(code, { accountId: account.id, expires: Date.now() + PROFILE_CONFIG.linkCodeTtlMs });
+        return code;
+    },
+
+    claimLinkCode(code) {
+        const entry = this.linkCodes.get(code);
+        this.linkCodes.delete(code);  // Single use
+        const account = entry && entry.expires >= Date.now() ? this.accounts.get(entry.accountId) : null;
+        if (!account) {
+            return { status: 404, error: 'Invalid or expired code' };
+        }
+        log(`Profile: linked a new device to "${account.username}"`, 'INFO');
+        return { token: this.issueToken(account), profile: this.getProfile(account) };
+    },
+
+    getProfile(account) {
+        return { username: account.username, updatedAt: account.updatedAt, ...account.profile };
+    },
+
+    // Merge a device's data into the profile. Achievements are only ever added (a device
+    // that hasn't synced yet can't take any away); name, cosmetic and settings are
+    // last-write-wins. verifiedAchievements only come from grantAchievements.
+    update(account, data) {
+        const profile = account.profile;
+        if (data.name !== undefined) {
+            const name = sanitizeString(data.name, 20);
+            if (name) profile.name = name;
+        }
+        if (typeof data.cosmetic === 'string' && PROFILE_KEY_PATTERN.test(data.cosmetic)) {
+            profile.cosmetic = data.cosmetic;
+        }
+        if (Array.isArray(data.achievements)) {
+            const achievements = new Set(profile.achievements);
+            data.achievements.forEach(id => {
+                if (typeof id === 'string' && PROFILE_KEY_PATTERN.test(id) && achievements.size < PROFILE_CONFIG.maxAchievements) {
+                    achievements.add(id);
+                }
+            });
+            profile.achievements = Array.from(achievements);
+        }
+        if (data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings)) {
+            const settings = {};
+            Object.entries(data.settings).slice(0, PROFILE_CONFIG.maxSettings).forEach(([key, value]) => {
+                if (!PROFILE_KEY_PATTERN.test(key)) return;
+                if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value)) ||
+                    (typeof value === 'string' && value.length <= 20)) {
+                    settings[key] = value;
+                }
+            });
+            profile.settings = settings;
+        }
+        account.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+        return this.getProfile(account);
+    }
+};
+
+// Expired link codes and sign-ins
+setInterval(() => {
+    const now = Date.now();
+    for (const [code, entry] of ProfileStore.linkCodes) {
+        if (entry.expires < now) ProfileStore.linkCodes.delete(code);
+    }
+    for (const [hash, entry] of ProfileStore.tokens) {
+        if (entry.expires < now) ProfileStore.tokens.delete(hash);
+    }
+}, 60 * 1000);
+
+// Sign-in attempts per IP (scrypt is deliberately slow, and this also limits password guessing)
+const profileAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,  // 15 minute window
+    max: 10,                   // 10 sign-in/register/claim attempts per window per IP
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        log(`Profile sign-in rate limit exceeded for IP: ${req.ip}`, 'WARN');
+        res.status(429).json({ error: 'Too many sign-in attempts. Please try again later.' });
+    }
+});
+
+function requireProfile(req, res, next) {
+    const account = ProfileStore.authenticate(req);
+    if (!account) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    req.account = account;
+    next();
+}
+
+function parseCredentials(body) {
+    const username = body && typeof body.username === 'string' ? body.username.trim() : '';
+    const password = body && typeof body.password === 'string' ? body.password : '';
+    if (!PROFILE_USERNAME_PATTERN.test(username)) {
+        return { error: 'Username must be 3-20 letters, numbers, _ or -' };
+    }
+    if (password.length < 8 || password.length > 128) {
+        return { error: 'Password must be 8-128 characters' };
+    }
+    return { username, password };
+}
+
+// Body { username, password } -> { token, profile }
+app.post('/api/profile/register', profileAuthLimiter, async (req, res) => {
+    const credentials = parseCredentials(req.body);
+    if (credentials.error) {
+        return res.status(400).json({ error: credentials.error });
+    }
+    try {
+        const result = await ProfileStore.register(credentials.username, credentials.password);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (e) {
+        log(`Profile registration failed: ${e.message}`, 'ERROR');
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+// Body { username, password } -> { token, profile }
+app.post('/api/profile/login', profileAuthLimiter, async (req, res) => {
+    const credentials = parseCredentials(req.body);
+    if (credentials.error) {
+        return res.status(401).json({ error: 'Wrong username or password' });
+    }
+    try {
+        const result = await ProfileStore.login(credentials.username, credentials.password);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (e) {
+        log(`Profile login failed: ${e.message}`, 'ERROR');
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Body { code } -> { token, profile } for the account that created the code
+app.post('/api/profile/link/claim', profileAuthLimiter, (req, res) => {
+    const code = req.body && typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{8}$/.test(code)) {
+        return res.status(400).json({ error: 'Invalid code' });
+    }
+    const result = ProfileStore.claimLinkCode(code);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+});
+
+app.post('/api/profile/link', requireProfile, (req, res) => {
+    res.json({ code: ProfileStore.createLinkCode(req.account), expiresIn: PROFILE_CONFIG.linkCodeTtlMs });
+});
+
+app.post('/api/profile/logout', requireProfile, (req, res) => {
+    ProfileStore.revokeToken(req.headers.authorization.substring(7).trim());
+    res.json({ success: true });
+});
+
+app.get('/api/profile', requireProfile, (req, res) => {
+    res.json(ProfileStore.getProfile(req.account));
+});
+
+// Body: any of { name, cosmetic, achievements, settings } -> merged profile
+app.post('/api/profile', requireProfile, (req, res) => {
+    res.json(ProfileStore.update(req.account, req.body || {}));
+});
+
+// Profiles are served by the same process as the leaderboard
+if (!CLUSTER.isWorker) {
+    ProfileStore.load();
+}
 
 // ==================== HEALTH & METRICS ENDPOINTS ====================
 app.get('/health', (req, res) => {
@@ -1189,21 +2065,27 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Room and player counts for this process (a worker's share in cluster mode)
+function getGameStats() {
+    const stats = { activeRooms: 0, playingRooms: 0, totalPlayers: 0, bots: 0 };
+    gameRooms.forEach(room => {
+        if (room.players.size === 0) return;
+        stats.activeRooms++;
+        if (room.isRunning) stats.playingRooms++;
+        stats.totalPlayers += room.players.size;
+        room.players.forEach(player => {
+            if (player.isBot) stats.bots++;
+        });
+    });
+    return stats;
+}
+
 app.get('/api/status', (req, res) => {
     const uptime = process.uptime();
     const memoryUsage = process.memoryUsage();
 
-    // Count active rooms and players
-    let totalPlayers = 0;
-    let activeRooms = 0;
-    if (typeof rooms !== 'undefined') {
-        rooms.forEach((room, roomId) => {
-            if (room.players && room.players.size > 0) {
-                activeRooms++;
-                totalPlayers += room.players.size;
-            }
-        });
-    }
+    // Count active rooms and players (summed over the workers' latest reports in cluster mode)
+    const { activeRooms, totalPlayers } = CLUSTER.isMatchmaker ? Matchmaker.getGameStats() : getGameStats();
 
     res.json({
         status: 'healthy',
@@ -1222,6 +2104,7 @@ app.get('/api/status', (req, res) => {
             totalPlayers: totalPlayers,
             bannedIPs: ipBans.size
         },
+        workers: CLUSTER.isMatchmaker ? Matchmaker.getWorkerSummaries() : undefined,
         version: '1.0.0'
     });
 });
@@ -1230,16 +2113,8 @@ app.get('/api/metrics', (req, res) => {
     const uptime = process.uptime();
     const memoryUsage = process.memoryUsage();
 
-    let totalPlayers = 0;
-    let activeRooms = 0;
-    if (typeof rooms !== 'undefined') {
-        rooms.forEach((room) => {
-            if (room.players && room.players.size > 0) {
-                activeRooms++;
-                totalPlayers += room.players.size;
-            }
-        });
-    }
+    const { activeRooms, totalPlayers } = CLUSTER.isMatchmaker ? Matchmaker.getGameStats() : getGameStats();
+    const ticks = CLUSTER.isMatchmaker ? Matchmaker.getTickStats() : getTickStats();
 
     // Prometheus-style metrics
     const metrics = [
@@ -1266,10 +2141,68 @@ app.get('/api/metrics', (req, res) => {
         `# HELP aspen_banned_ips Number of banned IPs`,
         `# TYPE aspen_banned_ips gauge`,
         `aspen_banned_ips ${ipBans.size}`,
-    ].join('\n');
+        ``,
+        `# HELP aspen_tick_budget_ms Average tick time a room may use before its SYNC rate is lowered`,
+        `# TYPE aspen_tick_budget_ms gauge`,
+        `aspen_tick_budget_ms ${CONFIG.tickBudget.budgetMs}`,
+        ``,
+        `# HELP aspen_ticks_total Room ticks run`,
+        `# TYPE aspen_ticks_total counter`,
+        `aspen_ticks_total ${ticks.ticks}`,
+        ``,
+        `# HELP aspen_ticks_over_budget_total Room ticks that took longer than the tick budget`,
+        `# TYPE aspen_ticks_over_budget_total counter`,
+        `aspen_ticks_over_budget_total ${ticks.overBudget}`,
+        ``,
+        `# HELP aspen_sync_throttles_total Times a room's SYNC rate was lowered for running over budget`,
+        `# TYPE aspen_sync_throttles_total counter`,
+        `aspen_sync_throttles_total ${ticks.throttles}`,
+        ``,
+        `# HELP aspen_tick_duration_avg_ms Average room tick time over the last few seconds`,
+        `# TYPE aspen_tick_duration_avg_ms gauge`,
+        `aspen_tick_duration_avg_ms ${ticks.avgMs}`,
+        ``,
+        `# HELP aspen_tick_duration_p95_ms 95th percentile room tick time over the last few seconds (worst worker in cluster mode)`,
+        `# TYPE aspen_tick_duration_p95_ms gauge`,
+        `aspen_tick_duration_p95_ms ${ticks.p95Ms}`,
+        ``,
+        `# HELP aspen_tick_duration_max_ms Longest room tick over the last few seconds`,
+        `# TYPE aspen_tick_duration_max_ms gauge`,
+        `aspen_tick_duration_max_ms ${ticks.maxMs}`,
+        ``,
+        `# HELP aspen_slowest_room_tick_ms Average tick time of the slowest room`,
+        `# TYPE aspen_slowest_room_tick_ms gauge`,
+        `aspen_slowest_room_tick_ms ${ticks.slowestRoomMs}`,
+        ``,
+        `# HELP aspen_rooms_sync_throttled Rooms currently sending SYNC below the tick rate`,
+        `# TYPE aspen_rooms_sync_throttled gauge`,
+        `aspen_rooms_sync_throttled ${ticks.throttledRooms}`,
+    ];
+
+    // Per-worker breakdown in cluster mode (memory and uptime above are the matchmaker's own)
+    if (CLUSTER.isMatchmaker) {
+        const workers = Matchmaker.getWorkerSummaries();
+        const perWorker = (name, help, value) => [
+            ``,
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...workers.map(w => `${name}{worker="${w.id}"} ${value(w)}`)
+        ];
+        metrics.push(
+            ``,
+            `# HELP aspen_workers_ready Game worker processes accepting players`,
+            `# TYPE aspen_workers_ready gauge`,
+            `aspen_workers_ready ${workers.filter(w => w.ready).length}`,
+            ...perWorker('aspen_worker_rooms', 'Active game rooms per worker', w => w.activeRooms),
+            ...perWorker('aspen_worker_players', 'Connected players per worker', w => w.totalPlayers),
+            ...perWorker('aspen_worker_memory_heap_used_bytes', 'Heap memory used per worker', w => w.heapUsed),
+            ...perWorker('aspen_worker_uptime_seconds', 'Worker uptime in seconds', w => w.uptime),
+            ...perWorker('aspen_worker_tick_p95_ms', '95th percentile room tick time per worker', w => w.tickP95Ms)
+        );
+    }
 
     res.set('Content-Type', 'text/plain');
-    res.send(metrics);
+    res.send(metrics.join('\n'));
 });
 
 // ==================== LOGGING ====================
@@ -1330,14 +2263,18 @@ function log(message, type = 'INFO', roomId = null) {
         'GAME':     '\x1b[35m',       // Magenta - general game events
         'SHOP':     '\x1b[38;5;118m', // Bright green - shop events
         'BOSS':     '\x1b[38;5;129m', // Purple - boss events
+        'CLUSTER':  '\x1b[38;5;39m',  // Blue - matchmaker/worker events
+        'DIRECTOR': '\x1b[38;5;208m', // Dark orange - difficulty director decisions
     };
 
     const reset = '\x1b[0m';
     const dim = '\x1b[2m';
     const bold = '\x1b[1m';
 
-    // Format room tag if provided
-    const roomTag = roomId ? `${dim}[${roomId.substring(0, 6)}]${reset} ` : '';
+    // Format room tag if provided (prefixed with the worker in cluster mode)
+    const tag = [CLUSTER.isWorker ? `w${CLUSTER.workerId}` : null, roomId ? roomId.substring(0, 6) : null]
+        .filter(Boolean).join(' ');
+    const roomTag = tag ? `${dim}[${tag}]${reset} ` : '';
 
     // Pad type to fixed width for alignment
     const paddedType = type.padEnd(7);
@@ -1346,7 +2283,7 @@ function log(message, type = 'INFO', roomId = null) {
     console.log(`${dim}[${timeOnly}]${reset} ${colors[type] || ''}${bold}${paddedType}${reset} ${roomTag}${message}`);
 
     // File output (plain text with full timestamp)
-    const roomPart = roomId ? `[${roomId.substring(0, 6)}] ` : '';
+    const roomPart = tag ? `[${tag}] ` : '';
     const logLine = `[${timestamp}] [${type}] ${roomPart}${message}\n`;
     try {
         rotateLogIfNeeded(LOG_FILE);
@@ -1401,473 +2338,250 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-// ==================== NAVIGATION GRID ====================
-const NavGrid = {
-    cellSize: 1.0,
-    gridWidth: 60,
-    gridHeight: 60,
-    offsetX: -30,
-    offsetZ: -30,
-    grid: null,
-    initialized: false,
+// ==================== NAVIGATION ====================
+// NavGrid, Pathfinder and MAP_OBSTACLES live in modules/Navigation.js (shared with bots)
+// MAP_OBSTACLES is derived from maps/*.json - the same definitions clients build from.
+// Each room paths over its own map's grid (room.navigation, from Navigation.forMap)
+const { MAP_OBSTACLES } = Navigation;
+Navigation.setLogger(log);
+Navigation.MAP_LOAD_ERRORS.forEach(error => log(`Map definition skipped - ${error}`, 'ERROR'));
+log(`Loaded ${Object.keys(MAP_OBSTACLES).length} map definitions`, 'INFO');
+
+// Map definitions for clients - BaseMap builds the scene from these
+app.get('/api/maps', (req, res) => {
+    res.json({ maps: Object.values(Navigation.MAP_DEFINITIONS) });
+});
 
-    init() {
-        this.grid = [];
-        for (let z = 0; z < this.gridHeight; z++) {
-            this.grid[z] = new Array(this.gridWidth).fill(0);
-        }
-        // Mark arena boundaries as blocked
-        for (let x = 0; x < this.gridWidth; x++) {
-            this.grid[0][x] = 1;
-            this.grid[this.gridHeight - 1][x] = 1;
-        }
-        for (let z = 0; z < this.gridHeight; z++) {
-            this.grid[z][0] = 1;
-            this.grid[z][this.gridWidth - 1] = 1;
+// ==================== HITSCAN VALIDATION ====================
+// Server-side raycast of reported hits against map obstacles and zombie hitboxes.
+// Zombie hitboxes are upright cylinders from GameCore.Combat.getHitbox (feet at y = 0).
+const HitscanValidator = {
+    // Ray vs zombie cylinder at the given (possibly rewound) position, returns { t, hitY, isHeadshot } or null
+    raycastZombie(origin, dir, zombie, position, padding) {
+        const box = GameCore.Combat.getHitbox(zombie.type, zombie.scale);
+        const radius = box.radius + (padding || 0);
+        const ox = origin.x - position.x;
+        const oz = origin.z - position.z;
+
+        // Horizontal circle intersection: |o + t*d|^2 = r^2
+        const a = dir.x * dir.x + dir.z * dir.z;
+        const c = ox * ox + oz * oz - radius * radius;
+        let tEnter, tExit;
+        if (a < 1e-8) {
+            // Vertical shot - inside the circle or miss
+            if (c > 0) return null;
+            tEnter = 0;
+            tExit = Infinity;
+        } else {
+            const b = ox * dir.x + oz * dir.z;
+            const disc = b * b - a * c;
+            if (disc < 0) return null;
+            const sq = Math.sqrt(disc);
+            tEnter = (-b - sq) / a;
+            tExit = (-b + sq) / a;
         }
-        this.initialized = true;
-        log(`NavGrid initialized: ${this.gridWidth}x${this.gridHeight}`, 'INFO');
-    },
-
-    worldToGridX(x) {
-        return Math.floor((x - this.offsetX) / this.cellSize);
-    },
-
-    worldToGridZ(z) {
-        return Math.floor((z - this.offsetZ) / this.cellSize);
-    },
-
-    gridToWorldX(gx) {
-        return gx * this.cellSize + this.offsetX + this.cellSize / 2;
-    },
 
-    gridToWorldZ(gz) {
-        return gz * this.cellSize + this.offsetZ + this.cellSize / 2;
-    },
-
-    isWalkable(gx, gz) {
-        if (gx < 0 || gx >= this.gridWidth || gz < 0 || gz >= this.gridHeight) {
-            return false;
+        // Clip against vertical extent [0, height]
+        const top = box.height + (padding || 0);
+        if (Math.abs(dir.y) < 1e-8) {
+            if (origin.y < 0 || origin.y > top) return null;
+        } else {
+            let t0 = (0 - origin.y) / dir.y;
+            let t1 = (top - origin.y) / dir.y;
+            if (t0 > t1) { const tmp = t0; t0 = t1; t1 = tmp; }
+            tEnter = Math.max(tEnter, t0);
+            tExit = Math.min(tExit, t1);
         }
-        return this.grid[gz][gx] === 0;
-    },
 
-    markBlocked(minX, maxX, minZ, maxZ) {
-        const gMinX = Math.max(0, this.worldToGridX(minX) - 1);
-        const gMaxX = Math.min(this.gridWidth - 1, this.worldToGridX(maxX) + 1);
-        const gMinZ = Math.max(0, this.worldToGridZ(minZ) - 1);
-        const gMaxZ = Math.min(this.gridHeight - 1, this.worldToGridZ(maxZ) + 1);
+        if (tExit < 0 || tEnter > tExit) return null;
+        const t = Math.max(tEnter, 0);
+        const hitY = origin.y + dir.y * t;
+        return { t, hitY, isHeadshot: GameCore.Combat.isHeadshotHeight(hitY, zombie.type, zombie.scale) };
+    },
 
-        for (let gz = gMinZ; gz <= gMaxZ; gz++) {
-            for (let gx = gMinX; gx <= gMaxX; gx++) {
-                this.grid[gz][gx] = 1;
+    // Ray vs map obstacle AABBs (floor to maxY), returns nearest hit distance or Infinity
+    raycastObstacles(origin, dir, obstacles, maxDist) {
+        let nearest = maxDist;
+        for (const obs of obstacles) {
+            const minY = 0;
+            const maxY = obs.maxY !== undefined ? obs.maxY : Infinity;
+
+            // Shooter standing inside/on top of an obstacle (e.g. on the stage) - ignore it
+            if (origin.x >= obs.minX && origin.x <= obs.maxX &&
+                origin.z >= obs.minZ && origin.z <= obs.maxZ &&
+                origin.y <= maxY + CONFIG.hitValidation.maxOriginHeight) {
+                continue;
             }
-        }
-    },
 
-    buildFromObstacles(obstacles) {
-        // Reset grid
-        for (let z = 0; z < this.gridHeight; z++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                // Keep arena boundaries blocked
-                if (z === 0 || z === this.gridHeight - 1 || x === 0 || x === this.gridWidth - 1) {
-                    this.grid[z][x] = 1;
-                } else {
-                    this.grid[z][x] = 0;
+            let tMin = 0, tMax = nearest;
+            const axes = [
+                [origin.x, dir.x, obs.minX, obs.maxX],
+                [origin.y, dir.y, minY, maxY],
+                [origin.z, dir.z, obs.minZ, obs.maxZ]
+            ];
+            let hit = true;
+            for (const [o, d, lo, hi] of axes) {
+                if (Math.abs(d) < 1e-8) {
+                    if (o < lo || o > hi) { hit = false; break; }
+                    continue;
                 }
+                let t0 = (lo - o) / d;
+                let t1 = (hi - o) / d;
+                if (t0 > t1) { const tmp = t0; t0 = t1; t1 = tmp; }
+                tMin = Math.max(tMin, t0);
+                tMax = Math.min(tMax, t1);
+                if (tMin > tMax) { hit = false; break; }
             }
+            if (hit && tMin < nearest) nearest = tMin;
         }
-        // Mark obstacles
-        obstacles.forEach(obs => {
-            this.markBlocked(obs.minX, obs.maxX, obs.minZ, obs.maxZ);
-        });
-        log(`NavGrid built with ${obstacles.length} obstacles`, 'INFO');
-    }
-};
-
-// ==================== A* PATHFINDER ====================
-const Pathfinder = {
-    pathCache: new Map(),
-    cacheTimeout: 500, // ms
-
-    clearCache() {
-        this.pathCache.clear();
+        return nearest;
     },
 
-    findPath(startX, startZ, goalX, goalZ) {
-        if (!NavGrid.initialized) {
-            log('Pathfinder: NavGrid not initialized', 'DEBUG');
+    // Resolve which zombie (if any) a reported shot actually hit.
+    // Zombies are rewound to rewindTime (lag compensation) when history is available.
+    // Returns { zombie, isHeadshot } or null if the shot is rejected.
+    resolveHit(room, player, origin, direction, claimedZombieId, maxRange, rewindTime) {
+        const V = CONFIG.hitValidation;
+        const positionOf = (zombie) => (rewindTime !== undefined &&
+            room.zombieHistory.getPositionAt(zombie.id, rewindTime)) || zombie.position;
+
+        // Shot must originate from the shooter
+        const odx = origin.x - player.position.x;
+        const odz = origin.z - player.position.z;
+        const ody = origin.y - player.position.y;
+        if (odx * odx + odz * odz > V.maxOriginOffset * V.maxOriginOffset ||
+            ody < -V.maxOriginOffset || ody > V.maxOriginHeight) {
+            log(`Rejected hit from ${player.id}: shot origin too far from player`, 'WARN', room.id);
             return null;
         }
 
-        const startGX = NavGrid.worldToGridX(startX);
-        const startGZ = NavGrid.worldToGridZ(startZ);
-        const goalGX = NavGrid.worldToGridX(goalX);
-        const goalGZ = NavGrid.worldToGridZ(goalZ);
-
-        // Check if start/goal are valid
-        if (!NavGrid.isWalkable(startGX, startGZ)) {
-            // Find nearest walkable cell to start
-            const nearest = this.findNearestWalkable(startGX, startGZ);
-            if (!nearest) {
-                log('Pathfinder: No walkable cell near start', 'DEBUG');
-                return null;
+        const len = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        if (len < 1e-6) return null;
+        const dir = { x: direction.x / len, y: direction.y / len, z: direction.z / len };
+
+        // Nearest zombie along the exact ray
+        let nearest = null;
+        for (const zombie of room.zombies.values()) {
+            if (!zombie.isAlive) continue;
+            const hit = this.raycastZombie(origin, dir, zombie, positionOf(zombie), 0);
+            if (hit && hit.t <= maxRange && (!nearest || hit.t < nearest.hit.t)) {
+                nearest = { zombie, hit };
             }
         }
 
-        if (!NavGrid.isWalkable(goalGX, goalGZ)) {
-            // Find nearest walkable cell to goal
-            const nearest = this.findNearestWalkable(goalGX, goalGZ);
-            if (!nearest) {
-                log('Pathfinder: No walkable cell near goal', 'DEBUG');
-                return null;
-            }
+        // Claimed target gets a padded hitbox to absorb latency and animation
+        const claimed = room.zombies.get(claimedZombieId);
+        let claimedHit = null;
+        if (claimed && claimed.isAlive) {
+            claimedHit = this.raycastZombie(origin, dir, claimed, positionOf(claimed), V.targetPadding);
+            if (claimedHit && claimedHit.t > maxRange) claimedHit = null;
         }
 
-        // A* implementation with MinHeap for O(log n) operations
-        const openSet = new MinHeap();
-        const closedSet = new Set();  // Uses numeric keys
-        const cameFrom = new Map();   // Uses numeric keys
-        const gScore = new Map();     // Uses numeric keys
-
-        const startKey = gridKey(startGX, startGZ);
-
-        gScore.set(startKey, 0);
-        const startF = this.heuristic(startGX, startGZ, goalGX, goalGZ);
-        openSet.push({ x: startGX, z: startGZ, f: startF });
-
-        const neighbors = [
-            { dx: 0, dz: -1, cost: 1 },
-            { dx: 0, dz: 1, cost: 1 },
-            { dx: -1, dz: 0, cost: 1 },
-            { dx: 1, dz: 0, cost: 1 },
-            { dx: -1, dz: -1, cost: 1.414 },
-            { dx: 1, dz: -1, cost: 1.414 },
-            { dx: -1, dz: 1, cost: 1.414 },
-            { dx: 1, dz: 1, cost: 1.414 }
-        ];
-
-        let iterations = 0;
-        const maxIterations = 2000;
-
-        while (openSet.length > 0 && iterations < maxIterations) {
-            iterations++;
-
-            // Get node with lowest fScore - O(log n) with heap
-            const current = openSet.pop();
-            const currentKey = gridKey(current.x, current.z);
-
-            if (current.x === goalGX && current.z === goalGZ) {
-                // Reconstruct path
-                return this.reconstructPath(cameFrom, current, startGX, startGZ);
-            }
-
-            closedSet.add(currentKey);
-
-            for (const neighbor of neighbors) {
-                const nx = current.x + neighbor.dx;
-                const nz = current.z + neighbor.dz;
-                const neighborKey = gridKey(nx, nz);
-
-                if (closedSet.has(neighborKey)) continue;
-                if (!NavGrid.isWalkable(nx, nz)) continue;
-
-                // For diagonal movement, check if we can cut the corner
-                if (neighbor.dx !== 0 && neighbor.dz !== 0) {
-                    if (!NavGrid.isWalkable(current.x + neighbor.dx, current.z) ||
-                        !NavGrid.isWalkable(current.x, current.z + neighbor.dz)) {
-                        continue;
-                    }
-                }
-
-                const tentativeG = gScore.get(currentKey) + neighbor.cost;
-
-                if (!gScore.has(neighborKey) || tentativeG < gScore.get(neighborKey)) {
-                    cameFrom.set(neighborKey, current);
-                    gScore.set(neighborKey, tentativeG);
-                    const f = tentativeG + this.heuristic(nx, nz, goalGX, goalGZ);
-
-                    // O(log n) update or insert
-                    if (openSet.has(nx, nz)) {
-                        openSet.updateF(nx, nz, f);
-                    } else {
-                        openSet.push({ x: nx, z: nz, f: f });
-                    }
-                }
+        // Pick the claimed target unless another zombie is clearly in front of it
+        let result = null;
+        if (claimedHit && (!nearest || nearest.zombie === claimed || claimedHit.t <= nearest.hit.t)) {
+            result = { zombie: claimed, hit: claimedHit };
+        } else if (nearest) {
+            if (claimed) {
+                log(`Re-attributed hit from ${player.id}: ${claimedZombieId} -> ${nearest.zombie.id}`, 'COMBAT', room.id);
             }
+            result = nearest;
         }
 
-        // Log path failure reason
-        if (iterations >= maxIterations) {
-            log('Pathfinder: Max iterations reached (path too complex)', 'DEBUG');
-        } else {
-            log('Pathfinder: No valid path exists', 'DEBUG');
+        if (!result) {
+            log(`Rejected hit from ${player.id}: ray misses ${claimedZombieId}`, 'WARN', room.id);
+            return null;
         }
-        return null;
-    },
 
-    heuristic(x1, z1, x2, z2) {
-        // Squared Euclidean distance (avoids expensive sqrt, still admissible)
-        const dx = x2 - x1;
-        const dz = z2 - z1;
-        return dx * dx + dz * dz;
-    },
-
-    reconstructPath(cameFrom, goal, startX, startZ) {
-        const path = [];
-        let current = goal;
-
-        while (current) {
-            path.push({
-                x: NavGrid.gridToWorldX(current.x),
-                z: NavGrid.gridToWorldZ(current.z)
-            });
-            current = cameFrom.get(gridKey(current.x, current.z));
+        // Map geometry between shooter and target blocks the shot
+        const obstacles = MAP_OBSTACLES[room.currentMapId] || [];
+        const wallDist = this.raycastObstacles(origin, dir, obstacles, result.hit.t);
+        if (wallDist < result.hit.t) {
+            log(`Rejected hit from ${player.id}: ${result.zombie.id} occluded by map geometry`, 'WARN', room.id);
+            return null;
         }
-        path.reverse(); // O(n) once instead of O(n) per unshift
-
-        // Smooth path - remove unnecessary waypoints
-        return this.smoothPath(path);
-    },
-
-    // Optimized path smoothing - O(n) instead of O(n²)
-    // Limits lookahead to max 6 waypoints instead of checking all remaining
-    smoothPath(path) {
-        if (path.length <= 2) return path;
 
-        const smoothed = [path[0]];
-        let i = 0;
-        const maxLookahead = 6; // Limit how far ahead we check
+        return { zombie: result.zombie, isHeadshot: result.hit.isHeadshot };
+    }
+};
 
-        while (i < path.length - 1) {
-            let furthest = i + 1;
-            // Only check up to maxLookahead waypoints ahead (O(1) per iteration)
-            const limit = Math.min(i + maxLookahead, path.length);
-            for (let j = limit - 1; j > i + 1; j--) {
-                // Check furthest first, break on first success (greedy)
-                if (this.hasLineOfSight(path[i].x, path[i].z, path[j].x, path[j].z)) {
-                    furthest = j;
-                    break;
-                }
+// ==================== LAG COMPENSATION ====================
+// Per-room ring buffer of zombie positions, recorded once per tick.
+// Hit validation rewinds zombies to where the shooter saw them.
+class ZombieHistory {
+    constructor(size) {
+        this.size = size;
+        this.snapshots = new Array(size);  // { time, positions: Map id -> { x, z } }
+        this.head = 0;                     // Next slot to write
+        this.count = 0;
+    }
+
+    // Record current zombie positions (reuses slot Maps to limit GC pressure)
+    record(zombies, time) {
+        let snap = this.snapshots[this.head];
+        if (!snap) {
+            snap = { time: 0, positions: new Map() };
+            this.snapshots[this.head] = snap;
+        } else {
+            snap.positions.clear();
+        }
+        snap.time = time;
+        for (const zombie of zombies) {
+            if (zombie.isAlive) {
+                snap.positions.set(zombie.id, { x: zombie.position.x, z: zombie.position.z });
             }
-            smoothed.push(path[furthest]);
-            i = furthest;
         }
+        this.head = (this.head + 1) % this.size;
+        if (this.count < this.size) this.count++;
+    }
 
-        return smoothed;
-    },
-
-    // Optimized line-of-sight using Bresenham-style integer stepping
-    // Avoids Math.sqrt() and uses coarser grid sampling (1.0 unit steps)
-    hasLineOfSight(x1, z1, x2, z2) {
-        // Convert to grid coordinates for integer math
-        const gx1 = NavGrid.worldToGridX(x1);
-        const gz1 = NavGrid.worldToGridZ(z1);
-        const gx2 = NavGrid.worldToGridX(x2);
-        const gz2 = NavGrid.worldToGridZ(z2);
-
-        // Bresenham's line algorithm for grid traversal
-        let dx = Math.abs(gx2 - gx1);
-        let dz = Math.abs(gz2 - gz1);
-        const sx = gx1 < gx2 ? 1 : -1;
-        const sz = gz1 < gz2 ? 1 : -1;
-        let err = dx - dz;
-
-        let x = gx1;
-        let z = gz1;
+    clear() {
+        this.head = 0;
+        this.count = 0;
+    }
 
-        // Safety limit: max iterations is the manhattan distance plus buffer
-        const maxIterations = dx + dz + 10;
-        let iterations = 0;
+    // Get snapshot by age index (0 = newest)
+    _at(index) {
+        return this.snapshots[(this.head - 1 - index + this.size) % this.size];
+    }
 
-        while (iterations++ < maxIterations) {
-            if (!NavGrid.isWalkable(x, z)) {
-                return false;
-            }
+    // Zombie position at the given time, interpolated between recorded ticks.
+    // Returns null if there is no history for this zombie at that time.
+    getPositionAt(zombieId, time) {
+        if (this.count === 0) return null;
 
-            if (x === gx2 && z === gz2) break;
+        // Newer than the latest tick - current position applies
+        const newest = this._at(0);
+        if (time >= newest.time) return null;
 
-            const e2 = 2 * err;
-            if (e2 > -dz) {
-                err -= dz;
-                x += sx;
-            }
-            if (e2 < dx) {
-                err += dx;
-                z += sz;
-            }
-        }
-        return true;
-    },
+        for (let i = 1; i < this.count; i++) {
+            const older = this._at(i);
+            if (older.time > time) continue;
 
-    findNearestWalkable(gx, gz) {
-        const maxRadius = 5;
-        for (let r = 1; r <= maxRadius; r++) {
-            for (let dx = -r; dx <= r; dx++) {
-                for (let dz = -r; dz <= r; dz++) {
-                    if (Math.abs(dx) === r || Math.abs(dz) === r) {
-                        if (NavGrid.isWalkable(gx + dx, gz + dz)) {
-                            return { x: gx + dx, z: gz + dz };
-                        }
-                    }
-                }
-            }
+            const newer = this._at(i - 1);
+            const a = older.positions.get(zombieId);
+            const b = newer.positions.get(zombieId);
+            if (!a) return b ? { x: b.x, y: 0, z: b.z } : null;
+            if (!b) return { x: a.x, y: 0, z: a.z };
+            const span = newer.time - older.time;
+            const t = span > 0 ? (time - older.time) / span : 0;
+            return { x: a.x + (b.x - a.x) * t, y: 0, z: a.z + (b.z - a.z) * t };
         }
-        return null;
-    }
-};
 
-// ==================== MAP OBSTACLES PER MAP ====================
-// Obstacle data for each map - synced with client map definitions
-const MAP_OBSTACLES = {
-    dining_hall: [
-        // Tables in diamond pattern
-        { minX: -9.5, maxX: -6.5, minZ: -9.5, maxZ: -6.5 },
-        { minX: 6.5, maxX: 9.5, minZ: -9.5, maxZ: -6.5 },
-        { minX: -9.5, maxX: -6.5, minZ: 6.5, maxZ: 9.5 },
-        { minX: 6.5, maxX: 9.5, minZ: 6.5, maxZ: 9.5 },
-        // Pillars
-        { minX: -18.8, maxX: -17.2, minZ: -18.8, maxZ: -17.2 },
-        { minX: 17.2, maxX: 18.8, minZ: -18.8, maxZ: -17.2 },
-        { minX: -18.8, maxX: -17.2, minZ: 17.2, maxZ: 18.8 },
-        { minX: 17.2, maxX: 18.8, minZ: 17.2, maxZ: 18.8 },
-        // Stage
-        { minX: -6, maxX: 6, minZ: -22, maxZ: -18 },
-        // Counter
-        { minX: -5, maxX: 5, minZ: 19.25, maxZ: 20.75 }
-    ],
-    arcade_zone: [
-        // Left wall cabinets
-        { minX: -23.1, maxX: -20.9, minZ: -13.1, maxZ: -10.9 },
-        { minX: -23.1, maxX: -20.9, minZ: -5.1, maxZ: -2.9 },
-        { minX: -23.1, maxX: -20.9, minZ: 2.9, maxZ: 5.1 },
-        { minX: -23.1, maxX: -20.9, minZ: 10.9, maxZ: 13.1 },
-        // Right wall cabinets
-        { minX: 20.9, maxX: 23.1, minZ: -13.1, maxZ: -10.9 },
-        { minX: 20.9, maxX: 23.1, minZ: -5.1, maxZ: -2.9 },
-        { minX: 20.9, maxX: 23.1, minZ: 2.9, maxZ: 5.1 },
-        { minX: 20.9, maxX: 23.1, minZ: 10.9, maxZ: 13.1 },
-        // Back wall cabinets
-        { minX: -9.1, maxX: -6.9, minZ: -23.1, maxZ: -20.9 },
-        { minX: -1.1, maxX: 1.1, minZ: -23.1, maxZ: -20.9 },
-        { minX: 6.9, maxX: 9.1, minZ: -23.1, maxZ: -20.9 },
-        // Center clusters
-        { minX: -9.1, maxX: -6.9, minZ: -4.1, maxZ: 4.1 },
-        { minX: 6.9, maxX: 9.1, minZ: -4.1, maxZ: 4.1 },
-        // Prize counter
-        { minX: -4, maxX: 4, minZ: 17, maxZ: 19 },
-        // Prize shelves
-        { minX: -5, maxX: 5, minZ: 21.5, maxZ: 22.5 },
-        // Token machines
-        { minX: -18.6, maxX: -17.4, minZ: 17.6, maxZ: 18.4 },
-        { minX: 17.4, maxX: 18.6, minZ: 17.6, maxZ: 18.4 },
-        // Pillars
-        { minX: -15.6, maxX: -14.4, minZ: -15.6, maxZ: -14.4 },
-        { minX: 14.4, maxX: 15.6, minZ: -15.6, maxZ: -14.4 },
-        { minX: -15.6, maxX: -14.4, minZ: 9.4, maxZ: 10.6 },
-        { minX: 14.4, maxX: 15.6, minZ: 9.4, maxZ: 10.6 }
-    ],
-    backstage: [
-        // Large crates left
-        { minX: -19.5, maxX: -16.5, minZ: -16.5, maxZ: -13.5 },
-        { minX: -19.25, maxX: -16.75, minZ: -9.25, maxZ: -6.75 },
-        { minX: -23, maxX: -21, minZ: -13, maxZ: -11 },
-        { minX: -21, maxX: -19, minZ: 3.5, maxZ: 6.5 },
-        { minX: -17.25, maxX: -14.75, minZ: 7, maxZ: 9 },
-        // Large crates right
-        { minX: 16.5, maxX: 19.5, minZ: -16.5, maxZ: -13.5 },
-        { minX: 16.75, maxX: 19.25, minZ: -9.25, maxZ: -6.75 },
-        { minX: 21, maxX: 23, minZ: -13, maxZ: -11 },
-        { minX: 19, maxX: 21, minZ: 3.5, maxZ: 6.5 },
-        { minX: 14.75, maxX: 17.25, minZ: 7, maxZ: 9 },
-        // Equipment racks
-        { minX: -7, maxX: -5, minZ: -10.6, maxZ: -9.4 },
-        { minX: 5, maxX: 7, minZ: -10.6, maxZ: -9.4 },
-        // Center crate
-        { minX: -2, maxX: 2, minZ: -19, maxZ: -17 },
-        // Workbenches
-        { minX: -10.5, maxX: -5.5, minZ: 17.25, maxZ: 18.75 },
-        { minX: 5.5, maxX: 10.5, minZ: 17.25, maxZ: 18.75 },
-        // Tool cabinets
-        { minX: -16, maxX: -14, minZ: 21.5, maxZ: 22.5 },
-        { minX: 14, maxX: 16, minZ: 21.5, maxZ: 22.5 },
-        // Forklift
-        { minX: -1, maxX: 1, minZ: 6.5, maxZ: 10.5 },
-        // Pillars
-        { minX: -12.7, maxX: -11.3, minZ: -18.7, maxZ: -17.3 },
-        { minX: 11.3, maxX: 12.7, minZ: -18.7, maxZ: -17.3 },
-        { minX: -12.7, maxX: -11.3, minZ: 14.3, maxZ: 15.7 },
-        { minX: 11.3, maxX: 12.7, minZ: 14.3, maxZ: 15.7 }
-    ],
-    kitchen: [
-        // Main prep counter
-        { minX: -6, maxX: 6, minZ: -5.75, maxZ: -4.25 },
-        // Stoves
-        { minX: -13.4, maxX: -10.6, minZ: -21, maxZ: -19 },
-        { minX: -5.4, maxX: -2.6, minZ: -21, maxZ: -19 },
-        { minX: 2.6, maxX: 5.4, minZ: -21, maxZ: -19 },
-        { minX: 10.6, maxX: 13.4, minZ: -21, maxZ: -19 },
-        // Walk-in cooler
-        { minX: -25, maxX: -19, minZ: -14, maxZ: -6 },
-        // Shelves
-        { minX: 21.1, maxX: 22.9, minZ: -15.7, maxZ: -14.3 },
-        { minX: 21.1, maxX: 22.9, minZ: -5.7, maxZ: -4.3 },
-        { minX: 21.1, maxX: 22.9, minZ: 4.3, maxZ: 5.7 },
-        // Dishwashing counter
-        { minX: 14, maxX: 22, minZ: 14, maxZ: 16 },
-        // Serving counters
-        { minX: -13, maxX: -3, minZ: 19.4, maxZ: 20.6 },
-        { minX: 3, maxX: 13, minZ: 19.4, maxZ: 20.6 },
-        // Island prep tables
-        { minX: -14.5, maxX: -9.5, minZ: 6.5, maxZ: 9.5 },
-        { minX: 9.5, maxX: 14.5, minZ: 6.5, maxZ: 9.5 },
-        // Pillars
-        { minX: -10.5, maxX: -9.5, minZ: -12.5, maxZ: -11.5 },
-        { minX: 9.5, maxX: 10.5, minZ: -12.5, maxZ: -11.5 }
-    ],
-    party_room: [
-        // Central pillar
-        { minX: -1.2, maxX: 1.2, minZ: -1.2, maxZ: 1.2 },
-        // Party tables (hexagonal pattern)
-        { minX: -15.8, maxX: -12.2, minZ: -1.8, maxZ: 1.8 },
-        { minX: 12.2, maxX: 15.8, minZ: -1.8, maxZ: 1.8 },
-        { minX: -8.8, maxX: -5.2, minZ: -13.9, maxZ: -10.1 },
-        { minX: 5.2, maxX: 8.8, minZ: -13.9, maxZ: -10.1 },
-        { minX: -8.8, maxX: -5.2, minZ: 10.1, maxZ: 13.9 },
-        { minX: 5.2, maxX: 8.8, minZ: 10.1, maxZ: 13.9 },
-        // Gift piles
-        { minX: -18.8, maxX: -17.2, minZ: -10.8, maxZ: -9.2 },
-        { minX: 17.2, maxX: 18.8, minZ: -10.8, maxZ: -9.2 },
-        { minX: -18.8, maxX: -17.2, minZ: 9.2, maxZ: 10.8 },
-        { minX: 17.2, maxX: 18.8, minZ: 9.2, maxZ: 10.8 },
-        // Stage
-        { minX: -8, maxX: 8, minZ: -26.5, maxZ: -21.5 },
-        // Cake table
-        { minX: -2.2, maxX: 2.2, minZ: 18.8, maxZ: 21.2 },
-        // Pillars
-        { minX: -20.8, maxX: -19.2, minZ: -15.8, maxZ: -14.2 },
-        { minX: 19.2, maxX: 20.8, minZ: -15.8, maxZ: -14.2 },
-        { minX: -20.8, maxX: -19.2, minZ: 14.2, maxZ: 15.8 },
-        { minX: 19.2, maxX: 20.8, minZ: 14.2, maxZ: 15.8 }
-    ]
-};
-
-// Current active map for pathfinding
-let currentServerMapId = 'dining_hall';
-
-// Function to switch server map obstacles
-function setServerMap(mapId) {
-    if (MAP_OBSTACLES[mapId]) {
-        currentServerMapId = mapId;
-        NavGrid.buildFromObstacles(MAP_OBSTACLES[mapId]);
-        Pathfinder.clearCache();
-        log(`Server NavGrid rebuilt for map: ${mapId}`, 'INFO');
+        // Older than the buffer - clamp to the oldest record
+        const oldest = this._at(this.count - 1).positions.get(zombieId);
+        return oldest ? { x: oldest.x, y: 0, z: oldest.z } : null;
     }
 }
 
-// Initialize NavGrid with first map
-NavGrid.init();
-NavGrid.buildFromObstacles(MAP_OBSTACLES.dining_hall);
+// Estimate how far back in time the shooter was looking when they fired
+// (clients render further behind while their room's SYNC rate is throttled)
+function getRewindTime(room, player, now) {
+    const L = CONFIG.lagCompensation;
+    const interpolationDelay = L.interpolationDelayMs * room.tickBudget.syncEvery;
+    const rewind = Math.min((player.latency || 0) + interpolationDelay, L.maxRewindMs);
+    return now - rewind;
+}
 
 // ==================== MULTI-LOBBY SYSTEM ====================
 const ROOM_STATE = {
@@ -1884,60 +2598,10 @@ const playerRooms = new Map(); // playerId -> roomId
 const roomlessPlayers = new Map(); // playerId -> { ws, name, cosmetic } - Players between games
 const playerLastPrivateRoom = new Map(); // playerId -> roomId - For private game-over rejoining
 
-// Map configuration - which map for which waves
-const WAVE_MAP_CONFIG = [
-    { waves: [1, 2], mapId: 'dining_hall' },
-    { waves: [3, 4], mapId: 'arcade_zone' },
-    { waves: [5, 6], mapId: 'backstage' },
-    { waves: [7, 8], mapId: 'kitchen' },
-    { waves: [9, 10, 11, 12], mapId: 'party_room' }
-];
-
-function getMapForWave(wave) {
-    for (const config of WAVE_MAP_CONFIG) {
-        if (config.waves.includes(wave)) {
-            return config.mapId;
-        }
-    }
-    // Default to party room for high waves
-    return 'party_room';
-}
-
 function createGameRoom() {
-    const roomId = uuidv4();
-    const room = {
-        id: roomId,
-        players: new Map(),
-        zombies: new Map(),
-        pickups: new Map(),
-        wave: 1,
-        zombiesRemaining: 0,
-        zombiesSpawned: 0,
-        state: ROOM_STATE.QUEUING,    // Unified state field
-        isRunning: false,             // Deprecated: kept for backward compatibility
-        isInLobby: true,              // Deprecated: kept for backward compatibility
-        isPaused: false,
-        lastZombieId: 0,
-        lastPickupId: 0,
-        spawnInterval: null,
-        totalKills: 0,
-        totalScore: 0,
-        shopOpen: false,
-        shopPlayersReady: new Set(),
-        shopTimeout: null,
-        countdownTimer: null,
-        countdownSeconds: 0,
-        gameLoopInterval: null,
-        currentMapId: 'dining_hall',  // Track current map
-        bossMode: false,              // Track boss mode state
-        leaderId: null,               // Player ID of the room leader (first to join)
-        // AFK kick countdown tracking (public lobbies only)
-        afkKickTimer: null,           // Timer interval for the 15s countdown
-        afkKickPlayerId: null,        // Which player has the AFK countdown active
-        afkKickSeconds: 0             // Remaining seconds before kick
-    };
-    gameRooms.set(roomId, room);
-    log(`Created new game room: ${roomId}`, 'INFO');
+    const room = new GameRoom();
+    gameRooms.set(room.id, room);
+    log(`Created new game room: ${room.id}`, 'INFO');
     return room;
 }
 
@@ -1947,11 +2611,14 @@ function findOrCreateLobby() {
     for (const [roomId, room] of gameRooms) {
         if (room.state === ROOM_STATE.QUEUING && room.players.size < 8) {
             log(`Found existing lobby with ${room.players.size} players`, 'LOBBY', roomId);
+            ServerBots.scheduleFill(room);
             return room;
         }
     }
     // No available queuing room, create new one
-    return createGameRoom();
+    const room = createGameRoom();
+    ServerBots.scheduleFill(room);
+    return room;
 }
 
 // Find a private room by its 6-character shortcode
@@ -1992,12 +2659,7 @@ function getPlayerRoom(playerId) {
 function cleanupEmptyRooms() {
     for (const [roomId, room] of gameRooms) {
         if (room.players.size === 0) {
-            // Clear any intervals
-            if (room.spawnInterval) clearInterval(room.spawnInterval);
-            if (room.countdownTimer) clearInterval(room.countdownTimer);
-            if (room.gameLoopInterval) clearInterval(room.gameLoopInterval);
-            if (room.afkKickTimer) clearInterval(room.afkKickTimer);
-            if (room.shopTimeout) clearTimeout(room.shopTimeout);
+            room.destroy();
             gameRooms.delete(roomId);
             log(`Removed empty room: ${roomId}`, 'INFO');
         }
@@ -2050,34 +2712,6 @@ function removePlayerFromRoom(playerId, room) {
     return playerInfo;
 }
 
-// Legacy compatibility - points to first room (does NOT auto-create to prevent memory leaks)
-// This getter ensures existing code that uses GameState still works
-const GameState = new Proxy({}, {
-    get(target, prop) {
-        // Get the first room - don't auto-create to prevent orphaned rooms from timer callbacks
-        const firstRoom = gameRooms.values().next().value;
-        if (!firstRoom) {
-            // Return safe defaults for common properties to prevent crashes
-            if (prop === 'isRunning') return false;
-            if (prop === 'zombies') return new Map();
-            if (prop === 'players') return new Map();
-            if (prop === 'pickups') return new Map();
-            return undefined;
-        }
-        return firstRoom[prop];
-    },
-    set(target, prop, value) {
-        // Only set if a room exists - don't create orphaned rooms
-        const firstRoom = gameRooms.values().next().value;
-        if (firstRoom) {
-            firstRoom[prop] = value;
-        } else {
-            log(`Warning: Attempted to set GameState.${String(prop)} with no active rooms`, 'WARN');
-        }
-        return true;
-    }
-});
-
 const CONFIG = {
     waves: {
         startZombies: 5,
@@ -2104,43 +2738,89 @@ const CONFIG = {
         headshot: 50,
         waveBonus: 500
     },
-    // Server-authoritative weapon damage (must match client WEAPONS config)
-    weapons: {
-        pistol: { damage: 20, headshotMultiplier: 2 },
-        smg: { damage: 15, headshotMultiplier: 2 },
-        shotgun: { damage: 12, pellets: 8, headshotMultiplier: 1.5 },  // 12 per pellet
-        rocketLauncher: { damage: 250, splashDamage: 150, headshotMultiplier: 1 },
-        laserGun: { damage: 25, headshotMultiplier: 1.5 }
-    },
-    // Weapon upgrade multipliers (must match client WeaponUpgrades.multipliers)
-    upgradeMultipliers: {
-        damage: [1, 1.2, 1.4, 1.6, 1.85, 2.1],      // Levels 0-5
-        pellets: [1, 1.25, 1.5, 1.75, 2, 2.5]       // For shotgun
-    },
-    maxUpgradeLevel: 5,
+    // Weapon stats shared with the client via GameCore (damage, headshot multiplier, range)
+    weapons: GameCore.Constants.WEAPONS,
+    // Weapon upgrade levels (costs and multipliers live in GameCore.Constants.UPGRADES)
+    maxUpgradeLevel: GameCore.Constants.UPGRADES.MAX_LEVEL,
     tickRate: 20, // Server updates per second (reduced from 20 for less lag)
+    // Per-room tick time budget (RoomTickBudget) - rooms averaging over it send SYNC less often
+    tickBudget: {
+        budgetMs: parseFloat(process.env.TICK_BUDGET_MS) || 10,  // Average tick time a room may use
+        maxSyncEvery: 4,        // Slowest SYNC rate: every 4th tick (5 per second at 20 ticks/sec)
+        recoverMargin: 0.8,     // Speed SYNC back up once the projected tick time is under budget * this
+        samples: 100            // Recent tick durations kept per room for p95/max (5s at 20 ticks/sec)
+    },
     // Player movement validation
     player: {
         maxSpeed: 12,           // Max sprint speed (8 base * 1.5 sprint)
         speedTolerance: 2.5,    // Multiplier for network latency tolerance
         maxTeleportWarnings: 3  // Warnings before logging as suspicious
+    },
+    // Hitscan validation (server raycasts each reported hit)
+    hitValidation: {
+        maxOriginOffset: 2.5,   // Max horizontal distance between shot origin and player position
+        maxOriginHeight: 3,     // Max height of shot origin above player feet
+        targetPadding: 0.6,     // Extra hitbox radius for the claimed target (latency/animation slack)
+        rangeTolerance: 1.1     // Allowed overshoot of a weapon's range (latency)
+    },
+    // Lag compensation (zombie position history used to rewind hit validation)
+    lagCompensation: {
+        historyTicks: 20,           // Ring buffer size (1s at 20 ticks/sec)
+        maxRewindMs: 400,           // Never rewind further than this
+        interpolationDelayMs: 50,   // Client render delay behind latest sync (~1 tick)
+        latencySmoothing: 0.3       // Weight of each new ping sample
+    },
+    // Server-side bots that keep lone players company in public lobbies (ServerBots)
+    bots: {
+        fillLobbies: process.env.BOT_FILL === 'on',
+        minHumans: 2,           // Fill public lobbies with fewer queued humans than this
+        fillTo: 3,              // Lobby size (humans + bots) to fill up to
+        fillDelayMs: 10000,     // Give real players time to queue first
+        thinkIntervalMs: 100    // How often bot brains move and shoot
+    },
+    // Disconnected players keep their slot in a running game for this long (ReconnectGrace)
+    reconnect: {
+        graceMs: parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000
+    },
+    // Match replays (outgoing room stream recorded by ReplayRecorder)
+    replays: {
+        enabled: process.env.REPLAYS !== 'off',
+        dir: path.join(__dirname, 'replays'),
+        maxFiles: 50,                       // Oldest replays are deleted beyond this
+        maxDurationMs: 2 * 60 * 60 * 1000   // Stop recording after 2 hours
+    },
+    // Difficulty director (DifficultyDirector) - bounds are [at intensity 0, at intensity 1]
+    director: {
+        enabled: process.env.DIRECTOR === 'on',
+        evaluateMs: 2000,           // How often stress and intensity are re-evaluated
+        windowMs: 20000,            // Look-back for recent damage and kills
+        weights: { health: 0.35, damage: 0.3, killSpeed: 0.2, ammo: 0.15 },  // Stress inputs (sum to 1)
+        heavyDamage: 60,            // Damage per player within the window that counts as full stress
+        buildUpRate: 0.08,          // Intensity gained per evaluation by a comfortable team
+        peakStress: 0.7,            // Stress that ends a build-up
+        peakMs: 15000,              // Longest intensity stays at 1 before a relief
+        reliefMs: 12000,            // Length of a relief
+        spawnInterval: [1.5, 0.7],  // Spawn interval multiplier
+        specialTypes: [0.6, 1.5],   // Runner/tank/exploder/etc. chance multiplier
+        dropChance: [1.5, 0.8]      // Pickup drop chance multiplier
     }
 };
 
 // Valid weapon names for validation
 const VALID_WEAPONS = Object.keys(CONFIG.weapons);
 
-// ==================== PLAYER MANAGEMENT ====================
-function createPlayer(ws, id) {
-    // Find or create a lobby for this player
-    const room = findOrCreateLobby();
+// Sent on init - clients compare it with their own GameCore to catch stale weapon data
+const WEAPON_DATA_HASH = GameCore.Combat.getWeaponDataHash();
 
+// ==================== PLAYER MANAGEMENT ====================
+// Fresh per-match player state for a player entering `room` (every join path builds it here)
+function createPlayerState(ws, id, room, name, cosmetic) {
     const colors = [0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff, 0x44ffff, 0xff8844, 0x88ff44];
     const playerNum = room.players.size;
 
-    const player = {
+    return {
         id: id,
-        name: `Player ${playerNum + 1}`,
+        name: name || `Player ${playerNum + 1}`,
         ws: ws,
         roomId: room.id,
         position: { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 },
@@ -2149,23 +2829,35 @@ function createPlayer(ws, id) {
         isAlive: true,
         isReady: false,
         color: colors[playerNum % colors.length],
-        cosmetic: 'default',
+        cosmetic: cosmetic || 'default',
         currentWeapon: 'pistol',  // Track current weapon for server-side damage calc
-        // Track weapon upgrade levels for damage calculation
-        weaponUpgrades: {
-            pistol: { damage: 0 },
-            smg: { damage: 0 },
-            shotgun: { damage: 0, pellets: 0 },
-            rocketLauncher: { damage: 0 },
-            laserGun: { damage: 0 }
-        },
+        ammo: PlayerAmmo.create(),   // Magazine and reserve per weapon (PlayerAmmo)
+        // Upgrade levels bought through purchaseUpgrade (every stat in GameCore's cost table)
+        weaponUpgrades: GameCore.Combat.createUpgradeLevels(),
         lastUpdate: Date.now(),
         lastValidPosition: null,  // For speed validation
         lastPositionTime: Date.now(),
         teleportWarnings: 0,      // Count of suspicious movements
+        latency: 0,               // Smoothed round-trip time measured via ping/pongAck (ms)
+        syncVersion: 0,           // Delta SYNC format negotiated via syncFormat (0 = full frames)
+        syncAck: null,            // Last SYNC snapshot the client acknowledged
+        syncHistory: new Map(),   // syncTick -> this player's snapshot, baselines for delta SYNC
+        knownZombies: new Set(),  // Zombie IDs the client has been sent (spawn/enter, not yet left)
+        disconnectedAt: null,     // Set while ReconnectGrace holds the slot of a dropped connection
+        stats: MatchStats.create(),  // This match's counters for the game-over scoreboard
+        recentKillTimes: [],      // Kill timestamps inside the speedKill window (ServerAchievements)
+        isDowned: false,          // At 0 HP waiting on a revive (DownedState) - still counts as alive
+        bleedOutAt: 0,            // When a downed player dies
+        revive: null,             // { reviverId, completeAt, bleedRemaining } while a teammate revives them
         kills: 0,
-        score: 0
+        score: 0,
+        currency: 0               // Spendable points: kills + wave bonuses - upgrades bought
     };
+}
+
+function createPlayer(ws, id, room = findOrCreateLobby()) {
+    // Joins the given room, or finds or creates a lobby for this player
+    const player = createPlayerState(ws, id, room);
 
     room.players.set(id, player);
     playerRooms.set(id, room.id);
@@ -2179,14 +2871,14 @@ function createPlayer(ws, id) {
     if (room.state === ROOM_STATE.QUEUING) {
         // Cancel game starting countdown if active (new player breaks "all ready" condition)
         if (room.countdownTimer) {
-            cancelLobbyCountdownInRoom(room);
+            room.cancelCountdown();
         }
 
         // Cancel existing AFK countdown if it no longer applies
         if (room.afkKickTimer) {
             const { allButOne } = checkAllButOneReadyInRoom(room);
             if (!allButOne) {
-                cancelAfkKickCountdown(room);
+                room.cancelAfkKick();
             }
         }
 
@@ -2195,7 +2887,7 @@ function createPlayer(ws, id) {
         if (!room.afkKickTimer && !room.countdownTimer) {
             const { allButOne, unreadyPlayerId } = checkAllButOneReadyInRoom(room);
             if (allButOne && unreadyPlayerId && room.players.size >= 2) {
-                startAfkKickCountdown(room, unreadyPlayerId);
+                room.startAfkKick(unreadyPlayerId);
             }
         }
     }
@@ -2252,11 +2944,17 @@ function removePlayer(id) {
             broadcastLobbyUpdateToRoom(room);
         }
 
+        // Bots don't play on their own - send them home with the last human
+        if (room.players.size > 0 && ServerBots.countHumans(room) === 0) {
+            ServerBots.removeFromRoom(room);
+            return;
+        }
+
         // Check if room should be cleaned up or game stopped
-        // Use try-finally to ensure cleanup happens even if stopGameInRoom fails
+        // Use try-finally to ensure cleanup happens even if stopGame fails
         if (room.players.size === 0) {
             try {
-                stopGameInRoom(room);
+                room.stopGame();
             } catch (e) {
                 log(`Error stopping game: ${e.message}`, 'ERROR', room.id);
             } finally {
@@ -2274,8 +2972,8 @@ function getMaxZombiesForWave(wave) {
     return Math.min(scaled, CONFIG.waves.absoluteMaxZombies);
 }
 // Delegate to GameCore for zombie type selection
-function getZombieTypeForWave(wave) {
-    return GameCore.WaveSystem.getZombieType(wave);
+function getZombieTypeForWave(wave, rng) {
+    return GameCore.WaveSystem.getZombieType(wave, rng);
 }
 
 // Delegate to GameCore for spawn interval
@@ -2293,141 +2991,257 @@ function getBossName(level) {
     return GameCore.WaveSystem.getBossName(level);
 }
 
-function spawnZombie() {
-    if (!GameState.isRunning) return;
+// ==================== PLAYER AMMO ====================
+// Each player's magazine and reserve per weapon, kept on the server for the difficulty
+// director. The client reports every round it fires (shotFired - shoot only carries hits)
+// and every finished reload; ammo pickups are added when collectPickup grants them.
+// The pistol never runs dry, as on the client.
+const PlayerAmmo = {
+    // Full magazines and reserves, as every game starts
+    create() {
+        const inventory = {};
+        VALID_WEAPONS.forEach(name => {
+            inventory[name] = { mag: CONFIG.weapons[name].magSize, reserve: CONFIG.weapons[name].reserveMax, lastFired: 0 };
+        });
+        return inventory;
+    },
+
+    getWeapon(player) {
+        return player.isDowned ? GameCore.Constants.DOWNED.WEAPON : player.currentWeapon || 'pistol';
+    },
 
-    const currentWave = GameState.wave || 1;
-    const maxZombies = getMaxZombiesForWave(currentWave);
-    const aliveZombies = Array.from(GameState.zombies.values()).filter(z => z.isAlive);
-    if (aliveZombies.length >= maxZombies) {
-        log(`Max zombies alive (${maxZombies} for wave ${currentWave}), waiting...`, 'WARN');
-        return;
+    getStat(player, weaponName, stat) {
+        const level = player.weaponUpgrades[weaponName]?.[stat] || 0;
+        return GameCore.Combat.getUpgradedStat(CONFIG.weapons[weaponName][stat], stat, level);
+    },
+
+    fire(player, now) {
+        const weaponName = this.getWeapon(player);
+        const slot = player.ammo[weaponName];
+        if (weaponName === 'pistol' || !slot || slot.mag <= 0) return;
+        // Rounds faster than the gun fires (with slack for network jitter) aren't real
+        if (now - slot.lastFired < this.getStat(player, weaponName, 'fireRate') / 2) return;
+        slot.mag--;
+        slot.lastFired = now;
+    },
+
+    reload(player) {
+        const weaponName = this.getWeapon(player);
+        const slot = player.ammo[weaponName];
+        if (!slot) return;
+        const added = Math.min(Math.max(0, this.getStat(player, weaponName, 'magSize') - slot.mag), slot.reserve);
+        slot.mag += added;
+        slot.reserve -= added;
+    },
+
+    addReserve(player, amount) {
+        const weaponName = this.getWeapon(player);
+        const slot = player.ammo[weaponName];
+        if (slot) slot.reserve = Math.min(slot.reserve + amount, CONFIG.weapons[weaponName].reserveMax);
+    },
+
+    // 0-1: rounds left over full capacity, across every gun that uses ammo
+    getLevel(player) {
+        let rounds = 0;
+        let capacity = 0;
+        VALID_WEAPONS.forEach(name => {
+            if (name === 'pistol') return;
+            rounds += player.ammo[name].mag + player.ammo[name].reserve;
+            capacity += this.getStat(player, name, 'magSize') + CONFIG.weapons[name].reserveMax;
+        });
+        return capacity > 0 ? Math.min(1, rounds / capacity) : 1;
     }
+};
 
-    const id = `zombie_${++GameState.lastZombieId}`;
-    const side = Math.floor(Math.random() * 4);
-    const arenaEdge = CONFIG.arena.width / 2 - 2;
-    let position = { x: 0, y: 0, z: 0 };
-
-    switch (side) {
-        case 0: position = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: -arenaEdge }; break;
-        case 1: position = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: arenaEdge }; break;
-        case 2: position = { x: -arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
-        case 3: position = { x: arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
-    }
-
-    // Check if this is a boss wave using GameCore
-    const isBossWave = GameCore.WaveSystem.isBossWave(GameState.wave);
-    
-    let zombieType, props;
-    
-    if (isBossWave) {
-        // Boss wave - spawn boss with special properties (synced with client)
-        zombieType = 'boss';
-        const bossProps = getBossProps(GameState.wave);
-        props = {
-            health: bossProps.health,
-            maxHealth: bossProps.maxHealth,
-            speed: bossProps.speed,
-            damage: bossProps.damage,
-            scale: bossProps.scale,
-            points: bossProps.points,
-            isBossWaveBoss: true,
-            bossName: bossProps.name,
-            attacks: bossProps.attacks
+// ==================== DIFFICULTY DIRECTOR ====================
+// Optional (CONFIG.director). Every few seconds it turns team health, recent damage,
+// kill speed and ammo into a stress value and moves an intensity between 0 and 1:
+// intensity builds while the team copes, and a relief (intensity 0) follows once
+// stress peaks or intensity has sat at the top for a while. Intensity bends the spawn
+// interval, the chance of special zombie types and the pickup drop chance between the
+// CONFIG bounds; the wave's zombie count never changes. One log line per wave.
+const DifficultyDirector = {
+    create() {
+        return {
+            mode: 'buildUp',        // 'buildUp' | 'relief'
+            intensity: 0,
+            stress: 0,
+            inputs: null,           // Last evaluation's readings (see measure)
+            reliefUntil: 0,
+            peakSince: 0,           // When intensity hit 1 (0 = not at the top)
+            lastEvaluation: 0,
+            damageLog: [],          // { time, amount } inside CONFIG.director.windowMs
+            killLog: [],            // Kill times inside the same window
+            wave: null              // Per-wave summary for the log line
         };
-    } else {
-        // Regular wave - determine zombie type based on wave
-        zombieType = getZombieTypeForWave(GameState.wave);
+    },
 
-        // Get base props from GameCore and scale by wave
-        const baseProps = GameCore.WaveSystem.getTypeProps(zombieType);
-        props = GameCore.WaveSystem.scaleByWave(baseProps, GameState.wave, true);
-    }
+    isActive(room) {
+        return CONFIG.director.enabled && !!room.director;
+    },
 
-    // Use object pool to reduce GC pressure
-    const zombie = ZombiePool.acquire(id, zombieType, position, props);
+    reset(room) {
+        room.director = this.create();
+    },
 
-    GameState.zombies.set(id, zombie);
-    GameState.zombiesSpawned++;
+    onWaveStart(room) {
+        if (!this.isActive(room)) return;
+        room.director.wave = { evaluations: 0, intensitySum: 0, stressSum: 0, min: 1, max: 0, reliefs: 0 };
+    },
 
-    log(`Spawned ${zombieType} zombie at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`, 'WAVE');
+    onDamage(room, amount) {
+        if (!this.isActive(room)) return;
+        room.director.damageLog.push({ time: Date.now(), amount: amount });
+    },
 
-    broadcast({
-        type: 'zombieSpawned',
-        zombie: zombie
-    });
-}
+    onKill(room) {
+        if (!this.isActive(room)) return;
+        room.director.killLog.push(Date.now());
+    },
 
-// Room-specific zombie spawning
-function spawnZombieInRoom(room) {
-    if (!room || !room.isRunning) return;
+    // Called every tick; evaluates every CONFIG.director.evaluateMs while a wave is on
+    update(room, now) {
+        if (!this.isActive(room) || room.shopOpen) return;
+        const D = CONFIG.director;
+        const director = room.director;
+        if (now - director.lastEvaluation < D.evaluateMs) return;
+        director.lastEvaluation = now;
+
+        director.inputs = this.measure(room, now);
+        director.stress = this.getStress(room, director.inputs);
+
+        if (director.mode === 'relief') {
+            if (now >= director.reliefUntil) {
+                director.mode = 'buildUp';
+                log(`Director: relief over, building up`, 'DIRECTOR', room.id);
+            }
+        } else if (director.stress >= D.peakStress || (director.peakSince && now - director.peakSince >= D.peakMs)) {
+            director.mode = 'relief';
+            director.reliefUntil = now + D.reliefMs;
+            director.peakSince = 0;
+            if (director.wave) director.wave.reliefs++;
+            log(`Director: relief (stress ${director.stress.toFixed(2)}, intensity ${director.intensity.toFixed(2)})`, 'DIRECTOR', room.id);
+        }
 
-    const currentWave = room.wave || 1;
-    const maxZombies = getMaxZombiesForWave(currentWave);
-    const aliveZombies = Array.from(room.zombies.values()).filter(z => z.isAlive);
-    if (aliveZombies.length >= maxZombies) {
-        log(`Max zombies alive (${maxZombies}), waiting...`, 'WAVE', room.id);
-        return;
-    }
+        if (director.mode === 'relief') {
+            director.intensity = 0;
+        } else {
+            // Builds faster while the team is comfortable
+            director.intensity = Math.min(1, director.intensity + D.buildUpRate * (1 - director.stress));
+            if (director.intensity >= 1 && !director.peakSince) director.peakSince = now;
+        }
+
+        const wave = director.wave;
+        if (wave) {
+            wave.evaluations++;
+            wave.intensitySum += director.intensity;
+            wave.stressSum += director.stress;
+            wave.min = Math.min(wave.min, director.intensity);
+            wave.max = Math.max(wave.max, director.intensity);
+        }
+    },
+
+    // Team readings: health and ammo (PlayerAmmo) as 0-1 averages over connected players
+    // (downed and dead count as no health), damage per player and kills per second over the window
+    measure(room, now) {
+        const director = room.director;
+        const windowStart = now - CONFIG.director.windowMs;
+        director.damageLog = director.damageLog.filter(entry => entry.time >= windowStart);
+        director.killLog = director.killLog.filter(time => time >= windowStart);
+
+        let players = 0;
+        let health = 0;
+        let ammo = 0;
+        room.players.forEach(player => {
+            if (player.disconnectedAt) return;
+            players++;
+            if (player.isAlive && !player.isDowned) health += player.health / 100;
+            ammo += PlayerAmmo.getLevel(player);
+        });
+        players = Math.max(1, players);
 
-    const id = `zombie_${++room.lastZombieId}`;
-    const side = Math.floor(Math.random() * 4);
-    const arenaEdge = CONFIG.arena.width / 2 - 2;
-    let position = { x: 0, y: 0, z: 0 };
-
-    switch (side) {
-        case 0: position = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: -arenaEdge }; break;
-        case 1: position = { x: (Math.random() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: arenaEdge }; break;
-        case 2: position = { x: -arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
-        case 3: position = { x: arenaEdge, y: 0, z: (Math.random() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
-    }
-
-    // Check if this is a boss wave using GameCore
-    const isBossWave = GameCore.WaveSystem.isBossWave(room.wave);
-
-    let zombieType, props;
-
-    if (isBossWave) {
-        // Boss wave - spawn boss with special properties (synced with client)
-        zombieType = 'boss';
-        const bossProps = getBossProps(room.wave);
-        props = {
-            health: bossProps.health,
-            maxHealth: bossProps.maxHealth,
-            speed: bossProps.speed,
-            damage: bossProps.damage,
-            scale: bossProps.scale,
-            points: bossProps.points,
-            isBossWaveBoss: true,
-            bossName: bossProps.name,
-            attacks: bossProps.attacks
+        const damage = director.damageLog.reduce((sum, entry) => sum + entry.amount, 0);
+        return {
+            health: health / players,
+            damage: damage / players,
+            killRate: director.killLog.length / (CONFIG.director.windowMs / 1000),
+            ammo: ammo / players
         };
-    } else {
-        // Regular wave - determine zombie type based on wave
-        zombieType = getZombieTypeForWave(room.wave);
+    },
 
-        // Get base props from GameCore and scale by wave
-        const baseProps = GameCore.WaveSystem.getTypeProps(zombieType);
-        props = GameCore.WaveSystem.scaleByWave(baseProps, room.wave, true);
-    }
+    // 0 = cruising, 1 = overwhelmed
+    getStress(room, inputs) {
+        const D = CONFIG.director;
+        // Kills keeping pace with the base spawn rate mean the team is on top of it
+        const spawnRate = 1000 / GameCore.WaveSystem.getSpawnInterval(room.wave);
+        const killPressure = 1 - Math.min(1, inputs.killRate / spawnRate);
+        const stress = D.weights.health * (1 - inputs.health) +
+            D.weights.damage * Math.min(1, inputs.damage / D.heavyDamage) +
+            D.weights.killSpeed * killPressure +
+            D.weights.ammo * (1 - inputs.ammo);
+        return Math.max(0, Math.min(1, stress));
+    },
 
-    // Use object pool to reduce GC pressure
-    const zombie = ZombiePool.acquire(id, zombieType, position, props);
+    // Multiplier for a [atZeroIntensity, atFullIntensity] bound
+    getMultiplier(room, bound) {
+        if (!this.isActive(room)) return 1;
+        return bound[0] + (bound[1] - bound[0]) * room.director.intensity;
+    },
 
-    room.zombies.set(id, zombie);
-    room.zombiesSpawned++;
+    getSpawnInterval(room) {
+        return getSpawnInterval(room.wave) * this.getMultiplier(room, CONFIG.director.spawnInterval);
+    },
 
-    log(`Spawned ${zombieType} zombie at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`, 'WAVE', room.id);
+    // Same roll as GameCore.WaveSystem.getZombieType, with the special types scaled
+    getZombieType(room, rng) {
+        if (!this.isActive(room)) return getZombieTypeForWave(room.wave, rng);
+        const scale = this.getMultiplier(room, CONFIG.director.specialTypes);
+        const chances = GameCore.WaveSystem.getSpawnChances(room.wave);
+        const total = Object.keys(chances).reduce((sum, type) => sum + chances[type], 0);
+        // Never more than 100% special zombies
+        const factor = total > 0 ? Math.min(scale, 100 / total) : 1;
+
+        const roll = rng.next() * 100;
+        let cumulative = 0;
+        for (const type in chances) {
+            cumulative += chances[type] * factor;
+            if (roll < cumulative) return type;
+        }
+        return 'normal';
+    },
 
-    broadcastToRoom(room, {
-        type: 'zombieSpawned',
-        zombie: zombie
-    });
-}
+    shouldDropPickup(room, zombie) {
+        if (!this.isActive(room)) {
+            return GameCore.Combat.shouldDropPickup(zombie.type, zombie.isBossWaveBoss, room.rng.drops);
+        }
+        const chance = GameCore.Combat.getDropChance(zombie.type, zombie.isBossWaveBoss) *
+            this.getMultiplier(room, CONFIG.director.dropChance);
+        return room.rng.drops.next() < Math.min(1, chance);
+    },
+
+    // One line per wave with what the director saw and what it did
+    onWaveEnd(room, completedWave) {
+        if (!this.isActive(room) || !room.director.wave) return;
+        const D = CONFIG.director;
+        const director = room.director;
+        const wave = director.wave;
+        director.wave = null;
+        if (wave.evaluations === 0) return;
+
+        const avg = wave.intensitySum / wave.evaluations;
+        const bend = (bound) => (bound[0] + (bound[1] - bound[0]) * avg).toFixed(2);
+        const inputs = director.inputs;
+        log(`Director wave ${completedWave}: intensity avg ${avg.toFixed(2)} (${wave.min.toFixed(2)}-${wave.max.toFixed(2)}), ` +
+            `${wave.reliefs} relief(s), stress avg ${(wave.stressSum / wave.evaluations).toFixed(2)} | ` +
+            `last: health ${Math.round(inputs.health * 100)}% damage ${Math.round(inputs.damage)}/player ` +
+            `kills ${inputs.killRate.toFixed(2)}/s ammo ${Math.round(inputs.ammo * 100)}% | ` +
+            `avg spawn interval x${bend(D.spawnInterval)} specials x${bend(D.specialTypes)} drops x${bend(D.dropChance)}`,
+            'DIRECTOR', room.id);
+    }
+};
 
-// Spawn minion for boss summon ability (synced with client)
-function spawnMinion(room, bossPosition) {
+// Spawn a zombie for a boss summon (position comes from GameCore.BossAI, synced with client)
+function spawnMinion(room, position, type = 'minion') {
     if (!room) {
         log('spawnMinion: No room provided', 'ERROR');
         return;
@@ -2435,58 +3249,199 @@ function spawnMinion(room, bossPosition) {
 
     const id = `minion_${++room.lastZombieId}`;
 
-    // Spawn around the boss
-    const angle = Math.random() * Math.PI * 2;
-    const dist = 2 + Math.random() * 3;
-    const position = {
-        x: bossPosition.x + Math.cos(angle) * dist,
-        y: 0,
-        z: bossPosition.z + Math.sin(angle) * dist
-    };
-
-    // Get minion properties from GameCore
-    const props = GameCore.WaveSystem.getTypeProps('minion');
+    // Get summon properties from GameCore
+    const props = GameCore.WaveSystem.getTypeProps(type);
 
-    const zombie = ZombiePool.acquire(id, 'minion', position, props);
+    const zombie = ZombiePool.acquire(id, type, position, props);
     zombie.isMinion = true;
 
     room.zombies.set(id, zombie);
     // Minions don't count toward zombiesSpawned/remaining
 
-    log(`Boss summoned minion`, 'BOSS', room.id);
+    log(`Boss summoned ${type}`, 'BOSS', room.id);
 
-    broadcastToRoom(room, {
-        type: 'zombieSpawned',
-        zombie: zombie
-    });
+    sendZombieSpawnToRoom(room, zombie);
 }
 
-function updateZombies(room = null) {
-    // Use passed room or fall back to GameState proxy for legacy compatibility
-    const state = room || GameState;
-    if (!state.isRunning || state.players.size === 0) return;
+// ==================== BOSS ATTACKS ====================
+// Runs each boss's script (GameCore.BossAI) and applies what it decides: area hits,
+// dashes, acid globs and the pools they leave, summons and teleports. Every action is
+// relayed as bossAttack so clients can draw the telegraphs and effects.
+const BossAttacks = {
+    // One tick for a boss - returns true while it is winding up or dashing (no walking)
+    update(room, zombie, target, now, delta) {
+        if (!zombie.bossAttackState) {
+            zombie.bossAttackState = GameCore.BossAI.createAttackState(zombie.bossId, zombie.bossLevel);
+        }
+        const state = zombie.bossAttackState;
+        const navGrid = room.navigation.navGrid;
+
+        const result = GameCore.BossAI.update(state, {
+            now: now,
+            position: zombie.position,
+            target: target ? target.position : null,
+            healthPercent: zombie.health / zombie.maxHealth,
+            rng: room.rng.misc,
+            arena: { halfWidth: CONFIG.arena.width / 2, halfDepth: CONFIG.arena.depth / 2 },
+            isWalkable: (x, z) => navGrid.isWalkable(navGrid.worldToGridX(x), navGrid.worldToGridZ(z))
+        });
+        result.actions.forEach(action => this.apply(room, zombie, action, now));
+
+        if (state.current && state.current.stage === 'active') {
+            this.updateDash(room, zombie, state.current, delta);
+        }
+        return result.busy;
+    },
+
+    apply(room, zombie, action, now) {
+        const attack = GameCore.BossAI.getDefinition(zombie.bossId).attacks[action.name];
+
+        switch (action.type) {
+            case 'strike':
+                room.players.forEach((p, pid) => {
+                    if (p.isAlive && GameCore.BossAI.isInArea(attack.area, action.origin, action.direction, p.position)) {
+                        damagePlayer(pid, attack.damage, room);
+                    }
+                });
+                if (attack.hazard) this.addHazard(room, action.origin, attack.hazard, now);
+                break;
+
+            case 'projectile':
+                // Globs fly in a straight line and land where the target stood
+                action.targets.forEach(t => {
+                    const dist = Math.sqrt(Math.pow(t.x - action.from.x, 2) + Math.pow(t.z - action.from.z, 2));
+                    room.bossProjectiles.push({ x: t.x, z: t.z, landsAt: now + (dist / attack.speed) * 1000, attack: attack });
+                });
+                break;
+
+            case 'spawn':
+                action.positions.forEach(position => spawnMinion(room, position, action.zombie));
+                break;
+
+            case 'teleport':
+                zombie.position.x = action.to.x;
+                zombie.position.z = action.to.z;
+                zombie.path = null;
+                break;
+
+            case 'phase':
+                log(`${zombie.bossName} enters phase ${action.phase}`, 'BOSS', room.id);
+                break;
+        }
+
+        broadcastToRoom(room, { type: 'bossAttack', zombieId: zombie.id, action: action });
+    },
+
+    updateDash(room, zombie, current, delta) {
+        const attack = GameCore.BossAI.getDefinition(zombie.bossId).attacks[current.name];
+        const nextX = zombie.position.x + current.direction.x * attack.speed * delta;
+        const nextZ = zombie.position.z + current.direction.z * attack.speed * delta;
+
+        // Walls and props stop the dash
+        const navGrid = room.navigation.navGrid;
+        if (!navGrid.isWalkable(navGrid.worldToGridX(nextX), navGrid.worldToGridZ(nextZ))) {
+            GameCore.BossAI.endAttack(zombie.bossAttackState);
+            return;
+        }
+        zombie.position.x = nextX;
+        zombie.position.z = nextZ;
+        zombie.rotation = Math.atan2(current.direction.x, current.direction.z);
+
+        // First player in the way takes the hit
+        for (const [pid, p] of room.players) {
+            if (!p.isAlive) continue;
+            const pdx = p.position.x - zombie.position.x;
+            const pdz = p.position.z - zombie.position.z;
+            if (pdx * pdx + pdz * pdz < attack.hitRadius * attack.hitRadius) {
+                damagePlayer(pid, attack.damage, room);
+                GameCore.BossAI.endAttack(zombie.bossAttackState);
+                return;
+            }
+        }
+    },
+
+    addHazard(room, position, hazard, now) {
+        room.bossHazards.push({
+            x: position.x,
+            z: position.z,
+            radius: hazard.radius,
+            damage: hazard.damage,
+            interval: hazard.interval,
+            lastTick: now,
+            expiresAt: now + hazard.duration
+        });
+    },
+
+    damageInRadius(room, center, radius, damage) {
+        room.players.forEach((p, pid) => {
+            if (!p.isAlive) return;
+            const dx = p.position.x - center.x;
+            const dz = p.position.z - center.z;
+            if (dx * dx + dz * dz <= radius * radius) damagePlayer(pid, damage, room);
+        });
+    },
+
+    // Globs in flight land, pools tick damage and dry up (runs every tick, boss alive or not)
+    updateHazards(room, now) {
+        for (let i = room.bossProjectiles.length - 1; i >= 0; i--) {
+            const glob = room.bossProjectiles[i];
+            if (now < glob.landsAt) continue;
+            room.bossProjectiles.splice(i, 1);
+            this.damageInRadius(room, glob, glob.attack.impactRadius, glob.attack.damage);
+            if (glob.attack.hazard) this.addHazard(room, glob, glob.attack.hazard, now);
+        }
+
+        for (let i = room.bossHazards.length - 1; i >= 0; i--) {
+            const hazard = room.bossHazards[i];
+            if (now >= hazard.expiresAt) {
+                room.bossHazards.splice(i, 1);
+                continue;
+            }
+            if (now - hazard.lastTick < hazard.interval) continue;
+            hazard.lastTick = now;
+            this.damageInRadius(room, hazard, hazard.radius, hazard.damage);
+        }
+    },
+
+    clear(room) {
+        room.bossProjectiles.length = 0;
+        room.bossHazards.length = 0;
+    }
+};
+
+function updateZombies(room) {
+    if (!room.isRunning || room.players.size === 0) return;
 
     const now = Date.now();
     const delta = 1 / CONFIG.tickRate;
 
     // Use cached alive players to avoid filtering every tick
-    const players = room ? EntityCache.getAlivePlayers(room) :
-        Array.from(state.players.values()).filter(p => p.isAlive);
+    const players = room.entityCache.getAlivePlayers();
 
     if (players.length === 0) return;
 
-    // Rebuild spatial grid with alive players once per tick (O(m))
+    // Downed players are only chased when nobody standing is much closer (DownedState.findTarget)
+    const downed = players.filter(p => p.isDowned);
+    const standing = downed.length > 0 ? players.filter(p => !p.isDowned) : players;
+
+    // Rebuild spatial grid with standing players once per tick (O(m))
     // This enables O(1) lookups per zombie instead of O(m)
-    playerSpatialGrid.rebuild(players);
+    const playerGrid = room.playerGrid;
+    playerGrid.rebuild(standing);
 
-    state.zombies.forEach((zombie, id) => {
+    room.zombies.forEach((zombie, id) => {
         if (!zombie.isAlive) return;
 
         // Find closest player using spatial grid (O(1) average case)
-        const { entity: closestPlayer, distance } = playerSpatialGrid.findClosest(
+        let { entity: closestPlayer, distance } = playerGrid.findClosest(
             zombie.position.x,
             zombie.position.z
         );
+        if (downed.length > 0) {
+            const downedTarget = DownedState.findTarget(downed, zombie.position.x, zombie.position.z,
+                closestPlayer ? distance : Infinity);
+            if (downedTarget) ({ entity: closestPlayer, distance } = downedTarget);
+        }
 
         if (!closestPlayer) return;
 
@@ -2555,85 +3510,18 @@ function updateZombies(room = null) {
             return;
         }
         
-        // Boss special attacks (synced with client)
+        // Boss special attacks (script shared with the client via GameCore.BossAI)
         if (zombie.isBossWaveBoss) {
-            // Initialize boss attack state using GameCore
-            if (!zombie.bossAttackState) {
-                zombie.bossAttackState = GameCore.BossAI.createAttackState(zombie.attacks);
-            }
-            
-            const bossState = zombie.bossAttackState;
-            
-            // Update phase based on health using GameCore
-            const healthPercent = zombie.health / zombie.maxHealth;
-            bossState.phase = GameCore.BossAI.updatePhase(healthPercent);
-            const cooldownMult = GameCore.BossAI.getCooldownMultiplier(bossState.phase);
-            
-            // Handle ongoing charge
-            if (bossState.isCharging) {
-                const chargeSpeed = 12;
-                zombie.position.x += bossState.chargeDirection.x * chargeSpeed * delta;
-                zombie.position.z += bossState.chargeDirection.z * chargeSpeed * delta;
-                
-                if (now - bossState.chargeStartTime > 1500 || distance < 2) {
-                    bossState.isCharging = false;
-                    if (distance < 3) {
-                        damagePlayer(closestPlayer.id, bossState.attacks.charge.damage);
-                    }
-                }
-                return;
-            }
-            
-            // Ground Slam - when close to player
-            if (distance < 8 && now - bossState.lastGroundSlam > bossState.attacks.groundSlam.cooldown * cooldownMult) {
-                bossState.lastGroundSlam = now;
-                // Damage all nearby players in this room only
-                const playersToCheck = room ? room.players : state.players;
-                playersToCheck.forEach((p, pid) => {
-                    if (!p.isAlive) return;
-                    const pdx = p.position.x - zombie.position.x;
-                    const pdz = p.position.z - zombie.position.z;
-                    const pDist = Math.sqrt(pdx * pdx + pdz * pdz);
-                    if (pDist < bossState.attacks.groundSlam.radius) {
-                        damagePlayer(pid, bossState.attacks.groundSlam.damage, room);
-                    }
-                });
-                if (room) {
-                    broadcastToRoom(room, { type: 'bossGroundSlam', zombieId: zombie.id, position: zombie.position });
-                } else {
-                    broadcast({ type: 'bossGroundSlam', zombieId: zombie.id, position: zombie.position });
-                }
-            }
-
-            // Charge - when far from player
-            if (distance > 10 && distance < 25 && now - bossState.lastCharge > bossState.attacks.charge.cooldown * cooldownMult) {
-                bossState.lastCharge = now;
-                bossState.isCharging = true;
-                bossState.chargeStartTime = now;
-                bossState.chargeDirection = { x: dx / distance, z: dz / distance };
-                if (room) {
-                    broadcastToRoom(room, { type: 'bossCharge', zombieId: zombie.id });
-                } else {
-                    broadcast({ type: 'bossCharge', zombieId: zombie.id });
-                }
-            }
+            if (BossAttacks.update(room, zombie, closestPlayer, now, delta)) return;
 
-            // Summon minions - phase 2+
-            if (bossState.phase >= 2 && now - bossState.lastSummon > bossState.attacks.summon.cooldown * cooldownMult) {
-                bossState.lastSummon = now;
-                const minionCount = bossState.attacks.summon.count;
-                const targetRoom = room || state;
-                for (let i = 0; i < minionCount; i++) {
-                    spawnMinion(targetRoom, zombie.position);
-                }
-                if (room) {
-                    broadcastToRoom(room, { type: 'bossSummon', zombieId: zombie.id, count: minionCount });
-                } else {
-                    broadcast({ type: 'bossSummon', zombieId: zombie.id, count: minionCount });
-                }
+            // Ranged bosses hold position once close enough
+            const keepDistance = GameCore.BossAI.getDefinition(zombie.bossId).keepDistance;
+            if (distance <= keepDistance && distance > GameCore.ZombieAI.getAttackRange(zombie.type)) {
+                zombie.rotation = Math.atan2(dx, dz);
+                return;
             }
         }
-        
+
         // Trigger abilities at appropriate ranges
         if (canUseAbility && !zombie.abilityState.isLeaping && !zombie.abilityState.isCharging) {
             // Runner leap - trigger at 4-8 unit range
@@ -2646,11 +3534,7 @@ function updateZombies(room = null) {
                     x: closestPlayer.position.x,
                     z: closestPlayer.position.z
                 };
-                if (room) {
-                    broadcastToRoom(room, { type: 'zombieAbility', zombieId: zombie.id, ability: 'leap' });
-                } else {
-                    broadcast({ type: 'zombieAbility', zombieId: zombie.id, ability: 'leap' });
-                }
+                broadcastToRoom(room, { type: 'zombieAbility', zombieId: zombie.id, ability: 'leap' });
                 return;
             }
 
@@ -2660,11 +3544,7 @@ function updateZombies(room = null) {
                 zombie.abilityState.chargeStartTime = now;
                 zombie.abilityState.lastAbilityUse = now;
                 zombie.abilityState.chargeDirection = { x: dx / distance, z: dz / distance };
-                if (room) {
-                    broadcastToRoom(room, { type: 'zombieAbility', zombieId: zombie.id, ability: 'charge' });
-                } else {
-                    broadcast({ type: 'zombieAbility', zombieId: zombie.id, ability: 'charge' });
-                }
+                broadcastToRoom(room, { type: 'zombieAbility', zombieId: zombie.id, ability: 'charge' });
                 return;
             }
         }
@@ -2685,39 +3565,22 @@ function updateZombies(room = null) {
 
                 // Spitter shoots projectile instead of direct damage
                 if (zombie.type === 'spitter') {
-                    if (room) {
-                        broadcastToRoom(room, {
-                            type: 'spitterAttack',
-                            zombieId: zombie.id,
-                            targetId: closestPlayer.id,
-                            damage: zombie.damage
-                        });
-                    } else {
-                        broadcast({
-                            type: 'spitterAttack',
-                            zombieId: zombie.id,
-                            targetId: closestPlayer.id,
-                            damage: zombie.damage
-                        });
-                    }
-                    // Spitter damage is applied when projectile hits on client
-                } else {
-                    damagePlayer(closestPlayer.id, zombie.damage, room);
-                }
-
-                if (room) {
                     broadcastToRoom(room, {
-                        type: 'zombieAttack',
+                        type: 'spitterAttack',
                         zombieId: zombie.id,
-                        targetId: closestPlayer.id
+                        targetId: closestPlayer.id,
+                        damage: zombie.damage
                     });
+                    // Spitter damage is applied when projectile hits on client
                 } else {
-                    broadcast({
-                        type: 'zombieAttack',
-                        zombieId: zombie.id,
-                        targetId: closestPlayer.id
-                    });
+                    damagePlayer(closestPlayer.id, zombie.damage, room);
                 }
+
+                broadcastToRoom(room, {
+                    type: 'zombieAttack',
+                    zombieId: zombie.id,
+                    targetId: closestPlayer.id
+                });
             }
             return;
         }
@@ -2758,14 +3621,15 @@ function updateZombies(room = null) {
             if (zombie.stuckData.stuckCount >= 2) {
                 // Really stuck - respawn at random spawn location
                 const arenaSize = 25;
-                const side = Math.floor(Math.random() * 4);
+                const rng = room.rng.misc;
+                const side = rng.int(4);
                 let newPos = { x: 0, z: 0 };
 
                 switch (side) {
-                    case 0: newPos = { x: (Math.random() - 0.5) * arenaSize, z: -arenaSize }; break;
-                    case 1: newPos = { x: (Math.random() - 0.5) * arenaSize, z: arenaSize }; break;
-                    case 2: newPos = { x: -arenaSize, z: (Math.random() - 0.5) * arenaSize }; break;
-                    case 3: newPos = { x: arenaSize, z: (Math.random() - 0.5) * arenaSize }; break;
+                    case 0: newPos = { x: (rng.next() - 0.5) * arenaSize, z: -arenaSize }; break;
+                    case 1: newPos = { x: (rng.next() - 0.5) * arenaSize, z: arenaSize }; break;
+                    case 2: newPos = { x: -arenaSize, z: (rng.next() - 0.5) * arenaSize }; break;
+                    case 3: newPos = { x: arenaSize, z: (rng.next() - 0.5) * arenaSize }; break;
                 }
 
                 zombie.position.x = newPos.x;
@@ -2791,7 +3655,7 @@ function updateZombies(room = null) {
 
         if (!zombie.path || pathAge > 1000 || targetMoved || zombie.pathIndex >= zombie.path.length) {
             // Calculate new path
-            const newPath = Pathfinder.findPath(
+            const newPath = room.navigation.pathfinder.findPath(
                 zombie.position.x, zombie.position.z,
                 closestPlayer.position.x, closestPlayer.position.z
             );
@@ -2851,9 +3715,12 @@ function updateZombies(room = null) {
             // Face movement direction
             zombie.rotation = Math.atan2(moveDx, moveDz);
 
-            // Move
-            const moveX = (moveDx / moveDist) * zombie.speed * delta;
-            const moveZ = (moveDz / moveDist) * zombie.speed * delta;
+            // Move (bosses change pace with their phase)
+            const speed = zombie.bossAttackState
+                ? zombie.speed * GameCore.BossAI.getPhaseConfig(zombie.bossAttackState).speed
+                : zombie.speed;
+            const moveX = (moveDx / moveDist) * speed * delta;
+            const moveZ = (moveDz / moveDist) * speed * delta;
             zombie.position.x += moveX;
             zombie.position.z += moveZ;
         }
@@ -2868,10 +3735,14 @@ function damageZombie(zombieId, damage, attackerId, isHeadshot) {
         return false;
     }
 
-    // Look up zombie from attacker's room, not global GameState
+    // Look up zombie from attacker's room
     const zombie = room.zombies.get(zombieId);
     if (!zombie || !zombie.isAlive) return false;
 
+    const attacker = room.players.get(attackerId);
+    MatchStats.add(attacker, 'damageDealt', Math.min(damage, zombie.health));
+    if (isHeadshot) MatchStats.add(attacker, 'headshots');
+
     zombie.health -= damage;
     log(`${zombie.type} zombie took ${damage} dmg (${zombie.health}/${zombie.maxHealth} HP)`, 'COMBAT', room.id);
 
@@ -2919,11 +3790,15 @@ function killZombie(zombieId, killerId, isHeadshot, damage = 0) {
     const killer = room.players.get(killerId);
     if (killer) {
         killer.kills++;
+        MatchStats.add(killer, 'kills');
         killer.score += points;
+        killer.currency += points;
     }
 
     // Track kill in player's authenticated session (server-side verification)
     addKillToSession(killerId, points, isHeadshot);
+    if (killer) ServerAchievements.onKill(killer, killerId, zombie);
+    DifficultyDirector.onKill(room);
 
     const killerName = killer ? killer.name : 'Unknown';
     log(`"${killerName}" killed ${zombie.type} zombie (${room.zombiesRemaining} left)`, 'COMBAT', room.id);
@@ -2951,10 +3826,10 @@ function killZombie(zombieId, killerId, isHeadshot, damage = 0) {
     }
 
     // Chance to spawn pickup - use GameCore for drop logic
-    if (GameCore.Combat.shouldDropPickup(zombie.type, zombie.isBossWaveBoss)) {
+    if (DifficultyDirector.shouldDropPickup(room, zombie)) {
         const pickupsToSpawn = zombie.isBossWaveBoss ? GameCore.Combat.getBossPickupCount() : 1;
         for (let i = 0; i < pickupsToSpawn; i++) {
-            const pickupType = GameCore.Combat.rollPickupType();
+            const pickupType = GameCore.Combat.rollPickupType(room.rng.drops);
             spawnPickup(room, zombie.position, pickupType);
         }
     }
@@ -2970,11 +3845,9 @@ function killZombie(zombieId, killerId, isHeadshot, damage = 0) {
 
     // Check wave completion
     if (room.zombiesRemaining <= 0) {
-        // Use same formula as startWave (synced with client)
-        const isBossWave = room.wave > 0 && room.wave % 10 === 0;
-        const expectedZombies = isBossWave ? 1 : Math.floor(5 + (room.wave - 1) * 2 + Math.pow(room.wave, 1.3));
-        if (room.zombiesSpawned >= expectedZombies) {
-            nextWaveInRoom(room);
+        // Same count as startWave (GameCore, shared with the client and RunVerifier)
+        if (room.zombiesSpawned >= GameCore.WaveSystem.getZombieCount(room.wave)) {
+            room.nextWave();
         }
     }
 
@@ -3001,8 +3874,8 @@ function spawnPickup(room, position, type) {
     const id = `pickup_${++room.lastPickupId}`;
 
     // Add small random offset to prevent instant collection when standing on kill spot
-    const offsetX = (Math.random() - 0.5) * 1.5;
-    const offsetZ = (Math.random() - 0.5) * 1.5;
+    const offsetX = (room.rng.misc.next() - 0.5) * 1.5;
+    const offsetZ = (room.rng.misc.next() - 0.5) * 1.5;
 
     const pickup = {
         id: id,
@@ -3042,7 +3915,8 @@ function collectPickup(pickupId, playerId) {
     const pickup = room.pickups.get(pickupId);
     const player = room.players.get(playerId);
 
-    if (!pickup || !player) return;
+    // Downed players can't reach pickups
+    if (!pickup || !player || player.isDowned) return;
 
     let collected = false;
 
@@ -3061,7 +3935,8 @@ function collectPickup(pickupId, playerId) {
         return;
     } else if (pickup.type === 'ammo') {
         collected = true;
-        log(`"${player.name}" collected ammo (+15)`, 'PICKUP', room.id);
+        PlayerAmmo.addReserve(player, GameCore.Combat.getPickupEffect('ammo'));
+        log(`"${player.name}" collected ammo (+${GameCore.Combat.getPickupEffect('ammo')})`, 'PICKUP', room.id);
     } else if (pickup.type === 'grenade') {
         collected = true;
         log(`"${player.name}" collected grenades (+2)`, 'PICKUP', room.id);
@@ -3069,6 +3944,7 @@ function collectPickup(pickupId, playerId) {
 
     if (collected) {
         room.pickups.delete(pickupId);
+        MatchStats.add(player, 'pickups');
         broadcastToRoom(room, {
             type: 'pickupCollected',
             pickupId: pickupId,
@@ -3090,25 +3966,28 @@ function damagePlayer(playerId, damage, room) {
     }
 
     const player = room.players.get(playerId);
-    if (!player || !player.isAlive) return;
+    // Players held by ReconnectGrace keep the health they left with
+    if (!player || !player.isAlive || player.disconnectedAt) return;
+
+    DifficultyDirector.onDamage(room, damage);
+
+    // Hits on a downed player eat into their bleed-out time instead
+    if (player.isDowned) {
+        DownedState.hit(room, player, damage);
+        return;
+    }
 
+    MatchStats.add(player, 'damageTaken', Math.min(damage, player.health));
     player.health -= damage;
     log(`"${player.name}" took ${damage} damage (${player.health} HP)`, 'COMBAT', room.id);
 
     if (player.health <= 0) {
         player.health = 0;
-        player.isAlive = false;
-        log(`"${player.name}" died!`, 'COMBAT', room.id);
-
-        broadcastToRoom(room, {
-            type: 'playerDied',
-            playerId: playerId
-        });
-
-        // Check if all players dead in this room
-        const alivePlayers = Array.from(room.players.values()).filter(p => p.isAlive);
-        if (alivePlayers.length === 0) {
-            gameOverInRoom(room);
+        // With a teammate still standing there's someone to revive them
+        if (DownedState.hasStanding(room, playerId)) {
+            DownedState.down(room, player);
+        } else {
+            killPlayer(room, player);
         }
     } else {
         // Send damage update to specific player
@@ -3131,578 +4010,946 @@ function damagePlayer(playerId, damage, room) {
     }
 }
 
-// ==================== WAVE MANAGEMENT ====================
-function startWave() {
-    // Boss waves spawn just the boss (synced with client WaveSystem.getZombieCount)
-    const isBossWaveForCount = GameState.wave > 0 && GameState.wave % 10 === 0;
-    const zombieCount = isBossWaveForCount ? 1 : Math.floor(5 + (GameState.wave - 1) * 2 + Math.pow(GameState.wave, 1.3));
-    GameState.zombiesRemaining = zombieCount;
-    GameState.zombiesSpawned = 0;
+function killPlayer(room, player) {
+    player.health = 0;
+    player.isAlive = false;
+    player.isDowned = false;
+    player.revive = null;
+    log(`"${player.name}" died!`, 'COMBAT', room.id);
 
-    // Update all player sessions with current wave
-    GameState.players.forEach((player, playerId) => {
-        const session = getSessionByPlayerId(playerId);
-        if (session) {
-            session.wave = GameState.wave;
-            session.isInGame = true;
-        }
+    broadcastToRoom(room, {
+        type: 'playerDied',
+        playerId: player.id
     });
 
-    // Check if map needs to change
-    const targetMapId = getMapForWave(GameState.wave);
-    const mapChanged = targetMapId !== GameState.currentMapId;
-    if (mapChanged) {
-        GameState.currentMapId = targetMapId;
-        setServerMap(targetMapId);  // Rebuild pathfinding for new map
-        log(`Map changed to ${targetMapId}`, 'WAVE');
+    // Check if all players dead in this room
+    const alivePlayers = Array.from(room.players.values()).filter(p => p.isAlive);
+    if (alivePlayers.length === 0) {
+        room.gameOver();
     }
+}
 
-    // Check if this is a boss wave (every 10th wave - synced with client)
-    const isBossWave = GameState.wave > 0 && GameState.wave % 10 === 0;
-    if (isBossWave) {
-        GameState.bossMode = true;
-        log(`BOSS WAVE ${GameState.wave} starting with ${zombieCount} zombies`, 'BOSS');
-    } else {
-        log(`Wave ${GameState.wave} starting with ${zombieCount} zombies`, 'WAVE');
-    }
+// ==================== DOWNED STATE ====================
+// In co-op a player at 0 HP goes down instead of dying. They crawl with the pistol and
+// bleed out after GameCore.Constants.DOWNED.BLEED_OUT_TIME unless a teammate holds
+// interact next to them (reviveStart / reviveStop). Downed players keep isAlive - the
+// game only ends once nobody is standing and the downed have bled out.
+const DownedState = {
+    // Someone other than excludeId who is up and could revive. Players held by
+    // ReconnectGrace count until their grace expires - they may be back in time
+    hasStanding(room, excludeId = null) {
+        for (const p of room.players.values()) {
+            if (p.id !== excludeId && p.isAlive && !p.isDowned) return true;
+        }
+        return false;
+    },
 
-    broadcast({
-        type: 'waveStart',
-        wave: GameState.wave,
-        zombieCount: zombieCount,
-        mapId: GameState.currentMapId,
-        mapChanged: mapChanged,
-        bossMode: GameState.bossMode
-    });
+    down(room, player) {
+        const D = GameCore.Constants.DOWNED;
+        player.isDowned = true;
+        player.bleedOutAt = Date.now() + D.BLEED_OUT_TIME;
+        player.revive = null;
+        log(`"${player.name}" is down!`, 'COMBAT', room.id);
 
-    // Spawn zombies gradually
-    let spawned = 0;
-    GameState.spawnInterval = setInterval(() => {
-        if (!GameState.isRunning) {
-            clearInterval(GameState.spawnInterval);
-            return;
-        }
+        // Anyone they were reviving is back on their own
+        this.stopRevivesBy(room, player.id);
 
-        if (spawned < zombieCount) {
-            spawnZombie();
-            spawned++;
+        broadcastToRoom(room, {
+            type: 'playerDowned',
+            playerId: player.id,
+            bleedOutIn: D.BLEED_OUT_TIME
+        });
+    },
+
+    hit(room, player, damage) {
+        const lost = damage * GameCore.Constants.DOWNED.BLEED_PER_DAMAGE;
+        if (player.revive) {
+            player.revive.bleedRemaining -= lost;
         } else {
-            clearInterval(GameState.spawnInterval);
-            GameState.spawnInterval = null;
+            player.bleedOutAt -= lost;
         }
-    }, getSpawnInterval(GameState.wave));
-}
+        broadcastToRoom(room, {
+            type: 'playerDownedUpdate',
+            playerId: player.id,
+            bleedOutIn: Math.max(0, this.getBleedRemaining(player))
+        });
+    },
 
-function nextWave() {
-    // Deactivate boss mode when wave completes
-    const wasBossWave = GameState.bossMode;
-    if (GameState.bossMode) {
-        GameState.bossMode = false;
-    }
+    // Bleed-out is paused while a revive is in progress
+    getBleedRemaining(player) {
+        return player.revive ? player.revive.bleedRemaining : player.bleedOutAt - Date.now();
+    },
 
-    // Calculate wave bonus (synced with client formula)
-    const completedWave = GameState.wave;
-    const waveBonus = wasBossWave
-        ? 2000 + completedWave * 200
-        : 500 + completedWave * 100;
+    canRevive(room, reviver, target) {
+        if (!reviver || !target || reviver.id === target.id) return false;
+        if (!reviver.isAlive || reviver.isDowned || reviver.disconnectedAt) return false;
+        if (!target.isDowned || !room.players.has(reviver.id)) return false;
+        const dx = reviver.position.x - target.position.x;
+        const dz = reviver.position.z - target.position.z;
+        return dx * dx + dz * dz <= GameCore.Constants.DOWNED.REVIVE_RANGE ** 2;
+    },
 
-    GameState.wave++;
-    GameState.totalScore += waveBonus;
+    // { type: 'reviveStart', targetId }
+    startRevive(room, reviverId, targetId) {
+        const reviver = room.players.get(reviverId);
+        const target = room.players.get(targetId);
+        if (!room.isRunning || !this.canRevive(room, reviver, target) || target.revive) return;
 
-    log(`Wave ${completedWave} complete! Bonus: ${waveBonus}`, 'WAVE');
+        const now = Date.now();
+        const duration = GameCore.Constants.DOWNED.REVIVE_TIME;
+        target.revive = { reviverId, completeAt: now + duration, bleedRemaining: target.bleedOutAt - now };
+        broadcastToRoom(room, {
+            type: 'reviveStarted',
+            playerId: targetId,
+            reviverId: reviverId,
+            duration: duration
+        });
+    },
 
-    // Open shop for all players
-    openShop(waveBonus);
-}
+    // { type: 'reviveStop' } - the reviver let go of interact
+    stopRevivesBy(room, reviverId) {
+        room.players.forEach(p => {
+            if (p.revive && p.revive.reviverId === reviverId) this.stopRevive(room, p);
+        });
+    },
 
-// ==================== UPGRADE SHOP MANAGEMENT ====================
-const SHOP_MAX_TIME = 30000; // 30 seconds max
+    stopRevive(room, target) {
+        if (!target.revive) return;
+        target.bleedOutAt = Date.now() + target.revive.bleedRemaining;
+        const reviverId = target.revive.reviverId;
+        target.revive = null;
+        broadcastToRoom(room, {
+            type: 'reviveCancelled',
+            playerId: target.id,
+            reviverId: reviverId,
+            bleedOutIn: Math.max(0, this.getBleedRemaining(target))
+        });
+    },
 
-function openShop(waveBonus = 500) {
-    GameState.shopOpen = true;
-    GameState.shopPlayersReady.clear();
-    GameState.isPaused = true;
-
-    // Notify all players to open shop
-    broadcast({
-        type: 'waveComplete',
-        wave: GameState.wave - 1,
-        nextWave: GameState.wave,
-        bonus: waveBonus,
-        showShop: true
-    });
+    revive(room, target, reviverId = null) {
+        target.isDowned = false;
+        target.revive = null;
+        target.bleedOutAt = 0;
+        target.health = GameCore.Constants.DOWNED.REVIVE_HEALTH;
 
-    const aliveCount = Array.from(GameState.players.values()).filter(p => p.isAlive).length;
-    log(`Upgrade shop opened for ${aliveCount} players`, 'SHOP');
+        const reviver = reviverId ? room.players.get(reviverId) : null;
+        if (reviver) MatchStats.add(reviver, 'revives');
+        log(`"${target.name}" was revived${reviver ? ` by "${reviver.name}"` : ''}`, 'COMBAT', room.id);
 
-    // Start shop timeout (30 seconds max)
-    if (GameState.shopTimeout) {
-        clearTimeout(GameState.shopTimeout);
-    }
-    GameState.shopTimeout = setTimeout(() => {
-        if (GameState.shopOpen) {
-            log('Shop timeout - forcing close', 'SHOP');
-            closeShop();
-        }
-    }, SHOP_MAX_TIME);
-}
+        broadcastToRoom(room, {
+            type: 'playerRevived',
+            playerId: target.id,
+            reviverId: reviverId,
+            health: target.health
+        });
+    },
 
-function handleShopReady(playerId) {
-    if (!GameState.shopOpen) return;
+    // Wave cleared - everyone still down gets back up
+    reviveAll(room) {
+        room.players.forEach(p => {
+            if (p.isDowned) this.revive(room, p);
+        });
+    },
 
-    GameState.shopPlayersReady.add(playerId);
-    // Only count alive players (spectators don't need to confirm)
-    const alivePlayers = Array.from(GameState.players.values()).filter(p => p.isAlive);
-    const totalPlayers = alivePlayers.length;
-    const readyCount = GameState.shopPlayersReady.size;
+    // Per tick: finish or drop revives in progress, bleed out the expired
+    update(room) {
+        const downed = Array.from(room.players.values()).filter(p => p.isDowned);
+        if (downed.length === 0) return;
 
-    log(`Player ready in shop (${readyCount}/${totalPlayers})`, 'SHOP');
+        // Nobody left to pick them up
+        if (!this.hasStanding(room)) {
+            downed.forEach(p => killPlayer(room, p));
+            return;
+        }
 
-    // Notify all players of ready status
-    broadcast({
-        type: 'shopSync',
-        action: 'playerReady',
-        playerId: playerId,
-        readyCount: readyCount,
-        totalPlayers: totalPlayers
-    });
+        const now = Date.now();
+        downed.forEach(p => {
+            if (this.getBleedRemaining(p) <= 0) {
+                killPlayer(room, p);
+            } else if (p.revive) {
+                const reviver = room.players.get(p.revive.reviverId);
+                if (!this.canRevive(room, reviver, p)) {
+                    this.stopRevive(room, p);
+                } else if (now >= p.revive.completeAt) {
+                    this.revive(room, p, reviver.id);
+                }
+            }
+        });
+    },
 
-    // Check if all players are ready
-    if (readyCount >= totalPlayers) {
-        log('All players ready - closing shop', 'SHOP');
-        closeShop();
+    // The closest downed player if they beat bestDistance once TARGET_PENALTY is added -
+    // zombies go for players still standing unless the downed one is much nearer
+    findTarget(downed, x, z, bestDistance) {
+        let target = null;
+        for (const p of downed) {
+            const dx = p.position.x - x;
+            const dz = p.position.z - z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance + GameCore.Constants.DOWNED.TARGET_PENALTY < bestDistance) {
+                bestDistance = distance + GameCore.Constants.DOWNED.TARGET_PENALTY;
+                target = { entity: p, distance };
+            }
+        }
+        return target;
     }
-}
+};
 
-function closeShop() {
-    if (!GameState.shopOpen) return;
+// ==================== GAME ROOM ====================
+// One lobby/game: its players, zombies, pickups, timers and lifecycle
+// (lobby countdown -> startGame -> waves and shops -> gameOver).
+
+// Named timer fields on GameRoom - all of them are cleared with the room
+const ROOM_TIMERS = [
+    'spawnInterval',    // Spawns the current wave's zombies
+    'waveStartTimer',   // Pause between the shop closing and the next wave
+    'shopTimeout',      // Closes the shop after SHOP_MAX_TIME
+    'countdownTimer',   // Lobby countdown once everyone is ready
+    'afkKickTimer',     // AFK kick countdown (public lobbies only)
+    'restartTimer',     // Restart after requestReset
+    'gameLoopInterval', // This room's tick (tickRoom)
+    'botFillTimer'      // Pending ServerBots.fill check
+];
 
-    GameState.shopOpen = false;
-    GameState.shopPlayersReady.clear();
-    GameState.isPaused = false;
+const SHOP_MAX_TIME = 30000; // 30 seconds max
 
-    if (GameState.shopTimeout) {
-        clearTimeout(GameState.shopTimeout);
-        GameState.shopTimeout = null;
+class GameRoom {
+    constructor() {
+        this.id = uuidv4();
+        this.players = new Map();
+        this.zombies = new Map();
+        this.pickups = new Map();
+        this.wave = 1;
+        this.zombiesRemaining = 0;
+        this.zombiesSpawned = 0;
+        this.state = ROOM_STATE.QUEUING;    // Unified state field
+        this.isRunning = false;             // Deprecated: kept for backward compatibility
+        this.isInLobby = true;              // Deprecated: kept for backward compatibility
+        this.isPaused = false;
+        this.lastZombieId = 0;
+        this.lastPickupId = 0;
+        this.totalKills = 0;
+        this.totalScore = 0;
+        this.shopOpen = false;
+        this.shopPlayersReady = new Set();
+        this.countdownSeconds = 0;
+        this.currentMapId = 'dining_hall';  // Track current map
+        this.navigation = Navigation.forMap(this.currentMapId);  // { navGrid, pathfinder } for currentMapId
+        this.mapRotation = MapFormat.DEFAULT_ROTATION;  // Chosen by the leader of a private lobby
+        this.mapOrder = null;               // Map order for the current game (resolved in startGame)
+        this.bossMode = false;              // Track boss mode state
+        this.bossProjectiles = [];          // Boss globs in flight (BossAttacks)
+        this.bossHazards = [];              // Pools left by boss attacks
+        this.director = DifficultyDirector.create();
+        this.leaderId = null;               // Player ID of the room leader (first to join)
+        // AFK kick countdown tracking (public lobbies only)
+        this.afkKickPlayerId = null;        // Which player has the AFK countdown active
+        this.afkKickSeconds = 0;            // Remaining seconds before kick
+        this.zombieHistory = new ZombieHistory(CONFIG.lagCompensation.historyTicks);  // Lag compensation
+        this.rng = GameCore.Random.createStreams(GameCore.Random.newSeed());       // Seeded per game in startGame
+        this.replay = null;                 // Active ReplayRecorder recording
+        this.syncTick = 0;                  // Sequence number of the latest SYNC snapshot (wraps at 16 bits)
+        this.playerGrid = new SpatialGrid(10, CONFIG.arena.width, CONFIG.arena.depth);  // Alive players, for zombie targeting
+        this.zombieGrid = new SpatialGrid(10, CONFIG.arena.width, CONFIG.arena.depth);  // Zombies, for interest management
+        this.tickBudget = new RoomTickBudget(this.id);  // Tick timing and SYNC throttling
+        this.entityCache = new EntityCache(this);
+        ROOM_TIMERS.forEach(name => { this[name] = null; });
     }
 
-    // Notify all players to close shop
-    broadcast({
-        type: 'shopSync',
-        action: 'allReady'
-    });
+    get shortcode() {
+        return this.id.substring(0, 6).toUpperCase();
+    }
 
-    log(`Shop closed, starting wave ${GameState.wave}`, 'SHOP');
+    // ---------- Timers ----------
+    // Every timer a room starts goes through these, so stopGame() and destroy()
+    // can't leave one behind. A non-null timer field means it's pending.
 
-    // Start next wave after brief delay
-    setTimeout(() => {
-        if (GameState.isRunning) {
-            startWave();
-        }
-    }, 1000);
-}
+    setTimer(name, callback, delayMs) {
+        this.clearTimer(name);
+        this[name] = setTimeout(() => {
+            this[name] = null;
+            callback();
+        }, delayMs);
+    }
 
-// ==================== ROOM-SPECIFIC WAVE & SHOP FUNCTIONS ====================
-// These ensure multiplayer rooms are completely isolated from each other
+    setRepeatingTimer(name, callback, intervalMs) {
+        this.clearTimer(name);
+        this[name] = setInterval(callback, intervalMs);
+    }
 
-function nextWaveInRoom(room) {
-    if (!room) return;
+    clearTimer(name) {
+        if (this[name]) {
+            clearTimeout(this[name]);  // Clears intervals too
+            this[name] = null;
+        }
+    }
 
-    // Deactivate boss mode when wave completes
-    const wasBossWave = room.bossMode;
-    if (room.bossMode) {
-        room.bossMode = false;
+    clearTimers() {
+        ROOM_TIMERS.forEach(name => this.clearTimer(name));
     }
 
-    // Calculate wave bonus (synced with client formula)
-    const completedWave = room.wave;
-    const waveBonus = wasBossWave
-        ? 2000 + completedWave * 200
-        : 500 + completedWave * 100;
+    // Room is being deleted
+    destroy() {
+        this.clearTimers();
+        ReplayRecorder.stop(this);
+    }
 
-    room.wave++;
-    room.totalScore += waveBonus;
+    // ---------- Game lifecycle ----------
 
-    log(`Wave ${completedWave} complete! Bonus: ${waveBonus}`, 'WAVE', room.id);
+    // Switch the room to a map and to that map's pathfinding grid
+    setMap(mapId) {
+        const navigation = Navigation.forMap(mapId);
+        if (!navigation) {
+            log(`No navigation grid for map ${mapId}`, 'WARN', this.id);
+            return;
+        }
+        this.currentMapId = mapId;
+        this.navigation = navigation;
+    }
+
+    startGame() {
+        if (this.state === ROOM_STATE.PLAYING || this.state === ROOM_STATE.PLAYING_PRIVATE) return;
+
+        // Set state to PLAYING (preserve private flag)
+        const wasPrivate = this.state === ROOM_STATE.QUEUING_PRIVATE;
+        this.state = wasPrivate ? ROOM_STATE.PLAYING_PRIVATE : ROOM_STATE.PLAYING;
+        this.isInLobby = false;  // Keep deprecated fields in sync
+        this.isRunning = true;
+        this.isPaused = false;
+        this.wave = 1;
+        this.zombiesRemaining = 0;
+        this.zombiesSpawned = 0;
+        this.totalKills = 0;
+        this.totalScore = 0;
+        this.lastZombieId = 0;
+        this.lastPickupId = 0;
+
+        // Fresh seed per game - the same seed and inputs reproduce spawns and drops
+        this.rng = GameCore.Random.createStreams(GameCore.Random.newSeed());
+        log(`Game seed: ${this.rng.seed}`, 'GAME', this.id);
+
+        // Fix the map order for this game (shuffles draw from the seeded stream)
+        this.mapOrder = MapFormat.resolveRotation(this.mapRotation, max => this.rng.misc.int(max));
+        this.setMap(MapFormat.getMapForWave(1, this.mapOrder));
+        log(`Map order: ${this.mapOrder.join(' -> ')}`, 'GAME', this.id);
+
+        // Clear existing zombies and pickups (release to pool first)
+        this.zombies.forEach(zombie => ZombiePool.release(zombie));
+        this.zombies.clear();
+        this.zombieHistory.clear();
+        this.pickups.clear();
+        BossAttacks.clear(this);
+        DifficultyDirector.reset(this);
+
+        // Reset all players
+        this.players.forEach(player => {
+            player.health = 100;
+            player.isAlive = true;
+            player.kills = 0;
+            player.score = 0;
+            player.currency = 0;
+            player.stats = MatchStats.create();
+            player.recentKillTimes = [];
+            player.isDowned = false;
+            player.bleedOutAt = 0;
+            player.revive = null;
+            player.ammo = PlayerAmmo.create();
+            player.weaponUpgrades = GameCore.Combat.createUpgradeLevels();
+            player.position = { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 };
+            resetPlayerSyncState(player);
+        });
 
-    // Open shop for all players in this room
-    openShopInRoom(room, waveBonus);
-}
+        ReplayRecorder.start(this);
+        broadcastToRoom(this, {
+            type: 'gameStart',
+            players: getPlayersDataFromRoom(this),
+            mapId: this.currentMapId,
+            mapOrder: this.mapOrder
+        });
 
-function openShopInRoom(room, waveBonus = 500) {
-    if (!room) return;
+        log(`Game started with ${this.players.size} players!`, 'GAME', this.id);
+        this.startWave();
+        this.startLoop();
+    }
 
-    room.shopOpen = true;
-    room.shopPlayersReady.clear();
-    room.isPaused = true;
+    startLoop() {
+        this.tickBudget.reset();
+        this.setRepeatingTimer('gameLoopInterval', () => tickRoom(this), 1000 / CONFIG.tickRate);
+    }
 
-    // Notify players in this room only
-    broadcastToRoom(room, {
-        type: 'waveComplete',
-        wave: room.wave - 1,
-        nextWave: room.wave,
-        bonus: waveBonus,
-        showShop: true
-    });
+    // Stop the simulation and every timer, and clear the world
+    stopGame() {
+        // Note: Don't set state here - caller (gameOver) already sets to GAME_OVER
+        // Keep deprecated fields in sync
+        this.isRunning = false;
+        this.isInLobby = false;  // Not in lobby - room is about to be deleted
 
-    const aliveCount = Array.from(room.players.values()).filter(p => p.isAlive).length;
-    log(`Upgrade shop opened for ${aliveCount} players`, 'SHOP', room.id);
+        // Finish the replay (gameOver has already been recorded)
+        ReplayRecorder.stop(this);
 
-    // Start shop timeout (30 seconds max)
-    if (room.shopTimeout) {
-        clearTimeout(room.shopTimeout);
-    }
-    const roomId = room.id;
-    room.shopTimeout = setTimeout(() => {
-        const currentRoom = gameRooms.get(roomId);
-        if (currentRoom && currentRoom.shopOpen) {
-            log('Shop timeout - forcing close', 'SHOP', roomId);
-            closeShopInRoom(currentRoom);
-        }
-    }, SHOP_MAX_TIME);
-}
+        this.clearTimers();
+        this.afkKickPlayerId = null;
+        this.afkKickSeconds = 0;
 
-function handleShopReadyInRoom(playerId) {
-    const room = getPlayerRoom(playerId);
-    if (!room || !room.shopOpen) return;
+        // Release zombies to pool before clearing
+        this.zombies.forEach(zombie => ZombiePool.release(zombie));
+        this.zombies.clear();
+        this.zombieHistory.clear();
+        this.players.forEach(player => resetPlayerSyncState(player));
+        this.pickups.clear();
 
-    room.shopPlayersReady.add(playerId);
-    // Only count alive players (spectators don't need to confirm)
-    const alivePlayers = Array.from(room.players.values()).filter(p => p.isAlive);
-    const totalPlayers = alivePlayers.length;
-    const readyCount = room.shopPlayersReady.size;
+        // Clear shop state
+        this.shopOpen = false;
+        this.shopPlayersReady.clear();
+        BossAttacks.clear(this);
 
-    log(`Player ready in shop (${readyCount}/${totalPlayers})`, 'SHOP', room.id);
+        log(`Game stopped`, 'GAME', this.id);
+    }
 
-    // Notify players in this room only
-    broadcastToRoom(room, {
-        type: 'shopSync',
-        action: 'playerReady',
-        playerId: playerId,
-        readyCount: readyCount,
-        totalPlayers: totalPlayers
-    });
+    gameOver() {
+        log(`GAME OVER! Wave ${this.wave}, Score: ${this.totalScore}, Kills: ${this.totalKills}`, 'GAME', this.id);
 
-    // Check if all players are ready
-    if (readyCount >= totalPlayers) {
-        log('All players ready - closing shop', 'SHOP', room.id);
-        closeShopInRoom(room);
+        // Determine if this was a private game
+        const wasPrivate = this.state === ROOM_STATE.PLAYING_PRIVATE;
+
+        // Set appropriate game over state
+        this.state = wasPrivate ? ROOM_STATE.GAME_OVER_PRIVATE : ROOM_STATE.GAME_OVER;
+        this.isRunning = false;  // Keep deprecated fields in sync
+        this.isInLobby = false;
+
+        // Each session keeps its player's breakdown for the leaderboard submission
+        this.players.forEach((player, playerId) => {
+            const session = getSessionByPlayerId(playerId);
+            if (session) session.stats = MatchStats.normalize(player.stats);
+        });
+
+        // Broadcast game over to all players BEFORE removing them
+        broadcastToRoom(this, {
+            type: 'gameOver',
+            wave: this.wave,
+            totalKills: this.totalKills,
+            totalScore: this.totalScore,
+            players: getPlayersDataFromRoom(this),
+            scoreboard: MatchStats.buildScoreboard(Array.from(this.players.values())),
+            wasPrivate: wasPrivate,
+            shortcode: wasPrivate ? this.shortcode : null
+        });
+
+        // Get player IDs before removing (to avoid iterator issues)
+        const playerIds = Array.from(this.players.keys());
+
+        // For private rooms, store lastPrivateRoomId for each player before removing
+        if (wasPrivate) {
+            for (const playerId of playerIds) {
+                playerLastPrivateRoom.set(playerId, this.id);
+            }
+        }
+
+        // Remove all players from room (they stay connected but roomless)
+        for (const playerId of playerIds) {
+            removePlayerFromRoom(playerId, this);
+        }
+
+        // Stop game timers and cleanup
+        this.stopGame();
+
+        // For public rooms, clean up. For private, room persists for rejoining.
+        if (!wasPrivate) {
+            cleanupEmptyRooms();
+        } else {
+            log(`Private room preserved for rejoining (code: ${this.shortcode})`, 'LOBBY', this.id);
+        }
     }
-}
 
-function closeShopInRoom(room) {
-    if (!room || !room.shopOpen) return;
+    // Back to the lobby with everyone unready (requestReset)
+    resetGame() {
+        this.stopGame();
+
+        // Set state back to QUEUING (for legacy reset feature)
+        this.state = ROOM_STATE.QUEUING;
+        this.isInLobby = true;  // Keep deprecated fields in sync
+
+        // Reset player states
+        this.players.forEach(player => {
+            player.health = 100;
+            player.isAlive = true;
+            player.isReady = false;
+            player.kills = 0;
+            player.score = 0;
+        });
+
+        this.wave = 1;
+        this.zombiesRemaining = 0;
+        this.zombiesSpawned = 0;
+        this.totalKills = 0;
+        this.totalScore = 0;
+
+        broadcastToRoom(this, {
+            type: 'gameReset'
+        });
+
+        broadcastLobbyUpdateToRoom(this);
+    }
+
+    // Reset a private room for a new game (when first player rejoins after game over)
+    resetForNewGame() {
+        this.state = ROOM_STATE.QUEUING_PRIVATE;
+        this.isRunning = false;
+        this.isInLobby = true;
+        this.wave = 1;
+        this.zombiesRemaining = 0;
+        this.zombiesSpawned = 0;
+        this.totalKills = 0;
+        this.totalScore = 0;
+        this.zombies.clear();
+        this.zombieHistory.clear();
+        this.pickups.clear();
+        this.setMap('dining_hall');
+        this.mapOrder = null;
+        this.bossMode = false;
+        BossAttacks.clear(this);
+
+        // Clear any lingering timers
+        this.clearTimers();
+
+        log(`Private room reset for new game (code: ${this.shortcode})`, 'LOBBY', this.id);
+    }
+
+    // ---------- Waves ----------
+
+    startWave() {
+        // Boss waves spawn just the boss (GameCore.WaveSystem, shared with the client)
+        const zombieCount = GameCore.WaveSystem.getZombieCount(this.wave);
+        this.zombiesRemaining = zombieCount;
+        this.zombiesSpawned = 0;
+
+        // Update all player sessions with current wave
+        this.players.forEach((player, playerId) => {
+            const session = getSessionByPlayerId(playerId);
+            if (session) {
+                session.wave = this.wave;
+                session.isInGame = true;
+                session.playerCount = Math.max(session.playerCount, this.players.size);
+            }
+        });
+        ServerAchievements.onWaveStart(this);
+        DifficultyDirector.onWaveStart(this);
+
+        // Check if map needs to change
+        const targetMapId = MapFormat.getMapForWave(this.wave, this.mapOrder);
+        const mapChanged = targetMapId !== this.currentMapId;
+        if (mapChanged) {
+            this.setMap(targetMapId);
+            log(`Map changed to ${targetMapId}`, 'WAVE', this.id);
+        }
+
+        if (GameCore.WaveSystem.isBossWave(this.wave)) {
+            this.bossMode = true;
+            log(`BOSS WAVE ${this.wave} starting with ${zombieCount} zombies`, 'BOSS', this.id);
+        } else {
+            log(`Wave ${this.wave} starting with ${zombieCount} zombies`, 'WAVE', this.id);
+        }
 
-    room.shopOpen = false;
-    room.shopPlayersReady.clear();
-    room.isPaused = false;
+        broadcastToRoom(this, {
+            type: 'waveStart',
+            wave: this.wave,
+            zombieCount: zombieCount,
+            mapId: this.currentMapId,
+            mapChanged: mapChanged,
+            bossMode: this.bossMode
+        });
 
-    if (room.shopTimeout) {
-        clearTimeout(room.shopTimeout);
-        room.shopTimeout = null;
+        // Spawn zombies gradually (the director can stretch or shorten each gap)
+        let spawned = 0;
+        const spawnNext = () => {
+            if (!this.isRunning || spawned >= zombieCount) return;
+            this.spawnZombie();
+            spawned++;
+            this.setTimer('spawnInterval', spawnNext, DifficultyDirector.getSpawnInterval(this));
+        };
+        this.setTimer('spawnInterval', spawnNext, DifficultyDirector.getSpawnInterval(this));
     }
 
-    // Notify players in this room only
-    broadcastToRoom(room, {
-        type: 'shopSync',
-        action: 'allReady'
-    });
+    spawnZombie() {
+        if (!this.isRunning) return;
 
-    log(`Shop closed, starting wave ${room.wave}`, 'SHOP', room.id);
+        const currentWave = this.wave || 1;
+        const maxZombies = getMaxZombiesForWave(currentWave);
+        const aliveZombies = Array.from(this.zombies.values()).filter(z => z.isAlive);
+        if (aliveZombies.length >= maxZombies) {
+            log(`Max zombies alive (${maxZombies}), waiting...`, 'WAVE', this.id);
+            return;
+        }
 
-    // Start next wave after brief delay
-    const roomId = room.id;
-    setTimeout(() => {
-        const currentRoom = gameRooms.get(roomId);
-        if (currentRoom && (currentRoom.state === ROOM_STATE.PLAYING || currentRoom.state === ROOM_STATE.PLAYING_PRIVATE)) {
-            startWaveInRoom(currentRoom);
+        const id = `zombie_${++this.lastZombieId}`;
+        const rng = this.rng;
+        const side = rng.misc.int(4);
+        const arenaEdge = CONFIG.arena.width / 2 - 2;
+        let position = { x: 0, y: 0, z: 0 };
+
+        switch (side) {
+            case 0: position = { x: (rng.misc.next() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: -arenaEdge }; break;
+            case 1: position = { x: (rng.misc.next() - 0.5) * CONFIG.arena.width * 0.8, y: 0, z: arenaEdge }; break;
+            case 2: position = { x: -arenaEdge, y: 0, z: (rng.misc.next() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
+            case 3: position = { x: arenaEdge, y: 0, z: (rng.misc.next() - 0.5) * CONFIG.arena.depth * 0.8 }; break;
         }
-    }, 1000);
-}
 
-// ==================== ROOM-SPECIFIC GAME CONTROL ====================
-function startGameInRoom(room) {
-    if (!room || room.state === ROOM_STATE.PLAYING || room.state === ROOM_STATE.PLAYING_PRIVATE) return;
-
-    log('Starting game...', 'GAME', room.id);
-
-    // Set state to PLAYING
-    room.state = ROOM_STATE.PLAYING;
-    room.isRunning = true;  // Keep deprecated fields in sync
-    room.isInLobby = false;
-    room.isPaused = false;
-    room.wave = 1;
-    room.zombiesRemaining = 0;
-    room.zombiesSpawned = 0;
-    room.totalKills = 0;
-    room.totalScore = 0;
-    room.lastZombieId = 0;
-    room.lastPickupId = 0;
-
-    // Clear existing zombies and pickups (release to pool first)
-    room.zombies.forEach(zombie => ZombiePool.release(zombie));
-    room.zombies.clear();
-    room.pickups.clear();
-
-    // Reset all players in this room
-    room.players.forEach(player => {
-        player.health = 100;
-        player.isAlive = true;
-        player.kills = 0;
-        player.score = 0;
-        player.position = { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 };
-    });
+        // Check if this is a boss wave using GameCore
+        const isBossWave = GameCore.WaveSystem.isBossWave(this.wave);
+
+        let zombieType, props;
+        const bossProps = isBossWave ? getBossProps(this.wave) : null;
+
+        if (isBossWave) {
+            // Boss wave - spawn boss with special properties (synced with client)
+            zombieType = 'boss';
+            props = {
+                health: bossProps.health,
+                maxHealth: bossProps.maxHealth,
+                speed: bossProps.speed,
+                damage: bossProps.damage,
+                scale: bossProps.scale,
+                points: bossProps.points
+            };
+        } else {
+            // Regular wave - determine zombie type based on wave
+            zombieType = DifficultyDirector.getZombieType(this, rng.spawn);
 
-    broadcastToRoom(room, {
-        type: 'gameStart',
-        players: getPlayersDataFromRoom(room)
-    });
+            // Get base props from GameCore and scale by wave
+            const baseProps = GameCore.WaveSystem.getTypeProps(zombieType);
+            props = GameCore.WaveSystem.scaleByWave(baseProps, this.wave, true, rng.spawn);
+        }
 
-    startWaveInRoom(room);
+        // Use object pool to reduce GC pressure
+        const zombie = ZombiePool.acquire(id, zombieType, position, props);
+        if (isBossWave) {
+            zombie.isBossWaveBoss = true;
+            zombie.bossId = bossProps.bossId;
+            zombie.bossLevel = bossProps.level;
+            zombie.bossName = bossProps.name;
+        }
 
-    log('Game started!', 'SUCCESS', room.id);
-}
+        this.zombies.set(id, zombie);
+        this.zombiesSpawned++;
 
-function resetGameInRoom(room) {
-    if (!room) return;
+        log(`Spawned ${zombieType} zombie at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`, 'WAVE', this.id);
 
-    stopGameInRoom(room);
+        sendZombieSpawnToRoom(this, zombie);
+    }
 
-    // Set state back to QUEUING (for legacy reset feature)
-    room.state = ROOM_STATE.QUEUING;
-    room.isInLobby = true;  // Keep deprecated fields in sync
+    // Wave cleared - bank the bonus and open the shop
+    nextWave() {
+        // Deactivate boss mode when wave completes
+        if (this.bossMode) {
+            this.bossMode = false;
+            BossAttacks.clear(this);
+        }
 
-    // Reset player states
-    room.players.forEach(player => {
-        player.health = 100;
-        player.isAlive = true;
-        player.isReady = false;
-        player.kills = 0;
-        player.score = 0;
-    });
+        const completedWave = this.wave;
+        const waveBonus = GameCore.WaveSystem.getWaveBonus(completedWave);
 
-    room.wave = 1;
-    room.zombiesRemaining = 0;
-    room.zombiesSpawned = 0;
-    room.totalKills = 0;
-    room.totalScore = 0;
+        this.wave++;
+        this.totalScore += waveBonus;
 
-    broadcastToRoom(room, {
-        type: 'gameReset'
-    });
+        log(`Wave ${completedWave} complete! Bonus: ${waveBonus}`, 'WAVE', this.id);
+        DifficultyDirector.onWaveEnd(this, completedWave);
 
-    broadcastLobbyUpdateToRoom(room);
-}
+        DownedState.reviveAll(this);
+        this.openShop(waveBonus);
+    }
 
-// ==================== LEGACY GAME CONTROL (for backward compatibility) ====================
-function startGame() {
-    if (GameState.isRunning) return;
-
-    log('Starting game...', 'GAME');
-
-    GameState.isRunning = true;
-    GameState.isPaused = false;
-    GameState.wave = 1;
-    GameState.zombiesRemaining = 0;
-    GameState.zombiesSpawned = 0;
-    GameState.totalKills = 0;
-    GameState.totalScore = 0;
-    GameState.lastZombieId = 0;
-    GameState.lastPickupId = 0;
-
-    // Clear existing zombies and pickups (release to pool first)
-    GameState.zombies.forEach(zombie => ZombiePool.release(zombie));
-    GameState.zombies.clear();
-    GameState.pickups.clear();
-
-    // Reset all players
-    GameState.players.forEach(player => {
-        player.health = 100;
-        player.isAlive = true;
-        player.kills = 0;
-        player.score = 0;
-        player.position = { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 };
-    });
+    // ---------- Upgrade shop ----------
 
-    broadcast({
-        type: 'gameStart',
-        players: getPlayersData()
-    });
+    openShop(waveBonus = 500) {
+        this.shopOpen = true;
+        this.shopPlayersReady.clear();
+        this.isPaused = true;
 
-    startWave();
+        // Every player gets the wave bonus to spend (matches the client's waveComplete handling)
+        this.players.forEach(player => {
+            player.currency += waveBonus;
+        });
 
-    log('Game started!', 'SUCCESS');
-}
+        broadcastToRoom(this, {
+            type: 'waveComplete',
+            wave: this.wave - 1,
+            nextWave: this.wave,
+            bonus: waveBonus,
+            showShop: true
+        });
 
-function stopGame() {
-    log('Stopping game...', 'GAME');
+        // Authoritative balance and levels for each player's shop
+        this.players.forEach((player, playerId) => sendShopState(playerId, player));
 
-    GameState.isRunning = false;
+        const aliveCount = Array.from(this.players.values()).filter(p => p.isAlive).length;
+        log(`Upgrade shop opened for ${aliveCount} players`, 'SHOP', this.id);
 
-    if (GameState.spawnInterval) {
-        clearInterval(GameState.spawnInterval);
-        GameState.spawnInterval = null;
+        this.setTimer('shopTimeout', () => {
+            if (this.shopOpen) {
+                log('Shop timeout - forcing close', 'SHOP', this.id);
+                this.closeShop();
+            }
+        }, SHOP_MAX_TIME);
     }
 
-    // Release zombies to pool before clearing
-    GameState.zombies.forEach(zombie => ZombiePool.release(zombie));
-    GameState.zombies.clear();
-    GameState.pickups.clear();
-}
+    setShopReady(playerId) {
+        if (!this.shopOpen) return;
 
-function gameOver() {
-    log('Game Over!', 'ERROR');
+        this.shopPlayersReady.add(playerId);
+        const { readyCount, totalPlayers } = this.countShopReady();
 
-    stopGame();
+        log(`Player ready in shop (${readyCount}/${totalPlayers})`, 'SHOP', this.id);
 
-    broadcast({
-        type: 'gameOver',
-        wave: GameState.wave,
-        totalKills: GameState.totalKills,
-        totalScore: GameState.totalScore,
-        players: getPlayersData()
-    });
-}
+        broadcastToRoom(this, {
+            type: 'shopSync',
+            action: 'playerReady',
+            playerId: playerId,
+            readyCount: readyCount,
+            totalPlayers: totalPlayers
+        });
 
-// Room-specific game over
-function gameOverInRoom(room) {
-    if (!room) return;
-    log(`GAME OVER! Wave ${room.wave}, Score: ${room.totalScore}, Kills: ${room.totalKills}`, 'GAME', room.id);
+        this.checkShopReady();
+    }
 
-    // Determine if this was a private game
-    const wasPrivate = room.state === ROOM_STATE.PLAYING_PRIVATE;
+    // Only alive, connected players need to confirm (spectators and players held by ReconnectGrace don't)
+    countShopReady() {
+        let readyCount = 0;
+        let totalPlayers = 0;
+        this.players.forEach((player, id) => {
+            if (!player.isAlive || player.disconnectedAt) return;
+            totalPlayers++;
+            if (this.shopPlayersReady.has(id)) readyCount++;
+        });
+        return { readyCount, totalPlayers };
+    }
 
-    // Set appropriate game over state
-    room.state = wasPrivate ? ROOM_STATE.GAME_OVER_PRIVATE : ROOM_STATE.GAME_OVER;
-    room.isRunning = false;  // Keep deprecated fields in sync
-    room.isInLobby = false;
+    // Close the shop once everyone who has to confirm has
+    checkShopReady() {
+        const { readyCount, totalPlayers } = this.countShopReady();
+        if (readyCount >= totalPlayers) {
+            log('All players ready - closing shop', 'SHOP', this.id);
+            this.closeShop();
+        }
+    }
 
-    // Broadcast game over to all players BEFORE removing them
-    broadcastToRoom(room, {
-        type: 'gameOver',
-        wave: room.wave,
-        totalKills: room.totalKills,
-        totalScore: room.totalScore,
-        players: getPlayersDataFromRoom(room),
-        wasPrivate: wasPrivate,
-        shortcode: wasPrivate ? room.id.substring(0, 6).toUpperCase() : null
-    });
+    closeShop() {
+        if (!this.shopOpen) return;
 
-    // Get player IDs before removing (to avoid iterator issues)
-    const playerIds = Array.from(room.players.keys());
+        this.shopOpen = false;
+        this.shopPlayersReady.clear();
+        this.isPaused = false;
+        this.clearTimer('shopTimeout');
 
-    // For private rooms, store lastPrivateRoomId for each player before removing
-    if (wasPrivate) {
-        for (const playerId of playerIds) {
-            playerLastPrivateRoom.set(playerId, room.id);
-        }
+        broadcastToRoom(this, {
+            type: 'shopSync',
+            action: 'allReady'
+        });
+
+        log(`Shop closed, starting wave ${this.wave}`, 'SHOP', this.id);
+
+        // Start next wave after brief delay
+        this.setTimer('waveStartTimer', () => {
+            if (this.state === ROOM_STATE.PLAYING || this.state === ROOM_STATE.PLAYING_PRIVATE) {
+                this.startWave();
+            }
+        }, 1000);
     }
 
-    // Remove all players from room (they stay connected but roomless)
-    for (const playerId of playerIds) {
-        removePlayerFromRoom(playerId, room);
+    // ---------- Lobby countdown ----------
+
+    startCountdown() {
+        if (this.countdownTimer) return; // Already counting down
+
+        log(`All players ready! Starting countdown...`, 'LOBBY', this.id);
+        this.countdownSeconds = 3;
+
+        // Send initial countdown
+        broadcastToRoom(this, { type: 'lobbyCountdown', seconds: this.countdownSeconds });
+
+        this.setRepeatingTimer('countdownTimer', () => {
+            this.countdownSeconds--;
+
+            if (this.countdownSeconds > 0) {
+                broadcastToRoom(this, { type: 'lobbyCountdown', seconds: this.countdownSeconds });
+                return;
+            }
+
+            // Countdown finished
+            this.clearTimer('countdownTimer');
+            if (checkAllReadyInRoom(this) && (this.state === ROOM_STATE.QUEUING || this.state === ROOM_STATE.QUEUING_PRIVATE)) {
+                this.startGame();
+            }
+        }, 1000);
     }
 
-    // Stop game timers and cleanup
-    stopGameInRoom(room);
+    cancelCountdown() {
+        if (!this.countdownTimer) return;
 
-    // For public rooms, clean up. For private, room persists for rejoining.
-    if (!wasPrivate) {
-        cleanupEmptyRooms();
-    } else {
-        log(`Private room preserved for rejoining (code: ${room.id.substring(0, 6).toUpperCase()})`, 'LOBBY', room.id);
+        this.clearTimer('countdownTimer');
+        log(`Countdown cancelled - player unreadied`, 'LOBBY', this.id);
+        broadcastToRoom(this, { type: 'lobbyCountdown', seconds: 0, cancelled: true });
     }
-}
 
-function resetGame() {
-    stopGame();
+    // ---------- AFK kick countdown (public lobbies only) ----------
 
-    // Reset player states
-    GameState.players.forEach(player => {
-        player.health = 100;
-        player.isAlive = true;
-        player.kills = 0;
-        player.score = 0;
-    });
+    // Start AFK kick countdown for a specific unready player
+    startAfkKick(playerId) {
+        if (this.afkKickTimer || this.state !== ROOM_STATE.QUEUING) return;
 
-    GameState.wave = 1;
-    GameState.totalKills = 0;
-    GameState.totalScore = 0;
+        const player = this.players.get(playerId);
+        if (!player) return;
 
-    broadcast({
-        type: 'gameReset'
-    });
+        this.afkKickPlayerId = playerId;
+        this.afkKickSeconds = 15;
 
-    log('Game reset', 'GAME');
-}
+        log(`Starting AFK kick countdown for "${player.name}" (15s)`, 'LOBBY', this.id);
 
-// ==================== UTILITY FUNCTIONS ====================
-function getPlayersData() {
-    const data = [];
-    GameState.players.forEach((player, id) => {
-        data.push({
-            id: player.id,
-            name: player.name,
-            position: player.position,
-            rotation: player.rotation,
-            health: player.health,
-            isAlive: player.isAlive,
-            color: player.color,
-            cosmetic: player.cosmetic,
-            kills: player.kills,
-            score: player.score
+        this.broadcastAfkKickUpdate();
+
+        this.setRepeatingTimer('afkKickTimer', () => {
+            this.afkKickSeconds--;
+
+            if (this.afkKickSeconds > 0) {
+                this.broadcastAfkKickUpdate();
+                return;
+            }
+
+            // Time's up - kick the player
+            this.clearTimer('afkKickTimer');
+            const kickedPlayerId = this.afkKickPlayerId;
+            this.afkKickPlayerId = null;
+            this.afkKickSeconds = 0;
+
+            this.kickAfkPlayer(kickedPlayerId);
+        }, 1000);
+    }
+
+    cancelAfkKick() {
+        if (!this.afkKickTimer) return;
+
+        this.clearTimer('afkKickTimer');
+        this.afkKickPlayerId = null;
+        this.afkKickSeconds = 0;
+
+        log(`AFK kick countdown cancelled`, 'LOBBY', this.id);
+
+        // Notify clients that countdown was cancelled
+        broadcastToRoom(this, {
+            type: 'afkKickUpdate',
+            playerId: null,
+            seconds: 0,
+            cancelled: true
         });
-    });
-    return data;
-}
+    }
 
-function getZombiesData() {
-    const data = [];
-    GameState.zombies.forEach((zombie, id) => {
-        if (zombie.isAlive) {
-            data.push({
-                id: zombie.id,
-                type: zombie.type,
-                position: zombie.position,
-                rotation: zombie.rotation,
-                health: zombie.health,
-                maxHealth: zombie.maxHealth,
-                scale: zombie.scale
-            });
+    broadcastAfkKickUpdate() {
+        broadcastToRoom(this, {
+            type: 'afkKickUpdate',
+            playerId: this.afkKickPlayerId,
+            seconds: this.afkKickSeconds,
+            cancelled: false
+        });
+    }
+
+    // Kick AFK player back to main menu
+    kickAfkPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        log(`Kicking AFK player "${player.name}" for not readying up`, 'LOBBY', this.id);
+
+        sendToPlayer(playerId, {
+            type: 'afkKicked',
+            reason: 'You were removed for not readying up'
+        });
+
+        // Remove player from room
+        removePlayerFromRoom(playerId, this);
+        roomlessPlayers.delete(playerId);
+
+        // Broadcast playerLeft to remaining players so they clean up the mesh
+        broadcastToRoom(this, {
+            type: 'playerLeft',
+            playerId: playerId
+        });
+
+        // Close their WebSocket
+        if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+            player.ws.close();
         }
-    });
-    return data;
-}
 
-function getPickupsData() {
-    const data = [];
-    GameState.pickups.forEach((pickup, id) => {
-        data.push({
-            id: pickup.id,
-            type: pickup.type,
-            position: pickup.position
+        broadcastLobbyUpdateToRoom(this);
+
+        // Clear the AFK state broadcast
+        broadcastToRoom(this, {
+            type: 'afkKickUpdate',
+            playerId: null,
+            seconds: 0,
+            cancelled: true
         });
-    });
-    return data;
-}
 
-function broadcast(message, excludeId = null) {
-    const data = JSON.stringify(message);
-    GameState.players.forEach((player, id) => {
-        if (id !== excludeId && player.ws && player.ws.readyState === WebSocket.OPEN) {
-            try {
-                player.ws.send(data);
-            } catch (e) {
-                log(`WebSocket send error to ${id}: ${e.message}`, 'ERROR');
-            }
+        // Re-check ready state - might be able to start now
+        if (checkAllReadyInRoom(this) && this.players.size >= 1) {
+            this.startCountdown();
         }
+    }
+}
+
+// ==================== UPGRADE SHOP ====================
+
+// Buy the next level of one weapon stat - cost and level come from GameCore, never the client
+function handleUpgradePurchaseInRoom(playerId, weapon, stat) {
+    const room = getPlayerRoom(playerId);
+    const player = room ? room.players.get(playerId) : null;
+    if (!player) return;
+
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    const levels = hasOwn(player.weaponUpgrades, weapon) ? player.weaponUpgrades[weapon] : null;
+    let reason = null;
+    if (!room.shopOpen) {
+        reason = 'Shop is closed';
+    } else if (!player.isAlive) {
+        reason = 'Spectators cannot buy upgrades';
+    } else if (!levels || !hasOwn(levels, stat)) {
+        reason = 'Unknown upgrade';
+    }
+
+    const cost = reason ? null : GameCore.Combat.getUpgradeCost(weapon, stat, levels[stat]);
+    if (!reason && cost === null) {
+        reason = 'Already at max level';
+    } else if (!reason && player.currency < cost) {
+        reason = 'Not enough points';
+    }
+
+    if (reason) {
+        log(`"${player.name}" upgrade ${weapon} ${stat} rejected: ${reason}`, 'SHOP', room.id);
+        sendShopState(playerId, player, { weapon, stat, success: false, reason });
+        return;
+    }
+
+    player.currency -= cost;
+    levels[stat]++;
+    log(`"${player.name}" upgraded ${weapon} ${stat} to level ${levels[stat]} for ${cost} (${player.currency} left)`, 'SHOP', room.id);
+    sendShopState(playerId, player, { weapon, stat, success: true, level: levels[stat], cost });
+    ServerAchievements.onUpgrade(playerId, levels[stat]);
+}
+
+// Player's balance and upgrade levels, plus the outcome of a purchase if there was one
+function sendShopState(playerId, player, purchase = null) {
+    sendToPlayer(playerId, {
+        type: 'shopState',
+        balance: player.currency,
+        levels: player.weaponUpgrades,
+        purchase: purchase
     });
 }
 
+// ==================== UTILITY FUNCTIONS ====================
+
 // Room-specific broadcast
 function broadcastToRoom(room, message, excludeId = null) {
     if (!room || !room.players) return;
     const data = JSON.stringify(message);
+    ReplayRecorder.record(room, data);
     // Create a snapshot of players to avoid race conditions during iteration
     const playerSnapshot = Array.from(room.players.entries());
     playerSnapshot.forEach(([id, player]) => {
@@ -3716,25 +4963,6 @@ function broadcastToRoom(room, message, excludeId = null) {
     });
 }
 
-function broadcastLobbyUpdate() {
-    const lobbyPlayers = [];
-    GameState.players.forEach((player, id) => {
-        lobbyPlayers.push({
-            id: player.id,
-            name: player.name,
-            isReady: player.isReady,
-            color: player.color,
-            cosmetic: player.cosmetic
-        });
-    });
-
-    broadcast({
-        type: 'lobbyUpdate',
-        players: lobbyPlayers,
-        allReady: checkAllReady()
-    });
-}
-
 // Room-specific lobby update
 function broadcastLobbyUpdateToRoom(room) {
     if (!room) return;
@@ -3757,19 +4985,9 @@ function broadcastLobbyUpdateToRoom(room) {
         allReady: checkAllReadyInRoom(room),
         leaderId: room.leaderId,
         isPrivate: isPrivate,
-        shortcode: room.id.substring(0, 6).toUpperCase()
-    });
-}
-
-function checkAllReady() {
-    if (GameState.players.size === 0) return false;
-
-    let allReady = true;
-    GameState.players.forEach(player => {
-        if (!player.isReady) allReady = false;
+        shortcode: room.id.substring(0, 6).toUpperCase(),
+        mapRotation: room.mapRotation
     });
-
-    return allReady;
 }
 
 function checkAllReadyInRoom(room) {
@@ -3806,50 +5024,6 @@ function checkAllButOneReadyInRoom(room) {
     };
 }
 
-function stopGameInRoom(room) {
-    if (!room) return;
-
-    // Note: Don't set state here - caller (gameOverInRoom) already sets to GAME_OVER
-    // Keep deprecated fields in sync
-    room.isRunning = false;
-    room.isInLobby = false;  // Not in lobby - room is about to be deleted
-
-    // Clear all timers and intervals to prevent memory leaks
-    if (room.spawnInterval) {
-        clearInterval(room.spawnInterval);
-        room.spawnInterval = null;
-    }
-    if (room.gameLoopInterval) {
-        clearInterval(room.gameLoopInterval);
-        room.gameLoopInterval = null;
-    }
-    if (room.countdownTimer) {
-        clearInterval(room.countdownTimer);
-        room.countdownTimer = null;
-    }
-    if (room.shopTimeout) {
-        clearTimeout(room.shopTimeout);
-        room.shopTimeout = null;
-    }
-    if (room.afkKickTimer) {
-        clearInterval(room.afkKickTimer);
-        room.afkKickTimer = null;
-        room.afkKickPlayerId = null;
-        room.afkKickSeconds = 0;
-    }
-
-    // Release zombies to pool before clearing
-    room.zombies.forEach(zombie => ZombiePool.release(zombie));
-    room.zombies.clear();
-    room.pickups.clear();
-
-    // Clear shop state
-    room.shopOpen = false;
-    room.shopPlayersReady.clear();
-
-    log(`Game stopped`, 'GAME', room.id);
-}
-
 function setPlayerReady(playerId, isReady) {
     const room = getPlayerRoom(playerId);
     if (!room) return;
@@ -3862,332 +5036,173 @@ function setPlayerReady(playerId, isReady) {
 
         // Cancel AFK kick if the targeted player readies up
         if (isReady && room.afkKickPlayerId === playerId) {
-            cancelAfkKickCountdown(room);
+            room.cancelAfkKick();
         }
 
         // Check if all players are ready to start
         if (checkAllReadyInRoom(room) && room.players.size >= 1 && !room.countdownTimer) {
-            cancelAfkKickCountdown(room); // Cancel any AFK timer since we're starting
-            startLobbyCountdownInRoom(room);
+            room.cancelAfkKick(); // Cancel any AFK timer since we're starting
+            room.startCountdown();
         } else if (!checkAllReadyInRoom(room) && room.countdownTimer) {
             // Cancel countdown if someone un-readies
-            cancelLobbyCountdownInRoom(room);
+            room.cancelCountdown();
         }
 
         // Check for "all but one ready" condition (public lobbies only)
         if (room.state === ROOM_STATE.QUEUING && !room.countdownTimer && !room.afkKickTimer) {
             const { allButOne, unreadyPlayerId } = checkAllButOneReadyInRoom(room);
             if (allButOne && unreadyPlayerId && room.players.size >= 2) {
-                startAfkKickCountdown(room, unreadyPlayerId);
+                room.startAfkKick(unreadyPlayerId);
             }
         }
 
         // Cancel AFK kick if another player un-readied (no longer all-but-one)
         if (!isReady && room.afkKickTimer && playerId !== room.afkKickPlayerId) {
-            cancelAfkKickCountdown(room);
+            room.cancelAfkKick();
         }
     }
 }
 
-function startLobbyCountdownInRoom(room) {
-    if (!room || room.countdownTimer) return; // Already counting down
+function getPlayersDataFromRoom(room) {
+    if (!room) return [];
+    const data = [];
+    room.players.forEach((player, id) => {
+        data.push({
+            id: player.id,
+            name: player.name,
+            position: player.position,
+            rotation: player.rotation,
+            health: player.health,
+            isAlive: player.isAlive,
+            isDowned: player.isDowned,
+            isReady: player.isReady,
+            color: player.color,
+            cosmetic: player.cosmetic
+        });
+    });
+    return data;
+}
 
-    log(`All players ready! Starting countdown...`, 'LOBBY', room.id);
-    room.countdownSeconds = 3;
+// ==================== RECONNECT GRACE ====================
+// A player whose socket drops mid-game keeps their slot (score, upgrades, health and
+// session token) for CONFIG.reconnect.graceMs. Zombies ignore them meanwhile. The
+// client reconnects, gets a fresh lobby player from the connection handler and sends
+// resume with its old session token to swap back into the held slot.
+const ReconnectGrace = {
+    held: new Map(),    // playerId -> expiry timer
+
+    // Hold the player's slot instead of removing them - false if they should just be removed
+    hold(playerId) {
+        const room = getPlayerRoom(playerId);
+        const player = room ? room.players.get(playerId) : null;
+        if (!player || player.isBot || !room.isRunning || CONFIG.reconnect.graceMs <= 0) return false;
+
+        player.ws = null;
+        player.disconnectedAt = Date.now();
+        this.held.set(playerId, setTimeout(() => this.expire(playerId), CONFIG.reconnect.graceMs));
+
+        log(`"${player.name}" disconnected - holding slot for ${CONFIG.reconnect.graceMs / 1000}s`, 'PLAYER', room.id);
+        broadcastToRoom(room, {
+            type: 'playerDisconnected',
+            playerId: playerId,
+            graceMs: CONFIG.reconnect.graceMs
+        });
 
-    // Send initial countdown
-    broadcastToRoom(room, { type: 'lobbyCountdown', seconds: room.countdownSeconds });
+        // The shop shouldn't wait on someone who isn't there
+        if (room.shopOpen) room.checkShopReady();
+        return true;
+    },
 
-    room.countdownTimer = setInterval(() => {
-        room.countdownSeconds--;
+    expire(playerId) {
+        if (!this.held.delete(playerId)) return;
+        const room = getPlayerRoom(playerId);
+        log(`Reconnect grace expired for ${playerId}`, 'PLAYER', room ? room.id : null);
+        removePlayer(playerId);
 
-        if (room.countdownSeconds > 0) {
-            broadcastToRoom(room, { type: 'lobbyCountdown', seconds: room.countdownSeconds });
-        } else {
-            // Countdown finished
-            clearInterval(room.countdownTimer);
-            room.countdownTimer = null;
-
-            if (checkAllReadyInRoom(room) && (room.state === ROOM_STATE.QUEUING || room.state === ROOM_STATE.QUEUING_PRIVATE)) {
-                startMultiplayerGameInRoom(room);
-            }
+        // They were the last one alive - the spectators' game is over
+        if (room && room.isRunning && room.players.size > 0 &&
+            !Array.from(room.players.values()).some(p => p.isAlive)) {
+            room.gameOver();
         }
-    }, 1000);
-}
-
-function cancelLobbyCountdownInRoom(room) {
-    if (room && room.countdownTimer) {
-        clearInterval(room.countdownTimer);
-        room.countdownTimer = null;
-        log(`Countdown cancelled - player unreadied`, 'LOBBY', room.id);
-        broadcastToRoom(room, { type: 'lobbyCountdown', seconds: 0, cancelled: true });
-    }
-}
-
-// ==================== AFK KICK COUNTDOWN (Public Lobbies Only) ====================
-
-// Start AFK kick countdown for a specific unready player
-function startAfkKickCountdown(room, playerId) {
-    if (!room || room.afkKickTimer) return;
-
-    // Only in public lobbies
-    if (room.state !== ROOM_STATE.QUEUING) return;
-
-    const player = room.players.get(playerId);
-    if (!player) return;
-
-    room.afkKickPlayerId = playerId;
-    room.afkKickSeconds = 15;
-
-    log(`Starting AFK kick countdown for "${player.name}" (15s)`, 'LOBBY', room.id);
-
-    // Broadcast initial state
-    broadcastAfkKickUpdate(room);
-
-    room.afkKickTimer = setInterval(() => {
-        room.afkKickSeconds--;
-
-        if (room.afkKickSeconds > 0) {
-            broadcastAfkKickUpdate(room);
-        } else {
-            // Time's up - kick the player
-            clearInterval(room.afkKickTimer);
-            room.afkKickTimer = null;
-
-            const kickedPlayerId = room.afkKickPlayerId;
-            room.afkKickPlayerId = null;
-            room.afkKickSeconds = 0;
+    },
 
-            kickAfkPlayer(room, kickedPlayerId);
+    // Move the connection's temporary player back into its held slot
+    resume(ws, token) {
+        const tempId = ws._playerId;
+        const session = typeof token === 'string' ? getSessionByToken(token) : null;
+        const heldId = session && session.isActive ? session.playerId : null;
+        const room = heldId && this.held.has(heldId) ? getPlayerRoom(heldId) : null;
+        const player = room ? room.players.get(heldId) : null;
+
+        if (!player) {
+            log(`Resume rejected for ${tempId}: no held slot for that session`, 'NETWORK');
+            sendToPlayer(tempId, { type: 'resumeFailed', reason: 'Your game has ended' });
+            return;
         }
-    }, 1000);
-}
-
-// Cancel AFK kick countdown
-function cancelAfkKickCountdown(room) {
-    if (!room || !room.afkKickTimer) return;
-
-    clearInterval(room.afkKickTimer);
-    room.afkKickTimer = null;
-
-    const playerId = room.afkKickPlayerId;
-    room.afkKickPlayerId = null;
-    room.afkKickSeconds = 0;
-
-    log(`AFK kick countdown cancelled`, 'LOBBY', room.id);
-
-    // Notify clients that countdown was cancelled
-    broadcastToRoom(room, {
-        type: 'afkKickUpdate',
-        playerId: null,
-        seconds: 0,
-        cancelled: true
-    });
-}
-
-// Broadcast AFK kick countdown state to all clients
-function broadcastAfkKickUpdate(room) {
-    broadcastToRoom(room, {
-        type: 'afkKickUpdate',
-        playerId: room.afkKickPlayerId,
-        seconds: room.afkKickSeconds,
-        cancelled: false
-    });
-}
-
-// Kick AFK player back to main menu
-function kickAfkPlayer(room, playerId) {
-    const player = room.players.get(playerId);
-    if (!player) return;
-
-    log(`Kicking AFK player "${player.name}" for not readying up`, 'LOBBY', room.id);
-
-    // Notify the player they are being kicked
-    sendToPlayer(playerId, {
-        type: 'afkKicked',
-        reason: 'You were removed for not readying up'
-    });
-
-    // Remove player from room
-    removePlayerFromRoom(playerId, room);
-    roomlessPlayers.delete(playerId);
-
-    // Broadcast playerLeft to remaining players so they clean up the mesh
-    broadcastToRoom(room, {
-        type: 'playerLeft',
-        playerId: playerId
-    });
-
-    // Close their WebSocket
-    if (player.ws && player.ws.readyState === WebSocket.OPEN) {
-        player.ws.close();
-    }
-
-    // Broadcast updated lobby to remaining players
-    broadcastLobbyUpdateToRoom(room);
-
-    // Clear the AFK state broadcast
-    broadcastToRoom(room, {
-        type: 'afkKickUpdate',
-        playerId: null,
-        seconds: 0,
-        cancelled: true
-    });
-
-    // Re-check ready state - might be able to start now
-    if (checkAllReadyInRoom(room) && room.players.size >= 1 && !room.countdownTimer) {
-        startLobbyCountdownInRoom(room);
-    }
-}
-
-function startMultiplayerGameInRoom(room) {
-    if (!room) return;
-
-    // Set state to PLAYING (preserve private flag)
-    const wasPrivate = room.state === ROOM_STATE.QUEUING_PRIVATE;
-    room.state = wasPrivate ? ROOM_STATE.PLAYING_PRIVATE : ROOM_STATE.PLAYING;
-    room.isInLobby = false;  // Keep deprecated fields in sync
-    room.isRunning = true;
-    room.isPaused = false;
-    room.wave = 1;
-    room.zombiesRemaining = 0;
-    room.zombiesSpawned = 0;
-    room.totalKills = 0;
-    room.totalScore = 0;
-    room.lastZombieId = 0;
-    room.lastPickupId = 0;
-
-    // Clear existing zombies and pickups (release to pool first)
-    room.zombies.forEach(zombie => ZombiePool.release(zombie));
-    room.zombies.clear();
-    room.pickups.clear();
-
-    // Reset all players
-    room.players.forEach(player => {
-        player.health = 100;
-        player.isAlive = true;
-        player.kills = 0;
-        player.score = 0;
-        player.position = { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 };
-    });
-
-    broadcastToRoom(room, {
-        type: 'gameStart',
-        players: getPlayersDataFromRoom(room)
-    });
-
-    log(`Game started with ${room.players.size} players!`, 'GAME', room.id);
-    startWaveInRoom(room);
-}
-
-// Legacy functions for backwards compatibility
-function startLobbyCountdown() {
-    if (gameRooms.size > 0) {
-        const room = gameRooms.values().next().value;
-        startLobbyCountdownInRoom(room);
-    }
-}
-
-function cancelLobbyCountdown() {
-    if (gameRooms.size > 0) {
-        const room = gameRooms.values().next().value;
-        cancelLobbyCountdownInRoom(room);
-    }
-}
-
-function startMultiplayerGame() {
-    if (gameRooms.size > 0) {
-        const room = gameRooms.values().next().value;
-        startMultiplayerGameInRoom(room);
-    }
-}
 
-function getPlayersDataFromRoom(room) {
-    if (!room) return [];
-    const data = [];
-    room.players.forEach((player, id) => {
-        data.push({
-            id: player.id,
-            name: player.name,
-            position: player.position,
-            rotation: player.rotation,
-            health: player.health,
-            isAlive: player.isAlive,
-            isReady: player.isReady,
-            color: player.color,
-            cosmetic: player.cosmetic
+        clearTimeout(this.held.get(heldId));
+        this.held.delete(heldId);
+
+        // Throw away the lobby player this connection was given
+        removePlayer(tempId);
+        clientMessageRates.delete(tempId);
+
+        ws._playerId = heldId;
+        ws._sessionToken = token;
+        player.ws = ws;
+        player.disconnectedAt = null;
+        player.syncVersion = 0;     // Renegotiated by the client
+        resetPlayerSyncState(player);
+
+        // The client drops whatever it has that isn't in this snapshot
+        const zombies = getZombiesDataFromRoom(room);
+        zombies.forEach(zombie => player.knownZombies.add(zombie.id));
+
+        log(`"${player.name}" reconnected and resumed`, 'PLAYER', room.id);
+        sendToPlayer(heldId, {
+            type: 'resumed',
+            playerId: heldId,
+            weaponDataHash: WEAPON_DATA_HASH,
+            sessionToken: token,
+            roomId: room.id,
+            leaderId: room.leaderId,
+            isPrivate: room.state === ROOM_STATE.PLAYING_PRIVATE,
+            player: {
+                id: player.id,
+                name: player.name,
+                position: player.position,
+                rotation: player.rotation,
+                health: player.health,
+                isAlive: player.isAlive,
+                color: player.color,
+                cosmetic: player.cosmetic,
+                currentWeapon: player.currentWeapon,
+                kills: player.kills,
+                score: player.score
+            },
+            shop: {
+                open: room.shopOpen,
+                ready: room.shopPlayersReady.has(heldId),
+                balance: player.currency,
+                levels: player.weaponUpgrades
+            },
+            gameState: {
+                wave: room.wave,
+                zombiesRemaining: room.zombiesRemaining,
+                totalKills: room.totalKills,
+                totalScore: room.totalScore,
+                mapId: room.currentMapId,
+                mapOrder: room.mapOrder,
+                bossMode: room.bossMode
+            },
+            players: getPlayersDataFromRoom(room).filter(p => p.id !== heldId),
+            zombies: zombies,
+            pickups: getPickupsDataFromRoom(room)
         });
-    });
-    return data;
-}
-
-function startWaveInRoom(room) {
-    if (!room) return;
-
-    // Boss waves spawn just the boss (synced with client WaveSystem.getZombieCount)
-    const isBossWaveForCount = room.wave > 0 && room.wave % 10 === 0;
-    const zombieCount = isBossWaveForCount ? 1 : Math.floor(5 + (room.wave - 1) * 2 + Math.pow(room.wave, 1.3));
-    room.zombiesRemaining = zombieCount;
-    room.zombiesSpawned = 0;
-
-    // Update all player sessions with current wave
-    room.players.forEach((player, playerId) => {
-        const session = getSessionByPlayerId(playerId);
-        if (session) {
-            session.wave = room.wave;
-            session.isInGame = true;
-        }
-    });
-
-    // Check if map needs to change
-    const targetMapId = getMapForWave(room.wave);
-    const mapChanged = targetMapId !== room.currentMapId;
-    if (mapChanged) {
-        room.currentMapId = targetMapId;
-        setServerMap(targetMapId);  // Rebuild pathfinding for new map
-        log(`Map changed to ${targetMapId}`, 'WAVE', room.id);
-    }
-
-    // Check if this is a boss wave (every 10th wave - synced with client)
-    const isBossWave = room.wave > 0 && room.wave % 10 === 0;
-    if (isBossWave) {
-        room.bossMode = true;
-        log(`BOSS WAVE ${room.wave} starting with ${zombieCount} zombies`, 'BOSS', room.id);
-    } else {
-        log(`Wave ${room.wave} starting with ${zombieCount} zombies`, 'WAVE', room.id);
-    }
-
-    broadcastToRoom(room, {
-        type: 'waveStart',
-        wave: room.wave,
-        zombieCount: zombieCount,
-        mapId: room.currentMapId,
-        mapChanged: mapChanged,
-        bossMode: room.bossMode
-    });
 
-    // Spawn zombies gradually
-    let spawned = 0;
-    // Clear any existing spawn interval first
-    if (room.spawnInterval) {
-        clearInterval(room.spawnInterval);
+        broadcastToRoom(room, { type: 'playerReconnected', playerId: heldId }, heldId);
     }
-    room.spawnInterval = setInterval(() => {
-        if (!room.isRunning) {
-            clearInterval(room.spawnInterval);
-            room.spawnInterval = null;
-            return;
-        }
-
-        if (spawned < zombieCount) {
-            spawnZombieInRoom(room);
-            spawned++;
-        } else {
-            clearInterval(room.spawnInterval);
-            room.spawnInterval = null;
-        }
-    }, getSpawnInterval(room.wave));
-}
+};
 
 // ==================== WEBSOCKET HANDLING ====================
 wss.on('connection', (ws, request) => {
@@ -4213,7 +5228,9 @@ wss.on('connection', (ws, request) => {
     const initMessage = {
         type: 'init',
         playerId: playerId,
+        weaponDataHash: WEAPON_DATA_HASH,  // Compared with the client's GameCore weapon tables
         sessionToken: session.token,  // Client needs this for leaderboard submission
+        workerId: CLUSTER.workerId,   // Cluster mode: reconnects (resume) ask the matchmaker for this worker
         roomId: room ? room.id : null,
         player: {
             id: player.id,
@@ -4263,9 +5280,10 @@ wss.on('connection', (ws, request) => {
         }, playerId);
     }
 
+    // ws._playerId rather than playerId below - a resume moves this socket to its held player
     ws.on('message', (data) => {
         // Check message rate limit
-        if (!checkMessageRate(playerId)) {
+        if (!checkMessageRate(ws._playerId)) {
             ws._messageViolations++;
             if (ws._messageViolations >= 3) {
                 // Too many violations, ban the IP (only log once)
@@ -4277,28 +5295,39 @@ wss.on('connection', (ws, request) => {
                 return;
             }
             // Skip processing this message but don't disconnect yet
-            log('Rate limit: dropped message from ' + playerId + ' (violation ' + ws._messageViolations + '/3)', 'WARN');
+            log('Rate limit: dropped message from ' + ws._playerId + ' (violation ' + ws._messageViolations + '/3)', 'WARN');
             return;
         }
 
         try {
             const message = JSON.parse(data);
-            handleMessage(playerId, message);
+            if (message && message.type === 'resume') {
+                // Needs the socket itself, so it's handled here rather than in handleMessage
+                ReconnectGrace.resume(ws, message.sessionToken);
+            } else {
+                handleMessage(ws._playerId, message);
+            }
         } catch (e) {
-            log(`Error parsing message from ${playerId}: ${e.message}`, 'ERROR');
+            log(`Error parsing message from ${ws._playerId}: ${e.message}`, 'ERROR');
         }
     });
 
     ws.on('close', () => {
         // Untrack this connection
         untrackIPConnection(ws._clientIP, ws);
-        clientMessageRates.delete(playerId);
-        log(`WebSocket closed`, 'NETWORK', room ? room.id : null);
-        removePlayer(playerId);
+        clientMessageRates.delete(ws._playerId);
+        const currentRoom = getPlayerRoom(ws._playerId);
+        log(`WebSocket closed`, 'NETWORK', currentRoom ? currentRoom.id : null);
+
+        // Mid-game drops keep their slot for a while so the client can resume
+        if (!ReconnectGrace.hold(ws._playerId)) {
+            removePlayer(ws._playerId);
+        }
     });
 
     ws.on('error', (error) => {
-        log(`WebSocket error: ${error.message}`, 'NETWORK', room ? room.id : null);
+        const currentRoom = getPlayerRoom(ws._playerId);
+        log(`WebSocket error: ${error.message}`, 'NETWORK', currentRoom ? currentRoom.id : null);
     });
 });
 
@@ -4310,6 +5339,7 @@ function getZombiesDataFromRoom(room) {
         if (zombie.isAlive) {
             data.push({
                 id: zombie.id,
+                netId: zombie.netId,
                 type: zombie.type,
                 position: zombie.position,
                 rotation: zombie.rotation,
@@ -4405,6 +5435,12 @@ function handleMessage(playerId, message) {
         return;
     }
 
+    // Attach a profile's achievements (players may not have a room yet)
+    if (message.type === 'profileAuth') {
+        ServerAchievements.authenticate(playerId, message.token);
+        return;
+    }
+
     const room = getPlayerRoom(playerId);
     if (!room) return;
 
@@ -4426,6 +5462,10 @@ function handleMessage(playerId, message) {
             handleCreatePrivateLobby(playerId, room);
             break;
 
+        case 'setMapRotation':
+            handleSetMapRotation(playerId, room, message.rotation);
+            break;
+
         case 'update':
             // Validate and update player position and rotation
             if (message.position && isValidPosition(message.position)) {
@@ -4447,8 +5487,9 @@ function handleMessage(playerId, message) {
                         const distance = Math.sqrt(dx * dx + dz * dz);
                         const speed = distance / deltaTime;
 
-                        // Max allowed speed with tolerance for network latency
-                        const maxAllowedSpeed = CONFIG.player.maxSpeed * CONFIG.player.speedTolerance;
+                        // Max allowed speed with tolerance for network latency (downed players crawl)
+                        const crawl = player.isDowned ? GameCore.Constants.DOWNED.CRAWL_SPEED_MULT : 1;
+                        const maxAllowedSpeed = CONFIG.player.maxSpeed * crawl * CONFIG.player.speedTolerance;
 
                         if (speed > maxAllowedSpeed) {
                             player.teleportWarnings++;
@@ -4498,6 +5539,7 @@ function handleMessage(playerId, message) {
             // Validate shooting data
             if (!room.isRunning || !player.isAlive) break;
             if (!isValidPosition(message.origin) || !isValidDirection(message.direction)) break;
+            MatchStats.add(player, 'shotsFired');
 
             broadcastToRoom(room, {
                 type: 'playerShoot',
@@ -4508,43 +5550,32 @@ function handleMessage(playerId, message) {
 
             // Calculate damage server-side based on player's current weapon
             if (message.hitZombieId && typeof message.hitZombieId === 'string') {
-                const currentWeapon = player.currentWeapon || 'pistol';
+                // Downed players only have the pistol
+                const currentWeapon = player.isDowned
+                    ? GameCore.Constants.DOWNED.WEAPON
+                    : player.currentWeapon || 'pistol';
                 const weaponConfig = CONFIG.weapons[currentWeapon];
                 if (weaponConfig) {
                     // SERVER-SIDE HIT VALIDATION
-                    // Verify the zombie exists and is within weapon range
-                    const targetZombie = room.zombies.get(message.hitZombieId);
-                    if (!targetZombie || !targetZombie.isAlive) break;
-
-                    // Calculate distance from player to zombie
-                    const dx = targetZombie.position.x - player.position.x;
-                    const dz = targetZombie.position.z - player.position.z;
-                    const distanceToZombie = Math.sqrt(dx * dx + dz * dz);
-
-                    // Maximum valid hit range per weapon (with 10% tolerance for latency)
-                    const maxRanges = {
-                        pistol: 55,    // ~50 units range
-                        smg: 44,       // ~40 units range
-                        shotgun: 22,   // ~20 units range (short range)
-                        rifle: 110,    // ~100 units range (sniper)
-                        rocket: 66,    // ~60 units range
-                        laser: 55      // ~50 units range
-                    };
-                    const maxRange = maxRanges[currentWeapon] || 55;
-
-                    if (distanceToZombie > maxRange) {
-                        log(`Rejected hit from ${playerId}: zombie ${message.hitZombieId} too far (${distanceToZombie.toFixed(1)} > ${maxRange})`, 'WARN');
-                        break;
-                    }
+                    // Maximum valid hit range per weapon (with tolerance for latency)
+                    const maxRange = weaponConfig.range * CONFIG.hitValidation.rangeTolerance;
+
+                    // Raycast the shot against map obstacles and zombie hitboxes, rewound to
+                    // what the shooter saw; the server decides who was hit and whether it was a headshot
+                    const resolved = HitscanValidator.resolveHit(
+                        room, player, message.origin, message.direction, message.hitZombieId, maxRange,
+                        getRewindTime(room, player, Date.now())
+                    );
+                    if (!resolved) break;
+                    const targetZombie = resolved.zombie;
 
                     let damage = weaponConfig.damage;
-                    const isHeadshot = !!message.isHeadshot;
+                    const isHeadshot = resolved.isHeadshot;
 
                     // Apply weapon upgrade damage multiplier
                     const upgradeLevel = player.weaponUpgrades[currentWeapon]?.damage || 0;
                     if (upgradeLevel > 0 && upgradeLevel <= CONFIG.maxUpgradeLevel) {
-                        const damageMultiplier = CONFIG.upgradeMultipliers.damage[upgradeLevel] || 1;
-                        damage = Math.round(damage * damageMultiplier);
+                        damage = GameCore.Combat.getUpgradedStat(damage, 'damage', upgradeLevel);
                     }
 
                     // Apply headshot multiplier
@@ -4552,11 +5583,19 @@ function handleMessage(playerId, message) {
                         damage *= weaponConfig.headshotMultiplier;
                     }
 
-                    damageZombie(message.hitZombieId, damage, playerId, isHeadshot);
+                    damageZombie(targetZombie.id, damage, playerId, isHeadshot);
                 }
             }
             break;
 
+        case 'shotFired':
+            if (room.isRunning && player.isAlive) PlayerAmmo.fire(player, Date.now());
+            break;
+
+        case 'reload':
+            if (room.isRunning && player.isAlive) PlayerAmmo.reload(player);
+            break;
+
         case 'weaponSwitch':
             // Track player's current weapon for server-side damage calculation
             if (message.weapon && VALID_WEAPONS.includes(message.weapon)) {
@@ -4570,15 +5609,43 @@ function handleMessage(playerId, message) {
             }
             break;
 
+        case 'syncFormat':
+            // Client lists the delta SYNC versions it decodes - full frames unless ours is among them
+            if (Array.isArray(message.versions)) {
+                player.syncVersion = message.versions.includes(SYNC_DELTA_VERSION) ? SYNC_DELTA_VERSION : 0;
+                player.syncAck = null;  // First frame in the new format is a keyframe
+                sendToPlayer(playerId, { type: 'syncFormat', version: player.syncVersion });
+            }
+            break;
+
+        case 'syncAck':
+            // Latest snapshot the client holds, or a keyframe request if it lost its baseline
+            if (message.keyframe === true) {
+                player.syncAck = null;
+            } else if (Number.isInteger(message.seq) && message.seq >= 0 && message.seq <= 0xFFFF) {
+                player.syncAck = message.seq;
+            }
+            break;
+
         case 'collectPickup':
             if (typeof message.pickupId === 'string') {
                 collectPickup(message.pickupId, playerId);
             }
             break;
 
+        case 'reviveStart':
+            if (typeof message.targetId === 'string') {
+                DownedState.startRevive(room, playerId, message.targetId);
+            }
+            break;
+
+        case 'reviveStop':
+            DownedState.stopRevivesBy(room, playerId);
+            break;
+
         case 'requestStart':
             if (!room.isRunning && room.players.size > 0) {
-                startGameInRoom(room);
+                room.startGame();
             }
             break;
 
@@ -4586,13 +5653,9 @@ function handleMessage(playerId, message) {
             // Allow reset if game is over or not running
             const isGameOver = room.state === ROOM_STATE.GAME_OVER || room.state === ROOM_STATE.GAME_OVER_PRIVATE;
             if (isGameOver || !room.isRunning) {
-                resetGameInRoom(room);
-                const roomId = room.id;
-                setTimeout(() => {
-                    const currentRoom = gameRooms.get(roomId);
-                    if (currentRoom && currentRoom.players.size > 0) {
-                        startGameInRoom(currentRoom);
-                    }
+                room.resetGame();
+                room.setTimer('restartTimer', () => {
+                    if (room.players.size > 0) room.startGame();
                 }, 1000);
             }
             break;
@@ -4627,9 +5690,14 @@ function handleMessage(playerId, message) {
             break;
 
         case 'setCosmetic':
-            if (message.cosmetic) {
-                const validCosmetics = ['default', 'military', 'hazmat', 'punk', 'mascot'];
-                if (validCosmetics.includes(message.cosmetic)) {
+            if (GameCore.Achievements.isCosmetic(message.cosmetic)) {
+                if (!ServerAchievements.canUseCosmetic(playerId, message.cosmetic)) {
+                    sendToPlayer(playerId, {
+                        type: 'cosmeticRejected',
+                        cosmetic: message.cosmetic,
+                        requires: GameCore.Achievements.getCosmeticRequirement(message.cosmetic)
+                    });
+                } else {
                     const oldCosmetic = player.cosmetic;
                     player.cosmetic = message.cosmetic;
                     if (player.cosmetic !== oldCosmetic) {
@@ -4649,53 +5717,38 @@ function handleMessage(playerId, message) {
             break;
 
         case 'shopReady':
-            handleShopReadyInRoom(playerId);
+            room.setShopReady(playerId);
             break;
 
         case 'ping':
+            // The client's own latency figure isn't trusted - the pong carries a probe id the
+            // client echoes straight back (pongAck) and the server times that round trip
+            player.latencyProbeId = (player.latencyProbeId || 0) + 1;
+            player.latencyProbeSentAt = Date.now();
+
             // Respond to ping with pong for latency tracking
             if (player.ws && player.ws.readyState === WebSocket.OPEN) {
                 try {
-                    player.ws.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp }));
+                    player.ws.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp, probe: player.latencyProbeId }));
                 } catch (e) {
                     log(`Pong send error: ${e.message}`, 'ERROR');
                 }
             }
             break;
 
-        case 'upgradeSync':
-            // Sync weapon upgrade from client
-            // Validate and store upgrade level for server-side damage calculation
-            if (message.weapon && message.stat && typeof message.level === 'number') {
-                const weapon = message.weapon;
-                const stat = message.stat;
-                const level = message.level;
-
-                // Validate weapon exists
-                if (!player.weaponUpgrades[weapon]) {
-                    log(`Invalid upgrade weapon: ${weapon}`, 'WARN');
-                    break;
-                }
-
-                // Validate stat exists for this weapon
-                if (!(stat in player.weaponUpgrades[weapon])) {
-                    log(`Invalid upgrade stat ${stat} for ${weapon}`, 'WARN');
-                    break;
-                }
-
-                // Validate level is within bounds
-                if (level < 0 || level > CONFIG.maxUpgradeLevel) {
-                    log(`Invalid upgrade level ${level} (max: ${CONFIG.maxUpgradeLevel})`, 'WARN');
-                    break;
-                }
-
-                // Only allow level to increase (prevent exploit)
-                if (level <= player.weaponUpgrades[weapon][stat]) {
-                    break; // Silently ignore - not an error, just a duplicate/stale message
-                }
+        case 'pongAck':
+            // Only the latest probe counts, once; keep a smoothed, clamped estimate
+            if (message.probe === player.latencyProbeId && player.latencyProbeSentAt) {
+                const sample = Math.min(Date.now() - player.latencyProbeSentAt, CONFIG.lagCompensation.maxRewindMs);
+                const alpha = CONFIG.lagCompensation.latencySmoothing;
+                player.latency = player.latency > 0 ? player.latency + (sample - player.latency) * alpha : sample;
+                player.latencyProbeSentAt = 0;
+            }
+            break;
 
-                player.weaponUpgrades[weapon][stat] = level;
-                log(`Player ${player.name} upgraded ${weapon} ${stat} to level ${level}`, 'SHOP');
+        case 'purchaseUpgrade':
+            if (typeof message.weapon === 'string' && typeof message.stat === 'string') {
+                handleUpgradePurchaseInRoom(playerId, message.weapon, message.stat);
             }
             break;
 
@@ -4748,6 +5801,30 @@ function handleTogglePrivate(playerId, room) {
     }
 }
 
+// Handle the leader of a private lobby choosing the map rotation
+function handleSetMapRotation(playerId, room, rotation) {
+    if (room.leaderId !== playerId) {
+        log(`Non-leader ${playerId} tried to set map rotation`, 'WARN', room.id);
+        return;
+    }
+
+    // Public lobbies always play the default rotation
+    if (room.state !== ROOM_STATE.QUEUING_PRIVATE) {
+        log(`Cannot set map rotation in state: ${room.state}`, 'WARN', room.id);
+        return;
+    }
+
+    const normalized = MapFormat.normalizeRotation(rotation, Object.keys(Navigation.MAP_DEFINITIONS));
+    if (!normalized) {
+        log(`Rejected invalid map rotation from ${playerId}`, 'WARN', room.id);
+        return;
+    }
+
+    room.mapRotation = normalized;
+    log(`Map rotation set to ${normalized.mode}: ${normalized.maps.join(', ')}`, 'LOBBY', room.id);
+    broadcastLobbyUpdateToRoom(room);
+}
+
 // Handle any player creating their own private lobby (escape from public lobby)
 function handleCreatePrivateLobby(playerId, currentRoom) {
     // Can be called from main menu (no room) or from public lobby
@@ -4800,7 +5877,7 @@ function handleCreatePrivateLobby(playerId, currentRoom) {
     if (currentRoom) {
         // Cancel any AFK countdown targeting this player
         if (currentRoom.afkKickTimer && currentRoom.afkKickPlayerId === playerId) {
-            cancelAfkKickCountdown(currentRoom);
+            currentRoom.cancelAfkKick();
         }
 
         removePlayerFromRoom(playerId, currentRoom);
@@ -4814,26 +5891,9 @@ function handleCreatePrivateLobby(playerId, currentRoom) {
     const newRoom = createGameRoom();
     newRoom.state = ROOM_STATE.QUEUING_PRIVATE;
 
-    // Add player to new room as leader
-    const newPlayer = {
-        id: playerId,
-        ws: playerInfo.ws,
-        name: playerInfo.name,
-        position: { x: 0, y: 0, z: 0 },
-        rotation: { x: 0, y: 0 },
-        isReady: false,
-        isAlive: true,
-        health: 100,
-        maxHealth: 100,
-        score: 0,
-        kills: 0,
-        cosmetic: playerInfo.cosmetic || 'steve',
-        color: playerInfo.color || getRandomPlayerColor(),
-        currentWeapon: 'pistol',
-        ammo: CONFIG.weapons.pistol.magSize,
-        reserveAmmo: 30,
-        lastUpdate: Date.now()
-    };
+    // Add player to new room as leader, keeping the color they already had
+    const newPlayer = createPlayerState(playerInfo.ws, playerId, newRoom, playerInfo.name, playerInfo.cosmetic);
+    newPlayer.color = playerInfo.color || getRandomPlayerColor();
 
     newRoom.players.set(playerId, newPlayer);
     playerRooms.set(playerId, newRoom.id);
@@ -4875,6 +5935,11 @@ function handleJoinPrivate(playerId, shortcode) {
     const result = findPrivateRoom(shortcode);
     log(`[JOIN-PRIVATE] findPrivateRoom result: ${JSON.stringify(result.error || 'FOUND ROOM')}`, 'DEBUG');
 
+    // Cluster mode: the lobby may be on another worker
+    if (result.error === 'Room not found' && WorkerLink.redirectToPrivateRoom(playerId, shortcode)) {
+        return;
+    }
+
     if (result.error) {
         log(`[JOIN-PRIVATE] Sending error to player: ${result.error}`, 'WARN');
         const sent = sendToPlayer(playerId, { type: 'joinPrivateError', error: result.error });
@@ -4899,7 +5964,7 @@ function handleJoinPrivate(playerId, shortcode) {
 
     // Check if in game-over state, reset if so
     if (room.state === ROOM_STATE.GAME_OVER_PRIVATE) {
-        resetPrivateRoomForNewGame(room);
+        room.resetForNewGame();
     }
 
     // Get player info (must be roomless at this point)
@@ -4912,36 +5977,7 @@ function handleJoinPrivate(playerId, shortcode) {
     const ws = roomlessInfo.ws;
 
     // Create player and add to room
-    const colors = [0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff, 0x44ffff, 0xff8844, 0x88ff44];
-    const playerNum = room.players.size;
-
-    const player = {
-        id: playerId,
-        name: roomlessInfo?.name || `Player ${playerNum + 1}`,
-        ws: ws,
-        roomId: room.id,
-        position: { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 },
-        rotation: { x: 0, y: 0 },
-        health: 100,
-        isAlive: true,
-        isReady: false,
-        color: colors[playerNum % colors.length],
-        cosmetic: roomlessInfo?.cosmetic || 'default',
-        currentWeapon: 'pistol',
-        weaponUpgrades: {
-            pistol: { damage: 0 },
-            smg: { damage: 0 },
-            shotgun: { damage: 0, pellets: 0 },
-            rocketLauncher: { damage: 0 },
-            laserGun: { damage: 0 }
-        },
-        lastUpdate: Date.now(),
-        lastValidPosition: null,
-        lastPositionTime: Date.now(),
-        teleportWarnings: 0,
-        kills: 0,
-        score: 0
-    };
+    const player = createPlayerState(ws, playerId, room, roomlessInfo.name, roomlessInfo.cosmetic);
 
     room.players.set(playerId, player);
     playerRooms.set(playerId, room.id);
@@ -4961,6 +5997,7 @@ function handleJoinPrivate(playerId, shortcode) {
     const initMessage = {
         type: 'init',
         playerId: playerId,
+        weaponDataHash: WEAPON_DATA_HASH,
         roomId: room.id,
         player: {
             id: player.id,
@@ -5053,42 +6090,6 @@ function sendToPlayer(playerId, message) {
     return false;
 }
 
-// Reset a private room for a new game (when first player rejoins after game over)
-function resetPrivateRoomForNewGame(room) {
-    room.state = ROOM_STATE.QUEUING_PRIVATE;
-    room.isRunning = false;
-    room.isInLobby = true;
-    room.wave = 1;
-    room.zombiesRemaining = 0;
-    room.zombiesSpawned = 0;
-    room.totalKills = 0;
-    room.totalScore = 0;
-    room.zombies.clear();
-    room.pickups.clear();
-    room.currentMapId = 'dining_hall';
-    room.bossMode = false;
-
-    // Clear any lingering timers
-    if (room.spawnInterval) {
-        clearInterval(room.spawnInterval);
-        room.spawnInterval = null;
-    }
-    if (room.countdownTimer) {
-        clearInterval(room.countdownTimer);
-        room.countdownTimer = null;
-    }
-    if (room.gameLoopInterval) {
-        clearInterval(room.gameLoopInterval);
-        room.gameLoopInterval = null;
-    }
-    if (room.shopTimeout) {
-        clearTimeout(room.shopTimeout);
-        room.shopTimeout = null;
-    }
-
-    log(`Private room reset for new game (code: ${room.id.substring(0, 6).toUpperCase()})`, 'LOBBY', room.id);
-}
-
 // ==================== PLAY AGAIN HANDLER ====================
 // Handles rejoining after game over (player is roomless)
 function handlePlayAgainRequest(playerId) {
@@ -5110,7 +6111,7 @@ function handlePlayAgainRequest(playerId) {
 
             // Reset room state to queuing if needed
             if (room.state === ROOM_STATE.GAME_OVER_PRIVATE) {
-                resetPrivateRoomForNewGame(room);
+                room.resetForNewGame();
             }
 
             playerLastPrivateRoom.delete(playerId);
@@ -5123,41 +6124,13 @@ function handlePlayAgainRequest(playerId) {
 
     // Fall through to public queue if no private room
     if (!room) {
+        // Cluster mode: the public queue may be on another worker
+        if (WorkerLink.redirectToQueue(playerId)) return;
         room = findOrCreateLobby();
     }
 
-    // Get colors for the new player
-    const colors = [0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff, 0x44ffff, 0xff8844, 0x88ff44];
-    const playerNum = room.players.size;
-
     // Create new player object, preserving name and cosmetic
-    const player = {
-        id: playerId,
-        name: roomlessInfo.name || `Player ${playerNum + 1}`,
-        ws: roomlessInfo.ws,
-        roomId: room.id,
-        position: { x: (Math.random() - 0.5) * 10, y: 1.8, z: 10 + Math.random() * 5 },
-        rotation: { x: 0, y: 0 },
-        health: 100,
-        isAlive: true,
-        isReady: false,
-        color: colors[playerNum % colors.length],
-        cosmetic: roomlessInfo.cosmetic || 'default',
-        currentWeapon: 'pistol',
-        weaponUpgrades: {
-            pistol: { damage: 0 },
-            smg: { damage: 0 },
-            shotgun: { damage: 0, pellets: 0 },
-            rocketLauncher: { damage: 0 },
-            laserGun: { damage: 0 }
-        },
-        lastUpdate: Date.now(),
-        lastValidPosition: null,
-        lastPositionTime: Date.now(),
-        teleportWarnings: 0,
-        kills: 0,
-        score: 0
-    };
+    const player = createPlayerState(roomlessInfo.ws, playerId, room, roomlessInfo.name, roomlessInfo.cosmetic);
 
     // Add player to room
     room.players.set(playerId, player);
@@ -5177,6 +6150,7 @@ function handlePlayAgainRequest(playerId) {
     const initMessage = {
         type: 'init',
         playerId: playerId,
+        weaponDataHash: WEAPON_DATA_HASH,
         roomId: room.id,
         player: {
             id: player.id,
@@ -5237,46 +6211,67 @@ const BinaryMsgType = {
     SYNC: 1,
     ZOMBIE_SPAWN: 2,
     ZOMBIE_KILL: 3,
-    PLAYER_POS: 4
+    PLAYER_POS: 4,
+    SYNC_DELTA: 5
 };
 
+// Delta SYNC: each frame carries only the zombie fields that changed since a snapshot
+// the client acknowledged (syncAck). Clients opt in with syncFormat; everyone else
+// keeps receiving the full SYNC frame above.
+const SYNC_DELTA_VERSION = 1;      // Delta format this server encodes (byte 1 of every SYNC_DELTA frame)
+const SYNC_HISTORY_SIZE = 32;      // Snapshots kept per player as delta baselines (1.6s at 20 ticks/sec)
+const SYNC_FIELD = {
+    POSITION: 1,    // x, z as Int16 centimetres
+    ROTATION: 2,    // Uint8, 256 steps per turn
+    HEALTH: 4,      // Uint16
+    TYPE: 8,        // Uint8 type code (new entries)
+    ALIVE: 16,      // Alive flag changed, value in IS_ALIVE
+    IS_ALIVE: 32,
+    REMOVED: 128    // Zombie no longer exists
+};
+const SYNC_DELTA_FLAG_KEYFRAME = 1;
+
 // ==================== INTEREST MANAGEMENT ====================
-// Distance-based filtering to reduce bandwidth for distant entities
+// Distance-based filtering to reduce bandwidth for distant entities. Each player has
+// the set of zombies its client knows about (knownZombies); zombieSpawned only goes
+// to players a new zombie is relevant to, and the game loop sends zombieEnter /
+// zombieLeave as zombies move in and out of range. SYNC frames carry the known set only.
 const INTEREST_CONFIG = {
-    zombieViewDistance: 40,     // Only send zombie updates within this distance
+    enabled: process.env.INTEREST_MANAGEMENT !== 'off',
+    zombieViewDistance: 40,     // Zombies enter relevance within this distance
+    zombieLeaveDistance: 45,    // ...and leave beyond this one (hysteresis against flicker)
     alwaysIncludeTargeting: true // Always include zombies targeting this player
 };
 
 // Filter zombies relevant to a specific player
 // Optimized: Uses spatial grid for O(k) lookup instead of O(n) iteration
 // where k = zombies in nearby cells, typically much smaller than n
-function getRelevantZombies(playerPosition, playerId) {
+function getRelevantZombies(zombieGrid, playerPosition, playerId, knownZombies, targetingZombies) {
+    // Zombies chasing this player are relevant wherever they are
+    const relevant = INTEREST_CONFIG.alwaysIncludeTargeting && targetingZombies.has(playerId)
+        ? targetingZombies.get(playerId).slice()
+        : [];
+
     // Get nearby zombies from spatial grid (O(k) where k << n)
-    const nearbyZombies = zombieSpatialGrid.getNearbyEntities(
+    const nearbyZombies = zombieGrid.getNearbyEntities(
         playerPosition.x,
         playerPosition.z,
-        INTEREST_CONFIG.zombieViewDistance
+        INTEREST_CONFIG.zombieLeaveDistance
     );
 
-    const relevant = [];
     const viewDistSq = INTEREST_CONFIG.zombieViewDistance * INTEREST_CONFIG.zombieViewDistance;
+    const leaveDistSq = INTEREST_CONFIG.zombieLeaveDistance * INTEREST_CONFIG.zombieLeaveDistance;
 
     // Filter nearby zombies by exact distance
     for (const zombie of nearbyZombies) {
         if (!zombie.isAlive) continue;
+        if (INTEREST_CONFIG.alwaysIncludeTargeting && zombie.targetPlayerId === playerId) continue;  // Already added
 
-        // Always include zombies targeting this player
-        if (INTEREST_CONFIG.alwaysIncludeTargeting && zombie.targetPlayerId === playerId) {
-            relevant.push(zombie);
-            continue;
-        }
-
-        // Exact distance check for zombies in grid cells
         const dx = zombie.position.x - playerPosition.x;
         const dz = zombie.position.z - playerPosition.z;
         const distSq = dx * dx + dz * dz;
 
-        if (distSq <= viewDistSq) {
+        if (distSq <= viewDistSq || (distSq <= leaveDistSq && knownZombies.has(zombie.id))) {
             relevant.push(zombie);
         }
     }
@@ -5284,6 +6279,79 @@ function getRelevantZombies(playerPosition, playerId) {
     return relevant;
 }
 
+// Alive zombies grouped by the player they chase (built once per tick)
+function groupZombiesByTarget(aliveZombies) {
+    const byTarget = new Map();
+    for (const zombie of aliveZombies) {
+        if (!zombie.targetPlayerId) continue;
+        if (!byTarget.has(zombie.targetPlayerId)) byTarget.set(zombie.targetPlayerId, []);
+        byTarget.get(zombie.targetPlayerId).push(zombie);
+    }
+    return byTarget;
+}
+
+// Single-zombie check for spawns (same rule as getRelevantZombies, view distance only)
+function isZombieRelevantTo(zombie, player, playerId) {
+    // Spectators follow other players around, so they get every zombie
+    if (!INTEREST_CONFIG.enabled || !player.isAlive) return true;
+    if (INTEREST_CONFIG.alwaysIncludeTargeting && zombie.targetPlayerId === playerId) return true;
+    const dx = zombie.position.x - player.position.x;
+    const dz = zombie.position.z - player.position.z;
+    return dx * dx + dz * dz <= INTEREST_CONFIG.zombieViewDistance * INTEREST_CONFIG.zombieViewDistance;
+}
+
+// zombieSpawned to the players the new zombie is relevant to; the rest get a
+// zombieEnter once it comes into range. Replays record every spawn.
+function sendZombieSpawnToRoom(room, zombie) {
+    const data = JSON.stringify({ type: 'zombieSpawned', zombie: zombie });
+    ReplayRecorder.record(room, data);
+    room.players.forEach((player, playerId) => {
+        if (!player.ws || player.ws.readyState !== WebSocket.OPEN) return;
+        if (!isZombieRelevantTo(zombie, player, playerId)) return;
+        player.knownZombies.add(zombie.id);
+        try {
+            player.ws.send(data);
+        } catch (e) {
+            log(`WebSocket send error to ${playerId}: ${e.message}`, 'ERROR');
+        }
+    });
+}
+
+// Diff this tick's relevant zombies against what the client knows and send the changes.
+// Dead or removed zombies just drop out - zombieKilled and game resets handle those.
+function updateZombieRelevance(player, playerId, relevant, roomZombies) {
+    const known = player.knownZombies;
+    const current = new Set();
+    const entered = [];
+    for (const zombie of relevant) {
+        current.add(zombie.id);
+        if (!known.has(zombie.id)) entered.push(zombie);
+    }
+
+    const left = [];
+    known.forEach(id => {
+        if (current.has(id)) return;
+        const zombie = roomZombies.get(id);
+        if (zombie && zombie.isAlive) left.push(id);
+    });
+    player.knownZombies = current;
+
+    // Before this tick's SYNC frame, so the client has every zombie the frame mentions
+    try {
+        if (left.length > 0) player.ws.send(JSON.stringify({ type: 'zombieLeave', zombieIds: left }));
+        if (entered.length > 0) player.ws.send(JSON.stringify({ type: 'zombieEnter', zombies: entered }));
+    } catch (e) {
+        log(`WebSocket send error to ${playerId}: ${e.message}`, 'ERROR');
+    }
+}
+
+// Forget what a player's client holds (new game) - the next tick enters everything relevant
+function resetPlayerSyncState(player) {
+    player.knownZombies.clear();
+    player.syncHistory.clear();
+    player.syncAck = null;
+}
+
 // Binary encoder for high-frequency messages (~60% bandwidth reduction)
 const BinaryProtocol = {
     // Encode sync message to binary from zombie array (for interest management)
@@ -5308,10 +6376,8 @@ const BinaryProtocol = {
 
         // Zombies: each 22 bytes (was 20, added 2 for UInt32 ID)
         zombieArray.forEach((zombie) => {
-            // Extract numeric ID from zombie.id (e.g., "zombie_5" -> 5)
-            // Using UInt32 to prevent overflow after 65535 zombies
-            const idNum = parseInt(zombie.id?.split('_')[1] || '0', 10);
-            buffer.writeUInt32LE(idNum, offset); offset += 4;
+            // Numeric netId (UInt32 to prevent overflow after 65535 zombies)
+            buffer.writeUInt32LE(zombie.netId || 0, offset); offset += 4;
             // Type encoded (1 byte): 0=normal, 1=runner, 2=tank, 3=boss
             const typeCode = { normal: 0, runner: 1, crawler: 2, tank: 3, spitter: 4, exploder: 5, minion: 6, boss: 7 }[zombie.type] || 0;
             buffer.writeUInt8(typeCode, offset); offset += 1;
@@ -5332,7 +6398,86 @@ const BinaryProtocol = {
     // Legacy: Encode sync message to binary (sends all zombies)
     encodeSync(zombies, gameState) {
         return this.encodeSyncFromArray(Array.from(zombies.values()), gameState);
-    }
+    },
+
+    // Quantized zombie state for delta SYNC, one per room tick (clients get their relevant subset)
+    // Returns Map of zombie netId -> { type, alive, x, z, rotation, health }
+    createSnapshot(zombieArray) {
+        const typeCodes = { normal: 0, runner: 1, crawler: 2, tank: 3, spitter: 4, exploder: 5, minion: 6, boss: 7 };
+        const snapshot = new Map();
+        for (const zombie of zombieArray) {
+            const rotation = zombie.rotation || 0;
+            snapshot.set(zombie.netId || 0, {
+                type: typeCodes[zombie.type] || 0,
+                alive: !!zombie.isAlive,
+                x: Math.max(-32768, Math.min(32767, Math.round((zombie.position?.x || 0) * 100))),
+                z: Math.max(-32768, Math.min(32767, Math.round((zombie.position?.z || 0) * 100))),
+                rotation: Math.round((rotation / (Math.PI * 2)) * 256) & 255,
+                health: Math.max(0, Math.min(65535, Math.round(zombie.health || 0)))
+            });
+        }
+        return snapshot;
+    },
+
+    // Encode snapshot as a delta against base (null = keyframe with every zombie)
+    encodeSyncDelta(seq, baseSeq, base, snapshot, gameState) {
+        // Header(21) + at most 13 bytes per entry: id(4) flags(1) x,z(4) rotation(1) health(2) type(1)
+        const maxEntries = snapshot.size + (base ? base.size : 0);
+        const buffer = Buffer.alloc(21 + maxEntries * 13);
+        let offset = 0;
+
+        buffer.writeUInt8(BinaryMsgType.SYNC_DELTA, offset); offset += 1;
+        buffer.writeUInt8(SYNC_DELTA_VERSION, offset); offset += 1;
+        buffer.writeUInt16LE(seq, offset); offset += 2;
+        buffer.writeUInt16LE(base ? baseSeq : 0, offset); offset += 2;
+        buffer.writeUInt8(base ? 0 : SYNC_DELTA_FLAG_KEYFRAME, offset); offset += 1;
+        buffer.writeUInt16LE(gameState.wave || 0, offset); offset += 2;
+        buffer.writeUInt16LE(gameState.zombiesRemaining || 0, offset); offset += 2;
+        buffer.writeUInt32LE(gameState.totalKills || 0, offset); offset += 4;
+        buffer.writeUInt32LE(gameState.totalScore || 0, offset); offset += 4;
+        const countOffset = offset; offset += 2;
+
+        let count = 0;
+        snapshot.forEach((state, id) => {
+            const prev = base ? base.get(id) : null;
+            let flags = 0;
+            if (!prev) {
+                flags = SYNC_FIELD.POSITION | SYNC_FIELD.ROTATION | SYNC_FIELD.HEALTH | SYNC_FIELD.TYPE | SYNC_FIELD.ALIVE;
+            } else {
+                if (state.x !== prev.x || state.z !== prev.z) flags |= SYNC_FIELD.POSITION;
+                if (state.rotation !== prev.rotation) flags |= SYNC_FIELD.ROTATION;
+                if (state.health !== prev.health) flags |= SYNC_FIELD.HEALTH;
+                if (state.type !== prev.type) flags |= SYNC_FIELD.TYPE;
+                if (state.alive !== prev.alive) flags |= SYNC_FIELD.ALIVE;
+            }
+            if (flags === 0) return;  // Unchanged since the baseline
+            if (state.alive) flags |= SYNC_FIELD.IS_ALIVE;
+
+            buffer.writeUInt32LE(id, offset); offset += 4;
+            buffer.writeUInt8(flags, offset); offset += 1;
+            if (flags & SYNC_FIELD.POSITION) {
+                buffer.writeInt16LE(state.x, offset); offset += 2;
+                buffer.writeInt16LE(state.z, offset); offset += 2;
+            }
+            if (flags & SYNC_FIELD.ROTATION) { buffer.writeUInt8(state.rotation, offset); offset += 1; }
+            if (flags & SYNC_FIELD.HEALTH) { buffer.writeUInt16LE(state.health, offset); offset += 2; }
+            if (flags & SYNC_FIELD.TYPE) { buffer.writeUInt8(state.type, offset); offset += 1; }
+            count++;
+        });
+
+        // Zombies in the baseline that are gone now
+        if (base) {
+            base.forEach((state, id) => {
+                if (snapshot.has(id)) return;
+                buffer.writeUInt32LE(id, offset); offset += 4;
+                buffer.writeUInt8(SYNC_FIELD.REMOVED, offset); offset += 1;
+                count++;
+            });
+        }
+
+        buffer.writeUInt16LE(count, countOffset);
+        return buffer.subarray(0, offset);
+    }
 };
 
 // Binary broadcast for sync messages
@@ -5349,48 +6494,862 @@ function broadcastBinaryToRoom(room, buffer) {
     });
 }
 
-// ==================== GAME LOOP ====================
-setInterval(() => {
-    // Process all active game rooms
-    gameRooms.forEach((room, roomId) => {
-        if (room.isRunning && !room.isPaused) {
-            // Reset entity cache for this tick
-            EntityCache.beginTick();
+// ==================== MATCH REPLAYS ====================
+// Records a room's outgoing stream - JSON broadcasts and binary SYNC frames - from
+// gameStart to game over into a gzip file that the client replay viewer plays back.
+// File layout: "APRP" + version (UInt8), then frames of
+//   elapsed ms (UInt32LE) + kind (UInt8, REPLAY_FRAME) + length (UInt32LE) + payload
+const REPLAY_MAGIC = 'APRP';
+const REPLAY_VERSION = 1;
+const REPLAY_FRAME = { JSON: 0, BINARY: 1 };
+const REPLAY_ID_PATTERN = /^[\w-]+$/;
+
+const ReplayRecorder = {
+    getPath(id) {
+        return path.join(CONFIG.replays.dir, `${id}.replay.gz`);
+    },
+
+    // Start recording (called right before gameStart is broadcast)
+    start(room) {
+        if (!CONFIG.replays.enabled) return;
+        this.stop(room);
+
+        try {
+            fs.mkdirSync(CONFIG.replays.dir, { recursive: true });
+        } catch (e) {
+            log(`Replay directory unavailable: ${e.message}`, 'ERROR', room.id);
+            return;
+        }
+
+        const id = `${new Date().toISOString().replace(/[:.]/g, '-')}_${room.id.substring(0, 6)}`;
+        const gzip = zlib.createGzip();
+        const file = fs.createWriteStream(this.getPath(id));
+        file.on('error', (err) => {
+            log(`Replay ${id} write failed: ${err.message}`, 'ERROR', room.id);
+            if (room.replay && room.replay.id === id) room.replay = null;
+        });
+        gzip.pipe(file);
+
+        const header = Buffer.alloc(5);
+        header.write(REPLAY_MAGIC, 0, 'ascii');
+        header.writeUInt8(REPLAY_VERSION, 4);
+        gzip.write(header);
+
+        room.replay = { id, gzip, startTime: Date.now(), frames: 0 };
+
+        // Roster for the viewer (players joined before recording started)
+        this.record(room, JSON.stringify({
+            type: 'replayStart',
+            roomId: room.id,
+            seed: room.rng.seed,
+            startedAt: new Date(room.replay.startTime).toISOString(),
+            players: getPlayersDataFromRoom(room)
+        }));
+        log(`Recording replay ${id}`, 'GAME', room.id);
+    },
+
+    // Append an outgoing frame (JSON string or binary Buffer)
+    record(room, data) {
+        const replay = room && room.replay;
+        if (!replay) return;
 
-            // For legacy compatibility, set the current room for global functions
-            updateZombies(room);
+        const elapsed = Date.now() - replay.startTime;
+        if (elapsed > CONFIG.replays.maxDurationMs) {
+            this.stop(room);
+            return;
+        }
+
+        const isJson = typeof data === 'string';
+        const payload = isJson ? Buffer.from(data, 'utf8') : data;
+        const frameHeader = Buffer.alloc(9);
+        frameHeader.writeUInt32LE(elapsed, 0);
+        frameHeader.writeUInt8(isJson ? REPLAY_FRAME.JSON : REPLAY_FRAME.BINARY, 4);
+        frameHeader.writeUInt32LE(payload.length, 5);
+        replay.gzip.write(frameHeader);
+        replay.gzip.write(payload);
+        replay.frames++;
+    },
+
+    stop(room) {
+        const replay = room && room.replay;
+        if (!replay) return;
+        room.replay = null;
+        replay.gzip.end();
+        log(`Saved replay ${replay.id} (${replay.frames} frames, ${Math.round((Date.now() - replay.startTime) / 1000)}s)`, 'GAME', room.id);
+        this.prune();
+    },
+
+    // Ids of replays still being written (by any worker in cluster mode)
+    getActiveIds() {
+        const ids = new Set();
+        gameRooms.forEach(room => {
+            if (room.replay) ids.add(room.replay.id);
+        });
+        if (CLUSTER.isMatchmaker) {
+            Matchmaker.getActiveReplayIds().forEach(id => ids.add(id));
+        }
+        return ids;
+    },
+
+    // Finished replays, newest first
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(CONFIG.replays.dir);
+        } catch (e) {
+            return [];
+        }
+        const active = this.getActiveIds();
+        const replays = [];
+        for (const file of files) {
+            if (!file.endsWith('.replay.gz')) continue;
+            const id = file.slice(0, -'.replay.gz'.length);
+            if (active.has(id)) continue;
+            try {
+                const stat = await fs.promises.stat(this.getPath(id));
+                replays.push({ id, size: stat.size, date: stat.mtime.toISOString() });
+            } catch (e) {
+                // Deleted by prune while listing
+            }
+        }
+        return replays.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+    },
 
-            // Rebuild zombie spatial grid for interest management (O(n) once per tick)
-            zombieSpatialGrid.rebuild(Array.from(room.zombies.values()));
+    // Keep only the newest CONFIG.replays.maxFiles replays
+    async prune() {
+        const replays = await this.list();
+        for (const replay of replays.slice(CONFIG.replays.maxFiles)) {
+            fs.unlink(this.getPath(replay.id), (err) => {
+                if (err) log(`Failed to delete replay ${replay.id}: ${err.message}`, 'WARN');
+            });
+        }
+    }
+};
+
+app.get('/api/replays', async (req, res) => {
+    res.json({ replays: await ReplayRecorder.list() });
+});
 
-            // Game state shared by all players
-            const gameState = {
+// Raw gzip file - the viewer decompresses it client-side
+app.get('/api/replays/:id', (req, res) => {
+    const id = req.params.id;
+    if (!REPLAY_ID_PATTERN.test(id) || ReplayRecorder.getActiveIds().has(id)) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+    const filePath = ReplayRecorder.getPath(id);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+    res.type('application/octet-stream').sendFile(filePath);
+});
+
+// ==================== SERVER BOTS ====================
+// Bots that keep lone players company in public lobbies (CONFIG.bots.fillLobbies).
+// Each bot is a BotBrain behind a BotSocket, so it joins, readies, moves and shoots
+// through createPlayer/handleMessage exactly like a WebSocket client.
+
+// In-process stand-in for a bot's WebSocket
+class BotSocket {
+    constructor(playerId, brain) {
+        this.playerId = playerId;
+        this.brain = brain;
+        this.readyState = WebSocket.OPEN;
+    }
+
+    // Server -> bot: JSON strings and binary SYNC buffers, same as the wire
+    send(data) {
+        if (this.readyState !== WebSocket.OPEN) return;
+        if (typeof data !== 'string') {
+            this.brain.handleBinary(data);
+            return;
+        }
+        const message = JSON.parse(data);
+        this.brain.handleMessage(message);
+        // Players go roomless after game over - bots just leave
+        if (message.type === 'gameOver') {
+            setImmediate(() => ServerBots.remove(this.playerId));
+        }
+    }
+
+    close() {
+        ServerBots.remove(this.playerId);
+    }
+}
+
+const ServerBots = {
+    bots: new Map(),      // playerId -> { brain, socket }
+    thinkTimer: null,
+    nextBotNumber: 1,
+
+    countHumans(room) {
+        let humans = 0;
+        room.players.forEach(player => {
+            if (!player.isBot) humans++;
+        });
+        return humans;
+    },
+
+    // Check the lobby once real players have had a chance to queue
+    scheduleFill(room) {
+        if (!CONFIG.bots.fillLobbies || room.botFillTimer) return;
+        room.setTimer('botFillTimer', () => this.fill(room), CONFIG.bots.fillDelayMs);
+    },
+
+    // Top up a public lobby with fewer than minHumans humans, drop the bots once enough have queued
+    fill(room) {
+        if (room.state !== ROOM_STATE.QUEUING) return;
+        const humans = this.countHumans(room);
+        if (humans === 0) return;
+
+        if (humans >= CONFIG.bots.minHumans) {
+            this.removeFromRoom(room);
+            return;
+        }
+
+        const toAdd = Math.min(CONFIG.bots.fillTo, 8) - room.players.size;
+        if (toAdd > 0) {
+            log(`Filling lobby with ${toAdd} bot(s) (${humans} human queued)`, 'LOBBY', room.id);
+        }
+        for (let i = 0; i < toAdd; i++) {
+            this.spawn(room);
+        }
+    },
+
+    spawn(room) {
+        const playerId = uuidv4();
+        const brain = new BotBrain({
+            name: `Bot ${this.nextBotNumber++}`,
+            // Deferred so bot replies never re-enter the code that is broadcasting to them
+            send: (message) => setImmediate(() => {
+                if (this.bots.has(playerId)) handleMessage(playerId, message);
+            })
+        });
+        const socket = new BotSocket(playerId, brain);
+        this.bots.set(playerId, { brain, socket });
+
+        const player = createPlayer(socket, playerId, room);
+        player.isBot = true;
+        const playerData = getPlayersDataFromRoom(room).find(p => p.id === playerId);
+
+        socket.send(JSON.stringify({
+            type: 'init',
+            playerId: playerId,
+            weaponDataHash: WEAPON_DATA_HASH,
+            roomId: room.id,
+            player: playerData,
+            gameState: {
+                isRunning: room.isRunning,
+                isInLobby: room.isInLobby,
                 wave: room.wave,
                 zombiesRemaining: room.zombiesRemaining,
                 totalKills: room.totalKills,
                 totalScore: room.totalScore
-            };
+            },
+            players: getPlayersDataFromRoom(room).filter(p => p.id !== playerId),
+            zombies: getZombiesDataFromRoom(room),
+            pickups: getPickupsDataFromRoom(room)
+        }));
 
-            // Send ALL zombies to ALL players (interest management was causing ID mismatch bugs)
-            const allZombies = Array.from(room.zombies.values());
-            const binaryData = BinaryProtocol.encodeSyncFromArray(allZombies, gameState);
+        broadcastLobbyUpdateToRoom(room);
+        broadcastToRoom(room, { type: 'playerJoined', player: playerData }, playerId);
 
-            room.players.forEach((player, playerId) => {
-                if (!player.ws || player.ws.readyState !== WebSocket.OPEN) return;
-                // Send to all players including spectators (dead players need zombie updates)
+        if (!this.thinkTimer) {
+            this.thinkTimer = setInterval(() => this.think(), CONFIG.bots.thinkIntervalMs);
+        }
+        return player;
+    },
 
-                try {
-                    player.ws.send(binaryData);
-                } catch (e) {
-                    log(`Binary WebSocket send error to ${playerId}: ${e.message}`, 'ERROR');
+    think() {
+        const now = Date.now();
+        this.bots.forEach(bot => {
+            try {
+                bot.brain.update(now);
+            } catch (e) {
+                log(`Bot update error: ${e.message}`, 'ERROR');
+            }
+        });
+    },
+
+    // Disconnect a bot (same path as a closed WebSocket)
+    remove(playerId) {
+        const bot = this.bots.get(playerId);
+        if (!bot) return;
+        this.bots.delete(playerId);
+        bot.socket.readyState = WebSocket.CLOSED;
+        removePlayer(playerId);
+
+        if (this.bots.size === 0 && this.thinkTimer) {
+            clearInterval(this.thinkTimer);
+            this.thinkTimer = null;
+        }
+    },
+
+    removeFromRoom(room) {
+        const botIds = [];
+        room.players.forEach((player, id) => {
+            if (player.isBot) botIds.push(id);
+        });
+        botIds.forEach(id => this.remove(id));
+    }
+};
+
+// ==================== GAME LOOP ====================
+// Every running room ticks on its own timer (room.gameLoopInterval) with its own spatial
+// grids and entity cache, so rooms never share tick state. Each tick is timed; a room whose
+// ticks average over CONFIG.tickBudget.budgetMs keeps simulating at CONFIG.tickRate but
+// sends SYNC every 2nd, 3rd... tick until it fits again.
+
+// Process-wide tick counters for /api/metrics (rooms come and go)
+const TickTotals = {
+    ticks: 0,
+    overBudget: 0,      // Ticks longer than the budget
+    throttles: 0        // Times a room's SYNC rate was lowered
+};
+
+class RoomTickBudget {
+    constructor(roomId) {
+        this.roomId = roomId;
+        this.samples = new Array(CONFIG.tickBudget.samples).fill(0);  // Ring of recent tick durations (ms)
+        this.reset();
+    }
+
+    reset() {
+        this.head = 0;
+        this.count = 0;
+        this.tick = 0;
+        this.syncEvery = 1;     // Send SYNC on every Nth tick
+        this.avgMs = 0;         // Average over the last full window (one second of ticks)
+        this.windowMs = 0;
+        this.windowTicks = 0;
+    }
+
+    // Whether this tick sends SYNC
+    shouldSync() {
+        return this.tick++ % this.syncEvery === 0;
+    }
+
+    record(ms) {
+        this.samples[this.head] = ms;
+        this.head = (this.head + 1) % this.samples.length;
+        if (this.count < this.samples.length) this.count++;
+
+        TickTotals.ticks++;
+        if (ms > CONFIG.tickBudget.budgetMs) TickTotals.overBudget++;
+
+        this.windowMs += ms;
+        if (++this.windowTicks >= CONFIG.tickRate) {
+            this.avgMs = this.windowMs / this.windowTicks;
+            this.windowMs = 0;
+            this.windowTicks = 0;
+            this.adjust();
+        }
+    }
+
+    // Once a second: slow SYNC down while over budget, speed it back up when the
+    // faster rate would fit (assumes the whole tick cost scales with the SYNC rate)
+    adjust() {
+        const { budgetMs, maxSyncEvery, recoverMargin } = CONFIG.tickBudget;
+        if (this.avgMs > budgetMs && this.syncEvery < maxSyncEvery) {
+            this.syncEvery++;
+            TickTotals.throttles++;
+            log(`Ticks averaging ${this.avgMs.toFixed(1)}ms (budget ${budgetMs}ms), SYNC every ${this.syncEvery} ticks`, 'WARN', this.roomId);
+        } else if (this.syncEvery > 1 &&
+            this.avgMs * this.syncEvery / (this.syncEvery - 1) < budgetMs * recoverMargin) {
+            this.syncEvery--;
+            log(`Ticks back under budget (${this.avgMs.toFixed(1)}ms), SYNC every ${this.syncEvery} ticks`, 'SYNC', this.roomId);
+        }
+    }
+
+    getSamples() {
+        return this.samples.slice(0, this.count);
+    }
+}
+
+function tickRoom(room) {
+    if (!room.isRunning || room.isPaused) return;
+    const started = performance.now();
+
+    // Reset entity cache for this tick
+    room.entityCache.beginTick();
+
+    updateZombies(room);
+    DownedState.update(room);
+    BossAttacks.updateHazards(room, Date.now());
+    DifficultyDirector.update(room, Date.now());
+
+    // Rebuild zombie spatial grid for interest management (O(n) once per tick)
+    room.zombieGrid.rebuild(room.zombies.values());
+
+    // Record zombie positions for lag-compensated hit validation
+    room.zombieHistory.record(room.zombies.values(), Date.now());
+
+    // Under load the simulation keeps its rate and only SYNC slows down
+    if (room.tickBudget.shouldSync()) sendSyncToRoom(room);
+
+    room.tickBudget.record(performance.now() - started);
+}
+
+function sendSyncToRoom(room) {
+    // Game state shared by all players
+    const gameState = {
+        wave: room.wave,
+        zombiesRemaining: room.zombiesRemaining,
+        totalKills: room.totalKills,
+        totalScore: room.totalScore
+    };
+
+    // Per-player interest management: each client gets the zombies near it
+    // (plus the ones chasing it) and enter/leave events as that set changes
+    const allZombies = Array.from(room.zombies.values());
+    const aliveZombies = allZombies.filter(zombie => zombie.isAlive);
+    const targetingZombies = groupZombiesByTarget(aliveZombies);
+    room.syncTick = (room.syncTick + 1) & 0xFFFF;
+
+    // Quantized state for delta SYNC clients, filtered per player below
+    let snapshot = null;
+    const getSnapshot = () => snapshot || (snapshot = BinaryProtocol.createSnapshot(aliveZombies));
+
+    // Frame with every alive zombie, shared by spectators (and everyone with interest management off)
+    let aliveFrame = null;
+    const getAliveFrame = () => aliveFrame || (aliveFrame = BinaryProtocol.encodeSyncFromArray(aliveZombies, gameState));
+
+    // Replays show the whole room
+    if (room.replay) ReplayRecorder.record(room, BinaryProtocol.encodeSyncFromArray(allZombies, gameState));
+
+    room.players.forEach((player, playerId) => {
+        if (!player.ws || player.ws.readyState !== WebSocket.OPEN) return;
+        // Send to all players including spectators (dead players need zombie updates)
+
+        const relevant = INTEREST_CONFIG.enabled && player.isAlive
+            ? getRelevantZombies(room.zombieGrid, player.position, playerId, player.knownZombies, targetingZombies)
+            : aliveZombies;
+        updateZombieRelevance(player, playerId, relevant, room.zombies);
+
+        let binaryData;
+        if (player.syncVersion > 0) {
+            // This player's snapshot, kept as a baseline for later deltas
+            let playerSnapshot = getSnapshot();
+            if (relevant !== aliveZombies) {
+                playerSnapshot = new Map();
+                for (const zombie of relevant) playerSnapshot.set(zombie.netId, snapshot.get(zombie.netId));
+            }
+            player.syncHistory.set(room.syncTick, playerSnapshot);
+            if (player.syncHistory.size > SYNC_HISTORY_SIZE) {
+                player.syncHistory.delete(player.syncHistory.keys().next().value);
+            }
+
+            // Delta against the last acknowledged snapshot, keyframe if it has expired
+            const base = player.syncAck !== null ? player.syncHistory.get(player.syncAck) : null;
+            binaryData = BinaryProtocol.encodeSyncDelta(room.syncTick, player.syncAck, base || null, playerSnapshot, gameState);
+        } else {
+            binaryData = relevant === aliveZombies ? getAliveFrame() : BinaryProtocol.encodeSyncFromArray(relevant, gameState);
+        }
+
+        try {
+            player.ws.send(binaryData);
+        } catch (e) {
+            log(`Binary WebSocket send error to ${playerId}: ${e.message}`, 'ERROR');
+        }
+    });
+}
+
+// Tick timing over this process's running rooms (a worker's share in cluster mode)
+function getTickStats() {
+    const durations = [];
+    let slowestRoomMs = 0;
+    let throttledRooms = 0;
+    gameRooms.forEach(room => {
+        if (!room.gameLoopInterval || room.tickBudget.count === 0) return;
+        durations.push(...room.tickBudget.getSamples());
+        slowestRoomMs = Math.max(slowestRoomMs, room.tickBudget.avgMs);
+        if (room.tickBudget.syncEvery > 1) throttledRooms++;
+    });
+    durations.sort((a, b) => a - b);
+
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    const sum = durations.reduce((acc, ms) => acc + ms, 0);
+    return {
+        ...TickTotals,
+        avgMs: durations.length ? round(sum / durations.length) : 0,
+        samples: durations.length,
+        p95Ms: durations.length ? round(durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))]) : 0,
+        maxMs: durations.length ? round(durations[durations.length - 1]) : 0,
+        slowestRoomMs: round(slowestRoomMs),
+        throttledRooms
+    };
+}
+
+// ==================== MATCHMAKER ====================
+// Cluster mode (WORKERS > 1). This process keeps everything HTTP - static files,
+// leaderboard, run verification, challenges - and hands each WebSocket to a game worker
+// by replaying its upgrade request to the worker's localhost port and piping the two
+// sockets together. Workers report their rooms every CLUSTER.statusIntervalMs and a
+// connection goes to:
+//   ?worker=N    that worker (resume after a dropped connection, or a redirect)
+//   ?join=CODE   the worker hosting that private lobby
+//   otherwise    the queue worker - the one public lobby lives there (single queue rule)
+const Matchmaker = {
+    workers: new Map(),     // workerId -> { id, process, port, status }
+    queueWorkerId: null,    // Worker new public players are sent to
+    requests: new Map(),    // requestId -> { replies, remaining, finish } for requestAll
+    nextRequestId: 1,
+
+    start() {
+        log(`Matchmaker starting ${CLUSTER.workers} game workers`, 'CLUSTER');
+        for (let id = 0; id < CLUSTER.workers; id++) {
+            this.fork(id);
+        }
+        cluster.on('exit', (worker, code, signal) => this.handleExit(worker, code, signal));
+
+        // Workers need the queue and private lobby locations to redirect clients themselves
+        setInterval(() => this.broadcastDirectory(), CLUSTER.statusIntervalMs);
+    },
+
+    fork(id) {
+        const worker = cluster.fork({ WORKER_ID: id });
+        const entry = { id, process: worker, port: null, status: null };
+        this.workers.set(id, entry);
+        worker.on('message', (message) => this.handleMessage(entry, message));
+    },
+
+    handleExit(worker, code, signal) {
+        const entry = Array.from(this.workers.values()).find(w => w.process === worker);
+        if (!entry) return;
+        this.workers.delete(entry.id);
+        if (this.queueWorkerId === entry.id) {
+            this.queueWorkerId = null;
+        }
+        log(`Game worker ${entry.id} exited (${signal || code}), restarting`, 'ERROR');
+        setTimeout(() => this.fork(entry.id), CLUSTER.restartDelayMs);
+    },
+
+    handleMessage(entry, message) {
+        if (!message || typeof message.type !== 'string') return;
+        switch (message.type) {
+            case 'listening':
+                entry.port = message.port;
+                log(`Game worker ${entry.id} ready on port ${message.port}`, 'CLUSTER');
+                break;
+
+            case 'status': {
+                const previous = entry.status;
+                entry.status = message.status;
+                // Move the queue on once its lobby has started (or emptied)
+                if (entry.id === this.queueWorkerId && previous && previous.lobby && !entry.status.lobby) {
+                    this.pickQueueWorker();
                 }
+                break;
+            }
+
+            case 'reply': {
+                const request = this.requests.get(message.requestId);
+                if (!request) return;
+                request.replies.push(message.result);
+                if (--request.remaining === 0) request.finish();
+                break;
+            }
+
+            case 'ban':
+                banIP(message.ip, `${message.reason} (worker ${entry.id})`);
+                break;
+
+            // Profiles live in this process; workers look them up for profileAuth
+            case 'profileLookup':
+                entry.process.send({ type: 'reply', requestId: message.requestId, result: ProfileStore.lookup(message.token) });
+                break;
+
+            case 'grantAchievements':
+                ProfileStore.grantAchievements(message.accountId, message.ids);
+                break;
+        }
+    },
+
+    getReadyWorkers() {
+        return Array.from(this.workers.values()).filter(w => w.port !== null);
+    },
+
+    // A worker with a public lobby filling up, otherwise the one with the fewest players
+    pickQueueWorker() {
+        const ready = this.getReadyWorkers();
+        if (ready.length === 0) {
+            this.queueWorkerId = null;
+            return null;
+        }
+        const lobbyPlayers = (w) => (w.status && w.status.lobby ? w.status.lobby.players : 0);
+        const players = (w) => (w.status ? w.status.game.totalPlayers : 0);
+        ready.sort((a, b) => lobbyPlayers(b) - lobbyPlayers(a) || players(a) - players(b) || a.id - b.id);
+
+        if (ready[0].id !== this.queueWorkerId) {
+            log(`Public queue moved to worker ${ready[0].id}`, 'CLUSTER');
+        }
+        this.queueWorkerId = ready[0].id;
+        return ready[0];
+    },
+
+    findPrivateRoomWorker(shortcode) {
+        return this.getReadyWorkers().find(w => w.status && w.status.privateRooms.includes(shortcode)) || null;
+    },
+
+    // Pick the worker for a WebSocket upgrade request
+    route(url) {
+        const params = new URL(url, 'http://localhost').searchParams;
+
+        const workerId = parseInt(params.get('worker'), 10);
+        const requested = this.workers.get(workerId);
+        if (requested && requested.port !== null) return requested;
+
+        const join = String(params.get('join') || '').toUpperCase();
+        if (join) {
+            const owner = this.findPrivateRoomWorker(join);
+            if (owner) return owner;
+        }
+
+        const queue = this.workers.get(this.queueWorkerId);
+        return queue && queue.port !== null ? queue : this.pickQueueWorker();
+    },
+
+    proxyUpgrade(request, socket, head, ip) {
+        const worker = this.route(request.url);
+        if (!worker) {
+            log(`No game worker available (IP: ${ip})`, 'WARN');
+            socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        // Count piped connections here too, so the per-IP limit holds across workers
+        trackIPConnection(ip, socket);
+
+        const upstream = net.connect(worker.port, '127.0.0.1', () => {
+            // Same request with the client's address, for the worker's per-IP checks and logs
+            let raw = `${request.method} ${request.url} HTTP/1.1\r\n`;
+            for (let i = 0; i < request.rawHeaders.length; i += 2) {
+                if (request.rawHeaders[i].toLowerCase() === 'x-forwarded-for') continue;
+                raw += `${request.rawHeaders[i]}: ${request.rawHeaders[i + 1]}\r\n`;
+            }
+            raw += `X-Forwarded-For: ${ip}\r\n\r\n`;
+            upstream.write(raw);
+            if (head && head.length > 0) upstream.write(head);
+
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.setNoDelay(true);
+        socket.setNoDelay(true);
+
+        const close = () => {
+            untrackIPConnection(ip, socket);
+            upstream.destroy();
+            socket.destroy();
+        };
+        upstream.on('error', (err) => {
+            log(`Worker ${worker.id} connection error: ${err.message}`, 'ERROR');
+            close();
+        });
+        upstream.on('close', close);
+        socket.on('error', close);
+        socket.on('close', close);
+    },
+
+    broadcastDirectory() {
+        const privateRooms = [];
+        this.workers.forEach(w => {
+            if (w.status) w.status.privateRooms.forEach(code => privateRooms.push([code, w.id]));
+        });
+        if (this.queueWorkerId === null) this.pickQueueWorker();
+
+        const message = { type: 'directory', queueWorkerId: this.queueWorkerId, privateRooms };
+        this.getReadyWorkers().forEach(w => w.process.send(message));
+    },
+
+    // Send a request to every ready worker and collect their replies (missing ones are dropped after the timeout)
+    requestAll(message) {
+        const targets = this.getReadyWorkers();
+        if (targets.length === 0) return Promise.resolve([]);
+
+        return new Promise((resolve) => {
+            const requestId = this.nextRequestId++;
+            const request = {
+                replies: [],
+                remaining: targets.length,
+                finish: () => {
+                    clearTimeout(timer);
+                    this.requests.delete(requestId);
+                    resolve(request.replies);
+                }
+            };
+            const timer = setTimeout(request.finish, CLUSTER.requestTimeoutMs);
+            this.requests.set(requestId, request);
+            targets.forEach(w => w.process.send({ ...message, requestId }));
+        });
+    },
+
+    // Leaderboard submission - only the worker that owns the session knows the token
+    async claimSession(token) {
+        const replies = await this.requestAll({ type: 'claimSession', token });
+        return replies.find(reply => reply && reply.status !== 401) || { status: 401, error: 'Invalid session token' };
+    },
+
+    // Totals over the workers' latest reports
+    getGameStats() {
+        const totals = { activeRooms: 0, playingRooms: 0, totalPlayers: 0, bots: 0 };
+        this.workers.forEach(w => {
+            if (!w.status) return;
+            Object.keys(totals).forEach(key => { totals[key] += w.status.game[key]; });
+        });
+        return totals;
+    },
+
+    getWorkerSummaries() {
+        return Array.from(this.workers.values())
+            .sort((a, b) => a.id - b.id)
+            .map(w => ({
+                id: w.id,
+                pid: w.process.process.pid,
+                ready: w.port !== null,
+                queue: w.id === this.queueWorkerId,
+                activeRooms: w.status ? w.status.game.activeRooms : 0,
+                totalPlayers: w.status ? w.status.game.totalPlayers : 0,
+                heapUsed: w.status ? w.status.heapUsed : 0,
+                uptime: w.status ? Math.floor(w.status.uptime) : 0,
+                tickP95Ms: w.status ? w.status.ticks.p95Ms : 0
+            }));
+    },
+
+    // Tick timing over the workers' latest reports - counters add up, the average is
+    // weighted by sample count and the percentile/maximums are the worst worker's
+    getTickStats() {
+        const totals = {
+            ticks: 0, overBudget: 0, throttles: 0, samples: 0,
+            avgMs: 0, p95Ms: 0, maxMs: 0, slowestRoomMs: 0, throttledRooms: 0
+        };
+        let weightedMs = 0;
+        this.workers.forEach(w => {
+            if (!w.status) return;
+            const ticks = w.status.ticks;
+            ['ticks', 'overBudget', 'throttles', 'samples', 'throttledRooms'].forEach(key => { totals[key] += ticks[key]; });
+            ['p95Ms', 'maxMs', 'slowestRoomMs'].forEach(key => { totals[key] = Math.max(totals[key], ticks[key]); });
+            weightedMs += ticks.avgMs * ticks.samples;
+        });
+        if (totals.samples > 0) totals.avgMs = Math.round(weightedMs / totals.samples * 1000) / 1000;
+        return totals;
+    },
+
+    getActiveReplayIds() {
+        const ids = [];
+        this.workers.forEach(w => {
+            if (w.status) ids.push(...w.status.replayIds);
+        });
+        return ids;
+    }
+};
+
+// ==================== CLUSTER WORKER ====================
+// A game worker in cluster mode. It listens on an ephemeral localhost port that only
+// the matchmaker connects to, reports its rooms, answers session lookups, asks the
+// matchmaker for profiles and sends clients to another worker when the public queue
+// or a private lobby lives there.
+const WorkerLink = {
+    queueWorkerId: null,
+    privateRooms: new Map(),    // Shortcode -> workerId, from the matchmaker's directory
+    requests: new Map(),        // requestId -> resolve, for request()
+    nextRequestId: 1,
+
+    start() {
+        // exclusive: a shared cluster handle would round-robin every worker's connections
+        httpServer.listen({ port: 0, host: '127.0.0.1', exclusive: true }, () => {
+            this.send({ type: 'listening', port: httpServer.address().port });
+        });
+        process.on('message', (message) => this.handleMessage(message));
+        // Nothing can reach this worker once the matchmaker is gone
+        process.on('disconnect', () => process.exit(0));
+        setInterval(() => this.send({ type: 'status', status: this.getStatus() }), CLUSTER.statusIntervalMs);
+        log(`Game worker ${CLUSTER.workerId} started`, 'CLUSTER');
+    },
+
+    send(message) {
+        if (process.connected) process.send(message);
+    },
+
+    // Ask the matchmaker something, resolves with its reply (null after the timeout)
+    request(message) {
+        return new Promise((resolve) => {
+            const requestId = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.requests.delete(requestId);
+                resolve(null);
+            }, CLUSTER.requestTimeoutMs);
+            this.requests.set(requestId, (result) => {
+                clearTimeout(timer);
+                this.requests.delete(requestId);
+                resolve(result);
             });
+            this.send({ ...message, requestId });
+        });
+    },
+
+    handleMessage(message) {
+        if (!message || typeof message.type !== 'string') return;
+        switch (message.type) {
+            case 'directory':
+                this.queueWorkerId = message.queueWorkerId;
+                this.privateRooms = new Map(message.privateRooms);
+                break;
+
+            case 'claimSession':
+                this.send({ type: 'reply', requestId: message.requestId, result: claimSessionScore(message.token) });
+                break;
+
+            case 'reply': {
+                const resolve = this.requests.get(message.requestId);
+                if (resolve) resolve(message.result);
+                break;
+            }
         }
-    });
-}, 1000 / CONFIG.tickRate);
+    },
+
+    getStatus() {
+        let lobby = null;
+        const privateRooms = [];
+        gameRooms.forEach(room => {
+            if (room.state === ROOM_STATE.QUEUING && room.players.size > 0 && room.players.size < 8) {
+                lobby = { roomId: room.id, players: room.players.size };
+            }
+            if (room.state === ROOM_STATE.QUEUING_PRIVATE || room.state === ROOM_STATE.PLAYING_PRIVATE ||
+                room.state === ROOM_STATE.GAME_OVER_PRIVATE) {
+                privateRooms.push(room.id.substring(0, 6).toUpperCase());
+            }
+        });
+        return {
+            game: getGameStats(),
+            ticks: getTickStats(),
+            lobby,
+            privateRooms,
+            replayIds: Array.from(ReplayRecorder.getActiveIds()),
+            heapUsed: process.memoryUsage().heapUsed,
+            uptime: process.uptime()
+        };
+    },
+
+    // Send a roomless player to the worker hosting the public queue (false if it's this one)
+    redirectToQueue(playerId) {
+        if (!CLUSTER.isWorker || this.queueWorkerId === null || this.queueWorkerId === CLUSTER.workerId) return false;
+        log(`Sending ${playerId} to the public queue on worker ${this.queueWorkerId}`, 'CLUSTER');
+        return sendToPlayer(playerId, { type: 'redirect', worker: this.queueWorkerId });
+    },
+
+    // Send a player to the worker hosting a private lobby (false if no other worker has it)
+    redirectToPrivateRoom(playerId, shortcode) {
+        const code = shortcode.toUpperCase();
+        const owner = this.privateRooms.get(code);
+        if (!CLUSTER.isWorker || owner === undefined || owner === CLUSTER.workerId) return false;
+        log(`Sending ${playerId} to private lobby ${code} on worker ${owner}`, 'CLUSTER');
+        return sendToPlayer(playerId, { type: 'redirect', worker: owner, join: code });
+    }
+};
 
 // ==================== START SERVER ====================
-mainServer.listen(PORT, '0.0.0.0', () => {
+function logStartupBanner() {
     log(`========================================`, 'SUCCESS');
     log(`ASPEN'S PLAYGROUND - Multiplayer Server`, 'SUCCESS');
     log(`========================================`, 'SUCCESS');
@@ -5413,8 +7372,24 @@ mainServer.listen(PORT, '0.0.0.0', () => {
         log(``, 'INFO');
         log(`Local:   http://localhost:${PORT}`, 'INFO');
     }
+    if (!process.env.RUN_SIGNING_SECRET) {
+        log(`RUN_SIGNING_SECRET not set - singleplayer run tickets won't survive restarts`, 'WARN');
+    }
+    if (CLUSTER.isMatchmaker) {
+        log(`Cluster: matchmaker for ${CLUSTER.workers} game workers`, 'INFO');
+    }
     log(``, 'INFO');
-    log(`Log Types: PLAYER LOBBY WAVE COMBAT PICKUP SHOP BOSS NETWORK SYNC`, 'DEBUG');
+    log(`Log Types: PLAYER LOBBY WAVE COMBAT PICKUP SHOP BOSS NETWORK SYNC CLUSTER DIRECTOR`, 'DEBUG');
     log(``, 'INFO');
     log(`Waiting for players to connect...`, 'INFO');
-});
+}
+
+if (CLUSTER.isWorker) {
+    // Game workers only take WebSockets piped from the matchmaker
+    WorkerLink.start();
+} else {
+    mainServer.listen(PORT, '0.0.0.0', logStartupBanner);
+    if (CLUSTER.isMatchmaker) {
+        Matchmaker.start();
+    }
+}
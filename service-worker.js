@@ -1,6 +1,6 @@
 // Service Worker for Aspen's Playground PWA
 // Update this version when deploying significant changes
-const CACHE_VERSION = 28;
+const CACHE_VERSION = 31;
 const CACHE_NAME = `aspens-playground-v${CACHE_VERSION}`;
 const OFFLINE_URL = '/offline.html';
 
@@ -22,12 +22,11 @@ const ASSETS_TO_CACHE = [
     '/modules/config.js',
     '/modules/ui.js',
     '/modules/maps/MapManager.js',
+    '/modules/maps/MapFormat.js',
     '/modules/maps/BaseMap.js',
-    '/modules/maps/DiningHallMap.js',
-    '/modules/maps/ArcadeZoneMap.js',
-    '/modules/maps/BackstageMap.js',
-    '/modules/maps/KitchenMap.js',
-    '/modules/maps/PartyRoomMap.js'
+    '/modules/maps/MapEditor.js',
+    '/modules/Navigation.js',
+    '/api/maps'
 ];
 
 // Install event - cache core assets
@@ -98,6 +97,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Skip profile requests - the response depends on the signed-in account, not the URL
+    if (url.pathname.startsWith('/api/profile')) {
+        return;
+    }
+
     // Skip external CDN requests - let browser handle them directly
     if (url.hostname !== self.location.hostname) {
         return;